@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// vpv: renders project bundles from the command line (src/cli.ts).
+import { main } from '../src/cli.js';
+
+// ffmpeg.wasm keeps worker threads alive after the render
+process.exit(await main(process.argv.slice(2)));
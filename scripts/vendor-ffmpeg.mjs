@@ -0,0 +1,61 @@
+// Copies the ffmpeg.wasm library and cores from node_modules into vendor/ffmpeg, so the app
+// exports without reaching a CDN (see src/ffmpegCore.ts for how they are loaded):
+//   vendor/ffmpeg/ffmpeg/   @ffmpeg/ffmpeg (0.10: ffmpeg.min.js, 0.12+: the ES module files)
+//   vendor/ffmpeg/core/     @ffmpeg/core
+//   vendor/ffmpeg/core-mt/  @ffmpeg/core-mt, when installed (0.12+, multi-threaded)
+//   vendor/ffmpeg/fonts/    Noto Sans Hebrew (SIL OFL), burned-in captions are drawn with it
+import { cp, mkdir, readdir, readFile, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const out = join(root, 'vendor', 'ffmpeg');
+
+async function installed(name) {
+  const dir = join(root, 'node_modules', name);
+  if (!existsSync(join(dir, 'package.json'))) return null;
+  const { version } = JSON.parse(await readFile(join(dir, 'package.json'), 'utf8'));
+  const [major, minor] = version.split('.').map(Number);
+  return { dir, version, legacy: major === 0 && minor < 12 };
+}
+
+async function copyFiles(from, to, keep) {
+  await mkdir(to, { recursive: true });
+  const names = (await readdir(from)).filter(keep);
+  for (const name of names) await cp(join(from, name), join(to, name));
+  return names;
+}
+
+const lib = await installed('@ffmpeg/ffmpeg');
+const core = await installed('@ffmpeg/core');
+if (!lib || !core) {
+  console.error('@ffmpeg/ffmpeg and @ffmpeg/core are not installed; run `npm install` first.');
+  process.exit(1);
+}
+
+await rm(out, { recursive: true, force: true });
+const libFiles = lib.legacy
+  ? await copyFiles(join(lib.dir, 'dist'), join(out, 'ffmpeg'), (n) => n === 'ffmpeg.min.js')
+  : await copyFiles(join(lib.dir, 'dist', 'esm'), join(out, 'ffmpeg'), (n) => /\.m?js$/.test(n));
+console.log(`@ffmpeg/ffmpeg ${lib.version}: ${libFiles.join(', ')}`);
+
+const coreFiles = (n) => /^ffmpeg-core\.(js|wasm|worker\.js)$/.test(n);
+for (const [name, dir] of [['@ffmpeg/core', 'core'], ['@ffmpeg/core-mt', 'core-mt']]) {
+  const pkg = name === '@ffmpeg/core' ? core : await installed(name);
+  if (!pkg) continue;
+  // 0.12 cores ship UMD and ESM builds; the 0.12 worker imports the ESM one
+  const files = await copyFiles(join(pkg.dir, 'dist', pkg.legacy ? '' : 'esm'), join(out, dir), coreFiles);
+  console.log(`${name} ${pkg.version}: ${files.join(', ')}`);
+}
+
+// the font of burned-in captions (DEFAULT_CAPTION_FONT in src/renderPlan.ts), with its licence
+const font = join(root, 'node_modules', '@expo-google-fonts', 'noto-sans-hebrew');
+if (!existsSync(font)) {
+  console.error('@expo-google-fonts/noto-sans-hebrew is not installed; run `npm install` first.');
+  process.exit(1);
+}
+await mkdir(join(out, 'fonts'), { recursive: true });
+await cp(join(font, '400Regular', 'NotoSansHebrew_400Regular.ttf'), join(out, 'fonts', 'NotoSansHebrew-Regular.ttf'));
+await cp(join(font, 'LICENSE_FONT'), join(out, 'fonts', 'OFL.txt'));
+console.log('Noto Sans Hebrew: NotoSansHebrew-Regular.ttf, OFL.txt');
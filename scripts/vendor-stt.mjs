@@ -0,0 +1,66 @@
+// Installs the speech engine the transcription panel runs into models/stt (see src/transcribeWorker.ts
+// for the contract and src/whisperEngine.ts for the adapter):
+//   models/stt/engine.js         the adapter (src/whisperEngine.js)
+//   models/stt/shout.wasm*.js    @transcribe/shout, whisper.cpp built to WASM (SIMD and no-SIMD)
+//   models/stt/transcriber/      @transcribe/transcriber's FileTranscriber
+//   models/stt/model.bin         a multilingual ggml Whisper model
+// The model is not on npm. It is downloaded from STT_MODEL (a URL or a local file), by default
+// whisper.cpp's quantized base model, and kept across runs; set STT_MODEL to replace it. When it
+// cannot be downloaded (e.g. offline) the rest is still installed and the app runs without transcription.
+import { cp, mkdir, readdir, rm, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_MODEL = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base-q5_1.bin';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const out = join(root, 'models', 'stt');
+const shout = join(root, 'node_modules', '@transcribe', 'shout', 'src', 'shout');
+const transcriber = join(root, 'node_modules', '@transcribe', 'transcriber', 'src');
+
+if (!existsSync(shout) || !existsSync(transcriber)) {
+  console.error('@transcribe/shout and @transcribe/transcriber are not installed; run `npm install` first.');
+  process.exit(1);
+}
+
+// everything but a model downloaded before
+await mkdir(out, { recursive: true });
+for (const name of await readdir(out)) {
+  if (name !== 'model.bin') await rm(join(out, name), { recursive: true, force: true });
+}
+await cp(join(root, 'src', 'whisperEngine.js'), join(out, 'engine.js'));
+for (const name of ['shout.wasm.js', 'shout.wasm_no-simd.js']) await cp(join(shout, name), join(out, name));
+await mkdir(join(out, 'transcriber'));
+for (const name of ['FileTranscriber.js', 'Transcriber.js', 'utils.js']) {
+  await cp(join(transcriber, name), join(out, 'transcriber', name));
+}
+console.log('speech engine: engine.js, shout.wasm.js, shout.wasm_no-simd.js, transcriber/');
+
+const model = join(out, 'model.bin');
+const source = process.env.STT_MODEL;
+if (existsSync(model) && !source) {
+  console.log('speech model: model.bin kept (set STT_MODEL to replace it)');
+} else if (source && !/^https?:/.test(source)) {
+  await cp(source, model);
+  console.log(`speech model: ${source}`);
+} else {
+  const url = source || DEFAULT_MODEL;
+  console.log(`speech model: downloading ${url}`);
+  let res;
+  let failure = null;
+  try {
+    res = await fetch(url);
+    if (!res.ok) failure = `${res.status} ${res.statusText}`;
+  } catch (e) {
+    failure = e.cause?.code || e.message;
+  }
+  if (failure) {
+    // no model.bin: the app hides the transcription panel, and the build goes on without it
+    console.warn(`Downloading the speech model failed (${failure}); transcription will be unavailable. ` +
+      'Set STT_MODEL to a ggml Whisper model file or URL and run `npm run vendor:stt` again.');
+  } else {
+    await writeFile(model, new Uint8Array(await res.arrayBuffer()));
+    console.log('speech model: model.bin');
+  }
+}
@@ -1,6 +1,6 @@
 import http from 'http';
 import { readFile } from 'fs/promises';
-import { extname, join } from 'path';
+import { extname, join, normalize, sep } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
@@ -14,17 +14,24 @@ const mime = {
   '.json': 'application/json',
   '.wasm': 'application/wasm',
   '.png': 'image/png',
-  '.jpg': 'image/jpeg'
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.woff2': 'font/woff2',
+  '.map': 'application/json'
 };
 
 const server = http.createServer(async (req, res) => {
   try {
-    let p = req.url;
-    if (!p || p === '/') p = '/index.html';
-    const filePath = join(__dirname, p);
+    let p = decodeURIComponent((req.url || '/').split('?')[0]);
+    if (p === '/') p = '/index.html';
+    const filePath = normalize(join(__dirname, p));
+    if (!filePath.startsWith(__dirname.replace(/[\\/]$/, '') + sep)) throw new Error('outside the app');
     const data = await readFile(filePath);
+    // cross-origin isolation gives the page SharedArrayBuffer, which the ffmpeg core needs
     res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
     res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
+    res.setHeader('Cross-Origin-Resource-Policy', 'same-origin');
     res.setHeader('Content-Type', mime[extname(filePath)] || 'application/octet-stream');
     res.end(data);
   } catch {
@@ -0,0 +1,201 @@
+// Canvas editor for the annotations of one freeze frame. Dragging on the frame draws an
+// annotation of the current tool (a click is enough for a text callout); dragging an existing one
+// moves it, and the selected one is edited through update() and removed with Delete.
+// The editor shows every annotation in place, with zooms as dashed boxes; setTime() shows the
+// freeze as it plays instead, animations and zooms included.
+import { Annotation, AnnotationKind, ANNOTATION_COLORS, annotationId, drawAnnotated, drawAnnotations, loadImage } from './annotations';
+
+const MIN_SIZE = 0.01; // shapes smaller than this, as a fraction of the frame, count as a click
+const HIT = 0.02; // how near an annotation a click selects it, as a fraction of the frame
+
+interface Drag {
+  kind: 'create' | 'move';
+  id: string;
+  originX: number;
+  originY: number;
+  before: Annotation;
+}
+
+function distanceToSegment(x: number, y: number, a: Annotation): number {
+  const dx = a.x2 - a.x1, dy = a.y2 - a.y1;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((x - a.x1) * dx + (y - a.y1) * dy) / len)) : 0;
+  return Math.hypot(x - (a.x1 + t * dx), y - (a.y1 + t * dy));
+}
+
+function hits(a: Annotation, x: number, y: number): boolean {
+  if (a.kind === 'arrow') return distanceToSegment(x, y, a) < HIT;
+  // a callout is grabbed by its text
+  if (a.kind === 'text') return Math.abs(x - a.x1) < HIT * 4 && Math.abs(y - a.y1) < HIT * 2;
+  return x > Math.min(a.x1, a.x2) - HIT && x < Math.max(a.x1, a.x2) + HIT
+    && y > Math.min(a.y1, a.y2) - HIT && y < Math.max(a.y1, a.y2) + HIT;
+}
+
+export class AnnotationEditor {
+  private ctx: CanvasRenderingContext2D;
+  private frame: HTMLImageElement | null = null;
+  private annotations: Annotation[] = [];
+  private selected: string | null = null;
+  private drag: Drag | null = null;
+  private time: number | null = null; // seconds into the freeze being shown, or null while editing
+  tool: AnnotationKind = 'arrow';
+  color = ANNOTATION_COLORS[0];
+  onChange: (() => void) | null = null;
+  onSelect: ((annotation: Annotation | null) => void) | null = null;
+
+  constructor(private canvas: HTMLCanvasElement) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas 2D context not available');
+    this.ctx = ctx;
+    canvas.tabIndex = 0;
+    this.bindPointer();
+    canvas.addEventListener('keydown', (e) => {
+      if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected) {
+        e.preventDefault();
+        this.deleteSelected();
+      }
+    });
+  }
+
+  /** Starts editing a freeze frame with its current annotations. */
+  async load(frameDataURL: string, annotations: Annotation[]) {
+    this.frame = await loadImage(frameDataURL);
+    this.canvas.width = this.frame.naturalWidth;
+    this.canvas.height = this.frame.naturalHeight;
+    this.annotations = annotations.map(a => ({ ...a }));
+    this.time = null;
+    this.select(null);
+    this.render();
+  }
+
+  get list(): Annotation[] { return this.annotations.map(a => ({ ...a })); }
+
+  get selection(): Annotation | null { return this.annotations.find(a => a.id === this.selected) ?? null; }
+
+  /** Changes the selected annotation. */
+  update(changes: Partial<Omit<Annotation, 'id' | 'kind'>>) {
+    const a = this.selection;
+    if (!a) return;
+    Object.assign(a, changes);
+    this.render();
+    this.onChange?.();
+  }
+
+  deleteSelected() {
+    if (!this.selected) return;
+    this.annotations = this.annotations.filter(a => a.id !== this.selected);
+    this.select(null);
+    this.render();
+    this.onChange?.();
+  }
+
+  /** Shows the freeze `t` seconds in, as it plays; null goes back to editing. */
+  setTime(t: number | null) {
+    this.time = t;
+    this.render();
+  }
+
+  private select(id: string | null) {
+    if (id === this.selected) return;
+    this.selected = id;
+    this.onSelect?.(this.selection);
+  }
+
+  private pointOf(e: MouseEvent): { x: number; y: number } {
+    const r = this.canvas.getBoundingClientRect();
+    // the frame is fitted into the element, with bars on two sides when their shapes differ
+    const fit = Math.min(r.width / this.canvas.width, r.height / this.canvas.height);
+    const w = this.canvas.width * fit, h = this.canvas.height * fit;
+    return {
+      x: Math.max(0, Math.min(1, (e.clientX - r.left - (r.width - w) / 2) / w)),
+      y: Math.max(0, Math.min(1, (e.clientY - r.top - (r.height - h) / 2) / h)),
+    };
+  }
+
+  private bindPointer() {
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (!this.frame) return;
+      // editing while the freeze is being played back shows where things are
+      if (this.time !== null) this.setTime(null);
+      const { x, y } = this.pointOf(e);
+      const hit = [...this.annotations].reverse().find(a => hits(a, x, y));
+      if (hit) {
+        this.select(hit.id);
+        this.drag = { kind: 'move', id: hit.id, originX: x, originY: y, before: { ...hit } };
+      } else {
+        const a: Annotation = {
+          id: annotationId(), kind: this.tool, x1: x, y1: y, x2: x, y2: y, color: this.color,
+          text: this.tool === 'text' ? 'טקסט' : '', appear: 0, animate: false,
+        };
+        this.annotations.push(a);
+        this.select(a.id);
+        this.drag = { kind: 'create', id: a.id, originX: x, originY: y, before: { ...a } };
+      }
+      this.render();
+    });
+    this.canvas.addEventListener('mousemove', (e) => {
+      if (this.drag || !this.frame) return;
+      const { x, y } = this.pointOf(e);
+      this.canvas.style.cursor = this.annotations.some(a => hits(a, x, y)) ? 'grab' : 'crosshair';
+    });
+    window.addEventListener('mousemove', (e) => {
+      if (!this.drag) return;
+      const a = this.annotations.find(a => a.id === this.drag!.id);
+      if (!a) return;
+      const { x, y } = this.pointOf(e);
+      const { kind, originX, originY, before } = this.drag;
+      if (kind === 'create') {
+        a.x2 = x;
+        a.y2 = y;
+      } else {
+        // moved whole, and kept on the frame
+        const dx = Math.max(-Math.min(before.x1, before.x2), Math.min(1 - Math.max(before.x1, before.x2), x - originX));
+        const dy = Math.max(-Math.min(before.y1, before.y2), Math.min(1 - Math.max(before.y1, before.y2), y - originY));
+        Object.assign(a, { x1: before.x1 + dx, y1: before.y1 + dy, x2: before.x2 + dx, y2: before.y2 + dy });
+      }
+      this.render();
+    });
+    window.addEventListener('mouseup', () => {
+      if (!this.drag) return;
+      const { kind, id, before } = this.drag;
+      this.drag = null;
+      const a = this.annotations.find(a => a.id === id);
+      if (!a) return;
+      const size = Math.max(Math.abs(a.x2 - a.x1), Math.abs(a.y2 - a.y1));
+      if (kind === 'create' && size < MIN_SIZE && a.kind !== 'text') {
+        // a click on an empty spot only deselects
+        this.annotations = this.annotations.filter(x => x !== a);
+        this.select(null);
+      } else if (kind === 'create' || a.x1 !== before.x1 || a.y1 !== before.y1) {
+        this.onChange?.();
+      }
+      this.onSelect?.(this.selection);
+      this.render();
+      this.canvas.focus();
+    });
+  }
+
+  private render() {
+    const { ctx, canvas, frame } = this;
+    if (!frame) return;
+    const { width, height } = canvas;
+    if (this.time !== null) {
+      drawAnnotated(ctx, frame, this.annotations, this.time, width, height);
+      return;
+    }
+    ctx.drawImage(frame, 0, 0, width, height);
+    drawAnnotations(ctx, this.annotations, Infinity, width, height);
+    const line = Math.max(1, Math.round(Math.min(width, height) * 0.003));
+    ctx.save();
+    ctx.lineWidth = line;
+    for (const a of this.annotations) {
+      if (a.kind !== 'zoom' && a.id !== this.selected) continue;
+      ctx.setLineDash([line * 4, line * 3]);
+      ctx.strokeStyle = a.id === this.selected ? '#ffffff' : a.color;
+      const pad = a.id === this.selected && a.kind !== 'zoom' ? HIT * Math.min(width, height) : 0;
+      const x = Math.min(a.x1, a.x2) * width - pad, y = Math.min(a.y1, a.y2) * height - pad;
+      ctx.strokeRect(x, y, Math.abs(a.x2 - a.x1) * width + pad * 2, Math.abs(a.y2 - a.y1) * height + pad * 2);
+    }
+    ctx.restore();
+  }
+}
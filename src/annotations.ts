@@ -0,0 +1,237 @@
+// Annotations drawn over a freeze frame: arrows, rectangles, highlighter marks, text callouts and
+// zoom-ins. Their positions are fractions of the frame, so they fit the picture at any size, and
+// each one appears some seconds into the freeze, at once or drawn in. A zoom moves the view onto
+// its box and everything drawn on the frame moves with it.
+// The preview draws them live; for the export each annotated freeze becomes a few stills, one
+// for every change of the picture, which the Exporter shows in turn instead of the plain frame.
+import { PauseRange } from './exporter';
+
+export type AnnotationKind = 'arrow' | 'rect' | 'highlight' | 'text' | 'zoom';
+
+export interface Annotation {
+  id: string;
+  kind: AnnotationKind;
+  // a box from (x1, y1) to (x2, y2), or an arrow from its tail to its head; fractions of the frame.
+  // A callout's text sits at (x1, y1) with a line to (x2, y2) when they differ.
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  color: string;
+  text: string;
+  appear: number; // seconds into the freeze
+  animate: boolean; // drawn in over ANIMATE_SECONDS instead of shown at once
+}
+
+/** A still of an annotated freeze, shown from `at` seconds into it until the next one. */
+export interface FreezeStill { at: number; dataURL: string; }
+
+export const ANIMATE_SECONDS = 0.5;
+// the stills an animation is exported as, per second
+export const STILL_FPS = 15;
+export const ANNOTATION_COLORS = ['#ff3b30', '#ffcc00', '#34c759', '#0a84ff', '#ffffff'];
+
+export const KIND_LABELS: Record<AnnotationKind, string> = {
+  arrow: 'חץ',
+  rect: 'מלבן',
+  highlight: 'הדגשה',
+  text: 'טקסט',
+  zoom: 'זום',
+};
+
+export function annotationId(): string {
+  return 'ann_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** How far an annotation is drawn in at `t` seconds into the freeze, from 0 (not yet) to 1. */
+export function progressAt(a: Annotation, t: number): number {
+  if (t < a.appear) return 0;
+  if (!a.animate) return 1;
+  const p = Math.min(1, (t - a.appear) / ANIMATE_SECONDS);
+  return 1 - Math.pow(1 - p, 3);
+}
+
+function box(a: Annotation) {
+  return { x: Math.min(a.x1, a.x2), y: Math.min(a.y1, a.y2), w: Math.abs(a.x2 - a.x1), h: Math.abs(a.y2 - a.y1) };
+}
+
+export interface View { x: number; y: number; w: number; h: number; }
+const FULL: View = { x: 0, y: 0, w: 1, h: 1 };
+const MIN_ZOOM = 0.1; // the most a zoom magnifies is ten times
+
+// The part of the frame a zoom shows: its box grown to the frame's shape (the same fraction of
+// both sides), kept inside the frame.
+function zoomView(a: Annotation): View {
+  const b = box(a);
+  const size = Math.min(1, Math.max(b.w, b.h, MIN_ZOOM));
+  const x = Math.max(0, Math.min(1 - size, b.x + b.w / 2 - size / 2));
+  const y = Math.max(0, Math.min(1 - size, b.y + b.h / 2 - size / 2));
+  return { x, y, w: size, h: size };
+}
+
+/** The part of the frame on screen at `t`: the latest zoom that has appeared, moving in from the view before it. */
+export function viewAt(annotations: Annotation[], t: number): View {
+  let view = FULL;
+  for (const a of [...annotations].filter(a => a.kind === 'zoom').sort((p, q) => p.appear - q.appear)) {
+    const p = progressAt(a, t);
+    if (!p) break;
+    const to = zoomView(a);
+    view = {
+      x: view.x + (to.x - view.x) * p,
+      y: view.y + (to.y - view.y) * p,
+      w: view.w + (to.w - view.w) * p,
+      h: view.h + (to.h - view.h) * p,
+    };
+  }
+  return view;
+}
+
+function drawArrow(ctx: CanvasRenderingContext2D, a: Annotation, p: number, W: number, H: number, line: number) {
+  const x1 = a.x1 * W, y1 = a.y1 * H;
+  // drawn in from the tail
+  const x2 = x1 + (a.x2 * W - x1) * p, y2 = y1 + (a.y2 * H - y1) * p;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = Math.min(line * 5, Math.hypot(x2 - x1, y2 - y1) * 0.6);
+  ctx.strokeStyle = ctx.fillStyle = a.color;
+  ctx.lineWidth = line;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2 - Math.cos(angle) * head * 0.5, y2 - Math.sin(angle) * head * 0.5);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - Math.cos(angle - 0.45) * head, y2 - Math.sin(angle - 0.45) * head);
+  ctx.lineTo(x2 - Math.cos(angle + 0.45) * head, y2 - Math.sin(angle + 0.45) * head);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function drawText(ctx: CanvasRenderingContext2D, a: Annotation, p: number, W: number, H: number, line: number) {
+  const text = a.text.trim();
+  if (!text) return;
+  const size = Math.round(H * 0.045);
+  ctx.globalAlpha = p;
+  if (Math.hypot((a.x2 - a.x1) * W, (a.y2 - a.y1) * H) > size) {
+    ctx.strokeStyle = a.color;
+    ctx.lineWidth = line * 0.6;
+    ctx.beginPath();
+    ctx.moveTo(a.x1 * W, a.y1 * H);
+    ctx.lineTo(a.x2 * W, a.y2 * H);
+    ctx.stroke();
+  }
+  ctx.font = `bold ${size}px sans-serif`;
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'center';
+  const lines = text.split(/\r?\n/);
+  const pad = size * 0.4;
+  const width = Math.max(...lines.map(l => ctx.measureText(l).width)) + pad * 2;
+  const height = lines.length * size * 1.2 + pad;
+  const x = Math.max(0, Math.min(W - width, a.x1 * W - width / 2));
+  const y = Math.max(0, Math.min(H - height, a.y1 * H - height / 2));
+  ctx.fillStyle = a.color;
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, size * 0.3);
+  ctx.fill();
+  // dark text on the light colours
+  ctx.fillStyle = /^#(ff[c-f]|fff)/i.test(a.color) ? '#111' : '#fff';
+  lines.forEach((l, i) => ctx.fillText(l, x + width / 2, y + pad / 2 + size * 1.2 * (i + 0.5)));
+}
+
+/** Draws one annotation in frame pixels (W x H), `p` of the way in. */
+function drawAnnotation(ctx: CanvasRenderingContext2D, a: Annotation, p: number, W: number, H: number) {
+  const line = Math.max(2, Math.round(Math.min(W, H) * 0.008));
+  const b = box(a);
+  ctx.save();
+  switch (a.kind) {
+    case 'arrow':
+      drawArrow(ctx, a, p, W, H, line);
+      break;
+    case 'rect':
+      ctx.globalAlpha = p;
+      ctx.strokeStyle = a.color;
+      ctx.lineWidth = line;
+      ctx.strokeRect(b.x * W, b.y * H, b.w * W, b.h * H);
+      break;
+    case 'highlight':
+      // a highlighter stroke, swept in from the start of the line
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = a.color;
+      ctx.fillRect(b.x * W, b.y * H, b.w * W * p, b.h * H);
+      break;
+    case 'text':
+      drawText(ctx, a, p, W, H, line);
+      break;
+    case 'zoom':
+      break;
+  }
+  ctx.restore();
+}
+
+/**
+ * Draws the frame with its annotations as they are `t` seconds into the freeze (Infinity: all of
+ * them, fully in) onto a canvas of the frame's size or any other.
+ */
+export function drawAnnotated(ctx: CanvasRenderingContext2D, frame: CanvasImageSource, annotations: Annotation[], t: number, width: number, height: number) {
+  const view = viewAt(annotations, t);
+  ctx.save();
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, width, height);
+  ctx.scale(1 / view.w, 1 / view.h);
+  ctx.translate(-view.x * width, -view.y * height);
+  ctx.drawImage(frame, 0, 0, width, height);
+  drawAnnotations(ctx, annotations, t, width, height);
+  ctx.restore();
+}
+
+/** Draws the annotations alone, as they are `t` seconds into the freeze, without zooming. */
+export function drawAnnotations(ctx: CanvasRenderingContext2D, annotations: Annotation[], t: number, width: number, height: number) {
+  for (const a of annotations) {
+    const p = progressAt(a, t);
+    if (p > 0) drawAnnotation(ctx, a, p, width, height);
+  }
+}
+
+/** Seconds into a freeze of `duration` at which the annotated picture changes, from 0. */
+export function stillTimes(annotations: Annotation[], duration: number): number[] {
+  const times = new Set<number>([0]);
+  for (const a of annotations) {
+    if (a.appear >= duration) continue;
+    if (!a.animate) { times.add(a.appear); continue; }
+    for (let t = a.appear; t < Math.min(duration, a.appear + ANIMATE_SECONDS); t += 1 / STILL_FPS) times.add(t);
+    if (a.appear + ANIMATE_SECONDS < duration) times.add(a.appear + ANIMATE_SECONDS);
+  }
+  return [...times].sort((a, b) => a - b);
+}
+
+export function loadImage(src: string): Promise<HTMLImageElement> {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Loading the freeze frame failed'));
+    img.src = src;
+  });
+}
+
+/** The stills an annotated freeze is exported as, at the frame's own size. */
+export async function renderStills(pause: PauseRange): Promise<FreezeStill[]> {
+  const frame = await loadImage(pause.frameDataURL);
+  const canvas = document.createElement('canvas');
+  canvas.width = frame.naturalWidth;
+  canvas.height = frame.naturalHeight;
+  const ctx = canvas.getContext('2d')!;
+  const times = stillTimes(pause.annotations ?? [], pause.pauseDuration);
+  return times.map((at, i) => {
+    // each still shows the picture halfway through its own stretch of the freeze
+    const mid = (at + (times[i + 1] ?? pause.pauseDuration)) / 2;
+    drawAnnotated(ctx, frame, pause.annotations!, mid, canvas.width, canvas.height);
+    return { at, dataURL: canvas.toDataURL('image/png') };
+  });
+}
+
+/** The pauses as the Exporter takes them: annotated ones with their stills. */
+export async function withStills(pauses: PauseRange[]): Promise<PauseRange[]> {
+  const result: PauseRange[] = [];
+  for (const p of pauses) result.push(p.annotations?.length ? { ...p, stills: await renderStills(p) } : p);
+  return result;
+}
@@ -0,0 +1,484 @@
+// Voice effects chain: spectral noise reduction, gate, parametric EQ, de-esser and a brickwall
+// limiter, in that order. The DSP has no DOM dependencies: the same FxChain runs on the
+// microphone inside the AudioWorklet (fxWorklet.ts) while recording, and over stored takes
+// offline (processOffline). Every effect works on mono blocks of any length, in place, and
+// keeps its state between blocks.
+
+export type EqBandType = 'lowshelf' | 'peaking' | 'highshelf';
+export interface EqBand { type: EqBandType; freq: number; gainDb: number; q: number; }
+
+export interface FxSettings {
+  // profile: average magnitude spectrum of the room noise (FFT_SIZE/2+1 bins); null adapts as it goes
+  noise: { enabled: boolean; reductionDb: number; sensitivityDb: number; profile: number[] | null };
+  gate: { enabled: boolean; thresholdDb: number; attackMs: number; releaseMs: number; floorDb: number };
+  // highpassHz 0 is no highpass
+  eq: { enabled: boolean; highpassHz: number; bands: EqBand[] };
+  deesser: { enabled: boolean; freq: number; thresholdDb: number; maxReductionDb: number };
+  limiter: { enabled: boolean; ceilingDb: number; releaseMs: number };
+}
+
+export interface FxPreset { id: string; label: string; fx: FxSettings; }
+
+export const DEFAULT_FX: FxSettings = {
+  noise: { enabled: false, reductionDb: 12, sensitivityDb: 6, profile: null },
+  gate: { enabled: false, thresholdDb: -50, attackMs: 2, releaseMs: 150, floorDb: -30 },
+  eq: {
+    enabled: false,
+    highpassHz: 80,
+    bands: [
+      { type: 'lowshelf', freq: 120, gainDb: 0, q: 0.7 },
+      { type: 'peaking', freq: 350, gainDb: 0, q: 1 },
+      { type: 'peaking', freq: 3000, gainDb: 0, q: 1 },
+      { type: 'highshelf', freq: 10000, gainDb: 0, q: 0.7 },
+    ],
+  },
+  deesser: { enabled: false, freq: 6500, thresholdDb: -28, maxReductionDb: 10 },
+  limiter: { enabled: false, ceilingDb: -1, releaseMs: 80 },
+};
+
+function withBands(gains: number[]): EqBand[] {
+  return DEFAULT_FX.eq.bands.map((b, i) => ({ ...b, gainDb: gains[i] }));
+}
+
+export const FX_PRESETS: FxPreset[] = [
+  { id: 'off', label: 'ללא עיבוד', fx: DEFAULT_FX },
+  {
+    id: 'voice',
+    label: 'קול ברור',
+    fx: {
+      ...DEFAULT_FX,
+      eq: { enabled: true, highpassHz: 80, bands: withBands([0, -2, 2, 1]) },
+      deesser: { ...DEFAULT_FX.deesser, enabled: true },
+      limiter: { ...DEFAULT_FX.limiter, enabled: true },
+    },
+  },
+  {
+    id: 'noisy-room',
+    label: 'חדר רועש',
+    fx: {
+      noise: { ...DEFAULT_FX.noise, enabled: true, reductionDb: 18 },
+      gate: { ...DEFAULT_FX.gate, enabled: true },
+      eq: { enabled: true, highpassHz: 100, bands: withBands([0, -3, 2, 0]) },
+      deesser: { ...DEFAULT_FX.deesser, enabled: true },
+      limiter: { ...DEFAULT_FX.limiter, enabled: true },
+    },
+  },
+  {
+    id: 'broadcast',
+    label: 'שידור (חם ודחוס)',
+    fx: {
+      ...DEFAULT_FX,
+      noise: { ...DEFAULT_FX.noise, enabled: true, reductionDb: 9 },
+      eq: { enabled: true, highpassHz: 70, bands: withBands([2, -2, 3, 2]) },
+      deesser: { ...DEFAULT_FX.deesser, enabled: true, thresholdDb: -32 },
+      limiter: { ...DEFAULT_FX.limiter, enabled: true, ceilingDb: -1.5 },
+    },
+  },
+];
+
+/** Fills in what settings saved by older versions (or hand-edited bundles) leave out. */
+export function normalizeFx(raw: any): FxSettings {
+  const fx = raw && typeof raw === 'object' ? raw : {};
+  const bands = Array.isArray(fx.eq?.bands) ? fx.eq.bands : DEFAULT_FX.eq.bands;
+  return {
+    noise: { ...DEFAULT_FX.noise, ...fx.noise },
+    gate: { ...DEFAULT_FX.gate, ...fx.gate },
+    eq: { ...DEFAULT_FX.eq, ...fx.eq, bands: bands.map((b: any) => ({ ...DEFAULT_FX.eq.bands[1], ...b })) },
+    deesser: { ...DEFAULT_FX.deesser, ...fx.deesser },
+    limiter: { ...DEFAULT_FX.limiter, ...fx.limiter },
+  };
+}
+
+/** A preset's chain, keeping the noise profile already learned for this project. */
+export function applyFxPreset(current: FxSettings, preset: FxPreset): FxSettings {
+  return { ...preset.fx, noise: { ...preset.fx.noise, profile: current.noise.profile } };
+}
+
+/** The preset the settings are exactly, ignoring the noise profile. */
+export function matchFxPreset(fx: FxSettings, presets: FxPreset[]): FxPreset | undefined {
+  const key = (f: FxSettings) => JSON.stringify({ ...f, noise: { ...f.noise, profile: null } });
+  return presets.find(p => key(p.fx) === key(fx));
+}
+
+const dbToGain = (db: number) => Math.pow(10, db / 20);
+const msToCoef = (ms: number, sampleRate: number) => Math.exp(-1 / Math.max(1, (ms / 1000) * sampleRate));
+
+// --- FFT ---
+
+/** In-place radix-2 complex FFT; `inverse` leaves the result unscaled. */
+function fft(re: Float64Array, im: Float64Array, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wr = Math.cos(angle), wi = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+// --- Noise reduction ---
+
+export const FFT_SIZE = 1024;
+const HOP = FFT_SIZE / 2;
+// sqrt-Hann on analysis and synthesis: at 50% overlap the squared windows sum to one
+const WINDOW = Float64Array.from({ length: FFT_SIZE }, (_, i) => Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE)));
+
+function magnitudes(frame: ArrayLike<number>, re: Float64Array, im: Float64Array, out: Float64Array) {
+  for (let i = 0; i < FFT_SIZE; i++) { re[i] = frame[i] * WINDOW[i]; im[i] = 0; }
+  fft(re, im);
+  for (let k = 0; k <= FFT_SIZE / 2; k++) out[k] = Math.hypot(re[k], im[k]);
+}
+
+/**
+ * Room noise spectrum of a recording: the average spectrum of its quietest fifth, which for
+ * narration is the breaths and gaps between phrases. Pass a stretch of pure room tone to use all of it.
+ */
+export function learnNoiseProfile(pcm: Float32Array, quietShare = 0.2): number[] {
+  const re = new Float64Array(FFT_SIZE), im = new Float64Array(FFT_SIZE);
+  const frames: { energy: number; mag: Float64Array }[] = [];
+  for (let at = 0; at + FFT_SIZE <= pcm.length; at += HOP) {
+    const mag = new Float64Array(FFT_SIZE / 2 + 1);
+    magnitudes(pcm.subarray(at, at + FFT_SIZE), re, im, mag);
+    frames.push({ energy: mag.reduce((a, b) => a + b * b, 0), mag });
+  }
+  if (!frames.length) throw new Error('Too little audio to learn the noise from');
+  frames.sort((a, b) => a.energy - b.energy);
+  const quiet = frames.slice(0, Math.max(1, Math.round(frames.length * quietShare)));
+  const profile = new Array<number>(FFT_SIZE / 2 + 1).fill(0);
+  for (const { mag } of quiet) mag.forEach((m, k) => { profile[k] += m / quiet.length; });
+  return profile;
+}
+
+/**
+ * Spectral subtraction over a short-time FFT. Bins that stand above the noise profile by less
+ * than the sensitivity are pushed down by up to `reductionDb`; gains open instantly and close
+ * smoothly, which keeps the "musical noise" of isolated bins down. Delays by FFT_SIZE samples.
+ */
+class NoiseReducer {
+  readonly latency = FFT_SIZE;
+  private input = new Float64Array(FFT_SIZE);
+  private output = new Float64Array(FFT_SIZE);
+  private ready = new Float64Array(HOP);
+  private filled = FFT_SIZE - HOP;
+  private re = new Float64Array(FFT_SIZE);
+  private im = new Float64Array(FFT_SIZE);
+  private gains = new Float64Array(FFT_SIZE / 2 + 1).fill(1);
+  private noise: Float64Array | null;
+  // without a learned profile the noise is estimated as it goes: bins that look like noise are
+  // averaged in, and the estimate creeps up so it can follow a noise that gets louder
+  private adaptive: boolean;
+  private floor: number;
+  private threshold: number;
+
+  constructor(settings: FxSettings['noise']) {
+    this.noise = settings.profile && settings.profile.length === FFT_SIZE / 2 + 1 ? Float64Array.from(settings.profile) : null;
+    this.adaptive = !this.noise;
+    this.floor = dbToGain(-settings.reductionDb);
+    this.threshold = Math.pow(10, settings.sensitivityDb / 10);
+  }
+
+  process(block: Float32Array) {
+    for (let i = 0; i < block.length; i++) {
+      const k = this.filled - (FFT_SIZE - HOP);
+      const y = this.ready[k];
+      this.input[this.filled++] = block[i];
+      block[i] = y;
+      if (this.filled === FFT_SIZE) this.frame();
+    }
+  }
+
+  private frame() {
+    const { re, im, gains } = this;
+    for (let i = 0; i < FFT_SIZE; i++) { re[i] = this.input[i] * WINDOW[i]; im[i] = 0; }
+    fft(re, im);
+    const bins = FFT_SIZE / 2 + 1;
+    if (!this.noise) this.noise = Float64Array.from({ length: bins }, (_, k) => Math.hypot(re[k], im[k]));
+    const raw = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+      if (this.adaptive) {
+        const mag = Math.sqrt(power);
+        this.noise[k] = mag < 2 * this.noise[k] ? this.noise[k] + (mag - this.noise[k]) * 0.05 : this.noise[k] * 1.002;
+      }
+      const noisePower = this.noise[k] * this.noise[k] * this.threshold;
+      raw[k] = power > 0 ? Math.max(this.floor, Math.sqrt(Math.max(0, 1 - noisePower / power))) : this.floor;
+    }
+    for (let k = 0; k < bins; k++) {
+      // neighbouring bins smoothed together, then opened at once and closed gradually
+      const g = (raw[Math.max(0, k - 1)] + 2 * raw[k] + raw[Math.min(bins - 1, k + 1)]) / 4;
+      gains[k] = g > gains[k] ? g : gains[k] + (g - gains[k]) * 0.5;
+    }
+    for (let k = 0; k < bins; k++) {
+      re[k] *= gains[k]; im[k] *= gains[k];
+      if (k > 0 && k < FFT_SIZE / 2) {
+        re[FFT_SIZE - k] = re[k];
+        im[FFT_SIZE - k] = -im[k];
+      }
+    }
+    fft(re, im, true);
+    for (let i = 0; i < FFT_SIZE; i++) this.output[i] += (re[i] / FFT_SIZE) * WINDOW[i];
+    this.ready.set(this.output.subarray(0, HOP));
+    this.output.copyWithin(0, HOP);
+    this.output.fill(0, FFT_SIZE - HOP);
+    this.input.copyWithin(0, HOP);
+    this.filled = FFT_SIZE - HOP;
+  }
+}
+
+// --- Filters and dynamics ---
+
+/** RBJ cookbook biquad, direct form I. */
+class Biquad {
+  private b0 = 1; private b1 = 0; private b2 = 0; private a1 = 0; private a2 = 0;
+  private x1 = 0; private x2 = 0; private y1 = 0; private y2 = 0;
+
+  constructor(type: EqBandType | 'highpass' | 'bandpass', freq: number, q: number, gainDb: number, sampleRate: number) {
+    const w = (2 * Math.PI * Math.min(freq, sampleRate * 0.45)) / sampleRate;
+    const cos = Math.cos(w), alpha = Math.sin(w) / (2 * q);
+    const A = Math.pow(10, gainDb / 40);
+    let b0: number, b1: number, b2: number, a0: number, a1: number, a2: number;
+    switch (type) {
+      case 'highpass':
+        b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+        a0 = 1 + alpha; a1 = -2 * cos; a2 = 1 - alpha;
+        break;
+      case 'bandpass':
+        b0 = alpha; b1 = 0; b2 = -alpha;
+        a0 = 1 + alpha; a1 = -2 * cos; a2 = 1 - alpha;
+        break;
+      case 'peaking':
+        b0 = 1 + alpha * A; b1 = -2 * cos; b2 = 1 - alpha * A;
+        a0 = 1 + alpha / A; a1 = -2 * cos; a2 = 1 - alpha / A;
+        break;
+      case 'lowshelf': {
+        const s = 2 * Math.sqrt(A) * alpha;
+        b0 = A * ((A + 1) - (A - 1) * cos + s); b1 = 2 * A * ((A - 1) - (A + 1) * cos); b2 = A * ((A + 1) - (A - 1) * cos - s);
+        a0 = (A + 1) + (A - 1) * cos + s; a1 = -2 * ((A - 1) + (A + 1) * cos); a2 = (A + 1) + (A - 1) * cos - s;
+        break;
+      }
+      case 'highshelf': {
+        const s = 2 * Math.sqrt(A) * alpha;
+        b0 = A * ((A + 1) + (A - 1) * cos + s); b1 = -2 * A * ((A - 1) + (A + 1) * cos); b2 = A * ((A + 1) + (A - 1) * cos - s);
+        a0 = (A + 1) - (A - 1) * cos + s; a1 = 2 * ((A - 1) - (A + 1) * cos); a2 = (A + 1) - (A - 1) * cos - s;
+        break;
+      }
+    }
+    this.b0 = b0 / a0; this.b1 = b1 / a0; this.b2 = b2 / a0; this.a1 = a1 / a0; this.a2 = a2 / a0;
+  }
+
+  tick(x: number): number {
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1; this.x1 = x;
+    this.y2 = this.y1; this.y1 = y;
+    return y;
+  }
+
+  process(block: Float32Array) {
+    for (let i = 0; i < block.length; i++) block[i] = this.tick(block[i]);
+  }
+}
+
+/** Closes to `floorDb` when the level stays under the threshold for longer than a short hold. */
+class Gate {
+  private env = 0;
+  private gain = 1;
+  private held = 0;
+  private threshold: number; private floor: number; private hold: number;
+  private envRelease: number; private attack: number; private release: number;
+
+  constructor(s: FxSettings['gate'], sampleRate: number) {
+    this.threshold = dbToGain(s.thresholdDb);
+    this.floor = dbToGain(s.floorDb);
+    this.hold = Math.round(0.05 * sampleRate);
+    this.envRelease = msToCoef(10, sampleRate);
+    this.attack = msToCoef(s.attackMs, sampleRate);
+    this.release = msToCoef(s.releaseMs, sampleRate);
+  }
+
+  process(block: Float32Array) {
+    for (let i = 0; i < block.length; i++) {
+      const level = Math.abs(block[i]);
+      this.env = level > this.env ? level : this.env * this.envRelease;
+      if (this.env >= this.threshold) this.held = this.hold;
+      else if (this.held > 0) this.held--;
+      const target = this.held > 0 ? 1 : this.floor;
+      const coef = target > this.gain ? this.attack : this.release;
+      this.gain = target + (this.gain - target) * coef;
+      block[i] *= this.gain;
+    }
+  }
+}
+
+/**
+ * Turns down the band above `freq` while sibilance in it is over the threshold. The band is split
+ * off as highpass and remainder, so with no reduction the two add back up to the input exactly.
+ */
+class DeEsser {
+  private split: Biquad; private detect: Biquad;
+  private env = 0;
+  private threshold: number; private maxReduction: number;
+  private attack: number; private release: number;
+
+  constructor(s: FxSettings['deesser'], sampleRate: number) {
+    this.split = new Biquad('highpass', s.freq * 0.7, 0.7, 0, sampleRate);
+    this.detect = new Biquad('bandpass', s.freq, 1.5, 0, sampleRate);
+    this.threshold = dbToGain(s.thresholdDb);
+    this.maxReduction = dbToGain(-s.maxReductionDb);
+    this.attack = msToCoef(1, sampleRate);
+    this.release = msToCoef(60, sampleRate);
+  }
+
+  process(block: Float32Array) {
+    for (let i = 0; i < block.length; i++) {
+      const x = block[i];
+      const level = Math.abs(this.detect.tick(x));
+      this.env = level + (this.env - level) * (level > this.env ? this.attack : this.release);
+      // 4:1 above the threshold
+      const gain = this.env > this.threshold ? Math.max(this.maxReduction, Math.pow(this.threshold / this.env, 0.75)) : 1;
+      const high = this.split.tick(x);
+      block[i] = x - high + high * gain;
+    }
+  }
+}
+
+/**
+ * Lookahead brickwall limiter. The gain is the moving average, over the lookahead, of the
+ * smallest gain any sample in the lookahead needs, so it has reached that gain by the time the
+ * peak comes out: nothing passes the ceiling. Delays by LIMITER_LOOKAHEAD - 1 samples.
+ */
+class Limiter {
+  readonly latency: number;
+  private size: number;
+  private ceiling: number; private release: number;
+  private delay: Float32Array; private needs: Float64Array; private mins: Float64Array;
+  private pos = 0;
+  // monotonic deque of indices into `needs`, for the running minimum
+  private deque: Int32Array; private head = 0; private tail = 0;
+  private count = 0;
+  private held = 1;
+  private sum = 0;
+
+  constructor(s: FxSettings['limiter'], sampleRate: number) {
+    this.size = Math.max(2, Math.round(0.005 * sampleRate));
+    this.latency = this.size - 1;
+    this.ceiling = dbToGain(s.ceilingDb);
+    this.release = 1 - msToCoef(s.releaseMs, sampleRate);
+    this.delay = new Float32Array(this.size);
+    this.needs = new Float64Array(this.size);
+    this.mins = new Float64Array(this.size).fill(1);
+    this.sum = this.size;
+    this.deque = new Int32Array(this.size + 1);
+  }
+
+  process(block: Float32Array) {
+    const n = this.size;
+    for (let i = 0; i < block.length; i++) {
+      const x = block[i];
+      const t = this.count++;
+      const need = Math.abs(x) > this.ceiling ? this.ceiling / Math.abs(x) : 1;
+      this.needs[t % n] = need;
+      // running minimum of the last n needs
+      while (this.tail > this.head && this.needs[this.deque[(this.tail - 1) % (n + 1)] % n] >= need) this.tail--;
+      this.deque[this.tail++ % (n + 1)] = t;
+      while (this.deque[this.head % (n + 1)] <= t - n) this.head++;
+      const min = this.needs[this.deque[this.head % (n + 1)] % n];
+      // releases slowly, but never above what the window needs
+      this.held = Math.min(min, this.held + (1 - this.held) * this.release);
+      this.sum += this.held - this.mins[t % n];
+      this.mins[t % n] = this.held;
+      const gain = this.sum / n;
+      const out = this.delay[(t + 1) % n];
+      this.delay[t % n] = x;
+      block[i] = Math.max(-this.ceiling, Math.min(this.ceiling, out * gain));
+    }
+  }
+}
+
+/** The enabled effects of `fx` in chain order. */
+export class FxChain {
+  // samples the output lags the input
+  readonly latency: number;
+  private stages: { process(block: Float32Array): void }[] = [];
+
+  constructor(fx: FxSettings, sampleRate: number) {
+    let latency = 0;
+    if (fx.noise.enabled) {
+      const nr = new NoiseReducer(fx.noise);
+      latency += nr.latency;
+      this.stages.push(nr);
+    }
+    if (fx.gate.enabled) this.stages.push(new Gate(fx.gate, sampleRate));
+    if (fx.eq.enabled) {
+      if (fx.eq.highpassHz > 0) this.stages.push(new Biquad('highpass', fx.eq.highpassHz, 0.7, 0, sampleRate));
+      for (const b of fx.eq.bands) {
+        if (b.gainDb) this.stages.push(new Biquad(b.type, b.freq, b.q, b.gainDb, sampleRate));
+      }
+    }
+    if (fx.deesser.enabled) this.stages.push(new DeEsser(fx.deesser, sampleRate));
+    if (fx.limiter.enabled) {
+      const limiter = new Limiter(fx.limiter, sampleRate);
+      latency += limiter.latency;
+      this.stages.push(limiter);
+    }
+    this.latency = latency;
+  }
+
+  get empty(): boolean {
+    return !this.stages.length;
+  }
+
+  process(block: Float32Array) {
+    for (const stage of this.stages) stage.process(block);
+  }
+}
+
+/** Runs the chain over a whole recording; the result is aligned with the input and as long. */
+export function processOffline(pcm: Float32Array, sampleRate: number, fx: FxSettings): Float32Array {
+  const chain = new FxChain(fx, sampleRate);
+  const padded = new Float32Array(pcm.length + chain.latency);
+  padded.set(pcm);
+  for (let at = 0; at < padded.length; at += 4096) chain.process(padded.subarray(at, at + 4096));
+  return padded.slice(chain.latency);
+}
+
+// --- Page side ---
+
+const loadedWorklets = new WeakSet<BaseAudioContext>();
+
+/**
+ * A mono AudioWorkletNode running the chain on whatever is connected to it. Its output lags by
+ * `latency` seconds, which a recording made through it should be moved earlier by.
+ */
+export async function createFxNode(ctx: BaseAudioContext, fx: FxSettings): Promise<{ node: AudioWorkletNode; latency: number }> {
+  if (!loadedWorklets.has(ctx)) {
+    await ctx.audioWorklet.addModule(new URL('./fxWorklet.js', import.meta.url));
+    loadedWorklets.add(ctx);
+  }
+  const node = new AudioWorkletNode(ctx, 'vpv-fx', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [1],
+    processorOptions: { fx },
+  });
+  return { node, latency: new FxChain(fx, ctx.sampleRate).latency / ctx.sampleRate };
+}
@@ -0,0 +1,318 @@
+// Portable project bundles (.vpv): a zip archive holding manifest.json plus the media it
+// references (takes, composed narration, freeze frames and optionally the video itself).
+// The manifest is versioned; older versions are migrated step by step on import.
+import { createZip, readZip, ZipEntry } from './zip';
+import { bufferToWav, monoBuffer } from './wav';
+import { Take, SAMPLE_RATE, decodeToPCM } from './takes';
+import { PauseRange } from './exporter';
+import { Caption } from './captions';
+import { Chapter } from './chapters';
+import { Annotation, KIND_LABELS, withStills } from './annotations';
+import { Project, ProjectSettings, normalizeSettings, projectId } from './projectStore';
+import { StoredHistory, TakeMedia, serializeHistory, restoreHistory } from './history';
+
+export const BUNDLE_VERSION = 6;
+export const BUNDLE_EXTENSION = '.vpv';
+
+export interface BundleManifest {
+  format: 'vpv';
+  version: number;
+  createdAt: string;
+  project: { name: string; createdAt: number; updatedAt: number };
+  // file is null when the bundle only references the video by name
+  video: { name: string; file: string | null } | null;
+  takes: { id: string; startVideoTime: number; anchorOffset: number; punchLength?: number; gainDb?: number; createdAt: number; file: string }[];
+  // all takes composed, as 16-bit WAV; for tools that do not decode the takes themselves
+  narration: string | null;
+  // frame is a path inside the bundle, or an inline data: URL (bundles migrated from version 1);
+  // stills are the annotated frame as exported, for tools that cannot draw the annotations
+  pauses: { startVideoTime: number; pauseDuration: number; frame: string; annotations?: Annotation[]; stills?: { at: number; file: string }[] }[];
+  captions: Caption[];
+  chapters: Chapter[];
+  trimRange: { start: number; end: number };
+  history: StoredHistory;
+  // media of takes that only the undo history still refers to
+  historyTakes: { id: string; file: string }[];
+  settings: ProjectSettings;
+}
+
+export interface BundleContents { manifest: BundleManifest; files: Map<string, Uint8Array>; }
+
+// Each entry upgrades a manifest of version `key` to version `key + 1`.
+const MIGRATIONS: Record<number, (m: any) => any> = {
+  // Version 1 is the state object older releases kept in localStorage ('vpv_state'):
+  // flat settings, pauses with inline frames, no takes and no media.
+  1: (m) => ({
+    format: 'vpv',
+    version: 2,
+    createdAt: new Date().toISOString(),
+    project: { name: 'פרויקט מיובא', createdAt: Date.now(), updatedAt: Date.now() },
+    video: null,
+    takes: [],
+    narration: null,
+    pauses: (m.pauses || []).map((p: any) => ({
+      startVideoTime: p.startVideoTime,
+      pauseDuration: p.pauseDuration,
+      frame: p.frameDataURL,
+    })),
+    trimRange: m.trimRange || { start: 0, end: 1 },
+    history: { undo: [], redo: [] },
+    settings: { normalize: !!m.normalize, denoise: !!m.denoise },
+  }),
+  // Version 2 kept an unlabeled history of trims and pause edits, without take edits.
+  2: (m) => {
+    const label = (item: any) => ({ ...item, label: item.type === 'trim' ? 'חיתוך שקט' : 'עריכת הקפאות' });
+    return {
+      ...m,
+      version: 3,
+      history: { undo: m.history.undo.map(label), redo: m.history.redo.map(label) },
+      historyTakes: [],
+    };
+  },
+  3: (m) => ({ ...m, version: 4, captions: [] }),
+  // Version 4 had a 'denoise' switch where version 5 has the effects chain.
+  4: (m) => ({ ...m, version: 5, settings: normalizeSettings(m.settings) }),
+  5: (m) => ({ ...m, version: 6, chapters: [] }),
+};
+
+function manifestVersion(m: any): number {
+  if (m && m.format === 'vpv') return m.version;
+  // the localStorage state carried no format marker
+  if (m && Array.isArray(m.pauses) && !('format' in m)) return 1;
+  throw new Error('Not a voice-pause-video project');
+}
+
+export function migrateManifest(raw: unknown): BundleManifest {
+  let m: any = raw;
+  let version = manifestVersion(m);
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid project version: ${version}`);
+  if (version > BUNDLE_VERSION) {
+    throw new Error(`Project was saved by a newer version (format ${version}, supported up to ${BUNDLE_VERSION})`);
+  }
+  while (version < BUNDLE_VERSION) {
+    m = MIGRATIONS[version](m);
+    version = m.version;
+  }
+  validateManifest(m);
+  return m;
+}
+
+function isNum(v: unknown): v is number { return typeof v === 'number' && Number.isFinite(v); }
+
+function isAnnotation(a: any): a is Annotation {
+  return !!a && typeof a.id === 'string' && Object.keys(KIND_LABELS).includes(a.kind) && [a.x1, a.y1, a.x2, a.y2, a.appear].every(isNum)
+    && typeof a.color === 'string' && typeof a.text === 'string' && typeof a.animate === 'boolean';
+}
+
+/** Throws a descriptive error if the manifest (current version) is malformed. */
+export function validateManifest(m: any, files?: Map<string, Uint8Array>) {
+  const fail = (what: string) => { throw new Error(`Invalid project manifest: ${what}`); };
+  const hasFile = (path: string) => !files || files.has(path);
+  if (!m || m.format !== 'vpv' || m.version !== BUNDLE_VERSION) fail('format/version');
+  if (!m.project || typeof m.project.name !== 'string') fail('project name');
+  if (m.video !== null) {
+    if (!m.video || typeof m.video.name !== 'string') fail('video');
+    if (m.video.file !== null && !hasFile(m.video.file)) fail(`missing ${m.video.file}`);
+  }
+  if (!Array.isArray(m.takes)) fail('takes');
+  for (const t of m.takes) {
+    if (typeof t.id !== 'string' || !isNum(t.startVideoTime) || !isNum(t.anchorOffset)) fail('take');
+    if (t.punchLength !== undefined && !isNum(t.punchLength)) fail(`take ${t.id} punch length`);
+    if (t.gainDb !== undefined && !isNum(t.gainDb)) fail(`take ${t.id} gain`);
+    if (typeof t.file !== 'string' || !hasFile(t.file)) fail(`missing ${t.file}`);
+  }
+  if (m.narration !== null && (typeof m.narration !== 'string' || !hasFile(m.narration))) fail('narration');
+  if (!Array.isArray(m.pauses)) fail('pauses');
+  for (const p of m.pauses) {
+    if (!isNum(p.startVideoTime) || p.startVideoTime < 0 || !isNum(p.pauseDuration) || p.pauseDuration <= 0) fail('pause timing');
+    if (typeof p.frame !== 'string' || !(p.frame.startsWith('data:') || hasFile(p.frame))) fail(`missing ${p.frame}`);
+    if (p.annotations !== undefined && !(Array.isArray(p.annotations) && p.annotations.every(isAnnotation))) fail('pause annotations');
+    if (p.stills !== undefined && !(Array.isArray(p.stills) && p.stills.every((s: any) => s && isNum(s.at) && typeof s.file === 'string' && hasFile(s.file)))) {
+      fail('pause stills');
+    }
+  }
+  if (!Array.isArray(m.captions)) fail('captions');
+  for (const c of m.captions) {
+    if (typeof c.id !== 'string' || !isNum(c.startVideoTime) || !isNum(c.anchorOffset) || typeof c.text !== 'string') fail('caption');
+    if (!isNum(c.duration) || c.duration <= 0) fail(`caption ${c.id} duration`);
+  }
+  if (!Array.isArray(m.chapters)) fail('chapters');
+  for (const c of m.chapters) {
+    if (typeof c.id !== 'string' || !isNum(c.startVideoTime) || !isNum(c.anchorOffset) || typeof c.title !== 'string') fail('chapter');
+  }
+  const tr = m.trimRange;
+  if (!tr || !isNum(tr.start) || !isNum(tr.end) || tr.start < 0 || tr.end > 1 || tr.start >= tr.end) fail('trim range');
+  if (!m.history || !Array.isArray(m.history.undo) || !Array.isArray(m.history.redo)) fail('history');
+  for (const item of [...m.history.undo, ...m.history.redo]) {
+    if (!item || typeof item.type !== 'string' || typeof item.label !== 'string') fail('history item');
+  }
+  if (!Array.isArray(m.historyTakes)) fail('history takes');
+  for (const t of m.historyTakes) {
+    if (typeof t.id !== 'string' || typeof t.file !== 'string' || !hasFile(t.file)) fail(`missing ${t.file}`);
+  }
+  if (!m.settings || typeof m.settings !== 'object') fail('settings');
+}
+
+/** Opens a bundle, or a bare JSON state file from older releases. */
+export function readBundle(bytes: Uint8Array): BundleContents {
+  let raw: unknown;
+  let files = new Map<string, Uint8Array>();
+  if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+    files = readZip(bytes);
+    const manifest = files.get('manifest.json');
+    if (!manifest) throw new Error('Invalid project bundle: manifest.json missing');
+    raw = JSON.parse(new TextDecoder().decode(manifest));
+  } else {
+    raw = JSON.parse(new TextDecoder().decode(bytes));
+  }
+  const manifest = migrateManifest(raw);
+  validateManifest(manifest, files);
+  return { manifest, files };
+}
+
+export function writeBundle(manifest: BundleManifest, files: Map<string, Uint8Array>): Uint8Array {
+  const entries: ZipEntry[] = [{ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }];
+  for (const [name, data] of files) entries.push({ name, data });
+  return createZip(entries);
+}
+
+export function dataURLToBytes(url: string): Uint8Array {
+  const base64 = url.slice(url.indexOf(',') + 1);
+  const bin = atob(base64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+export function bytesToDataURL(bytes: Uint8Array, mime: string): string {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${mime};base64,${btoa(bin)}`;
+}
+
+function extensionOf(mime: string): string {
+  if (mime.includes('webm')) return 'webm';
+  if (mime.includes('ogg')) return 'ogg';
+  if (mime.includes('mp4')) return 'mp4';
+  if (mime.includes('wav')) return 'wav';
+  return 'bin';
+}
+
+function videoMime(name: string): string {
+  const ext = name.split('.').pop()?.toLowerCase();
+  if (ext === 'webm') return 'video/webm';
+  if (ext === 'mov') return 'video/quicktime';
+  return 'video/mp4';
+}
+
+function safeName(name: string): string {
+  return name.replace(/[^\w.\-]+/g, '_') || 'video';
+}
+
+/** Packs a project (with its undo history) into a .vpv archive. */
+export async function projectToBundle(
+  project: Project,
+  { narration, includeVideo }: { narration: Float32Array | null; includeVideo: boolean },
+): Promise<Blob> {
+  const files = new Map<string, Uint8Array>();
+  const bytes = async (b: Blob) => new Uint8Array(await b.arrayBuffer());
+
+  let video: BundleManifest['video'] = null;
+  if (project.video) {
+    const file = includeVideo ? `video/${safeName(project.video.name)}` : null;
+    if (file) files.set(file, await bytes(project.video.blob));
+    video = { name: project.video.name, file };
+  }
+  const takes: BundleManifest['takes'] = [];
+  for (const { blob, pcm, ...meta } of project.takes) {
+    const file = `takes/${meta.id}.${extensionOf(blob.type)}`;
+    files.set(file, await bytes(blob));
+    takes.push({ ...meta, file });
+  }
+  const history = serializeHistory(project.history);
+  const historyTakes: BundleManifest['historyTakes'] = [];
+  for (const { id, blob } of history.takes) {
+    if (takes.some(t => t.id === id)) continue;
+    const file = `takes/${id}.${extensionOf(blob.type)}`;
+    files.set(file, await bytes(blob));
+    historyTakes.push({ id, file });
+  }
+  const pauses = (await withStills(project.pauses)).map((p, i) => {
+    const frame = `frames/${i}.png`;
+    files.set(frame, dataURLToBytes(p.frameDataURL));
+    const annotations = p.annotations?.length ? { annotations: p.annotations } : {};
+    const stills = p.stills?.length ? {
+      stills: p.stills.map(({ at, dataURL }, j) => {
+        const file = `frames/${i}_${j}.png`;
+        files.set(file, dataURLToBytes(dataURL));
+        return { at, file };
+      }),
+    } : {};
+    return { startVideoTime: p.startVideoTime, pauseDuration: p.pauseDuration, frame, ...annotations, ...stills };
+  });
+  if (narration) files.set('narration.wav', new Uint8Array(bufferToWav(monoBuffer(narration, SAMPLE_RATE))));
+
+  const manifest: BundleManifest = {
+    format: 'vpv',
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    project: { name: project.name, createdAt: project.createdAt, updatedAt: project.updatedAt },
+    video,
+    takes,
+    narration: narration ? 'narration.wav' : null,
+    pauses,
+    captions: project.captions,
+    chapters: project.chapters,
+    trimRange: project.trimRange,
+    history: history.stored,
+    historyTakes,
+    settings: project.settings,
+  };
+  return new Blob([writeBundle(manifest, files) as BlobPart], { type: 'application/zip' });
+}
+
+/**
+ * Unpacks a .vpv archive into a new project (with a fresh id, so importing never overwrites).
+ * missingVideo names the video when the bundle only referenced it.
+ */
+export async function bundleToProject(bytes: Uint8Array): Promise<{ project: Project; missingVideo: string | null }> {
+  const { manifest, files } = readBundle(bytes);
+  const file = (path: string) => files.get(path)!;
+
+  const media = new Map<string, TakeMedia>();
+  for (const { id, file: path } of [...manifest.takes, ...manifest.historyTakes]) {
+    const blob = new Blob([file(path) as BlobPart], { type: `audio/${path.split('.').pop()}` });
+    media.set(id, { blob, pcm: await decodeToPCM(blob) });
+  }
+  const takes: Take[] = manifest.takes.map(({ file: path, ...meta }) => ({ ...meta, ...media.get(meta.id)! }));
+  const pauses: PauseRange[] = manifest.pauses.map(p => ({
+    startVideoTime: p.startVideoTime,
+    pauseDuration: p.pauseDuration,
+    frameDataURL: p.frame.startsWith('data:') ? p.frame : bytesToDataURL(file(p.frame), 'image/png'),
+    ...(p.annotations?.length ? { annotations: p.annotations } : {}),
+  }));
+  const v = manifest.video;
+  const video = v && v.file
+    ? { id: 'video_' + Date.now().toString(36), name: v.name, blob: new Blob([file(v.file) as BlobPart], { type: videoMime(v.name) }) }
+    : null;
+
+  return {
+    project: {
+      id: projectId(),
+      name: manifest.project.name,
+      createdAt: manifest.project.createdAt,
+      updatedAt: Date.now(),
+      video,
+      takes,
+      pauses,
+      captions: manifest.captions,
+      chapters: manifest.chapters,
+      trimRange: manifest.trimRange,
+      settings: normalizeSettings(manifest.settings),
+      history: restoreHistory(manifest.history, media),
+    },
+    missingVideo: v && !v.file ? v.name : null,
+  };
+}
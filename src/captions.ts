@@ -0,0 +1,80 @@
+// Caption track. Captions are edited in output time, but each one is anchored to the video
+// like a take (video time plus an offset), so it stays with the picture and the narration
+// when freezes before it are added, moved or resized. SRT/WebVTT are written in output time.
+import { PauseRange } from './exporter';
+import { videoToOutputTime, outputToVideoTime } from './timeline';
+
+export interface Caption {
+  id: string;
+  startVideoTime: number;
+  // seconds between videoToOutputTime(startVideoTime) and the start of the caption
+  anchorOffset: number;
+  duration: number;
+  text: string;
+}
+
+/** A caption resolved to output time. */
+export interface Cue { start: number; end: number; text: string; }
+
+export const MIN_CAPTION = 0.2; // seconds
+
+export function captionId(): string {
+  return 'cap_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** Places a caption at an output-time range; keeps the id when re-timing an existing one. */
+export function placeCaption(start: number, end: number, text: string, pauses: PauseRange[], id = captionId()): Caption {
+  start = Math.max(0, start);
+  const startVideoTime = outputToVideoTime(start, pauses);
+  return {
+    id,
+    startVideoTime,
+    anchorOffset: start - videoToOutputTime(startVideoTime, pauses),
+    duration: Math.max(MIN_CAPTION, end - start),
+    text,
+  };
+}
+
+export function captionCue(c: Caption, pauses: PauseRange[]): Cue {
+  const start = Math.max(0, videoToOutputTime(c.startVideoTime, pauses) + c.anchorOffset);
+  return { start, end: start + c.duration, text: c.text };
+}
+
+/** Non-empty captions in output time, in playback order. */
+export function captionCues(captions: Caption[], pauses: PauseRange[]): Cue[] {
+  return captions
+    .filter(c => c.text.trim())
+    .map(c => captionCue(c, pauses))
+    .sort((a, b) => a.start - b.start);
+}
+
+export function cueAt(cues: Cue[], t: number): Cue | null {
+  return cues.find(c => t >= c.start && t < c.end) ?? null;
+}
+
+function timestamp(t: number, sep: ',' | '.'): string {
+  const ms = Math.round(Math.max(0, t) * 1000);
+  const pad = (n: number, w = 2) => String(n).padStart(w, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+// blank lines end a cue in both formats
+function cueText(text: string): string {
+  return text.trim().split(/\r?\n/).filter(line => line.trim()).join('\n');
+}
+
+export function toSRT(cues: Cue[]): string {
+  return cues
+    .map((c, i) => `${i + 1}\n${timestamp(c.start, ',')} --> ${timestamp(c.end, ',')}\n${cueText(c.text)}\n`)
+    .join('\n');
+}
+
+export function toVTT(cues: Cue[]): string {
+  const body = cues
+    .map(c => `${timestamp(c.start, '.')} --> ${timestamp(c.end, '.')}\n${cueText(c.text).replace(/-->/g, '->')}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
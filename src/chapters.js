@@ -0,0 +1,79 @@
+// Chapter markers. Like captions, a chapter is edited in output time but anchored to the video
+// (video time plus an offset), so it stays with the picture when freezes before it change. A
+// chapter runs until the next one starts; the exported file gets them as ffmetadata chapters, and
+// a YouTube description takes them as a list of start times.
+import { videoToOutputTime, outputToVideoTime } from './timeline.js';
+
+// YouTube only shows chapters when there are at least this many, each at least this long
+export const YOUTUBE_MIN_CHAPTERS = 3;
+export const YOUTUBE_MIN_LENGTH = 10; // seconds
+
+export function chapterId() {
+  return 'chp_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** Places a chapter at an output time; keeps the id when moving an existing one. */
+export function placeChapter(start, title, pauses, id = chapterId()) {
+  start = Math.max(0, start);
+  const startVideoTime = outputToVideoTime(start, pauses);
+  return { id, startVideoTime, anchorOffset: start - videoToOutputTime(startVideoTime, pauses), title };
+}
+
+export function chapterStart(c, pauses) {
+  return Math.max(0, videoToOutputTime(c.startVideoTime, pauses) + c.anchorOffset);
+}
+
+/** Chapters in output time, in playback order, with their titles trimmed. */
+export function chapterMarks(chapters, pauses) {
+  return chapters
+    .map(c => ({ start: chapterStart(c, pauses), title: c.title.trim() }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/** Each chapter up to the next one or the end; chapters from `duration` on, or of no length, are left out. */
+export function chapterRanges(marks, duration) {
+  return marks
+    .map((m, i) => ({ ...m, end: Math.min(duration, marks[i + 1]?.start ?? duration) }))
+    .filter(m => m.end > m.start);
+}
+
+// '=', ';', '#', '\' and line breaks are special in ffmetadata values
+function metaValue(text) {
+  return text.replace(/[=;#\\\n]/g, c => '\\' + c).replace(/\r/g, '');
+}
+
+/** An ffmetadata file with the tags and the chapters of a file `duration` seconds long. */
+export function toFFMetadata(meta, duration) {
+  const lines = [';FFMETADATA1'];
+  if (meta.title) lines.push(`title=${metaValue(meta.title)}`);
+  // players read the artist tag; MP4 also has a separate author one
+  if (meta.author) lines.push(`artist=${metaValue(meta.author)}`, `author=${metaValue(meta.author)}`);
+  for (const c of chapterRanges(meta.chapters ?? [], duration)) {
+    lines.push('[CHAPTER]', 'TIMEBASE=1/1000', `START=${Math.round(c.start * 1000)}`, `END=${Math.round(c.end * 1000)}`);
+    if (c.title) lines.push(`title=${metaValue(c.title)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function youTubeTime(t) {
+  const s = Math.floor(t);
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60;
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+// YouTube wants the first chapter at 0:00; one titled `intro` is added when the first starts later
+function fromZero(marks, intro) {
+  return marks.length && Math.floor(marks[0].start) === 0 ? marks : [{ start: 0, title: intro }, ...marks];
+}
+
+/** The chapter list for a YouTube description. */
+export function toYouTubeChapters(marks, intro) {
+  return fromZero(marks, intro).map(m => `${youTubeTime(m.start)} ${m.title.replace(/\s+/g, ' ')}`).join('\n') + '\n';
+}
+
+/** Whether YouTube would show these chapters on a video `duration` seconds long. */
+export function youTubeAccepts(marks, duration) {
+  const ranges = chapterRanges(fromZero(marks, ''), duration);
+  return ranges.length >= YOUTUBE_MIN_CHAPTERS && ranges.every(r => r.end - r.start >= YOUTUBE_MIN_LENGTH);
+}
@@ -0,0 +1,165 @@
+// Command-line renderer: renders a project bundle (.vpv) with the Exporter, running the same
+// render plan as the app's export on ffmpeg.wasm or a local ffmpeg binary, so projects can be
+// rendered and their outputs checked in CI. bin/vpv.mjs runs main().
+// Annotated freezes are rendered from the stills the app stored in the bundle: drawing the
+// annotations needs a canvas.
+import { createRequire } from 'node:module';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { Exporter } from './exporter.js';
+import { loadWasmFFmpeg, loadBinaryFFmpeg } from './nodeFFmpeg.js';
+import { EXPORT_PRESETS, FORMATS } from './exportPresets.js';
+import { readBundle, bytesToDataURL } from './bundle.js';
+import { normalizeSettings } from './projectStore.js';
+import { wavToPCM } from './wav.js';
+import { renderOptions, DEFAULT_CAPTION_FONT } from './renderPlan.js';
+
+const USAGE = `Usage: vpv render <project.vpv> -o <output> [options]
+
+Renders a project bundle the way the app exports it.
+
+Options:
+  -o, --output <file>   where to write the export; its extension picks the format
+  --preset <id>         export preset (${EXPORT_PRESETS.map(p => p.id).join(', ')});
+                        defaults to the project's own export settings when they write
+                        the output's format, else the first preset that does
+  --video <file>        source video, for bundles that only reference theirs
+  --ffmpeg <path>       run a local ffmpeg binary instead of ffmpeg.wasm
+  -q, --quiet           no progress output
+
+Exit status: 0 rendered, 1 failed, 2 rendered but the frames drift from the pauses.`;
+
+class UsageError extends Error {}
+
+/** Reads the arguments of `vpv render`. */
+export function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (command !== 'render') throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+  const args = { quiet: false };
+  const value = (flag) => {
+    const v = rest.shift();
+    if (v === undefined || v.startsWith('-')) throw new UsageError(`${flag} needs a value`);
+    return v;
+  };
+  while (rest.length) {
+    const arg = rest.shift();
+    if (arg === '-o' || arg === '--output') args.output = value(arg);
+    else if (arg === '--preset') args.preset = value(arg);
+    else if (arg === '--video') args.video = value(arg);
+    else if (arg === '--ffmpeg') args.ffmpeg = value(arg);
+    else if (arg === '-q' || arg === '--quiet') args.quiet = true;
+    else if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+    else if (!args.project) args.project = arg;
+    else throw new UsageError(`Unexpected argument: ${arg}`);
+  }
+  if (!args.project) throw new UsageError('No project given');
+  if (!args.output) throw new UsageError('No output given (-o)');
+  return args;
+}
+
+/** The export settings that write `output`'s format; see USAGE for how they are picked. */
+export function outputFormat(output, preset, project) {
+  const ext = extname(output).slice(1).toLowerCase();
+  const writes = (s) => FORMATS[s.format].ext === ext;
+  if (preset) {
+    const p = EXPORT_PRESETS.find(p => p.id === preset);
+    if (!p) throw new UsageError(`Unknown preset: ${preset}`);
+    if (!writes(p.settings)) throw new UsageError(`Preset ${preset} writes .${FORMATS[p.settings.format].ext} files, not .${ext}`);
+    return p.settings;
+  }
+  if (writes(project)) return project;
+  const p = EXPORT_PRESETS.find(p => writes(p.settings));
+  if (!p) throw new UsageError(`No export format writes .${ext} files`);
+  return p.settings;
+}
+
+function progressLine() {
+  let last = '';
+  return (p) => {
+    // a line per stage and per tenth of the export, which reads well in a CI log too
+    const line = `${Math.floor(p.fraction * 10) * 10}% ${p.stage}`;
+    if (line !== last) console.error(line);
+    last = line;
+  };
+}
+
+/** The caption font from node_modules, as a data: URL; Node's fetch does not read files. */
+async function captionFont() {
+  const path = createRequire(import.meta.url).resolve('@expo-google-fonts/noto-sans-hebrew/400Regular/NotoSansHebrew_400Regular.ttf');
+  return { family: DEFAULT_CAPTION_FONT.family, url: bytesToDataURL(new Uint8Array(await readFile(path)), 'font/ttf') };
+}
+
+/** Renders a project bundle to a file; the sync report of a video, null for narration only. */
+export async function render(args) {
+  const { manifest, files } = readBundle(new Uint8Array(await readFile(args.project)));
+  const name = manifest.project.name;
+  const settings = normalizeSettings(manifest.settings);
+  const format = outputFormat(args.output, args.preset, settings.export);
+  const file = (path) => files.get(path);
+
+  let video = null;
+  if (args.video) video = new Uint8Array(await readFile(args.video));
+  else if (manifest.video?.file) video = file(manifest.video.file);
+  else if (manifest.video && FORMATS[format.format].video) {
+    throw new Error(`Project "${name}" only references its video (${manifest.video.name}); pass it with --video`);
+  }
+  if (!manifest.narration) throw new Error(`Project "${name}" has no narration`);
+  const { pcm, sampleRate } = wavToPCM(file(manifest.narration));
+  if (FORMATS[format.format].video && manifest.pauses.some(p => p.annotations?.length && !p.stills?.length)) {
+    throw new Error(`Project "${name}" has annotated freezes without their rendered stills; save it again from the app`);
+  }
+  const pauses = manifest.pauses.map(p => ({
+    startVideoTime: p.startVideoTime,
+    pauseDuration: p.pauseDuration,
+    frameDataURL: p.frame.startsWith('data:') ? p.frame : bytesToDataURL(file(p.frame), 'image/png'),
+    ...(p.stills?.length ? { stills: p.stills.map(s => ({ at: s.at, dataURL: bytesToDataURL(file(s.file), 'image/png') })) } : {}),
+  }));
+
+  const options = renderOptions({
+    name,
+    video: video && new Blob([video ]),
+    narration: pcm,
+    sampleRate,
+    pauses,
+    captions: manifest.captions,
+    chapters: manifest.chapters,
+    trimRange: manifest.trimRange,
+    settings,
+  }, format);
+  if (options.captions?.mode === 'burn') options.captions.font = await captionFont();
+  const loaded = [];
+  const exporter = new Exporter(args.quiet ? () => {} : progressLine(), undefined, async (_config, onLog) => {
+    const core = await (args.ffmpeg ? loadBinaryFFmpeg(args.ffmpeg, onLog) : loadWasmFFmpeg(onLog));
+    loaded.push(core);
+    return core;
+  });
+  try {
+    const blob = await exporter.export(options);
+    await writeFile(args.output, new Uint8Array(await blob.arrayBuffer()));
+  } finally {
+    // removes the binary's working directory
+    loaded.forEach(core => core.exit());
+  }
+  return exporter.syncReport;
+}
+
+/** Runs the command line; resolves to the exit status. */
+export async function main(argv) {
+  if (!argv.length || argv.includes('-h') || argv.includes('--help')) {
+    console.log(USAGE);
+    return argv.length ? 0 : 1;
+  }
+  try {
+    const args = parseArgs(argv);
+    const sync = await render(args);
+    if (!args.quiet) console.error(`Wrote ${basename(args.output)}`);
+    if (sync && !sync.ok) {
+      console.error(`The frames drift from the pauses by up to ${sync.maxDrift.toFixed(3)} s (tolerance ${sync.tolerance.toFixed(3)} s)`);
+      return 2;
+    }
+    return 0;
+  } catch (e) {
+    console.error(e instanceof UsageError ? `${e.message}\n\n${USAGE}` : `Render failed: ${e?.message || e}`);
+    return 1;
+  }
+}
@@ -0,0 +1,150 @@
+// Frame-accurate layout of the exported video.
+// The output is built on a frame grid: every real segment and freeze is a whole number of frames,
+// and each freeze starts on the frame nearest its exact output time, so rounding never adds up
+// over many pauses. When the source is kept as is, whole GOPs are stream-copied and only the
+// frames between a cut and the nearest keyframe are re-encoded ("smart rendering").
+import { sortedPauses } from './timeline.js';
+
+export function parseSourceVideo(log) {
+  const stream = log.match(/Stream #\d+:\d+.*Video: .*/)?.[0] ?? '';
+  const codec = stream.match(/Video: (\w+)/)?.[1] ?? null;
+  const profile = stream.match(/Video: \w+ \(([^)]+)\)/)?.[1] ?? null;
+  // the pixel format follows the codec tag, e.g. ", yuv420p(tv, bt709), 640x360"
+  const pixFmt = stream.match(/, (yuvj?4\d\dp\w*|nv12|rgb24|gray)\b/)?.[1] ?? null;
+  const size = stream.match(/, (\d{2,5})x(\d{2,5})/);
+  const sar = stream.match(/SAR (\d+):(\d+)/);
+  const rate = stream.match(/([\d.]+)(k?) fps/);
+  const fps = rate && !rate[2] ? Number(rate[1]) : NaN;
+  const dur = log.match(/Duration: (\d+):(\d+):([\d.]+)/);
+  return {
+    codec,
+    profile,
+    pixFmt,
+    width: size ? Number(size[1]) : 0,
+    height: size ? Number(size[2]) : 0,
+    sar: sar && sar[1] !== '0' ? `${sar[1]}:${sar[2]}` : '1:1',
+    // recordings with a variable frame rate report nonsense like 1k fps
+    fps: fps > 0 && fps <= 120 ? fps : null,
+    duration: dur ? Number(dur[1]) * 3600 + Number(dur[2]) * 60 + Number(dur[3]) : null,
+  };
+}
+
+/** Parses `-f framecrc` output: `#tb 0: 1/12800` then `0, dts, pts, duration, size, crc[, F=0x0]`. */
+export function parseFrameCrc(text) {
+  const tb = text.match(/^#tb 0: (\d+)\/(\d+)/m);
+  if (!tb) return null;
+  const timescale = Number(tb[2]) / Number(tb[1]);
+  const rows = [];
+  for (const line of text.split('\n')) {
+    const f = line.match(/^0,\s*-?\d+,\s*(-?\d+),\s*(\d+),\s*\d+,\s*0x[0-9a-f]+(, F=0x[0-9A-F]+)?/i);
+    // only keyframes carry no flags
+    if (f) rows.push({ pts: Number(f[1]), dur: Number(f[2]), key: !f[3] });
+  }
+  if (!rows.length) return null;
+  rows.sort((a, b) => a.pts - b.pts);
+  const counts = new Map();
+  for (const r of rows) counts.set(r.dur, (counts.get(r.dur) ?? 0) + 1);
+  const frameTicks = [...counts].sort((a, b) => b[1] - a[1])[0][0];
+  const last = rows[rows.length - 1];
+  return {
+    timescale,
+    frameTicks,
+    frames: rows.map(r => ({ time: r.pts / timescale, key: r.key })),
+    duration: (last.pts + (last.dur || frameTicks)) / timescale,
+  };
+}
+
+/** The exact frame rate as an ffmpeg rational, e.g. '30000/1001'. */
+export function frameRate(idx) {
+  return `${idx.timescale}/${idx.frameTicks}`;
+}
+
+/**
+ * Whether the stream can be cut on its own frame grid: every frame sits within a quarter
+ * frame of where a constant frame rate starting at zero puts it.
+ */
+export function isConstantRate(idx) {
+  const fps = idx.timescale / idx.frameTicks;
+  if (!(fps > 0 && fps <= 120)) return false;
+  return idx.frames.every((f, i) => Math.abs(f.time * fps - i) < 0.25);
+}
+
+/**
+ * Lays out the output video on a grid of `fps`. Without `keyframes` every real segment is
+ * re-encoded at `fps`; with them (times of the source's keyframes, the source being constant
+ * rate at `fps`) the GOPs inside each segment are copied and only the edges re-encoded.
+ */
+export function planCuts({ pauses, duration, fps, keyframes = null }
+
+) {
+  const grid = (t) => Math.round(t * fps);
+  const total = grid(duration);
+  // the end of the file works like a keyframe: the last GOP is copied up to it
+  const keys = keyframes && [...new Set(keyframes.map(grid)), total].sort((a, b) => a - b);
+  const pieces = [];
+  const splits = new Set();
+  const marks = [];
+  let out = 0; // frames laid out so far
+  let shift = 0; // pause time before the current point, seconds
+
+  const encode = (from, frames) => {
+    if (frames <= 0) return;
+    pieces.push({ kind: 'encode', from, frames, outFrame: out });
+    out += frames;
+  };
+  const real = (a, b) => {
+    if (!keys) return encode(a, grid(b + shift) - out);
+    const [A, B] = [grid(a), Math.min(grid(b), total)];
+    const k1 = keys.find(k => k >= A);
+    const k2 = [...keys].reverse().find(k => k <= B);
+    if (k1 === undefined || k2 === undefined || k1 >= k2) return encode(A / fps, B - A);
+    encode(A / fps, k1 - A);
+    if (k1 > 0) splits.add(k1);
+    if (k2 < total) splits.add(k2);
+    pieces.push({ kind: 'copy', from: k1 / fps, chunk: -1, frames: k2 - k1, outFrame: out });
+    out += k2 - k1;
+    encode(k2 / fps, B - k2);
+  };
+
+  let last = 0;
+  sortedPauses(pauses).forEach((p, i) => {
+    const at = Math.min(Math.max(p.startVideoTime, last), duration);
+    real(last, at);
+    const start = at + shift;
+    shift += p.pauseDuration;
+    const frames = grid(at + shift) - out;
+    marks.push({ label: `pause ${i + 1} start`, frame: out, time: start });
+    if (frames > 0) {
+      pieces.push({ kind: 'freeze', pause: p, frames, outFrame: out });
+      out += frames;
+    }
+    marks.push({ label: `pause ${i + 1} end`, frame: out, time: at + shift });
+    last = at;
+  });
+  real(last, duration);
+
+  // with all splits known, number the chunk each copied run is
+  const sortedSplits = [...splits].sort((a, b) => a - b);
+  for (const piece of pieces) {
+    if (piece.kind === 'copy') piece.chunk = sortedSplits.filter(k => k <= grid(piece.from)).length;
+  }
+  const shown = marks.filter(m => m.frame < out);
+  return { fps, pieces, splits: sortedSplits.map(k => k / fps), totalFrames: out, marks: shown, duration: duration + shift };
+}
+
+/**
+ * Checks the rendered video (its framecrc index) against the plan: every freeze must start and
+ * end, and the video must end, within a frame of the output time the narration was recorded in.
+ */
+export function verifySync(plan, video) {
+  const checks = plan.marks.map(m => ({
+    label: m.label,
+    expected: m.time,
+    actual: video.frames[m.frame]?.time ?? null,
+  }));
+  checks.push({ label: 'end', expected: plan.duration, actual: video.duration });
+  const drifts = checks.map(c => (c.actual === null ? Infinity : Math.abs(c.actual - c.expected)));
+  const maxDrift = Math.max(0, ...drifts);
+  const tolerance = 1 / plan.fps + 0.001;
+  return { checks, maxDrift, tolerance, ok: maxDrift <= tolerance };
+}
@@ -0,0 +1,79 @@
+// Running an export without holding up the page.
+// The whole Exporter pipeline runs in exportWorker.ts, whichever ffmpeg.wasm is configured, and
+// cancelling terminates that worker, ffmpeg and its files with it. Only where there are no workers
+// does the Exporter run here (ffmpeg's own threads still do the encoding), and cancelling stops
+// ffmpeg through the AbortSignal. Either way the caller gets ExportProgress updates and a blob, and
+// the loaded ffmpeg is kept for the next export.
+import { Exporter } from './exporter.js';
+import { resolveConfig } from './ffmpegCore.js';
+
+export class ExportRunner {
+  worker = null;
+  exporter = null;
+  // progress of the export running on the page, if any
+  onProgress = null;
+  // settles when the last export asked for has ended
+  last = Promise.resolve();
+
+  constructor(config) {
+    this.config = config;
+  }
+
+  /** Runs an export once the ones asked for before it have ended; there is one ffmpeg. */
+  run(options, { onProgress, signal } = {}) {
+    const result = this.last.then(() => {
+      if (signal?.aborted) throw new Error('Export cancelled');
+      return typeof Worker !== 'undefined'
+        ? this.runInWorker(options, onProgress, signal)
+        : this.runOnPage(options, onProgress, signal);
+    });
+    this.last = result.catch(() => {});
+    return result;
+  }
+
+  async runOnPage(options, onProgress, signal) {
+    if (!this.exporter) this.exporter = new Exporter((p) => this.onProgress?.(p), this.config);
+    this.onProgress = onProgress ?? null;
+    try {
+      const blob = await this.exporter.export(options, signal);
+      return { blob, syncReport: this.exporter.syncReport };
+    } finally {
+      this.onProgress = null;
+    }
+  }
+
+  runInWorker(options, onProgress, signal) {
+    if (!this.worker) this.worker = new Worker(new URL('./exportWorker.js', import.meta.url), { type: 'module' });
+    const worker = this.worker;
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        worker.onmessage = worker.onerror = null;
+        signal?.removeEventListener('abort', cancel);
+      };
+      // ffmpeg can't be interrupted from outside its worker, so the worker goes, files and all
+      const cancel = () => {
+        finish();
+        worker.terminate();
+        this.worker = null;
+        reject(new Error('Export cancelled'));
+      };
+      signal?.addEventListener('abort', cancel);
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') { onProgress?.(msg.progress); return; }
+        finish();
+        if (msg.type === 'result') resolve({ blob: msg.blob, syncReport: msg.syncReport });
+        else reject(new Error(msg.message));
+      };
+      worker.onerror = (e) => {
+        finish();
+        worker.terminate();
+        this.worker = null;
+        reject(new Error(e.message || 'Export worker failed'));
+      };
+      // the worker resolves URLs against its own script, not the page
+      const request = { type: 'export', options, config: resolveConfig(this.config) };
+      worker.postMessage(request);
+    });
+  }
+}
@@ -0,0 +1,125 @@
+// Export formats and quality presets, and the encoder arguments they map to.
+// Video is either stream-copied (MP4 only, the source is kept as is) or re-encoded; when it is
+// re-encoded, every piece of the output (real segments and freeze frames alike) goes through the
+// same scale/fps filter and encoder arguments, so the pieces always concatenate without mismatch.
+
+export const FORMATS = {
+  mp4: { label: 'MP4 (H.264 + AAC)', ext: 'mp4', mime: 'video/mp4', video: true },
+  webm: { label: 'WebM (VP9 + Opus)', ext: 'webm', mime: 'video/webm', video: true },
+  wav: { label: 'קריינות בלבד – WAV', ext: 'wav', mime: 'audio/wav', video: false },
+  mp3: { label: 'קריינות בלבד – MP3', ext: 'mp3', mime: 'audio/mpeg', video: false },
+  opus: { label: 'קריינות בלבד – Opus', ext: 'opus', mime: 'audio/ogg', video: false },
+};
+
+export const EXPORT_PRESETS = [
+  { id: 'mp4-source', label: 'MP4 – איכות המקור (מהיר)', settings: { format: 'mp4', quality: { mode: 'copy' }, height: null, fps: 30, audioKbps: 192 } },
+  { id: 'mp4-1080', label: 'MP4 1080p', settings: { format: 'mp4', quality: { mode: 'crf', crf: 21 }, height: 1080, fps: 30, audioKbps: 192 } },
+  { id: 'mp4-720', label: 'MP4 720p (קטן)', settings: { format: 'mp4', quality: { mode: 'crf', crf: 24 }, height: 720, fps: 30, audioKbps: 128 } },
+  { id: 'webm-720', label: 'WebM 720p', settings: { format: 'webm', quality: { mode: 'crf', crf: 33 }, height: 720, fps: 30, audioKbps: 128 } },
+  { id: 'wav', label: 'קריינות – WAV', settings: { format: 'wav', quality: { mode: 'copy' }, height: null, fps: 30, audioKbps: 192 } },
+  { id: 'mp3', label: 'קריינות – MP3', settings: { format: 'mp3', quality: { mode: 'copy' }, height: null, fps: 30, audioKbps: 192 } },
+  { id: 'opus', label: 'קריינות – Opus', settings: { format: 'opus', quality: { mode: 'copy' }, height: null, fps: 30, audioKbps: 96 } },
+];
+
+export const DEFAULT_EXPORT = EXPORT_PRESETS[0].settings;
+
+/** Settings as they will be used: stream copy only exists for MP4. */
+export function normalizeExport(s) {
+  if (s.format === 'webm' && s.quality.mode === 'copy') return { ...s, quality: { mode: 'crf', crf: 33 } };
+  return s;
+}
+
+// Only the fields that affect the output, so e.g. a WAV export matches its preset whatever the video fields say.
+function effectiveFields(s) {
+  const n = normalizeExport(s);
+  const video = FORMATS[n.format].video;
+  const copy = copiesVideo(n);
+  return {
+    format: n.format,
+    quality: video ? n.quality : null,
+    height: video && !copy ? n.height : null,
+    fps: video && !copy ? n.fps : null,
+    audioKbps: n.format === 'wav' ? null : n.audioKbps,
+  };
+}
+
+/** The preset these settings amount to, if any. */
+export function matchPreset(s) {
+  const key = JSON.stringify(effectiveFields(s));
+  return EXPORT_PRESETS.find(p => JSON.stringify(effectiveFields(p.settings)) === key);
+}
+
+/** Whether the source video stream is kept as is (no scaling, no re-encoding). */
+export function copiesVideo(s) {
+  return s.format === 'mp4' && s.quality.mode === 'copy';
+}
+
+/**
+ * Filter applied to every re-encoded piece of video, freeze frames included. The fps filter
+ * repeats or drops frames to the export rate; `-r` alone doesn't for WebM, which is variable rate.
+ */
+export function videoFilter(s) {
+  const scale = s.height ? `scale=-2:${s.height}` : 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+  return `fps=${s.fps},${scale},setsar=1,format=yuv420p`;
+}
+
+/** Encoder arguments for re-encoded video (`-r` included, so all pieces share one frame rate). */
+export function videoCodecArgs(s) {
+  const q = s.quality;
+  if (s.format === 'webm') {
+    const rate = q.mode === 'bitrate' ? ['-b:v', `${q.kbps}k`] : ['-crf', String(q.mode === 'crf' ? q.crf : 33), '-b:v', '0'];
+    return ['-r', String(s.fps), '-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1', ...rate];
+  }
+  const rate = q.mode === 'bitrate'
+    ? ['-b:v', `${q.kbps}k`, '-maxrate', `${q.kbps}k`, '-bufsize', `${q.kbps * 2}k`]
+    : ['-crf', String(q.mode === 'crf' ? q.crf : 20)];
+  // not veryfast: with threads, that preset crashes the ffmpeg.wasm 0.10 core
+  return ['-r', String(s.fps), '-c:v', 'libx264', '-preset', 'superfast', '-pix_fmt', 'yuv420p', ...rate];
+}
+
+export function audioCodecArgs(s) {
+  switch (s.format) {
+    case 'wav': return ['-c:a', 'pcm_s16le'];
+    case 'mp3': return ['-c:a', 'libmp3lame', '-b:a', `${s.audioKbps}k`];
+    case 'webm':
+    case 'opus': return ['-c:a', 'libopus', '-b:a', `${s.audioKbps}k`];
+    default: return ['-c:a', 'aac', '-b:a', `${s.audioKbps}k`];
+  }
+}
+
+/**
+ * Rough size of the export in bytes. CRF output is estimated from bits per pixel, which varies
+ * a lot with the content (screen recordings compress far better than camera footage).
+ */
+export function predictSize(s, inp) {
+  const audioBits = s.format === 'wav' ? 48000 * 16 : s.audioKbps * 1000;
+  if (!FORMATS[s.format].video) return (audioBits * inp.narrationSeconds) / 8;
+  const movingSeconds = Math.max(0, inp.outputSeconds - inp.freezeSeconds);
+  // a still frame costs little once encoded
+  const FREEZE_SHARE = 0.05;
+  let videoBits;
+  if (copiesVideo(s)) {
+    const sourceRate = inp.sourceSeconds ? (inp.sourceBytes * 8) / inp.sourceSeconds : 0;
+    videoBits = sourceRate * (movingSeconds + inp.freezeSeconds * FREEZE_SHARE);
+  } else {
+    let rate;
+    if (s.quality.mode === 'bitrate') {
+      rate = s.quality.kbps * 1000;
+    } else {
+      const h = s.height ?? inp.height;
+      const w = inp.height ? (inp.width * h) / inp.height : (h * 16) / 9;
+      // bits per pixel at the reference CRF; each 6 CRF steps halve the size
+      const [bpp, ref] = s.format === 'webm' ? [0.06, 33] : [0.08, 23];
+      const crf = s.quality.mode === 'crf' ? s.quality.crf : ref;
+      rate = w * h * s.fps * bpp * Math.pow(2, (ref - crf) / 6);
+    }
+    videoBits = rate * (movingSeconds + inp.freezeSeconds * FREEZE_SHARE);
+  }
+  return (videoBits + audioBits * inp.outputSeconds) / 8;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
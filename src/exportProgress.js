@@ -0,0 +1,87 @@
+// Progress of an export as a whole.
+// An export is dozens of ffmpeg commands, each reporting only how far into its own output it is
+// (`time=` in the log). The exporter declares up front how much work every stage holds (seconds
+// of media, weighted by what a second costs to produce), announces each command as it starts,
+// and the tracker turns that into one steadily rising fraction with a stage and an ETA.
+
+export const STAGE_LABELS = {
+  segments: 'חיתוך הוידאו',
+  freezes: 'תמונות ההקפאה',
+  concat: 'חיבור הקטעים',
+  audio: 'שמע',
+  mux: 'איחוד הקובץ',
+};
+
+/** Relative cost of producing one second of media in each kind of ffmpeg command. */
+export const COST = { encode: 1, still: 0.5, copy: 0.02, audio: 0.05 };
+
+export function noWork() {
+  return { segments: 0, freezes: 0, concat: 0, audio: 0, mux: 0 };
+}
+
+/** Output position in an ffmpeg status line (`... time=00:01:02.50 bitrate=...`), seconds. */
+export function parseFFmpegTime(line) {
+  const m = line.match(/time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+export class ProgressTracker {
+  work = noWork();
+  stageDone = noWork();
+  current = null;
+  reported = 0;
+    startedAt;
+
+  constructor(onUpdate,  now = () => Date.now()) {;this.onUpdate = onUpdate;this.now = now;
+    this.startedAt = now();
+  }
+
+  /** How much work each stage holds; set once the exporter knows the layout of the output. */
+  plan(work) {
+    this.work = work;
+  }
+
+  begin(step) {
+    this.current = step;
+    this.update(0);
+  }
+
+  /** An ffmpeg log line; status lines move the running command along. */
+  log(line) {
+    const t = parseFFmpegTime(line);
+    if (t !== null && this.current && this.current.seconds > 0) this.update(Math.min(1, t / this.current.seconds));
+  }
+
+  end() {
+    if (!this.current) return;
+    this.stageDone[this.current.stage] += this.current.seconds * this.current.cost;
+    this.update(1);
+    this.current = null;
+  }
+
+  finish() {
+    this.reported = 1;
+    this.onUpdate({ stage: 'mux', stageFraction: 1, fraction: 1, eta: 0 });
+  }
+
+  update(runFraction) {
+    if (!this.current) return;
+    const { stage, seconds, cost } = this.current;
+    const running = seconds * cost * (runFraction < 1 ? runFraction : 0);
+    const total = Object.values(this.work).reduce((a, b) => a + b, 0);
+    const done = Object.values(this.stageDone).reduce((a, b) => a + b, 0) + running;
+    // the work is an estimate: never go backwards, and leave the end to finish()
+    const fraction = Math.max(this.reported, Math.min(0.99, total ? done / total : 0));
+    this.reported = fraction;
+    const stageFraction = this.work[stage] ? Math.min(1, (this.stageDone[stage] + running) / this.work[stage]) : 0;
+    const elapsed = (this.now() - this.startedAt) / 1000;
+    const eta = fraction > 0.02 && elapsed > 2 ? (elapsed * (1 - fraction)) / fraction : null;
+    this.onUpdate({ stage, stageFraction, fraction, eta });
+  }
+}
+
+/** ETA as m:ss. */
+export function formatEta(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
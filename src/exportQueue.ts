@@ -0,0 +1,161 @@
+// Batch exports: a queue of (project, export settings) jobs run one after another.
+// Jobs and their finished files are kept in the project database, so the queue survives a
+// reload; a job that was running when the page went away starts over. A job reads its project
+// from the database when it starts, so edits saved in the meantime are included.
+import { ExportOptions } from './exporter';
+import { ExportRunner } from './exportJob';
+import { ExportProgress } from './exportProgress';
+import { ExportSettings, FORMATS } from './exportPresets';
+import { Project, ProjectStore } from './projectStore';
+import { SAMPLE_RATE, composeNarration } from './takes';
+import { withStills } from './annotations';
+import { renderOptions } from './renderPlan';
+
+export type ExportJobStatus = 'queued' | 'running' | 'done' | 'failed';
+
+export interface ExportJob {
+  id: string;
+  projectId: string;
+  projectName: string;
+  // preset name, or a description of custom settings
+  label: string;
+  settings: ExportSettings;
+  status: ExportJobStatus;
+  createdAt: number;
+  finishedAt?: number;
+  error?: string;
+  output?: { name: string; blob: Blob };
+  // whether the frames landed on the pauses; null for audio-only exports
+  syncOk?: boolean | null;
+}
+
+export function exportJobId(): string {
+  return 'exp_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** A name that is safe to use as a file name on every platform. */
+export function safeFileName(name: string): string {
+  return name.replace(/[\\/:*?"<>|]+/g, '_');
+}
+
+/** What the exporter needs to render a saved project with the given export settings; draws the annotated freezes. */
+export async function projectExportOptions(project: Project, format: ExportSettings): Promise<ExportOptions> {
+  const options = renderOptions({
+    name: project.name,
+    video: project.video?.blob ?? null,
+    narration: composeNarration(project.takes, project.pauses),
+    sampleRate: SAMPLE_RATE,
+    pauses: project.pauses,
+    captions: project.captions,
+    chapters: project.chapters,
+    trimRange: project.trimRange,
+    settings: project.settings,
+  }, format);
+  return FORMATS[format.format].video ? { ...options, pauses: await withStills(project.pauses) } : options;
+}
+
+export class ExportQueue {
+  private jobs: ExportJob[] = [];
+  private running: { id: string; controller: AbortController } | null = null;
+  // progress of the running job
+  progress: ExportProgress | null = null;
+
+  /** `onChange` is called whenever a job changes, `onProgress` as the running job goes along. */
+  constructor(
+    private store: ProjectStore,
+    private runner: ExportRunner,
+    private onChange: () => void,
+    private onProgress: (job: ExportJob, p: ExportProgress) => void = () => {},
+  ) {}
+
+  get list(): readonly ExportJob[] {
+    return this.jobs;
+  }
+
+  /** Loads the saved queue and resumes it. */
+  async restore() {
+    this.jobs = (await this.store.listExports()).sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of this.jobs) {
+      // interrupted by the reload
+      if (job.status === 'running') await this.update(job, { status: 'queued' });
+    }
+    this.onChange();
+    this.next();
+  }
+
+  async add(project: { id: string; name: string }, label: string, settings: ExportSettings): Promise<ExportJob> {
+    const job: ExportJob = {
+      id: exportJobId(),
+      projectId: project.id,
+      projectName: project.name,
+      label,
+      settings,
+      status: 'queued',
+      createdAt: Date.now(),
+    };
+    await this.store.putExport(job);
+    this.jobs.push(job);
+    this.onChange();
+    this.next();
+    return job;
+  }
+
+  /** Removes a job and its file; a running job is cancelled. */
+  async remove(id: string) {
+    if (this.running?.id === id) this.running.controller.abort();
+    this.jobs = this.jobs.filter(j => j.id !== id);
+    await this.store.removeExport(id);
+    this.onChange();
+  }
+
+  /** Removes every finished job. */
+  async clearDone() {
+    for (const job of this.jobs.filter(j => j.status === 'done')) await this.remove(job.id);
+  }
+
+  async retry(id: string) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job || job.status !== 'failed') return;
+    await this.update(job, { status: 'queued', error: undefined });
+    this.onChange();
+    this.next();
+  }
+
+  private async update(job: ExportJob, changes: Partial<ExportJob>) {
+    Object.assign(job, changes);
+    // a removed job is not written back
+    if (this.jobs.includes(job)) await this.store.putExport(job);
+  }
+
+  // Starts the first queued job unless one is running.
+  private async next() {
+    const job = this.jobs.find(j => j.status === 'queued');
+    if (this.running || !job) return;
+    const controller = new AbortController();
+    this.running = { id: job.id, controller };
+    try {
+      await this.update(job, { status: 'running' });
+      this.onChange();
+      const project = await this.store.load(job.projectId);
+      if (!project) throw new Error(`Project "${job.projectName}" no longer exists`);
+      const { blob, syncReport } = await this.runner.run(await projectExportOptions(project, job.settings), {
+        signal: controller.signal,
+        onProgress: (p) => { this.progress = p; this.onProgress(job, p); },
+      });
+      const name = safeFileName(`${project.name} - ${job.label}`) + `.${FORMATS[job.settings.format].ext}`;
+      await this.update(job, { status: 'done', output: { name, blob }, syncOk: syncReport ? syncReport.ok : null, finishedAt: Date.now() });
+    } catch (e: any) {
+      // a cancelled job has been removed
+      if (!controller.signal.aborted) {
+        console.error(e);
+        await this.update(job, { status: 'failed', error: e?.message || String(e), finishedAt: Date.now() })
+          .catch(err => console.error('Saving export job failed', err));
+      }
+    } finally {
+      this.running = null;
+      this.progress = null;
+      this.onChange();
+      this.next();
+    }
+  }
+}
@@ -0,0 +1,22 @@
+// Export worker (module worker, started by ExportRunner in exportJob.ts).
+// Runs the Exporter, and so ffmpeg, off the page; ffmpeg stays loaded for the next export and
+// each export removes its files when it ends. Cancelling terminates the worker.
+import { Exporter } from './exporter';
+import { ExportWorkerRequest, ExportWorkerResponse } from './exportJob';
+
+let exporter: Exporter | null = null;
+
+function post(msg: ExportWorkerResponse) {
+  postMessage(msg);
+}
+
+onmessage = async (e: MessageEvent<ExportWorkerRequest>) => {
+  const { options, config } = e.data;
+  if (!exporter) exporter = new Exporter((progress) => post({ type: 'progress', progress }), config);
+  try {
+    const blob = await exporter.export(options);
+    post({ type: 'result', blob, syncReport: exporter.syncReport });
+  } catch (err: any) {
+    post({ type: 'error', message: err?.message || String(err) });
+  }
+};
@@ -1,51 +1,119 @@
 // Exporter module ported from the TypeScript implementation.
 // Uses ffmpeg.wasm to merge a voice‑over track with a video and
 // handles pauses by inserting still frames for the pause durations.
+// The commands are planned in renderPlan.js; this runs them, along with the steps that depend
+// on what earlier ones made.
+
+import { bufferToWav, monoBuffer } from './wav.js';
+import { sortedPauses } from './timeline.js';
+import { DEFAULT_FFMPEG_CONFIG, loadFFmpeg } from './ffmpegCore.js';
+import { DEFAULT_EXPORT, FORMATS, normalizeExport } from './exportPresets.js';
+import { parseFrameCrc, verifySync } from './cutPlan.js';
+import { ProgressTracker, COST, noWork } from './exportProgress.js';
+import { DEFAULT_LOUDNESS_TARGET, loudnessTarget, loudnormFilter, parseLoudnorm } from './loudness.js';
+import { PCM_STEREO, fmtTime, planVideo, videoWork, videoCommands, joinedVideo, narrationCommand, muxCommands, captionCommand } from './renderPlan.js';
 
 export class Exporter {
   /**
-   * Create a new exporter.  Pass a callback to receive progress updates (0–100).
-   * @param {function(number): void} onProgress
+   * Create a new exporter.  Pass a callback to receive progress updates (stage, overall fraction, ETA).
+   * @param {function(import('./exportProgress.js').ExportProgress): void} onProgress
+   * @param {import('./ffmpegCore.js').FFmpegConfig} [config] Where the ffmpeg library and core are served from
+   * @param {function(import('./ffmpegCore.js').FFmpegConfig, function(string): void): Promise<import('./ffmpegCore.js').FFmpegCore>} [load]
+   *   How ffmpeg is loaded: ffmpeg.wasm on the page by default, or Node's (nodeFFmpeg.js)
    */
-  constructor(onProgress) {
+  constructor(onProgress, config = DEFAULT_FFMPEG_CONFIG, load = loadFFmpeg) {
     this.onProgress = onProgress;
+    this.config = config;
+    this.load = load;
+    /**
+     * Loaded by ensureFFmpeg(); cancelling an export unloads it.
+     * @type {import('./ffmpegCore.js').FFmpegCore|null}
+     */
     this.ffmpeg = null;
+    // What ffmpeg's file system holds before any export; everything else is removed after each one.
+    this.baseline = new Set();
+    // ffmpeg log lines are collected here while a probe runs.
+    this.logLines = null;
+    /** @type {ProgressTracker|null} */
+    this.progress = null;
+    // Rejects when the running export is cancelled, so a command ffmpeg never finishes is not waited for.
+    this.stopped = null;
+    /**
+     * Frame timing of the last exported video checked against its pauses; null for audio-only exports.
+     * @type {import('./cutPlan.js').SyncReport|null}
+     */
+    this.syncReport = null;
   }
 
   /**
-   * Ensure ffmpeg.wasm is loaded.  Loads once on demand.
+   * Ensure ffmpeg.wasm is loaded.  Loads once on demand, from the location in the config.
    */
   async ensureFFmpeg() {
-    // If we already created an FFmpeg instance return early.
     if (this.ffmpeg) return;
-    // ffmpeg.wasm exposes a factory called `createFFmpeg` on the global `FFmpeg` object.
-    // The legacy constructor exported by some builds is not a real constructor and
-    // causes `FFmpegClass is not a constructor` errors.  Here we obtain the
-    // factory and construct an instance properly.
-    let FM = window.FFmpeg;
-    // If the library isn't loaded yet, wait up to 10 × 500ms for it to appear.
-    for (let i = 0; (!FM || !FM.createFFmpeg) && i < 10; i++) {
-      await new Promise((resolve) => setTimeout(resolve, 500));
-      FM = window.FFmpeg;
+    // ffmpeg prints progress as it goes; lines are also collected while a probe runs.
+    this.ffmpeg = await this.load(this.config, (m) => {
+      if (this.logLines) this.logLines.push(m);
+      if (this.progress) this.progress.log(m);
+    });
+    this.baseline = new Set(await this.ffmpeg.readdir('/'));
+  }
+
+  /**
+   * Run one ffmpeg command.
+   * @param {import('./exportProgress.js').ExportStep|null} step Which stage it belongs to and how much output it makes
+   * @param {...string} args
+   */
+  async run(step, ...args) {
+    if (step && this.progress) this.progress.begin(step);
+    const running = this.ffmpeg.run(...args);
+    await (this.stopped ? Promise.race([running, this.stopped]) : running);
+    if (step && this.progress) this.progress.end();
+  }
+
+  /**
+   * Stop ffmpeg mid-command.  Its memory, the files of the export included, goes with it, and
+   * the next export loads it again.
+   */
+  teardown() {
+    try {
+      if (this.ffmpeg) this.ffmpeg.exit();
+    } catch (e) {
+      console.warn('Stopping ffmpeg failed', e);
     }
-    if (!FM || !FM.createFFmpeg) {
-      throw new Error('FFmpeg library not loaded');
+    this.ffmpeg = null;
+  }
+
+  /**
+   * Remove the files an export wrote, so they don't pile up in memory from one export to the next.
+   */
+  async cleanup() {
+    for (const name of await this.ffmpeg.readdir('/')) {
+      if (this.baseline.has(name)) continue;
+      try {
+        await this.ffmpeg.deleteFile(name);
+      } catch {
+        // a directory (the caption fonts), kept for the next export
+      }
     }
-    const { createFFmpeg } = FM;
-    // Instantiate ffmpeg with a custom corePath pointing at the @ffmpeg/core files
-    // hosted on jsDelivr.  Passing `logger` into the options allows us to report
-    // progress updates via the provided callback.  The `log` option can be
-    // toggled for debugging.
-    this.ffmpeg = createFFmpeg({
-      log: false,
-      corePath: 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.10.0/dist/ffmpeg-core.js',
-      logger: ({ message }) => {
-        const m = String(message || '');
-        const match = m.match(/\s(\d{1,3})%/);
-        if (match) this.onProgress(Number(match[1]));
-      },
-    });
-    await this.ffmpeg.load();
+  }
+
+  /**
+   * Write the files a planned command reads, then run it.
+   * @param {import('./renderPlan.js').RenderCommand} command
+   */
+  async execute({ step, args, files = [] }) {
+    for (const file of files) {
+      const dir = file.name.includes('/') ? file.name.slice(0, file.name.lastIndexOf('/')) : null;
+      if (dir && !(await this.hasFile(dir))) await this.ffmpeg.mkdir(dir);
+      if ('text' in file) {
+        await this.writeFile(file.name, new TextEncoder().encode(file.text));
+        continue;
+      }
+      const res = await fetch(file.url);
+      if (!res.ok) throw new Error(`Download of ${file.name} failed (${res.status})`);
+      await this.writeFile(file.name, await res.arrayBuffer());
+    }
+    await this.run(step, ...args);
   }
 
   /**
@@ -57,66 +125,240 @@ export class Exporter {
     if (data instanceof Uint8Array) u8 = data;
     else if (data instanceof ArrayBuffer) u8 = new Uint8Array(data);
     else u8 = new Uint8Array(await data.arrayBuffer());
-    this.ffmpeg.FS('writeFile', name, u8);
+    await this.ffmpeg.writeFile(name, u8);
   }
 
   /**
-   * Export a new MP4 combining the original video and trimmed/paused voice‑over.
-   * @param {Object} opts
-   * @param {Blob} opts.videoBlob Original video file
-   * @param {Blob} opts.audioBlob Recorded narration
-   * @param {Array} opts.pauses Array of pause descriptors (startVideoTime, pauseDuration, frameDataURL)
-   * @param {boolean} opts.normalize Whether to normalize audio loudness
-   * @returns {Promise<Blob>} Final MP4 blob
+   * Whether a file exists in ffmpeg's virtual FS.
+   * @param {string} name
+   * @returns {Promise<boolean>}
    */
-  async export({ videoBlob, audioBlob, pauses, normalize = false }) {
-    await this.ensureFFmpeg();
-    // copy inputs
-    await this.writeFile('input.mp4', videoBlob);
-    await this.writeFile('voice.m4a', audioBlob);
+  async hasFile(name) {
+    return (await this.ffmpeg.readdir('/')).includes(name);
+  }
+
+  /**
+   * Run ffmpeg on an input without an output and return what it printed about the streams.
+   * @param {string} name
+   * @returns {Promise<string>}
+   */
+  async probe(name) {
+    this.logLines = [];
+    try {
+      await this.run(null, '-hide_banner', '-i', name);
+    } catch {
+      // ffmpeg exits with an error when no output is given; the log is all we need.
+    }
+    const log = this.logLines.join('\n');
+    this.logLines = null;
+    return log;
+  }
+
+  /**
+   * Timestamps of every frame of the first video stream, read without decoding.
+   * @param {string} name
+   * @returns {Promise<import('./cutPlan.js').FrameIndex|null>}
+   */
+  async frameIndex(name) {
+    const crc = `${name}.crc`;
+    await this.run(null, '-i', name, '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', crc);
+    if (!(await this.hasFile(crc))) return null;
+    return parseFrameCrc(new TextDecoder().decode(await this.ffmpeg.readFile(crc)));
+  }
 
+  /**
+   * Extract the original audio for one piece of the output timeline as 48 kHz stereo PCM.
+   * @param {string} out Output file name
+   * @param {number} from Video time to start at
+   * @param {number|null} to Video time to stop at, or null for the rest of the file
+   * @param {number} end Where the file ends
+   */
+  async originalAudioSegment(out, from, to, end) {
+    const range = to === null ? ['-ss', fmtTime(from)] : ['-ss', fmtTime(from), '-to', fmtTime(to)];
+    const step = { stage: 'audio', seconds: (to === null ? end : to) - from, cost: COST.audio };
+    await this.run(step, '-i', 'input.mp4', ...range, '-vn', ...PCM_STEREO, out);
+    if (to !== null && !(await this.hasFile(out))) await this.silence(out, to - from);
+  }
+
+  /**
+   * Write a silent 48 kHz stereo PCM file.
+   * @param {string} out
+   * @param {number} duration Seconds
+   */
+  async silence(out, duration) {
+    const step = { stage: 'audio', seconds: duration, cost: COST.audio };
+    await this.run(step, '-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo', '-t', fmtTime(duration), ...PCM_STEREO, out);
+  }
+
+  /**
+   * Audio under a freeze: silence, or the second before the pause repeated for its whole length.
+   * @param {string} out
+   * @param {{startVideoTime: number, pauseDuration: number}} p
+   * @param {'silence'|'loop'} mode
+   */
+  async freezeAudioSegment(out, p, mode) {
+    const loopLen = Math.min(1, p.startVideoTime);
+    if (mode === 'loop' && loopLen > 0.05) {
+      const size = Math.round(loopLen * 48000);
+      await this.run({ stage: 'audio', seconds: p.pauseDuration, cost: COST.audio },
+        '-ss', fmtTime(p.startVideoTime - loopLen), '-t', fmtTime(loopLen), '-i', 'input.mp4', '-vn',
+        '-af', `aresample=48000,aloop=loop=-1:size=${size},atrim=duration=${fmtTime(p.pauseDuration)}`,
+        ...PCM_STEREO, out);
+      if (await this.hasFile(out)) return;
+    }
+    await this.silence(out, p.pauseDuration);
+  }
+
+  /**
+   * Lay the source soundtrack out on the output timeline as orig_full.wav: each real segment
+   * at its exact video times, with freeze audio in between.
+   * @param {Array<{startVideoTime: number, pauseDuration: number}>} pauses
+   * @param {{freeze: 'silence'|'loop'}} bed
+   * @param {number} duration Length of the source
+   */
+  async originalAudioTrack(pauses, bed, duration) {
+    const audioList = [];
     let last = 0;
-    let segIndex = 0;
-    const concatList = [];
-
-    const fmtTime = (t) => t.toFixed(3);
-
-    for (const p of pauses) {
-      const segStart = last;
-      const segEnd = p.startVideoTime;
-      if (segEnd > segStart + 0.001) {
-        const out = `seg_${segIndex++}.mp4`;
-        await this.ffmpeg.run('-i','input.mp4','-ss',fmtTime(segStart),'-to',fmtTime(segEnd),'-c','copy',out);
-        concatList.push(`file '${out}'`);
+    for (const [i, p] of sortedPauses(pauses).entries()) {
+      if (p.startVideoTime > last + 0.001) {
+        await this.originalAudioSegment(`orig_${i}.wav`, last, p.startVideoTime, duration);
+        audioList.push(`file 'orig_${i}.wav'`);
       }
-      const stillPng = `still_${segIndex}.png`;
-      const b = await (await fetch(p.frameDataURL)).arrayBuffer();
-      await this.writeFile(stillPng, b);
-      const stillMp4 = `seg_${segIndex++}.mp4`;
-      const freezeFilters = ['-loop','1','-i',stillPng,'-t',fmtTime(p.pauseDuration),'-vf','format=yuv420p,scale=trunc(iw/2)*2:trunc(ih/2)*2','-r','30','-pix_fmt','yuv420p',stillMp4];
-      await this.ffmpeg.run(...freezeFilters);
-      concatList.push(`file '${stillMp4}'`);
-      last = segEnd;
+      await this.freezeAudioSegment(`orig_freeze_${i}.wav`, p, bed.freeze);
+      audioList.push(`file 'orig_freeze_${i}.wav'`);
+      last = Math.max(last, p.startVideoTime);
     }
-    // tail segment
-    const tailOut = `seg_${segIndex++}.mp4`;
-    await this.ffmpeg.run('-i','input.mp4','-ss',fmtTime(last),'-c','copy',tailOut);
-    concatList.push(`file '${tailOut}'`);
+    await this.originalAudioSegment('orig_tail.wav', last, null, duration);
+    if (await this.hasFile('orig_tail.wav')) audioList.push(`file 'orig_tail.wav'`);
+    await this.writeFile('list_audio.txt', new TextEncoder().encode(audioList.join('\n')));
+    await this.run(null,'-f','concat','-safe','0','-i','list_audio.txt','-c','copy','orig_full.wav');
+  }
 
-    // write concat list
-    const concatTxt = concatList.join('\n');
-    await this.writeFile('list.txt', new TextEncoder().encode(concatTxt));
+  /**
+   * Output arguments that bring voice.wav to the loudness target, if any: a first loudnorm pass
+   * measures it, and the second applies a single gain where the range allows (a measurement of
+   * silence leaves loudnorm to its one-pass mode).  loudnorm resamples to 192 kHz on the way.
+   * @param {import('./loudness.js').LoudnessTarget|null} target
+   * @param {number} seconds Length of the narration
+   * @returns {Promise<string[]>}
+   */
+  async voiceFilter(target, seconds) {
+    if (!target) return [];
+    const lines = this.logLines = [];
+    try {
+      await this.run({ stage: 'audio', seconds, cost: COST.audio },'-i','voice.wav','-af',`${loudnormFilter(target)}:print_format=json`,'-f','null','-');
+    } finally {
+      this.logLines = null;
+    }
+    const measured = parseLoudnorm(lines.join('\n'));
+    return ['-af', loudnormFilter(target, measured || undefined), '-ar', '48000'];
+  }
 
-    // concat segments
-    await this.ffmpeg.run('-f','concat','-safe','0','-i','list.txt','-c','copy','video_full.mp4');
+  /**
+   * Narration-only export: the processed voice track in the chosen audio format.
+   * @param {import('./exportPresets.js').ExportSettings} format
+   * @param {import('./loudness.js').LoudnessTarget|null} target Loudness to normalize to, if any
+   * @param {number} seconds Length of the narration
+   * @param {import('./chapters.js').FileMetadata} [metadata] Tags and chapters of the file
+   * @returns {Promise<Blob>}
+   */
+  async exportNarration(format, target, seconds, metadata) {
+    const { ext, mime } = FORMATS[format.format];
+    this.progress.plan({ ...noWork(), audio: (target ? 2 : 1) * seconds * COST.audio });
+    const audioOut = await this.voiceFilter(target, seconds);
+    await this.execute(narrationCommand(format, audioOut, seconds, metadata));
+    const data = await this.ffmpeg.readFile(`output.${ext}`);
+    return new Blob([data], { type: mime });
+  }
 
+  /**
+   * Export a new file combining the original video and trimmed/paused voice‑over.  Progress goes
+   * to the constructor's callback; aborting `signal` stops ffmpeg on the spot and rejects with
+   * 'Export cancelled'.
+   * @param {Object} opts
+   * @param {Blob} opts.videoBlob Original video file
+   * @param {{pcm: Float32Array, sampleRate: number}} opts.narration Composed narration (all takes) in output time
+   * @param {Array} opts.pauses Array of pause descriptors (startVideoTime, pauseDuration, frameDataURL,
+   *   and `stills` for an annotated freeze: [{at, dataURL}] shown in turn instead of the frame)
+   * @param {boolean} opts.normalize Whether to normalize audio loudness
+   * @param {import('./loudness.js').LoudnessTarget} [opts.loudness]
+   *   Loudness to normalize to; defaults to the podcast target (-16 LUFS)
+   * @param {{bedLevelDb: number, duck: boolean, freeze: 'silence'|'loop'}} [opts.originalAudio]
+   *   Keep the source soundtrack under the narration; omitted means it is dropped
+   * @param {{srt: string, mode: 'soft'|'burn', language?: string, font?: {url: string, family: string}}} [opts.captions]
+   *   Subtitles in output time, muxed as a stream ('soft') or burned into the picture ('burn')
+   * @param {import('./chapters.js').FileMetadata} [opts.metadata]
+   *   Title, author and chapters (in output time) written into the file
+   * @param {import('./exportPresets.js').ExportSettings} [opts.format]
+   *   Container, codecs and quality; defaults to MP4 with the source video copied
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Blob>} Final video (or narration-only audio) blob
+   */
+  async export(opts, signal) {
+    if (signal && signal.aborted) throw new Error('Export cancelled');
+    await this.ensureFFmpeg();
+    let cancel = () => {};
+    this.stopped = new Promise((_, reject) => {
+      cancel = () => {
+        this.teardown();
+        reject(new Error('Export cancelled'));
+      };
+    });
+    this.stopped.catch(() => {});
+    if (signal) signal.addEventListener('abort', cancel);
+    this.progress = new ProgressTracker(this.onProgress);
+    this.syncReport = null;
+    try {
+      const blob = await this.render(opts);
+      this.progress.finish();
+      return blob;
+    } catch (e) {
+      // after a teardown, whatever was running fails in its own way
+      if (signal && signal.aborted) throw new Error('Export cancelled');
+      throw e;
+    } finally {
+      if (signal) signal.removeEventListener('abort', cancel);
+      this.stopped = this.progress = null;
+      if (this.ffmpeg) await this.cleanup().catch((e) => console.warn('Removing export files failed', e));
+    }
+  }
+
+  /**
+   * Build the export: video segments (real + freezes) via concat, then the audio.
+   * @param {Object} opts See export()
+   * @returns {Promise<Blob>}
+   */
+  async render({ videoBlob, narration, pauses, normalize = false, loudness = loudnessTarget(DEFAULT_LOUDNESS_TARGET), originalAudio, captions, metadata, format = DEFAULT_EXPORT }) {
+    const settings = normalizeExport(format);
+    await this.writeFile('voice.wav', bufferToWav(monoBuffer(narration.pcm, narration.sampleRate)));
+    const narrationSeconds = narration.pcm.length / narration.sampleRate;
     // normalize voice if requested
-    const audioOut = normalize ? ['-af','loudnorm=I=-16:TP=-1.5:LRA=11'] : [];
-    await this.ffmpeg.run('-i','voice.m4a',...audioOut,'-c:a','aac','-b:a','192k','voice.aac');
+    const target = normalize ? loudness : null;
+    if (!FORMATS[settings.format].video) return this.exportNarration(settings, target, narrationSeconds, metadata);
+
+    // copy inputs
+    await this.writeFile('input.mp4', videoBlob);
+    const info = await this.probe('input.mp4');
+    // a source without an audio stream simply has nothing to mix in
+    const bed = originalAudio && /Stream #\d+:\d+.*Audio:/.test(info) ? originalAudio : null;
+    const frames = await this.frameIndex('input.mp4');
+    const plan = planVideo(info, frames, settings, pauses);
+    const { ext, mime } = plan;
+    this.progress.plan(videoWork(plan, { bed: !!bed, loudness: !!target, narrationSeconds, captions }));
+
+    for (const command of videoCommands(plan)) await this.execute(command);
+    if (bed) await this.originalAudioTrack(pauses, bed, plan.duration);
+    // the narration was recorded against exact pause times; check the frames landed there
+    const rendered = await this.frameIndex(joinedVideo(plan));
+    this.syncReport = rendered ? verifySync(plan.cuts, rendered) : null;
+    if (this.syncReport && !this.syncReport.ok) console.warn('Exported video drifts from the pauses', this.syncReport);
 
-    // mux final
-    await this.ffmpeg.run('-i','video_full.mp4','-i','voice.aac','-map','0:v:0','-map','1:a:0','-c:v','copy','-shortest','output.mp4');
-    const data = this.ffmpeg.FS('readFile', 'output.mp4');
-    return new Blob([data.buffer], { type: 'video/mp4' });
+    const audioOut = await this.voiceFilter(target, narrationSeconds);
+    const muxOut = captions ? `muxed.${ext}` : `output.${ext}`;
+    // the captions step copies the tags and chapters along from its input
+    for (const command of muxCommands(plan, { audioOut, bed, metadata, narrationSeconds, out: muxOut })) await this.execute(command);
+    if (captions) await this.execute(captionCommand(plan, muxOut, `output.${ext}`, captions));
+    const data = await this.ffmpeg.readFile(`output.${ext}`);
+    return new Blob([data], { type: mime });
   }
-}
\ No newline at end of file
+}
@@ -1,29 +1,136 @@
 // Export logic using ffmpeg.wasm to merge voice-over (recorded audio) with video.
-// Also inserts freeze segments for each pause range to keep A/V in sync.
-export interface PauseRange { startVideoTime: number; pauseDuration: number; frameDataURL: string; }
+// Also inserts freeze segments for each pause range to keep A/V in sync. What is run is planned
+// in renderPlan.ts; this runs it, along with the steps that depend on what earlier ones made.
+import { bufferToWav, monoBuffer } from './wav';
+import { sortedPauses } from './timeline';
+import { FFmpegConfig, FFmpegCore, DEFAULT_FFMPEG_CONFIG, loadFFmpeg } from './ffmpegCore';
+import { ExportSettings, DEFAULT_EXPORT, FORMATS, normalizeExport } from './exportPresets';
+import { FrameIndex, SyncReport, parseFrameCrc, verifySync } from './cutPlan';
+import { ExportProgress, ExportStep, ProgressTracker, COST, noWork } from './exportProgress';
+import { LoudnessTarget, DEFAULT_LOUDNESS_TARGET, loudnessTarget, loudnormFilter, parseLoudnorm } from './loudness';
+import { FileMetadata } from './chapters';
+import { Annotation, FreezeStill } from './annotations';
+import { RenderCommand, PCM_STEREO, fmtTime, planVideo, videoWork, videoCommands, joinedVideo, narrationCommand, muxCommands, captionCommand } from './renderPlan';
+
+export interface PauseRange {
+  startVideoTime: number;
+  pauseDuration: number;
+  frameDataURL: string;
+  annotations?: Annotation[];
+  // the annotated frame as it changes over the freeze, shown instead of frameDataURL; set for the export
+  stills?: FreezeStill[];
+}
+
+// How the source video's own soundtrack is kept under the narration.
+export interface OriginalAudioOptions {
+  bedLevelDb: number; // gain applied to the original track, e.g. -12
+  duck: boolean; // side-chain compress the original track whenever narration is present
+  freeze: 'silence' | 'loop'; // what plays under a freeze segment
+}
+
+// Subtitles for the exported file, already in output time.
+export interface CaptionOptions {
+  srt: string;
+  // soft: a selectable mov_text stream; burn: drawn into the picture (re-encodes the video)
+  mode: 'soft' | 'burn';
+  language?: string; // ISO 639-2 tag of the soft stream
+  // burn only: a TrueType font covering the caption script, since the ffmpeg build ships none
+  font?: { url: string; family: string };
+}
+
+export interface ExportOptions {
+  videoBlob: Blob;
+  // composed narration (all takes) in output time
+  narration: { pcm: Float32Array; sampleRate: number };
+  pauses: PauseRange[];
+  normalize?: boolean;
+  // loudness the narration is normalized to; defaults to the podcast target (-16 LUFS)
+  loudness?: LoudnessTarget;
+  // keep the source soundtrack under the narration; omitted means it is dropped
+  originalAudio?: OriginalAudioOptions;
+  captions?: CaptionOptions;
+  // title, author and chapters written into the file
+  metadata?: FileMetadata;
+  // container, codecs and quality; defaults to MP4 with the source video copied
+  format?: ExportSettings;
+}
+
+/** Loads the ffmpeg an Exporter runs on; `onLog` receives every line ffmpeg prints. */
+export type FFmpegLoader = (config: FFmpegConfig, onLog: (line: string) => void) => Promise<FFmpegCore>;
 
 export class Exporter {
-  // initialize ffmpeg to undefined so property is defined under strict initialization
-  private ffmpeg: any = undefined;
-  constructor(private onProgress: (p: number) => void) {}
+  // set by ensureFFmpeg(), which every export runs first; cancelling an export unloads it
+  private ffmpeg!: FFmpegCore;
+  // what ffmpeg's file system holds before any export; everything else is removed after each one
+  private baseline = new Set<string>();
+  // ffmpeg log lines are collected here while a probe runs
+  private logLines: string[] | null = null;
+  private progress: ProgressTracker | null = null;
+  // rejects when the running export is cancelled, so a command ffmpeg never finishes is not waited for
+  private stopped: Promise<never> | null = null;
+  // frame timing of the last exported video checked against its pauses; null for audio-only exports
+  syncReport: SyncReport | null = null;
+  // `load` is how ffmpeg is loaded: ffmpeg.wasm on the page by default, or Node's (nodeFFmpeg.ts)
+  constructor(
+    private onProgress: (p: ExportProgress) => void,
+    private config: FFmpegConfig = DEFAULT_FFMPEG_CONFIG,
+    private load: FFmpegLoader = loadFFmpeg,
+  ) {}
 
   async ensureFFmpeg() {
-    // Load @ffmpeg/ffmpeg from global
     if (this.ffmpeg) return;
-    const { FFmpeg } = window as any;
-    if (!FFmpeg || !FFmpeg.createFFmpeg) throw new Error('ffmpeg script not loaded');
-    const { createFFmpeg } = FFmpeg;
-    this.ffmpeg = createFFmpeg({
-      log: false,
-      corePath: 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.10.0/dist/ffmpeg-core.js',
-      // Provide a type for the destructured message parameter to satisfy strict TypeScript settings.
-      logger: ({ message }: { message?: any }) => {
-        const m = String(message || '');
-        const match = m.match(/\s(\d{1,3})%/);
-        if (match) this.onProgress(Number(match[1]));
-      },
+    this.ffmpeg = await this.load(this.config, (m) => {
+      this.logLines?.push(m);
+      this.progress?.log(m);
     });
-    await this.ffmpeg.load();
+    this.baseline = new Set(await this.ffmpeg.readdir('/'));
+  }
+
+  // Runs one ffmpeg command; `step` says which stage it belongs to and how much output it makes.
+  private async run(step: ExportStep | null, ...args: string[]) {
+    if (step) this.progress?.begin(step);
+    const running = this.ffmpeg.run(...args);
+    await (this.stopped ? Promise.race([running, this.stopped]) : running);
+    if (step) this.progress?.end();
+  }
+
+  // Stops ffmpeg mid-command. Its memory, the files of the export included, goes with it, and
+  // the next export loads it again.
+  private teardown() {
+    try {
+      this.ffmpeg?.exit();
+    } catch (e) {
+      console.warn('Stopping ffmpeg failed', e);
+    }
+    this.ffmpeg = undefined!;
+  }
+
+  // Removes the files an export wrote, so they don't pile up in memory from one export to the next.
+  private async cleanup() {
+    for (const name of await this.ffmpeg.readdir('/')) {
+      if (this.baseline.has(name)) continue;
+      try {
+        await this.ffmpeg.deleteFile(name);
+      } catch {
+        // a directory (the caption fonts), kept for the next export
+      }
+    }
+  }
+
+  // Writes the files a planned command reads, then runs it.
+  private async execute({ step, args, files = [] }: RenderCommand) {
+    for (const file of files) {
+      const dir = file.name.includes('/') ? file.name.slice(0, file.name.lastIndexOf('/')) : null;
+      if (dir && !(await this.hasFile(dir))) await this.ffmpeg.mkdir(dir);
+      if ('text' in file) {
+        await this.writeFile(file.name, new TextEncoder().encode(file.text));
+        continue;
+      }
+      const res = await fetch(file.url);
+      if (!res.ok) throw new Error(`Download of ${file.name} failed (${res.status})`);
+      await this.writeFile(file.name, await res.arrayBuffer());
+    }
+    await this.run(step, ...args);
   }
 
   private async writeFile(name: string, data: Uint8Array | ArrayBuffer | Blob) {
@@ -31,72 +138,182 @@ export class Exporter {
     if (data instanceof Uint8Array) u8 = data;
     else if (data instanceof ArrayBuffer) u8 = new Uint8Array(data);
     else u8 = new Uint8Array(await data.arrayBuffer());
-    this.ffmpeg.FS('writeFile', name, u8);
+    await this.ffmpeg.writeFile(name, u8);
   }
 
-  // Build video segments (real + freezes) via concat
-  async export({
-    videoBlob,
-    audioBlob,
-    pauses,
-    normalize = false
-  }: {
-    videoBlob: Blob;
-    audioBlob: Blob;
-    pauses: PauseRange[];
-    normalize?: boolean;
-  }): Promise<Blob> {
-    await this.ensureFFmpeg();
-    // Inputs
-    await this.writeFile('input.mp4', videoBlob);
-    await this.writeFile('voice.m4a', audioBlob);
+  private async hasFile(name: string): Promise<boolean> {
+    return (await this.ffmpeg.readdir('/')).includes(name);
+  }
 
-    // Prepare commands
+  // Runs ffmpeg on an input without an output and returns what it printed about the streams.
+  private async probe(name: string): Promise<string> {
+    this.logLines = [];
+    try {
+      await this.run(null, '-hide_banner', '-i', name);
+    } catch {
+      // ffmpeg exits with an error when no output is given; the log is all we need
+    }
+    const log = this.logLines.join('\n');
+    this.logLines = null;
+    return log;
+  }
+
+  // Timestamps of every frame of the first video stream, read without decoding.
+  private async frameIndex(name: string): Promise<FrameIndex | null> {
+    const crc = `${name}.crc`;
+    await this.run(null, '-i', name, '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', crc);
+    if (!(await this.hasFile(crc))) return null;
+    return parseFrameCrc(new TextDecoder().decode(await this.ffmpeg.readFile(crc)));
+  }
+
+  // Original audio for one piece of the output timeline, as 48 kHz stereo PCM.
+  // `to` null is the rest of the file, which ends at `end`.
+  private async originalAudioSegment(out: string, from: number, to: number | null, end: number) {
+    const range = to === null ? ['-ss', fmtTime(from)] : ['-ss', fmtTime(from), '-to', fmtTime(to)];
+    const step: ExportStep = { stage: 'audio', seconds: (to ?? end) - from, cost: COST.audio };
+    await this.run(step, '-i', 'input.mp4', ...range, '-vn', ...PCM_STEREO, out);
+    if (to !== null && !(await this.hasFile(out))) await this.silence(out, to - from);
+  }
+
+  private async silence(out: string, duration: number) {
+    const step: ExportStep = { stage: 'audio', seconds: duration, cost: COST.audio };
+    await this.run(step, '-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo', '-t', fmtTime(duration), ...PCM_STEREO, out);
+  }
+
+  // Audio under a freeze: silence, or the second before the pause repeated for its whole length.
+  private async freezeAudioSegment(out: string, p: PauseRange, mode: OriginalAudioOptions['freeze']) {
+    const loopLen = Math.min(1, p.startVideoTime);
+    if (mode === 'loop' && loopLen > 0.05) {
+      const size = Math.round(loopLen * 48000);
+      await this.run({ stage: 'audio', seconds: p.pauseDuration, cost: COST.audio },
+        '-ss', fmtTime(p.startVideoTime - loopLen), '-t', fmtTime(loopLen), '-i', 'input.mp4', '-vn',
+        '-af', `aresample=48000,aloop=loop=-1:size=${size},atrim=duration=${fmtTime(p.pauseDuration)}`,
+        ...PCM_STEREO, out);
+      if (await this.hasFile(out)) return;
+    }
+    await this.silence(out, p.pauseDuration);
+  }
+
+  // The source soundtrack laid out on the output timeline as orig_full.wav: each real segment
+  // at its exact video times, with freeze audio in between.
+  private async originalAudioTrack(pauses: PauseRange[], bed: OriginalAudioOptions, duration: number) {
+    const audioList: string[] = [];
     let last = 0;
-    let segIndex = 0;
-    const concatList: string[] = [];
-
-    function fmtTime(t:number){ return t.toFixed(3); }
-
-    for (const p of pauses) {
-      const segStart = last;
-      const segEnd = p.startVideoTime;
-      if (segEnd > segStart + 0.001) {
-        // real segment
-        const out = `seg_${segIndex++}.mp4`;
-        await this.ffmpeg.run('-i','input.mp4','-ss',fmtTime(segStart),'-to',fmtTime(segEnd),'-c','copy',out);
-        concatList.push(`file '${out}'`);
+    for (const [i, p] of sortedPauses(pauses).entries()) {
+      if (p.startVideoTime > last + 0.001) {
+        await this.originalAudioSegment(`orig_${i}.wav`, last, p.startVideoTime, duration);
+        audioList.push(`file 'orig_${i}.wav'`);
       }
-      // freeze segment from frameDataURL for pauseDuration
-      const stillPng = `still_${segIndex}.png`;
-      const b = await (await fetch(p.frameDataURL)).arrayBuffer();
-      await this.writeFile(stillPng, b);
-      const stillMp4 = `seg_${segIndex++}.mp4`;
-      const freezeFilters = ['-loop','1','-i',stillPng,'-t',fmtTime(p.pauseDuration),'-vf','format=yuv420p,scale=trunc(iw/2)*2:trunc(ih/2)*2','-r','30','-pix_fmt','yuv420p',stillMp4];
-      await this.ffmpeg.run(...freezeFilters);
-      concatList.push(`file '${stillMp4}'`);
-      last = segEnd;
+      await this.freezeAudioSegment(`orig_freeze_${i}.wav`, p, bed.freeze);
+      audioList.push(`file 'orig_freeze_${i}.wav'`);
+      last = Math.max(last, p.startVideoTime);
+    }
+    await this.originalAudioSegment('orig_tail.wav', last, null, duration);
+    if (await this.hasFile('orig_tail.wav')) audioList.push(`file 'orig_tail.wav'`);
+    await this.writeFile('list_audio.txt', new TextEncoder().encode(audioList.join('\n')));
+    await this.run(null,'-f','concat','-safe','0','-i','list_audio.txt','-c','copy','orig_full.wav');
+  }
+
+  // Output arguments that bring voice.wav to the loudness target, if any: a first loudnorm pass
+  // measures it, and the second applies a single gain where the range allows (a measurement of
+  // silence leaves loudnorm to its one-pass mode). loudnorm resamples to 192 kHz on the way.
+  private async voiceFilter(target: LoudnessTarget | null, seconds: number): Promise<string[]> {
+    if (!target) return [];
+    const lines: string[] = this.logLines = [];
+    try {
+      await this.run({ stage: 'audio', seconds, cost: COST.audio },'-i','voice.wav','-af',`${loudnormFilter(target)}:print_format=json`,'-f','null','-');
+    } finally {
+      this.logLines = null;
+    }
+    const measured = parseLoudnorm(lines.join('\n'));
+    return ['-af', loudnormFilter(target, measured ?? undefined), '-ar', '48000'];
+  }
+
+  // Narration-only export: the processed voice track in the chosen audio format.
+  private async exportNarration(format: ExportSettings, target: LoudnessTarget | null, seconds: number, metadata?: FileMetadata): Promise<Blob> {
+    const { ext, mime } = FORMATS[format.format];
+    this.progress?.plan({ ...noWork(), audio: (target ? 2 : 1) * seconds * COST.audio });
+    const audioOut = await this.voiceFilter(target, seconds);
+    await this.execute(narrationCommand(format, audioOut, seconds, metadata));
+    const data = await this.ffmpeg.readFile(`output.${ext}`);
+    return new Blob([data as BlobPart], { type: mime });
+  }
+
+  /**
+   * Renders the export. Progress goes to the constructor's callback; aborting `signal` stops
+   * ffmpeg on the spot and rejects with 'Export cancelled'.
+   */
+  async export(options: ExportOptions, signal?: AbortSignal): Promise<Blob> {
+    if (signal?.aborted) throw new Error('Export cancelled');
+    await this.ensureFFmpeg();
+    let cancel = () => {};
+    this.stopped = new Promise<never>((_, reject) => {
+      cancel = () => {
+        this.teardown();
+        reject(new Error('Export cancelled'));
+      };
+    });
+    this.stopped.catch(() => {});
+    signal?.addEventListener('abort', cancel);
+    this.progress = new ProgressTracker(this.onProgress);
+    this.syncReport = null;
+    try {
+      const blob = await this.render(options);
+      this.progress.finish();
+      return blob;
+    } catch (e) {
+      // after a teardown, whatever was running fails in its own way
+      if (signal?.aborted) throw new Error('Export cancelled');
+      throw e;
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      this.stopped = this.progress = null;
+      if (this.ffmpeg) await this.cleanup().catch(e => console.warn('Removing export files failed', e));
     }
-    // Tail segment
-    const tailOut = `seg_${segIndex++}.mp4`;
-    await this.ffmpeg.run('-i','input.mp4','-ss',fmtTime(last),'-c','copy',tailOut);
-    concatList.push(`file '${tailOut}'`);
+  }
 
-    // Write concat list
-    const concatTxt = concatList.join('\n');
-    await this.writeFile('list.txt', new TextEncoder().encode(concatTxt));
+  // Build video segments (real + freezes) via concat
+  private async render({
+    videoBlob,
+    narration,
+    pauses,
+    normalize = false,
+    loudness = loudnessTarget(DEFAULT_LOUDNESS_TARGET),
+    originalAudio,
+    captions,
+    metadata,
+    format = DEFAULT_EXPORT
+  }: ExportOptions): Promise<Blob> {
+    const settings = normalizeExport(format);
+    await this.writeFile('voice.wav', bufferToWav(monoBuffer(narration.pcm, narration.sampleRate)));
+    const narrationSeconds = narration.pcm.length / narration.sampleRate;
+    const target = normalize ? loudness : null;
+    if (!FORMATS[settings.format].video) return this.exportNarration(settings, target, narrationSeconds, metadata);
 
-    // Concat video segments
-    await this.ffmpeg.run('-f','concat','-safe','0','-i','list.txt','-c','copy','video_full.mp4');
+    // Inputs
+    await this.writeFile('input.mp4', videoBlob);
+    const info = await this.probe('input.mp4');
+    // a source without an audio stream simply has nothing to mix in
+    const bed = originalAudio && /Stream #\d+:\d+.*Audio:/.test(info) ? originalAudio : null;
+    const frames = await this.frameIndex('input.mp4');
+    const plan = planVideo(info, frames, settings, pauses);
+    const { ext, mime } = plan;
+    this.progress?.plan(videoWork(plan, { bed: !!bed, loudness: !!target, narrationSeconds, captions }));
 
-    // Optionally normalize voice (loudnorm)
-    const audioOut = normalize ? ['-af','loudnorm=I=-16:TP=-1.5:LRA=11'] : [];
-    await this.ffmpeg.run('-i','voice.m4a',...audioOut,'-c:a','aac','-b:a','192k','voice.aac');
+    for (const command of videoCommands(plan)) await this.execute(command);
+    if (bed) await this.originalAudioTrack(pauses, bed, plan.duration);
+    // the narration was recorded against exact pause times; check the frames landed there
+    const rendered = await this.frameIndex(joinedVideo(plan));
+    this.syncReport = rendered ? verifySync(plan.cuts, rendered) : null;
+    if (this.syncReport && !this.syncReport.ok) console.warn('Exported video drifts from the pauses', this.syncReport);
 
-    // Mux final
-    await this.ffmpeg.run('-i','video_full.mp4','-i','voice.aac','-map','0:v:0','-map','1:a:0','-c:v','copy','-shortest','output.mp4');
+    const audioOut = await this.voiceFilter(target, narrationSeconds);
+    const muxOut = captions ? `muxed.${ext}` : `output.${ext}`;
+    // the captions step copies the tags and chapters along from its input
+    for (const command of muxCommands(plan, { audioOut, bed, metadata, narrationSeconds, out: muxOut })) await this.execute(command);
+    if (captions) await this.execute(captionCommand(plan, muxOut, `output.${ext}`, captions));
 
-    const data = this.ffmpeg.FS('readFile', 'output.mp4');
-    return new Blob([data.buffer], { type: 'video/mp4' });
+    const data = await this.ffmpeg.readFile(`output.${ext}`);
+    return new Blob([data as BlobPart], { type: mime });
   }
 }
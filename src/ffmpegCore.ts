@@ -0,0 +1,184 @@
+// Loading ffmpeg.wasm from files served with the app (see scripts/vendor-ffmpeg.mjs).
+// Two library generations are supported behind one small interface, so the exporter does not
+// care which is deployed: 'legacy' is @ffmpeg/ffmpeg 0.10 (UMD script, createFFmpeg, a core that
+// always needs SharedArrayBuffer) and 'current' is @ffmpeg/ffmpeg 0.12+ (ES module, FFmpeg class,
+// single- or multi-threaded core). Which one is used is set in index.html (#ffmpegConfig).
+
+export interface FFmpegConfig {
+  api: 'legacy' | 'current';
+  // legacy: ffmpeg.min.js; current: the ES module entry of @ffmpeg/ffmpeg (dist/esm/index.js)
+  ffmpegURL: string;
+  // directory holding ffmpeg-core.js and ffmpeg-core.wasm (and ffmpeg-core.worker.js if multi-threaded)
+  coreURL: string;
+  // multi-threaded cores need SharedArrayBuffer, i.e. a cross-origin isolated page; legacy cores are always
+  multiThread: boolean;
+  // current API only: a single-threaded core used when SharedArrayBuffer is unavailable
+  fallbackCoreURL?: string;
+}
+
+export const DEFAULT_FFMPEG_CONFIG: FFmpegConfig = {
+  api: 'legacy',
+  ffmpegURL: './vendor/ffmpeg/ffmpeg/ffmpeg.min.js',
+  coreURL: './vendor/ffmpeg/core/',
+  multiThread: true,
+};
+
+/** What the exporter needs from ffmpeg; files live in ffmpeg's in-memory file system. */
+export interface FFmpegCore {
+  run(...args: string[]): Promise<void>;
+  writeFile(name: string, data: Uint8Array): Promise<void>;
+  readFile(name: string): Promise<Uint8Array>;
+  readdir(path: string): Promise<string[]>;
+  mkdir(path: string): Promise<void>;
+  deleteFile(name: string): Promise<void>;
+  // stops ffmpeg, even mid-command, and frees its memory; a running command never settles
+  exit(): void;
+}
+
+export function sharedMemoryAvailable(): boolean {
+  return typeof SharedArrayBuffer !== 'undefined' && (globalThis as any).crossOriginIsolated !== false;
+}
+
+/** The config that can actually run on this page; throws with the reason when none can. */
+export function usableConfig(config: FFmpegConfig): FFmpegConfig {
+  const needsShared = config.api === 'legacy' || config.multiThread;
+  if (!needsShared || sharedMemoryAvailable()) return config;
+  if (config.api === 'current' && config.fallbackCoreURL) {
+    return { ...config, coreURL: config.fallbackCoreURL, multiThread: false };
+  }
+  throw new Error('Export needs SharedArrayBuffer, which this page does not have. Serve the app with ' +
+    'Cross-Origin-Opener-Policy: same-origin and Cross-Origin-Embedder-Policy: require-corp ' +
+    '(npm run serve does), or configure a single-threaded ffmpeg core (fallbackCoreURL).');
+}
+
+// relative to the page; a worker is handed absolute ones (resolveConfig)
+function absolute(url: string): string {
+  return new URL(url, globalThis.document?.baseURI ?? globalThis.location?.href).href;
+}
+
+function coreFile(config: FFmpegConfig, name: string): string {
+  return absolute(config.coreURL.replace(/\/?$/, '/') + name);
+}
+
+/** The config with its URLs made absolute, for code that does not run on the page (a worker). */
+export function resolveConfig(config: FFmpegConfig): FFmpegConfig {
+  return {
+    ...config,
+    ffmpegURL: absolute(config.ffmpegURL),
+    coreURL: absolute(config.coreURL),
+    fallbackCoreURL: config.fallbackCoreURL && absolute(config.fallbackCoreURL),
+  };
+}
+
+/** Loads ffmpeg as configured; `onLog` receives every line ffmpeg prints. */
+export async function loadFFmpeg(config: FFmpegConfig, onLog: (line: string) => void): Promise<FFmpegCore> {
+  const usable = usableConfig(config);
+  return usable.api === 'legacy' ? loadLegacy(usable, onLog) : loadCurrent(usable, onLog);
+}
+
+function loadScript(src: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`ffmpeg library not found at ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+async function loadLegacy(config: FFmpegConfig, onLog: (line: string) => void): Promise<FFmpegCore> {
+  if (typeof document === 'undefined') return loadLegacyCore(config, onLog);
+  if (!(window as any).FFmpeg?.createFFmpeg) await loadScript(absolute(config.ffmpegURL));
+  const { createFFmpeg } = (window as any).FFmpeg;
+  const ffmpeg = createFFmpeg({
+    log: false,
+    // the .wasm and .worker.js are looked up next to the core script
+    corePath: coreFile(config, 'ffmpeg-core.js'),
+    logger: ({ message }: { message?: any }) => onLog(String(message || '')),
+  });
+  await ffmpeg.load();
+  return legacyCore(ffmpeg);
+}
+
+/**
+ * 0.10 off the page (the export worker). Its library adds the core to the page with a <script> tag,
+ * so here the core script is evaluated directly and driven the way createFFmpeg drives it: ffmpeg's
+ * main() runs on one of the core's threads and prints FFMPEG_END when a command has finished.
+ */
+async function loadLegacyCore(config: FFmpegConfig, onLog: (line: string) => void): Promise<FFmpegCore> {
+  const corePath = coreFile(config, 'ffmpeg-core.js');
+  const res = await fetch(corePath).catch(() => null);
+  if (!res?.ok) throw new Error(`ffmpeg core not found at ${corePath}`);
+  // a classic script; evaluated globally it declares createFFmpegCore
+  (0, eval)(await res.text());
+  let ended: (() => void) | null = null;
+  const print = (message: string) => {
+    onLog(message);
+    if (message === 'FFMPEG_END' && ended) {
+      ended();
+      ended = null;
+    }
+  };
+  const core = await (globalThis as any).createFFmpegCore({
+    // the core's threads load it again from here
+    mainScriptUrlOrBlob: corePath,
+    print,
+    printErr: print,
+    locateFile: (name: string) => coreFile(config, name),
+  });
+  const main = core.cwrap('proxy_main', 'number', ['number', 'number']);
+  return legacyCore({
+    run: (...args: string[]) => new Promise<void>((resolve) => {
+      ended = resolve;
+      // argv as createFFmpeg passes it: the program name, then no prompts and overwriting
+      const argv = ['./ffmpeg', '-nostdin', '-y', ...args].filter(arg => arg.length);
+      const pointers = core._malloc(argv.length * 4);
+      argv.forEach((arg, i) => {
+        const text = core._malloc(arg.length + 1);
+        core.writeAsciiToMemory(arg, text);
+        core.setValue(pointers + i * 4, text, 'i32');
+      });
+      main(argv.length, pointers);
+    }),
+    FS: (method: string, ...args: any[]) => core.FS[method](...args),
+    exit: () => core.exit(1),
+  });
+}
+
+/** The interface over a loaded 0.10 instance (createFFmpeg, or the core as loadLegacyCore drives it). */
+export function legacyCore(ffmpeg: any): FFmpegCore {
+  return {
+    run: async (...args) => { await ffmpeg.run(...args); },
+    writeFile: async (name, data) => { ffmpeg.FS('writeFile', name, data); },
+    readFile: async (name) => ffmpeg.FS('readFile', name),
+    readdir: async (path) => ffmpeg.FS('readdir', path),
+    mkdir: async (path) => { ffmpeg.FS('mkdir', path); },
+    deleteFile: async (name) => { ffmpeg.FS('unlink', name); },
+    exit: () => ffmpeg.exit(),
+  };
+}
+
+async function loadCurrent(config: FFmpegConfig, onLog: (line: string) => void): Promise<FFmpegCore> {
+  let lib: any;
+  try {
+    lib = await import(absolute(config.ffmpegURL));
+  } catch {
+    throw new Error(`ffmpeg library not found at ${config.ffmpegURL}`);
+  }
+  const ffmpeg = new lib.FFmpeg();
+  ffmpeg.on('log', ({ message }: { message: string }) => onLog(message));
+  await ffmpeg.load({
+    coreURL: coreFile(config, 'ffmpeg-core.js'),
+    wasmURL: coreFile(config, 'ffmpeg-core.wasm'),
+    workerURL: config.multiThread ? coreFile(config, 'ffmpeg-core.worker.js') : undefined,
+  });
+  return {
+    run: async (...args) => { await ffmpeg.exec(args); },
+    writeFile: async (name, data) => { await ffmpeg.writeFile(name, data); },
+    readFile: (name) => ffmpeg.readFile(name),
+    readdir: async (path) => (await ffmpeg.listDir(path)).map((entry: { name: string }) => entry.name),
+    mkdir: async (path) => { await ffmpeg.createDir(path); },
+    deleteFile: async (name) => { await ffmpeg.deleteFile(name); },
+    exit: () => ffmpeg.terminate(),
+  };
+}
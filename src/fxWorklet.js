@@ -0,0 +1,34 @@
+// AudioWorklet processor 'vpv-fx' (added by createFxNode in audioFx.ts): the effects chain on
+// the microphone while recording. Input channels are mixed down to the one mono output; a new
+// chain can be sent through the port ({ fx }) and replaces the running one.
+import { FxChain } from './audioFx.js';
+
+class FxProcessor extends AudioWorkletProcessor {
+  chain;
+
+  constructor(options) {
+    super(options);
+    this.chain = new FxChain(options.processorOptions.fx, sampleRate);
+    this.port.onmessage = (e) => {
+      this.chain = new FxChain(e.data.fx, sampleRate);
+    };
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const out = outputs[0][0];
+    if (!input.length) {
+      out.fill(0);
+    } else {
+      out.set(input[0]);
+      for (let c = 1; c < input.length; c++) {
+        for (let i = 0; i < out.length; i++) out[i] += input[c][i];
+      }
+      if (input.length > 1) for (let i = 0; i < out.length; i++) out[i] /= input.length;
+    }
+    this.chain.process(out);
+    return true;
+  }
+}
+
+registerProcessor('vpv-fx', FxProcessor);
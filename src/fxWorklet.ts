@@ -0,0 +1,41 @@
+// AudioWorklet processor 'vpv-fx' (added by createFxNode in audioFx.ts): the effects chain on
+// the microphone while recording. Input channels are mixed down to the one mono output; a new
+// chain can be sent through the port ({ fx }) and replaces the running one.
+import { FxChain, FxSettings } from './audioFx';
+
+declare const sampleRate: number;
+declare function registerProcessor(name: string, processor: unknown): void;
+declare class AudioWorkletProcessor {
+  readonly port: MessagePort;
+  constructor(options?: unknown);
+}
+
+class FxProcessor extends AudioWorkletProcessor {
+  private chain: FxChain;
+
+  constructor(options: { processorOptions: { fx: FxSettings } }) {
+    super(options);
+    this.chain = new FxChain(options.processorOptions.fx, sampleRate);
+    this.port.onmessage = (e: MessageEvent<{ fx: FxSettings }>) => {
+      this.chain = new FxChain(e.data.fx, sampleRate);
+    };
+  }
+
+  process(inputs: Float32Array[][], outputs: Float32Array[][]): boolean {
+    const input = inputs[0];
+    const out = outputs[0][0];
+    if (!input.length) {
+      out.fill(0);
+    } else {
+      out.set(input[0]);
+      for (let c = 1; c < input.length; c++) {
+        for (let i = 0; i < out.length; i++) out[i] += input[c][i];
+      }
+      if (input.length > 1) for (let i = 0; i < out.length; i++) out[i] /= input.length;
+    }
+    this.chain.process(out);
+    return true;
+  }
+}
+
+registerProcessor('vpv-fx', FxProcessor);
@@ -0,0 +1,132 @@
+// Undo/redo history for every project edit.
+// Items record the affected slice of the project before and after the edit, so the same
+// item can be applied in both directions and stored with the project. The stored form keeps
+// take metadata only; the media is kept by take id alongside the project's other takes.
+export const HISTORY_LIMIT = 100;
+const MERGE_WINDOW = 1000; // ms; repeated edits of the same control collapse into one step
+
+export function emptyHistory() {
+  return { undo: [], redo: [] };
+}
+
+export class CommandHistory {
+  undoStack = [];
+  redoStack = [];
+  lastKey = null;
+  lastAt = 0;
+  onChange = null;
+
+  constructor(apply, limit = HISTORY_LIMIT) {
+    this.apply = apply;
+
+    this.limit = limit;
+  }
+
+  /**
+   * Adds an edit that has already been applied and drops the redo stack. Edits with the same
+   * mergeKey in quick succession (slider steps, repeated nudges) become a single step.
+   */
+  record(item, mergeKey) {
+    const top = this.undoStack[this.undoStack.length - 1];
+    const now = Date.now();
+    if (mergeKey && mergeKey === this.lastKey && now - this.lastAt < MERGE_WINDOW && top?.type === item.type && item.type !== 'batch') {
+      Object.assign(top, { to: item.to });
+    } else {
+      this.undoStack.push(item);
+      if (this.undoStack.length > this.limit) this.undoStack.splice(0, this.undoStack.length - this.limit);
+    }
+    this.lastKey = mergeKey ?? null;
+    this.lastAt = now;
+    this.redoStack = [];
+    this.onChange?.();
+  }
+
+  undo() {
+    const item = this.undoStack.pop();
+    if (!item) return null;
+    this.run(item, 'from');
+    this.redoStack.push(item);
+    this.lastKey = null;
+    this.onChange?.();
+    return item;
+  }
+
+  redo() {
+    const item = this.redoStack.pop();
+    if (!item) return null;
+    this.run(item, 'to');
+    this.undoStack.push(item);
+    this.lastKey = null;
+    this.onChange?.();
+    return item;
+  }
+
+  run(item, side) {
+    if (item.type !== 'batch') { this.apply(item, side); return; }
+    const steps = side === 'from' ? [...item.items].reverse() : item.items;
+    for (const step of steps) this.apply(step, side);
+  }
+
+  peekUndo() { return this.undoStack[this.undoStack.length - 1] ?? null; }
+  peekRedo() { return this.redoStack[this.redoStack.length - 1] ?? null; }
+
+  snapshot() {
+    return { undo: [...this.undoStack], redo: [...this.redoStack] };
+  }
+
+  load(history) {
+    this.undoStack = history.undo.slice(-this.limit);
+    this.redoStack = history.redo.slice(-this.limit);
+    this.lastKey = null;
+    this.onChange?.();
+  }
+}
+
+/** The stored form of a history, plus every take it references (deleted ones included). */
+export function serializeHistory(history) {
+  const takes = new Map();
+  const metas = (list) => list.map(({ blob, pcm, ...meta }) => {
+    takes.set(meta.id, { ...meta, blob, pcm });
+    return meta;
+  });
+  const storeStep = (s) => s.type === 'takes' ? { ...s, from: metas(s.from), to: metas(s.to) } : s;
+  const storeItem = (item) =>
+    item.type === 'batch' ? { ...item, items: item.items.map(storeStep) } : storeStep(item);
+  const stored = { undo: history.undo.map(storeItem), redo: history.redo.map(storeItem) };
+  return { stored, takes: [...takes.values()] };
+}
+
+function storedSteps(item) {
+  return item.type === 'batch' ? item.items : [item];
+}
+
+/** Ids of all takes a stored history refers to. */
+export function historyTakeIds(stored) {
+  const ids = new Set();
+  for (const item of stored ? [...stored.undo, ...stored.redo] : []) {
+    for (const s of storedSteps(item)) {
+      if (s.type === 'takes') for (const t of [...s.from, ...s.to]) ids.add(t.id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Rebuilds a history from its stored form. A step whose takes are gone can't be applied,
+ * and neither can anything beyond it, so each stack is cut just above the last such item.
+ */
+export function restoreHistory(stored, media) {
+  if (!stored) return emptyHistory();
+  const resolvable = (item) => storedSteps(item)
+    .every(s => s.type !== 'takes' || [...s.from, ...s.to].every(t => media.has(t.id)));
+  const withMedia = (list) => list.map(t => ({ ...t, ...media.get(t.id) }));
+  const restoreStep = (s) =>
+    s.type === 'takes' ? { ...s, from: withMedia(s.from), to: withMedia(s.to) } : s;
+  const restoreStack = (stack) => {
+    let first = 0;
+    stack.forEach((item, i) => { if (!resolvable(item)) first = i + 1; });
+    return stack.slice(first).map(item =>
+      item.type === 'batch' ? { ...item, items: item.items.map(restoreStep) } : restoreStep(item));
+  };
+  return { undo: restoreStack(stored.undo), redo: restoreStack(stored.redo) };
+}
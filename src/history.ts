@@ -0,0 +1,158 @@
+// Undo/redo history for every project edit.
+// Items record the affected slice of the project before and after the edit, so the same
+// item can be applied in both directions and stored with the project. The stored form keeps
+// take metadata only; the media is kept by take id alongside the project's other takes.
+import { PauseRange } from './exporter';
+import { Take } from './takes';
+import { Caption } from './captions';
+import { Chapter } from './chapters';
+import { ProjectSettings } from './projectStore';
+
+export const HISTORY_LIMIT = 100;
+const MERGE_WINDOW = 1000; // ms; repeated edits of the same control collapse into one step
+
+export interface TrimRange { start: number; end: number; }
+
+export type HistoryStep =
+  | { type: 'trim'; label: string; from: TrimRange; to: TrimRange }
+  | { type: 'pauses'; label: string; from: PauseRange[]; to: PauseRange[] }
+  | { type: 'takes'; label: string; from: Take[]; to: Take[] }
+  | { type: 'captions'; label: string; from: Caption[]; to: Caption[] }
+  | { type: 'chapters'; label: string; from: Chapter[]; to: Chapter[] }
+  | { type: 'settings'; label: string; from: ProjectSettings; to: ProjectSettings };
+
+// a batch is undone as one step, e.g. a recording that added a take and some freezes
+export type HistoryItem = HistoryStep | { type: 'batch'; label: string; items: HistoryStep[] };
+
+export interface ProjectHistory { undo: HistoryItem[]; redo: HistoryItem[]; }
+
+export type TakeMeta = Omit<Take, 'blob' | 'pcm'>;
+export type TakeMedia = Pick<Take, 'blob' | 'pcm'>;
+
+type StoredStep =
+  | Exclude<HistoryStep, { type: 'takes' }>
+  | { type: 'takes'; label: string; from: TakeMeta[]; to: TakeMeta[] };
+export type StoredHistoryItem = StoredStep | { type: 'batch'; label: string; items: StoredStep[] };
+export interface StoredHistory { undo: StoredHistoryItem[]; redo: StoredHistoryItem[]; }
+
+export function emptyHistory(): ProjectHistory {
+  return { undo: [], redo: [] };
+}
+
+export class CommandHistory {
+  private undoStack: HistoryItem[] = [];
+  private redoStack: HistoryItem[] = [];
+  private lastKey: string | null = null;
+  private lastAt = 0;
+  onChange: (() => void) | null = null;
+
+  constructor(private apply: (step: HistoryStep, side: 'from' | 'to') => void, private limit = HISTORY_LIMIT) {}
+
+  /**
+   * Adds an edit that has already been applied and drops the redo stack. Edits with the same
+   * mergeKey in quick succession (slider steps, repeated nudges) become a single step.
+   */
+  record(item: HistoryItem, mergeKey?: string) {
+    const top = this.undoStack[this.undoStack.length - 1];
+    const now = Date.now();
+    if (mergeKey && mergeKey === this.lastKey && now - this.lastAt < MERGE_WINDOW && top?.type === item.type && item.type !== 'batch') {
+      Object.assign(top, { to: item.to });
+    } else {
+      this.undoStack.push(item);
+      if (this.undoStack.length > this.limit) this.undoStack.splice(0, this.undoStack.length - this.limit);
+    }
+    this.lastKey = mergeKey ?? null;
+    this.lastAt = now;
+    this.redoStack = [];
+    this.onChange?.();
+  }
+
+  undo(): HistoryItem | null {
+    const item = this.undoStack.pop();
+    if (!item) return null;
+    this.run(item, 'from');
+    this.redoStack.push(item);
+    this.lastKey = null;
+    this.onChange?.();
+    return item;
+  }
+
+  redo(): HistoryItem | null {
+    const item = this.redoStack.pop();
+    if (!item) return null;
+    this.run(item, 'to');
+    this.undoStack.push(item);
+    this.lastKey = null;
+    this.onChange?.();
+    return item;
+  }
+
+  private run(item: HistoryItem, side: 'from' | 'to') {
+    if (item.type !== 'batch') { this.apply(item, side); return; }
+    const steps = side === 'from' ? [...item.items].reverse() : item.items;
+    for (const step of steps) this.apply(step, side);
+  }
+
+  peekUndo(): HistoryItem | null { return this.undoStack[this.undoStack.length - 1] ?? null; }
+  peekRedo(): HistoryItem | null { return this.redoStack[this.redoStack.length - 1] ?? null; }
+
+  snapshot(): ProjectHistory {
+    return { undo: [...this.undoStack], redo: [...this.redoStack] };
+  }
+
+  load(history: ProjectHistory) {
+    this.undoStack = history.undo.slice(-this.limit);
+    this.redoStack = history.redo.slice(-this.limit);
+    this.lastKey = null;
+    this.onChange?.();
+  }
+}
+
+/** The stored form of a history, plus every take it references (deleted ones included). */
+export function serializeHistory(history: ProjectHistory): { stored: StoredHistory; takes: Take[] } {
+  const takes = new Map<string, Take>();
+  const metas = (list: Take[]) => list.map(({ blob, pcm, ...meta }) => {
+    takes.set(meta.id, { ...meta, blob, pcm });
+    return meta;
+  });
+  const storeStep = (s: HistoryStep): StoredStep => s.type === 'takes' ? { ...s, from: metas(s.from), to: metas(s.to) } : s;
+  const storeItem = (item: HistoryItem): StoredHistoryItem =>
+    item.type === 'batch' ? { ...item, items: item.items.map(storeStep) } : storeStep(item);
+  const stored = { undo: history.undo.map(storeItem), redo: history.redo.map(storeItem) };
+  return { stored, takes: [...takes.values()] };
+}
+
+function storedSteps(item: StoredHistoryItem): StoredStep[] {
+  return item.type === 'batch' ? item.items : [item];
+}
+
+/** Ids of all takes a stored history refers to. */
+export function historyTakeIds(stored: StoredHistory | undefined): string[] {
+  const ids = new Set<string>();
+  for (const item of stored ? [...stored.undo, ...stored.redo] : []) {
+    for (const s of storedSteps(item)) {
+      if (s.type === 'takes') for (const t of [...s.from, ...s.to]) ids.add(t.id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Rebuilds a history from its stored form. A step whose takes are gone can't be applied,
+ * and neither can anything beyond it, so each stack is cut just above the last such item.
+ */
+export function restoreHistory(stored: StoredHistory | undefined, media: Map<string, TakeMedia>): ProjectHistory {
+  if (!stored) return emptyHistory();
+  const resolvable = (item: StoredHistoryItem) => storedSteps(item)
+    .every(s => s.type !== 'takes' || [...s.from, ...s.to].every(t => media.has(t.id)));
+  const withMedia = (list: TakeMeta[]): Take[] => list.map(t => ({ ...t, ...media.get(t.id)! }));
+  const restoreStep = (s: StoredStep): HistoryStep =>
+    s.type === 'takes' ? { ...s, from: withMedia(s.from), to: withMedia(s.to) } : s;
+  const restoreStack = (stack: StoredHistoryItem[]): HistoryItem[] => {
+    let first = 0;
+    stack.forEach((item, i) => { if (!resolvable(item)) first = i + 1; });
+    return stack.slice(first).map(item =>
+      item.type === 'batch' ? { ...item, items: item.items.map(restoreStep) } : restoreStep(item));
+  };
+  return { undo: restoreStack(stored.undo), redo: restoreStack(stored.redo) };
+}
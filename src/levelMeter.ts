@@ -0,0 +1,115 @@
+// Microphone level while recording: RMS and peak bars in dBFS with a falling peak hold, and a
+// clip light that stays on until it is clicked. It reads an AnalyserNode once per animation
+// frame and hands each frame's samples on (onBlock), which the live waveform draws.
+
+export const METER_FLOOR_DB = -60;
+// a sample this close to full scale has most likely been clipped on the way in
+const CLIP_LEVEL = 0.999;
+const HOLD_MS = 1500;
+const FALL_DB_PER_S = 20;
+
+export function toDb(level: number): number {
+  return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+/** Peak and RMS of a block, linear. */
+export function levels(block: Float32Array): { peak: number; rms: number } {
+  let peak = 0, sum = 0;
+  for (let i = 0; i < block.length; i++) {
+    const v = Math.abs(block[i]);
+    if (v > peak) peak = v;
+    sum += v * v;
+  }
+  return { peak, rms: block.length ? Math.sqrt(sum / block.length) : 0 };
+}
+
+export class LevelMeter {
+  // the scale is lit up to the RMS level, dimly up to the peak, and covered above it
+  private rmsCover: HTMLDivElement;
+  private peakCover: HTMLDivElement;
+  private holdMark: HTMLDivElement;
+  private text: HTMLSpanElement;
+  private clipLight: HTMLButtonElement;
+  private analyser: AnalyserNode | null = null;
+  private block = new Float32Array(0);
+  private frame = 0;
+  private last = 0;
+  private hold = { db: -Infinity, at: 0 };
+  /** The samples of every frame, and the seconds since the previous one. */
+  onBlock: ((block: Float32Array, seconds: number) => void) | null = null;
+
+  constructor(private el: HTMLElement) {
+    el.classList.add('level-meter');
+    const track = document.createElement('div');
+    track.className = 'level-track';
+    this.rmsCover = document.createElement('div');
+    this.rmsCover.className = 'level-rms';
+    this.peakCover = document.createElement('div');
+    this.peakCover.className = 'level-peak';
+    this.holdMark = document.createElement('div');
+    this.holdMark.className = 'level-hold';
+    track.append(this.rmsCover, this.peakCover, this.holdMark);
+    this.text = document.createElement('span');
+    this.text.className = 'level-text';
+    this.clipLight = document.createElement('button');
+    this.clipLight.type = 'button';
+    this.clipLight.className = 'level-clip';
+    this.clipLight.textContent = 'CLIP';
+    this.clipLight.title = 'הקול נחתך – הנמיכו את עוצמת המיקרופון. לחיצה מאפסת';
+    this.clipLight.addEventListener('click', () => this.clipLight.classList.remove('on'));
+    el.append(track, this.text, this.clipLight);
+    this.reset();
+  }
+
+  start(analyser: AnalyserNode) {
+    this.stop();
+    this.analyser = analyser;
+    this.block = new Float32Array(analyser.fftSize);
+    this.clipLight.classList.remove('on');
+    this.el.classList.add('active');
+    this.last = performance.now();
+    const tick = (now: number) => {
+      this.update(now);
+      this.frame = requestAnimationFrame(tick);
+    };
+    this.frame = requestAnimationFrame(tick);
+  }
+
+  /** Stops reading; the clip light stays as it was so a clip at the very end is still seen. */
+  stop() {
+    cancelAnimationFrame(this.frame);
+    this.frame = 0;
+    this.analyser = null;
+    this.el.classList.remove('active');
+    this.reset();
+  }
+
+  private reset() {
+    this.hold = { db: -Infinity, at: 0 };
+    this.show(-Infinity, -Infinity);
+  }
+
+  private update(now: number) {
+    if (!this.analyser) return;
+    this.analyser.getFloatTimeDomainData(this.block);
+    const { peak, rms } = levels(this.block);
+    if (peak >= CLIP_LEVEL) this.clipLight.classList.add('on');
+    const peakDb = toDb(peak);
+    const seconds = (now - this.last) / 1000;
+    this.last = now;
+    // the hold stays up for a moment, then falls until a new peak catches it
+    if (peakDb >= this.hold.db) this.hold = { db: peakDb, at: now };
+    else if (now - this.hold.at > HOLD_MS) this.hold.db -= FALL_DB_PER_S * seconds;
+    this.show(toDb(rms), peakDb);
+    this.onBlock?.(this.block, seconds);
+  }
+
+  private show(rmsDb: number, peakDb: number) {
+    const at = (db: number) => Math.max(0, Math.min(1, 1 - db / METER_FLOOR_DB)) * 100;
+    this.rmsCover.style.width = `${100 - at(rmsDb)}%`;
+    this.peakCover.style.width = `${100 - at(peakDb)}%`;
+    this.holdMark.style.insetInlineStart = `${at(this.hold.db)}%`;
+    const fmt = (db: number) => (db > METER_FLOOR_DB ? db.toFixed(0) : '-∞');
+    this.text.textContent = `שיא ${fmt(this.hold.db)} · RMS ${fmt(rmsDb)} dBFS`;
+  }
+}
@@ -0,0 +1,174 @@
+// Loudness of the narration after ITU-R BS.1770-4 and EBU Tech 3341/3342: integrated loudness
+// (LUFS), true peak (dBTP) and loudness range (LU), measured in the page so they can be shown
+// while editing. Exports reach a target through ffmpeg's loudnorm in two passes: the first
+// measures, the second applies one linear gain where the range allows it.
+
+export const LOUDNESS_TARGETS = [
+  { id: 'youtube', label: 'YouTube / רשתות (‎-14 LUFS)', integrated: -14, truePeak: -1, lra: 11 },
+  { id: 'podcast', label: 'פודקאסט (‎-16 LUFS)', integrated: -16, truePeak: -1.5, lra: 11 },
+  { id: 'broadcast', label: 'שידור EBU R128 (‎-23 LUFS)', integrated: -23, truePeak: -1, lra: 18 },
+];
+
+// the target exports were normalized to before targets could be chosen
+export const DEFAULT_LOUDNESS_TARGET = 'podcast';
+
+export function loudnessTarget(id) {
+  return LOUDNESS_TARGETS.find(t => t.id === id) ?? LOUDNESS_TARGETS.find(t => t.id === DEFAULT_LOUDNESS_TARGET);
+}
+
+// --- K-weighting ---
+
+// BS.1770 pre-filter (high shelf) and RLB weighting (high pass), derived for any sample rate.
+function kWeighting(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  return [shelf, highpass];
+}
+
+// Mean square of the K-weighted signal over consecutive 100 ms steps.
+function stepPowers(pcm, sampleRate) {
+  const step = Math.round(sampleRate / 10);
+  const powers = new Float64Array(Math.floor(pcm.length / step));
+  const [f1, f2] = kWeighting(sampleRate);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+  for (let s = 0; s < powers.length; s++) {
+    let sum = 0;
+    for (let i = s * step; i < (s + 1) * step; i++) {
+      const x = pcm[i];
+      const y = f1.b[0] * x + f1.b[1] * x1 + f1.b[2] * x2 - f1.a[0] * y1 - f1.a[1] * y2;
+      const z = y - 2 * y1 + y2 - f2.a[0] * z1 - f2.a[1] * z2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      z2 = z1; z1 = z;
+      sum += z * z;
+    }
+    powers[s] = sum / step;
+  }
+  return powers;
+}
+
+// Mean power of every `steps`-long window, moving one step at a time.
+function windows(powers, steps) {
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < powers.length; i++) {
+    sum += powers[i];
+    if (i >= steps) sum -= powers[i - steps];
+    if (i >= steps - 1) out.push(sum / steps);
+  }
+  return out;
+}
+
+const lufs = (power) => -0.691 + 10 * Math.log10(power);
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+const ABSOLUTE_GATE = -70;
+
+function integrated(blocks) {
+  const audible = blocks.filter(p => lufs(p) > ABSOLUTE_GATE);
+  if (!audible.length) return { loudness: -Infinity, threshold: -Infinity };
+  const threshold = lufs(mean(audible)) - 10;
+  const gated = audible.filter(p => lufs(p) > threshold);
+  return { loudness: lufs(mean(gated)), threshold };
+}
+
+// EBU Tech 3342: spread between the 10th and 95th percentile of the 3 s loudness, gated 20 LU
+// below its mean.
+function loudnessRange(shortTerm) {
+  const audible = shortTerm.filter(p => lufs(p) > ABSOLUTE_GATE);
+  if (!audible.length) return 0;
+  const threshold = lufs(mean(audible)) - 20;
+  const values = audible.map(lufs).filter(l => l > threshold).sort((a, b) => a - b);
+  const at = (q) => values[Math.min(values.length - 1, Math.round(q * (values.length - 1)))];
+  return at(0.95) - at(0.1);
+}
+
+// --- True peak ---
+
+// Peaks between samples, found by 4x oversampling with a windowed-sinc interpolator.
+const OVERSAMPLE = 4;
+const TAPS = 12; // per phase
+const PHASES = Array.from({ length: OVERSAMPLE - 1 }, (_, p) => {
+  const frac = (p + 1) / OVERSAMPLE;
+  return Float64Array.from({ length: TAPS }, (_, k) => {
+    const t = k - TAPS / 2 + 1 - frac;
+    const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+    const w = 0.5 + 0.5 * Math.cos((Math.PI * t) / (TAPS / 2));
+    return sinc * w;
+  });
+});
+
+function truePeak(pcm, sampleRate) {
+  let peak = 0;
+  for (let i = 0; i < pcm.length; i++) peak = Math.max(peak, Math.abs(pcm[i]));
+  // above 96 kHz the samples are close enough together
+  if (sampleRate < 96000) {
+    // a peak between samples is at most a few dB above its neighbours, so only the stretches
+    // near the sample peak are interpolated
+    const near = peak / 2;
+    for (let i = TAPS / 2 - 1; i + TAPS / 2 < pcm.length; i++) {
+      if (Math.abs(pcm[i]) < near && Math.abs(pcm[i + 1]) < near) continue;
+      const from = i - TAPS / 2 + 1;
+      for (const phase of PHASES) {
+        let v = 0;
+        for (let k = 0; k < TAPS; k++) v += phase[k] * pcm[from + k];
+        if (v > peak) peak = v;
+        else if (-v > peak) peak = -v;
+      }
+    }
+  }
+  return 20 * Math.log10(peak);
+}
+
+/** Loudness of mono PCM. Shorter than one 400 ms block measures as silence. */
+export function measureLoudness(pcm, sampleRate) {
+  const powers = stepPowers(pcm, sampleRate);
+  const { loudness, threshold } = integrated(windows(powers, 4));
+  return {
+    integrated: loudness,
+    truePeak: truePeak(pcm, sampleRate),
+    lra: loudnessRange(windows(powers, 30)),
+    threshold,
+  };
+}
+
+// --- ffmpeg loudnorm ---
+
+/** The loudnorm filter for `target`; with a measurement it is the second, linear pass. */
+export function loudnormFilter(target, measured) {
+  const base = `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`;
+  if (!measured) return base;
+  return `${base}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}`
+    + `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
+}
+
+/** The measurement in an ffmpeg log of the first pass; null when absent or not finite (silence). */
+export function parseLoudnorm(log) {
+  const start = log.lastIndexOf('{');
+  const end = log.indexOf('}', start);
+  if (start < 0 || end < 0) return null;
+  let json;
+  try {
+    json = JSON.parse(log.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+  const keys = ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'];
+  const m = {};
+  for (const key of keys) {
+    const v = Number(json[key]);
+    if (!Number.isFinite(v)) return null;
+    m[key] = v;
+  }
+  return m;
+}
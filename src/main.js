@@ -2,27 +2,182 @@
 // Provides video upload, voice‑over recording with pause/resume and export functionality.
 
 import { Waveform } from './waveform.js';
-import { Exporter } from './exporter.js';
+import { LevelMeter } from './levelMeter.js';
+import { ScreenRecorder, DEFAULT_CAPTURE } from './screenRecorder.js';
+import { PauseTimeline } from './pauseTimeline.js';
+import { pauseOrResume, videoPaused, videoPlayed } from './pauseToggle.js';
+import { AnnotationEditor } from './annotationEditor.js';
+import { KIND_LABELS, ANNOTATION_COLORS, drawAnnotated, withStills } from './annotations.js';
+import { Preview } from './preview.js';
+import { ExportRunner } from './exportJob.js';
+import { STAGE_LABELS, formatEta } from './exportProgress.js';
+import { ExportQueue, safeFileName } from './exportQueue.js';
+import { createZip } from './zip.js';
+import { DEFAULT_FFMPEG_CONFIG } from './ffmpegCore.js';
+import { SAMPLE_RATE, takeId, takeStart, takeDuration, composeNarration, narrationLength, decodeToPCM } from './takes.js';
+import { videoToOutputTime, outputToVideoTime, freezeAt, freezeSpans } from './timeline.js';
+import { placeCaption, captionCue, captionCues, cueAt, toSRT, toVTT } from './captions.js';
+import { chapterId, placeChapter, chapterStart, chapterMarks, toYouTubeChapters, youTubeAccepts, YOUTUBE_MIN_CHAPTERS, YOUTUBE_MIN_LENGTH } from './chapters.js';
+import { WorkerEngine, modelInstalled, toOutputTime, wordsToCaptions, searchWords } from './transcribe.js';
+import { EXPORT_PRESETS, FORMATS, normalizeExport, copiesVideo, matchPreset, predictSize, formatBytes } from './exportPresets.js';
+import { ProjectStore, DEFAULT_SETTINGS, emptyProject, normalizeSettings } from './projectStore.js';
+import { LOUDNESS_TARGETS, loudnessTarget, measureLoudness } from './loudness.js';
+import { FX_PRESETS, applyFxPreset, matchFxPreset, learnNoiseProfile, processOffline, createFxNode } from './audioFx.js';
+import { bufferToWav, monoBuffer } from './wav.js';
+import { detectGaps, cuttableLength, planGapCuts, applyGapCuts, silenceTrim } from './silence.js';
+import { projectToBundle, bundleToProject, BUNDLE_EXTENSION } from './bundle.js';
+import { CommandHistory } from './history.js';
+import { RecordingJournal, liveRecordings, recordingId, replayJournal, unsavedPauses, unsavedChapters } from './recordingJournal.js';
 
 // DOM references
 const videoEl = document.getElementById('video');
 const badge = document.getElementById('recordBadge');
+const countdownEl = document.getElementById('countdown');
+const inputDeviceSel = document.getElementById('inputDeviceSel');
+const countInSel = document.getElementById('countInSel');
+const freezeOverlay = document.getElementById('freezeOverlay');
+const captionOverlay = document.getElementById('captionOverlay');
+const annotationOverlay = document.getElementById('annotationOverlay');
+const previewBtn = document.getElementById('previewBtn');
 const startRecBtn = document.getElementById('startRec');
 const togglePauseBtn = document.getElementById('togglePause');
 const exportBtn = document.getElementById('exportBtn');
 const fileInput = document.getElementById('videoFile');
 const dropzone = document.getElementById('dropzone');
+const screenCaptureBtn = document.getElementById('screenCaptureBtn');
+const webcamChk = document.getElementById('webcamChk');
+const pipCornerSel = document.getElementById('pipCornerSel');
+const systemAudioChk = document.getElementById('systemAudioChk');
 const playerArea = document.getElementById('playerArea');
 const progressWrap = document.getElementById('progressWrap');
 const progressBar = document.getElementById('progress');
 const progressText = document.getElementById('progressText');
+const stopExportBtn = document.getElementById('stopExportBtn');
 const waveCanvas = document.getElementById('wave');
+const pauseCanvas = document.getElementById('pauseTimeline');
+const insertPauseBtn = document.getElementById('insertPauseBtn');
+const deletePauseBtn = document.getElementById('deletePauseBtn');
+const annotateBtn = document.getElementById('annotateBtn');
+const annotationDialog = document.getElementById('annotationDialog');
+const annotationToolSel = document.getElementById('annotationToolSel');
+const annotationColor = document.getElementById('annotationColor');
+const annotationColors = document.getElementById('annotationColors');
+const deleteAnnotationBtn = document.getElementById('deleteAnnotationBtn');
+const annotationFields = document.getElementById('annotationFields');
+const annotationTextLabel = document.getElementById('annotationTextLabel');
+const annotationText = document.getElementById('annotationText');
+const annotationAppear = document.getElementById('annotationAppear');
+const annotationAnimate = document.getElementById('annotationAnimate');
+const annotationPlayBtn = document.getElementById('annotationPlayBtn');
+const annotationTime = document.getElementById('annotationTime');
+const annotationTimeText = document.getElementById('annotationTimeText');
+const saveAnnotationsBtn = document.getElementById('saveAnnotationsBtn');
+const closeAnnotationsBtn = document.getElementById('closeAnnotationsBtn');
 const trimSilenceBtn = document.getElementById('trimSilence');
+const zoomInBtn = document.getElementById('zoomInBtn');
+const zoomOutBtn = document.getElementById('zoomOutBtn');
+const zoomFitBtn = document.getElementById('zoomFitBtn');
 const undoBtn = document.getElementById('undoBtn');
 const redoBtn = document.getElementById('redoBtn');
 const normalizeChk = document.getElementById('normalizeChk');
-const denoiseChk = document.getElementById('denoiseChk');
+const loudnessTargetSel = document.getElementById('loudnessTargetSel');
+const loudnessMeter = document.getElementById('loudnessMeter');
+const fxPresetSel = document.getElementById('fxPresetSel');
+const fxSavePresetBtn = document.getElementById('fxSavePresetBtn');
+const fxDeletePresetBtn = document.getElementById('fxDeletePresetBtn');
+const fxLiveChk = document.getElementById('fxLiveChk');
+const fxNoiseChk = document.getElementById('fxNoiseChk');
+const fxNoiseReduction = document.getElementById('fxNoiseReduction');
+const fxNoiseSensitivity = document.getElementById('fxNoiseSensitivity');
+const fxLearnBtn = document.getElementById('fxLearnBtn');
+const fxForgetBtn = document.getElementById('fxForgetBtn');
+const fxProfileText = document.getElementById('fxProfileText');
+const fxGateChk = document.getElementById('fxGateChk');
+const fxGateThreshold = document.getElementById('fxGateThreshold');
+const fxEqChk = document.getElementById('fxEqChk');
+const fxHighpassSel = document.getElementById('fxHighpassSel');
+const fxBands = document.getElementById('fxBands');
+const fxDeesserChk = document.getElementById('fxDeesserChk');
+const fxDeesserThreshold = document.getElementById('fxDeesserThreshold');
+const fxLimiterChk = document.getElementById('fxLimiterChk');
+const fxLimiterCeiling = document.getElementById('fxLimiterCeiling');
+const fxApplyBtn = document.getElementById('fxApplyBtn');
+const fxStatus = document.getElementById('fxStatus');
 const autosaveChk = document.getElementById('autosaveChk');
+const keepOriginalChk = document.getElementById('keepOriginalChk');
+const bedLevel = document.getElementById('bedLevel');
+const bedLevelText = document.getElementById('bedLevelText');
+const duckChk = document.getElementById('duckChk');
+const freezeAudioSel = document.getElementById('freezeAudioSel');
+const punchBtn = document.getElementById('punchBtn');
+const takeList = document.getElementById('takeList');
+const silenceThreshold = document.getElementById('silenceThreshold');
+const silenceThresholdText = document.getElementById('silenceThresholdText');
+const silenceMinGap = document.getElementById('silenceMinGap');
+const silenceMinGapText = document.getElementById('silenceMinGapText');
+const silenceMaxGap = document.getElementById('silenceMaxGap');
+const silenceMaxGapText = document.getElementById('silenceMaxGapText');
+const silenceFindBtn = document.getElementById('silenceFindBtn');
+const silenceShortenBtn = document.getElementById('silenceShortenBtn');
+const silenceRemoveBtn = document.getElementById('silenceRemoveBtn');
+const silenceStatus = document.getElementById('silenceStatus');
+const gapList = document.getElementById('gapList');
+const captionList = document.getElementById('captionList');
+const addCaptionBtn = document.getElementById('addCaptionBtn');
+const srtBtn = document.getElementById('srtBtn');
+const vttBtn = document.getElementById('vttBtn');
+const captionModeSel = document.getElementById('captionModeSel');
+const chapterList = document.getElementById('chapterList');
+const addChapterBtn = document.getElementById('addChapterBtn');
+const youTubeChaptersBtn = document.getElementById('youTubeChaptersBtn');
+const metaTitle = document.getElementById('metaTitle');
+const metaAuthor = document.getElementById('metaAuthor');
+const exportDialog = document.getElementById('exportDialog');
+const exportPresetSel = document.getElementById('exportPresetSel');
+const exportFormatSel = document.getElementById('exportFormatSel');
+const exportVideoFields = document.getElementById('exportVideoFields');
+const exportQualitySel = document.getElementById('exportQualitySel');
+const exportCrfLabel = document.getElementById('exportCrfLabel');
+const exportCrf = document.getElementById('exportCrf');
+const exportBitrateLabel = document.getElementById('exportBitrateLabel');
+const exportBitrate = document.getElementById('exportBitrate');
+const exportHeightSel = document.getElementById('exportHeightSel');
+const exportFpsSel = document.getElementById('exportFpsSel');
+const exportAudioSel = document.getElementById('exportAudioSel');
+const exportEstimate = document.getElementById('exportEstimate');
+const startExportBtn = document.getElementById('startExportBtn');
+const queueExportBtn = document.getElementById('queueExportBtn');
+const cancelExportBtn = document.getElementById('cancelExportBtn');
+const transcriptPanel = document.getElementById('transcriptPanel');
+const transcribeBtn = document.getElementById('transcribeBtn');
+const transcriptCaptionsBtn = document.getElementById('transcriptCaptionsBtn');
+const transcriptSearch = document.getElementById('transcriptSearch');
+const transcriptStatus = document.getElementById('transcriptStatus');
+const transcriptEl = document.getElementById('transcript');
+const projectNameEl = document.getElementById('projectName');
+const libraryBtn = document.getElementById('libraryBtn');
+const libraryDialog = document.getElementById('libraryDialog');
+const projectList = document.getElementById('projectList');
+const newProjectBtn = document.getElementById('newProjectBtn');
+const closeLibraryBtn = document.getElementById('closeLibraryBtn');
+const exportBundleBtn = document.getElementById('exportBundleBtn');
+const bundleVideoChk = document.getElementById('bundleVideoChk');
+const importBundleInput = document.getElementById('importBundle');
+const queueBtn = document.getElementById('queueBtn');
+const queueDialog = document.getElementById('queueDialog');
+const queueProjectSel = document.getElementById('queueProjectSel');
+const queuePresetSel = document.getElementById('queuePresetSel');
+const queueAddBtn = document.getElementById('queueAddBtn');
+const queueList = document.getElementById('queueList');
+const queueDownloadAllBtn = document.getElementById('queueDownloadAllBtn');
+const queueClearBtn = document.getElementById('queueClearBtn');
+const closeQueueBtn = document.getElementById('closeQueueBtn');
+const recoveryDialog = document.getElementById('recoveryDialog');
+const recoveryText = document.getElementById('recoveryText');
+const recoveryScreenNote = document.getElementById('recoveryScreenNote');
+const recoverBtn = document.getElementById('recoverBtn');
+const discardRecoveryBtn = document.getElementById('discardRecoveryBtn');
+const laterRecoveryBtn = document.getElementById('laterRecoveryBtn');
 const versionEl = document.getElementById('version');
 
 
@@ -31,42 +186,74 @@ fetch('./package.json')
     .then(pkg => { versionEl.textContent = `v${pkg.version}`; })
     .catch(() => {});
 
-// Additional elements and state for live duration display and waveform during recording.
-// The durationEl element shows the running length of the narration while recording.  The
-// analyser, analyserData and animationFrameId variables drive a real‑time waveform and
-// duration update via requestAnimationFrame.  recordStartTime stores when recording began.
+// The durationEl element shows the length of the narration, and the running length while
+// recording.  recordStartTime is performance.now() when the recorder started, 0 when it isn't running.
 const durationEl = document.getElementById('audioDuration');
-let analyser = null;
-let analyserData = null;
-let animationFrameId = 0;
 let recordStartTime = 0;
+// The running recording's journal in IndexedDB, which keeps the take safe from a closed tab.
+let journal = null;
 
 // Instantiate waveform renderer
 const waveform = new Waveform(waveCanvas);
-// Recording buffers and state
-const audioChunks = [];
+const levelMeter = new LevelMeter(document.getElementById('levelMeter'));
+const pauseTimeline = new PauseTimeline(pauseCanvas);
+const preview = new Preview(videoEl, freezeOverlay);
+const annotationEditor = new AnnotationEditor(document.getElementById('annotationCanvas'));
+// Length in seconds of the narration as exported.
+let narrationSeconds = 0;
+// Recording state.  audioPCM holds all takes composed in output time.
 let mediaRecorder = null;
-let audioBlob = null;
 let audioPCM = null;
 let stream = null;
 let audioCtx = null;
-let denoiseNode = null;
-let compNode = null;
 
-// Pause bookkeeping and undo/redo stacks
+// Pause bookkeeping and the undo/redo history
 const pauses = [];
+const takes = [];
+const captions = []; // see captions.js; edited in output time, anchored in video time
+const chapters = []; // see chapters.js; anchored the same way
 let isRecording = false;
-let undoStack = [];
-let redoStack = [];
+// Set while counting in before the video starts.
+let cancelCountIn = null;
+// Records the video too while recording the screen.
+let capture = null;
+// Where the take being recorded is anchored, for chapters marked while recording.
+let recordAnchor = null;
+// Timer that stops a punch‑in at the end of the selected region.
+let punchTimer = 0;
+// Timer that starts the video of a punch‑in that began inside a freeze.
+let freezeHoldTimer = 0;
+const editHistory = new CommandHistory(applyHistoryStep);
+// Settings as last recorded; the 'from' side of the next settings change.
+let shownSettings = { ...DEFAULT_SETTINGS };
+// Export format and quality as last confirmed in the export dialog.
+let exportSettings = DEFAULT_SETTINGS.export;
+// The voice effects chain as shown in its panel, and the project's own effects presets.
+let fxSettings = DEFAULT_SETTINGS.fx;
+let fxPresets = [];
+// Effects are being applied to the takes.
+let fxBusy = false;
 let trimRange = { start: 0, end: 1 };
 
+// Current project and IndexedDB persistence
+const LAST_PROJECT_KEY = 'vpv_lastProject';
+const store = new ProjectStore();
+let project = emptyProject(newProjectName());
+let videoURL = '';
+let saveTimer = 0;
+
 // Utility functions
 function show(el) { el.classList.remove('hidden'); }
 function hide(el) { el.classList.add('hidden'); }
+/**
+ * Show export progress: the stage, how far into it and into the whole export, and the time left.
+ * @param {import('./exportProgress.js').ExportProgress} p
+ */
 function setProgress(p) {
   show(progressWrap);
-  progressBar.style.width = `${p}%`;
-  progressText.textContent = `${Math.round(p)}%`;
+  progressBar.style.width = `${p.fraction * 100}%`;
+  progressText.textContent = `${STAGE_LABELS[p.stage]} ${Math.round(p.stageFraction * 100)}% · סה״כ ${Math.round(p.fraction * 100)}%`
+    + (p.eta !== null ? ` · נותרו כ־${formatEta(p.eta)}` : '');
 }
 function dataURLOfCurrentFrame(video) {
   const c = document.createElement('canvas');
@@ -78,30 +265,478 @@ function dataURLOfCurrentFrame(video) {
   ctx.drawImage(video, 0, 0, w, h);
   return c.toDataURL('image/png');
 }
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+// The ffmpeg location from index.html, so a deployment can move it without a rebuild.
+function ffmpegConfig() {
+  const el = document.getElementById('ffmpegConfig');
+  try {
+    return { ...DEFAULT_FFMPEG_CONFIG, ...(el ? JSON.parse(el.textContent || '{}') : {}) };
+  } catch (e) {
+    console.error('Invalid #ffmpegConfig, using the default', e);
+    return DEFAULT_FFMPEG_CONFIG;
+  }
+}
+function projectFileName(ext) {
+  return safeFileName(project.name) + ext;
+}
+
+// Projects
+function currentSettings() {
+  return {
+    normalize: normalizeChk.checked,
+    loudnessTarget: loudnessTargetSel.value,
+    fx: fxSettings,
+    liveFx: fxLiveChk.checked,
+    inputDevice: selectedInputDevice(),
+    countIn: Number(countInSel.value),
+    silence: silenceSettings(),
+    fxPresets,
+    keepOriginal: keepOriginalChk.checked,
+    bedLevelDb: Number(bedLevel.value),
+    duck: duckChk.checked,
+    freezeAudio: freezeAudioSel.value,
+    captionMode: captionModeSel.value,
+    metadata: { title: metaTitle.value, author: metaAuthor.value },
+    export: exportSettings,
+  };
+}
+
+function applySettings(raw) {
+  // History steps recorded before a settings field existed lack it.
+  const s = normalizeSettings(raw);
+  normalizeChk.checked = s.normalize;
+  loudnessTargetSel.value = s.loudnessTarget;
+  keepOriginalChk.checked = s.keepOriginal;
+  bedLevel.value = String(s.bedLevelDb);
+  duckChk.checked = s.duck;
+  freezeAudioSel.value = s.freezeAudio;
+  captionModeSel.value = s.captionMode;
+  metaTitle.value = s.metadata.title;
+  metaAuthor.value = s.metadata.author;
+  exportSettings = s.export;
+  fxSettings = s.fx;
+  fxPresets = s.fxPresets;
+  fxLiveChk.checked = s.liveFx;
+  renderInputDevices(s.inputDevice);
+  countInSel.value = String(s.countIn);
+  silenceThreshold.value = String(s.silence.thresholdDb);
+  silenceMinGap.value = String(s.silence.minGap);
+  silenceMaxGap.value = String(s.silence.maxGap);
+  showSilenceValues();
+  showFx();
+  showBedLevel();
+  showLoudness();
+  shownSettings = s;
+}
 
+// Debounced: edits come in bursts (trim, takes, settings) and each save rewrites the project record.
 function saveProject() {
   if (!autosaveChk.checked) return;
-  const state = {
-    video: videoEl.src.startsWith('blob:') ? null : videoEl.src,
-    pauses,
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saveTimer = 0;
+    persistProject().catch((e) => console.error('Saving project failed', e));
+  }, 400);
+}
+
+// The current project with the editor state folded in.
+function snapshotProject() {
+  return {
+    ...project,
+    updatedAt: Date.now(),
+    takes: [...takes],
+    pauses: [...pauses],
+    captions: [...captions],
+    chapters: [...chapters],
     trimRange,
-    normalize: normalizeChk.checked,
-    denoise: denoiseChk.checked,
+    settings: currentSettings(),
+    history: editHistory.snapshot(),
   };
-  localStorage.setItem('vpv_state', JSON.stringify(state));
 }
 
-function loadProjectFromLocalStorage() {
+async function persistProject() {
+  project = snapshotProject();
+  await store.save(project);
+  localStorage.setItem(LAST_PROJECT_KEY, project.id);
+}
+
+function applyProject(p) {
+  project = p;
+  takes.splice(0, takes.length, ...p.takes);
+  pauses.splice(0, pauses.length, ...p.pauses);
+  captions.splice(0, captions.length, ...p.captions);
+  chapters.splice(0, chapters.length, ...p.chapters);
+  trimRange = p.trimRange;
+  editHistory.load(p.history);
+  applySettings(p.settings);
+  if (videoURL) URL.revokeObjectURL(videoURL);
+  videoURL = p.video ? URL.createObjectURL(p.video.blob) : '';
+  if (videoURL) {
+    videoEl.src = videoURL;
+    show(playerArea);
+  } else {
+    videoEl.removeAttribute('src');
+    videoEl.load();
+    hide(playerArea);
+    pauseTimeline.setVideoDuration(0);
+  }
+  projectNameEl.textContent = p.name;
+  setTranscript([], null);
+  gaps = null;
+  renderGaps();
+  waveform.clearSelection();
+  waveform.fit();
+  recompose();
+  localStorage.setItem(LAST_PROJECT_KEY, p.id);
+}
+
+async function openProject(id) {
+  if (isRecording) return;
+  const p = await store.load(id);
+  if (p) applyProject(p);
+}
+
+function newProjectName() {
+  return `פרויקט ${new Date().toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' })}`;
+}
+
+async function restoreLastProject() {
+  const id = localStorage.getItem(LAST_PROJECT_KEY);
+  const p = id ? await store.load(id).catch(() => null) : null;
+  if (p) { applyProject(p); return; }
+  // Settings saved by versions that only kept them in localStorage.
   const raw = localStorage.getItem('vpv_state');
-  if (!raw) return;
+  if (raw) {
+    try {
+      const s = JSON.parse(raw);
+      project.settings = normalizeSettings({ normalize: !!s.normalize, denoise: !!s.denoise });
+      if (s.trimRange) project.trimRange = s.trimRange;
+    } catch {}
+    localStorage.removeItem('vpv_state');
+  }
+  applyProject(project);
+}
+
+// Project library
+async function renderLibrary() {
+  const list = await store.list();
+  projectList.innerHTML = '';
+  if (!list.length) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'אין עדיין פרויקטים שמורים';
+    projectList.appendChild(li);
+  }
+  for (const summary of list) {
+    const li = document.createElement('li');
+    if (summary.id === project.id) li.classList.add('current');
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = summary.name;
+    const details = document.createElement('small');
+    const updated = new Date(summary.updatedAt).toLocaleString('he-IL');
+    details.textContent = ` ${summary.videoName || 'ללא וידאו'} · ${summary.takeCount} טייקים · ${updated}`;
+    info.append(name, details);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const action = (label, fn) => {
+      const b = document.createElement('button');
+      b.className = 'button';
+      b.textContent = label;
+      b.addEventListener('click', () => fn().then(renderLibrary).catch((e) => alert('שגיאה: ' + (e && e.message))));
+      actions.appendChild(b);
+    };
+    action('פתח', async () => { await openProject(summary.id); libraryDialog.close(); });
+    action('שנה שם', async () => {
+      const name = (prompt('שם חדש לפרויקט', summary.name) || '').trim();
+      if (!name) return;
+      await store.rename(summary.id, name);
+      if (summary.id === project.id) {
+        project.name = name;
+        projectNameEl.textContent = name;
+      }
+    });
+    action('שכפל', async () => { await store.duplicate(summary.id, `${summary.name} (עותק)`); });
+    action('מחק', async () => {
+      if (!confirm(`למחוק את "${summary.name}"?`)) return;
+      await store.remove(summary.id);
+      if (summary.id === project.id) applyProject(emptyProject(newProjectName()));
+    });
+    li.append(info, actions);
+    projectList.appendChild(li);
+  }
+}
+
+libraryBtn.addEventListener('click', async () => {
+  // Flush a pending autosave so the list shows the current state.
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    await persistProject().catch((e) => console.error('Saving project failed', e));
+  }
+  await renderLibrary();
+  libraryDialog.showModal();
+});
+closeLibraryBtn.addEventListener('click', () => libraryDialog.close());
+// Portable project files
+exportBundleBtn.addEventListener('click', async () => {
   try {
-    const s = JSON.parse(raw);
-    trimRange = s.trimRange || trimRange;
-    normalizeChk.checked = !!s.normalize;
-    denoiseChk.checked = !!s.denoise;
-  } catch {}
+    const bundle = await projectToBundle(snapshotProject(), {
+      narration: audioPCM,
+      includeVideo: bundleVideoChk.checked,
+    });
+    downloadBlob(bundle, projectFileName(BUNDLE_EXTENSION));
+  } catch (e) {
+    console.error(e);
+    alert('שגיאה בייצוא הפרויקט: ' + (e && e.message));
+  }
+});
+importBundleInput.addEventListener('change', async () => {
+  const f = importBundleInput.files && importBundleInput.files[0];
+  importBundleInput.value = '';
+  if (!f || isRecording) return;
+  try {
+    const { project: imported, missingVideo } = await bundleToProject(new Uint8Array(await f.arrayBuffer()));
+    await store.save(imported);
+    applyProject(imported);
+    libraryDialog.close();
+    if (missingVideo) {
+      alert(`הפרויקט מפנה לוידאו "${missingVideo}" שלא נכלל בקובץ — העלו אותו כדי להמשיך.`);
+      show(playerArea);
+    }
+  } catch (e) {
+    console.error(e);
+    alert('שגיאה בייבוא הפרויקט: ' + (e && e.message));
+  }
+});
+newProjectBtn.addEventListener('click', () => {
+  if (isRecording) return;
+  applyProject(emptyProject(newProjectName()));
+  libraryDialog.close();
+});
+
+// Original soundtrack settings
+function showBedLevel() { bedLevelText.textContent = `${bedLevel.value}dB`; }
+bedLevel.addEventListener('input', showBedLevel);
+[normalizeChk, loudnessTargetSel, fxLiveChk, inputDeviceSel, countInSel, silenceThreshold, silenceMinGap, silenceMaxGap, keepOriginalChk, bedLevel, duckChk, freezeAudioSel, captionModeSel, metaTitle, metaAuthor].forEach((el) => el.addEventListener('change', () => {
+  const next = currentSettings();
+  editHistory.record({ type: 'settings', label: 'שינוי הגדרות', from: shownSettings, to: next }, `settings:${el.id}`);
+  shownSettings = next;
+  refreshComposition();
+  saveProject();
+}));
+
+// Loudness meter
+for (const t of LOUDNESS_TARGETS) loudnessTargetSel.add(new Option(t.label, t.id));
+// Loudness of the narration as exported, and the composition and trim it was measured on.
+let loudness = null;
+let loudnessTimer = 0;
+
+// Measuring a long narration takes a moment, so it waits for edits to settle.
+function scheduleLoudness() {
+  clearTimeout(loudnessTimer);
+  loudnessTimer = window.setTimeout(() => {
+    loudnessTimer = 0;
+    const narration = exportNarration();
+    if (!audioPCM || !narration) loudness = null;
+    else if (!loudness || loudness.pcm !== audioPCM || loudness.trim !== trimRange) {
+      loudness = { pcm: audioPCM, trim: trimRange, report: measureLoudness(narration, SAMPLE_RATE) };
+    }
+    showLoudness();
+  }, 500);
+}
+
+function fmtLoudness(v) { return Number.isFinite(v) ? v.toFixed(1) : '-∞'; }
+
+function showLoudness() {
+  loudnessMeter.textContent = '';
+  if (!loudness) return;
+  const { integrated, truePeak, lra } = loudness.report;
+  const target = loudnessTarget(loudnessTargetSel.value);
+  const peak = document.createElement('span');
+  peak.textContent = `שיא ${fmtLoudness(truePeak)} dBTP`;
+  // Louder than the target allows; normalizing brings it down.
+  if (!normalizeChk.checked && truePeak > target.truePeak) peak.className = 'over';
+  loudnessMeter.append(`עוצמה ${fmtLoudness(integrated)} LUFS · `, peak, ` · טווח ${lra.toFixed(1)} LU`);
+  if (normalizeChk.checked && Number.isFinite(integrated)) {
+    const gain = target.integrated - integrated;
+    loudnessMeter.append(` · ביצוא ${target.integrated} LUFS (${gain >= 0 ? '+' : ''}${gain.toFixed(1)}dB)`);
+  }
+}
+
+// Voice effects
+const FX_BAND_TYPES = { lowshelf: 'נמוכים', peaking: 'פעמון', highshelf: 'גבוהים' };
+
+function allFxPresets() { return [...FX_PRESETS, ...fxPresets]; }
+
+// Fills the effects panel from fxSettings.
+function showFx() {
+  const fx = fxSettings;
+  fxNoiseChk.checked = fx.noise.enabled;
+  fxNoiseReduction.value = String(fx.noise.reductionDb);
+  fxNoiseSensitivity.value = String(fx.noise.sensitivityDb);
+  fxProfileText.textContent = fx.noise.profile ? 'פרופיל רעש נלמד' : 'לומד את הרעש תוך כדי';
+  fxForgetBtn.disabled = !fx.noise.profile;
+  fxGateChk.checked = fx.gate.enabled;
+  fxGateThreshold.value = String(fx.gate.thresholdDb);
+  fxEqChk.checked = fx.eq.enabled;
+  fxHighpassSel.value = String(fx.eq.highpassHz);
+  fxDeesserChk.checked = fx.deesser.enabled;
+  fxDeesserThreshold.value = String(fx.deesser.thresholdDb);
+  fxLimiterChk.checked = fx.limiter.enabled;
+  fxLimiterCeiling.value = String(fx.limiter.ceilingDb);
+  showFxValues();
+  renderFxBands();
+  fxPresetSel.innerHTML = '';
+  for (const preset of allFxPresets()) fxPresetSel.add(new Option(preset.label, preset.id));
+  fxPresetSel.add(new Option('מותאם אישית', 'custom'));
+  const matched = matchFxPreset(fx, allFxPresets());
+  fxPresetSel.value = matched ? matched.id : 'custom';
+  fxDeletePresetBtn.disabled = !fxPresets.some((p) => p.id === fxPresetSel.value);
+}
+
+function showFxValues() {
+  document.getElementById('fxNoiseReductionText').textContent = `${fxNoiseReduction.value}dB`;
+  document.getElementById('fxNoiseSensitivityText').textContent = `${fxNoiseSensitivity.value}dB`;
+  document.getElementById('fxGateThresholdText').textContent = `${fxGateThreshold.value}dB`;
+  document.getElementById('fxDeesserThresholdText').textContent = `${fxDeesserThreshold.value}dB`;
+  document.getElementById('fxLimiterCeilingText').textContent = `${fxLimiterCeiling.value}dB`;
+}
+
+function renderFxBands() {
+  fxBands.innerHTML = '';
+  fxSettings.eq.bands.forEach((band, i) => {
+    const row = document.createElement('div');
+    row.className = 'fx-band';
+    const name = document.createElement('span');
+    name.textContent = FX_BAND_TYPES[band.type];
+    const freq = document.createElement('input');
+    freq.type = 'number';
+    freq.min = '20'; freq.max = '20000'; freq.step = '10';
+    freq.value = String(band.freq);
+    freq.title = 'תדר (Hz)';
+    const gain = document.createElement('input');
+    gain.type = 'range';
+    gain.min = '-12'; gain.max = '12'; gain.step = '1';
+    gain.value = String(band.gainDb);
+    const gainText = document.createElement('span');
+    gainText.textContent = `${band.gainDb}dB`;
+    gain.addEventListener('input', () => { gainText.textContent = `${gain.value}dB`; });
+    const q = document.createElement('input');
+    q.type = 'number';
+    q.min = '0.1'; q.max = '10'; q.step = '0.1';
+    q.value = String(band.q);
+    q.title = 'רוחב (Q)';
+    for (const el of [freq, gain, q]) el.addEventListener('change', () => {
+      const next = { ...band, freq: Number(freq.value) || band.freq, gainDb: Number(gain.value), q: Number(q.value) || band.q };
+      const bands = fxSettings.eq.bands.map((b, j) => (j === i ? next : b));
+      changeFx({ ...fxSettings, eq: { ...fxSettings.eq, bands } }, `fx:band${i}`);
+    });
+    row.append(name, freq, gain, gainText, q);
+    fxBands.appendChild(row);
+  });
 }
 
+// The effects as set in the panel's own controls (the EQ bands change themselves).
+function fxFromPanel() {
+  const fx = fxSettings;
+  return {
+    noise: { ...fx.noise, enabled: fxNoiseChk.checked, reductionDb: Number(fxNoiseReduction.value), sensitivityDb: Number(fxNoiseSensitivity.value) },
+    gate: { ...fx.gate, enabled: fxGateChk.checked, thresholdDb: Number(fxGateThreshold.value) },
+    eq: { ...fx.eq, enabled: fxEqChk.checked, highpassHz: Number(fxHighpassSel.value) },
+    deesser: { ...fx.deesser, enabled: fxDeesserChk.checked, thresholdDb: Number(fxDeesserThreshold.value) },
+    limiter: { ...fx.limiter, enabled: fxLimiterChk.checked, ceilingDb: Number(fxLimiterCeiling.value) },
+  };
+}
+
+// Effects changes are project settings: undoable and saved.  They apply to the next recording.
+function changeFx(fx, mergeKey, label = 'שינוי עיבוד קול') {
+  fxSettings = fx;
+  const next = currentSettings();
+  editHistory.record({ type: 'settings', label, from: shownSettings, to: next }, mergeKey);
+  shownSettings = next;
+  showFx();
+  saveProject();
+}
+
+[fxNoiseReduction, fxNoiseSensitivity, fxGateThreshold, fxDeesserThreshold, fxLimiterCeiling].forEach((el) => el.addEventListener('input', showFxValues));
+[fxNoiseChk, fxNoiseReduction, fxNoiseSensitivity, fxGateChk, fxGateThreshold, fxEqChk, fxHighpassSel, fxDeesserChk, fxDeesserThreshold, fxLimiterChk, fxLimiterCeiling]
+  .forEach((el) => el.addEventListener('change', () => changeFx(fxFromPanel(), `fx:${el.id}`)));
+
+fxPresetSel.addEventListener('change', () => {
+  const preset = allFxPresets().find((p) => p.id === fxPresetSel.value);
+  if (preset) changeFx(applyFxPreset(fxSettings, preset), undefined, 'פריסט עיבוד קול');
+  else showFx();
+});
+fxSavePresetBtn.addEventListener('click', () => {
+  const label = (prompt('שם הפריסט', '') || '').trim();
+  if (!label) return;
+  const preset = { id: 'fx_' + Date.now().toString(36), label, fx: { ...fxSettings, noise: { ...fxSettings.noise, profile: null } } };
+  fxPresets = [...fxPresets.filter((p) => p.label !== label), preset];
+  changeFx(fxSettings, undefined, 'שמירת פריסט עיבוד קול');
+});
+fxDeletePresetBtn.addEventListener('click', () => {
+  fxPresets = fxPresets.filter((p) => p.id !== fxPresetSel.value);
+  changeFx(fxSettings, undefined, 'מחיקת פריסט עיבוד קול');
+});
+
+// Learns the room noise from the selected region, which should be room tone only, or else
+// from the quietest parts of the whole narration.
+fxLearnBtn.addEventListener('click', () => {
+  const narration = exportNarration();
+  if (!audioPCM || !narration) { alert('אין קריינות מוקלטת'); return; }
+  const region = selectedRegion();
+  const pcm = region ? narration.slice(Math.floor(region.start * SAMPLE_RATE), Math.floor(region.end * SAMPLE_RATE)) : narration;
+  try {
+    const profile = learnNoiseProfile(pcm, region ? 1 : 0.2);
+    changeFx({ ...fxSettings, noise: { ...fxSettings.noise, enabled: true, profile } }, undefined, 'לימוד רעש');
+  } catch (e) {
+    console.error(e);
+    alert('הקטע קצר מכדי ללמוד ממנו את הרעש');
+  }
+});
+fxForgetBtn.addEventListener('click', () => {
+  changeFx({ ...fxSettings, noise: { ...fxSettings.noise, profile: null } }, undefined, 'שכחת פרופיל הרעש');
+});
+
+// Runs the chain over every take.  The processed takes replace the originals in one undoable step.
+fxApplyBtn.addEventListener('click', async () => {
+  if (isRecording || fxBusy) return;
+  if (!takes.length) { alert('אין קריינות מוקלטת'); return; }
+  fxBusy = true;
+  fxApplyBtn.disabled = true;
+  const before = [...takes];
+  const fx = fxSettings;
+  try {
+    const processed = [];
+    for (const [i, take] of before.entries()) {
+      fxStatus.textContent = `מעבד טייק ${i + 1} מתוך ${before.length}…`;
+      // Let the status paint between takes.
+      await new Promise((r) => setTimeout(r, 0));
+      const pcm = processOffline(take.pcm, SAMPLE_RATE, fx);
+      const blob = new Blob([bufferToWav(monoBuffer(pcm, SAMPLE_RATE))], { type: 'audio/wav' });
+      processed.push({ ...take, id: takeId(), pcm, blob });
+    }
+    takes.splice(0, takes.length, ...processed);
+    editHistory.record({ type: 'takes', label: 'עיבוד קול', from: before, to: [...takes] });
+    fxStatus.textContent = 'העיבוד הוחל על הקריינות';
+    recompose();
+    saveProject();
+  } catch (e) {
+    console.error(e);
+    fxStatus.textContent = 'העיבוד נכשל: ' + ((e && e.message) || e);
+  } finally {
+    fxBusy = false;
+    fxApplyBtn.disabled = false;
+  }
+});
+
 // File upload / drag‑and‑drop
 dropzone.addEventListener('dragover', (e) => { e.preventDefault(); dropzone.classList.add('drag'); });
 dropzone.addEventListener('dragleave', () => dropzone.classList.remove('drag'));
@@ -117,142 +752,1054 @@ fileInput.addEventListener('change', async () => {
 });
 
 async function loadVideoFile(file) {
-  const url = URL.createObjectURL(file);
-  videoEl.src = url;
+  if (isRecording) return;
+  if (videoURL) URL.revokeObjectURL(videoURL);
+  videoURL = URL.createObjectURL(file);
+  project.video = { id: 'video_' + Date.now().toString(36), name: file.name, blob: file };
+  videoEl.src = videoURL;
   await videoEl.play().catch(() => {});
   videoEl.pause();
   show(playerArea);
   saveProject();
 }
 
+// Screen capture
+const CAPTURE_KEY = 'vpv_capture';
+function captureOptions() {
+  return { ...DEFAULT_CAPTURE, webcam: webcamChk.checked, corner: pipCornerSel.value, systemAudio: systemAudioChk.checked };
+}
+function showCaptureOptions() {
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(CAPTURE_KEY) || '{}'); } catch (e) {}
+  const o = { ...DEFAULT_CAPTURE, ...saved };
+  webcamChk.checked = o.webcam;
+  pipCornerSel.value = o.corner;
+  systemAudioChk.checked = o.systemAudio;
+}
+showCaptureOptions();
+[webcamChk, pipCornerSel, systemAudioChk].forEach((el) => {
+  el.addEventListener('change', () => localStorage.setItem(CAPTURE_KEY, JSON.stringify(captureOptions())));
+});
+
+// The screen is recorded as a new project's video, with the narration recorded alongside from
+// its start, so pausing freezes both just as it does on an uploaded video.
+async function recordScreen() {
+  if (isRecording || capture) return;
+  const options = captureOptions();
+  const recorder = new ScreenRecorder(options);
+  let shared;
+  try {
+    shared = await recorder.open();
+  } catch (e) {
+    recorder.close();
+    // Closing the browser's picker isn't an error.
+    if (!e || e.name !== 'NotAllowedError') alert('שגיאה בשיתוף המסך: ' + (e && e.message));
+    return;
+  }
+  if (options.webcam && !recorder.webcam) alert('לא ניתן לפתוח את המצלמה – המסך יוקלט בלעדיה');
+  if (project.video || takes.length) applyProject(emptyProject(newProjectName()));
+  capture = recorder;
+  // Sharing stopped from the browser's own bar.
+  recorder.onEnded = () => { if (isRecording) startRecBtn.click(); };
+  if (videoURL) URL.revokeObjectURL(videoURL);
+  videoURL = '';
+  videoEl.removeAttribute('src');
+  videoEl.srcObject = shared;
+  videoEl.muted = true;
+  show(playerArea);
+  startRecBtn.textContent = '⏹️ עצור הקלטה (R)';
+  try {
+    await startRecording();
+  } catch (e) {
+    console.error(e);
+    if (isRecording) startRecBtn.click();
+    else { startRecBtn.textContent = '🎙️ התחל הקלטה (R)'; finishCapture(); }
+    alert('שגיאה בהתחלת ההקלטה: ' + (e && e.message));
+  }
+}
+screenCaptureBtn.addEventListener('click', recordScreen);
+
+// The recorded screen becomes the project's video; nothing is kept when recording never started.
+async function finishCapture() {
+  const recorder = capture;
+  if (!recorder) return;
+  capture = null;
+  const blob = await recorder.stop();
+  videoEl.srcObject = null;
+  videoEl.muted = false;
+  if (!blob) {
+    if (!project.video) hide(playerArea);
+    return;
+  }
+  const ext = blob.type.includes('mp4') ? 'mp4' : 'webm';
+  const when = new Date().toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+  project.video = { id: 'video_' + Date.now().toString(36), name: `הקלטת מסך ${when}.${ext}`, blob };
+  videoURL = URL.createObjectURL(blob);
+  videoEl.src = videoURL;
+  saveProject();
+}
+
+// Takes
+function recompose() {
+  audioPCM = takes.length ? composeNarration(takes, pauses) : null;
+  drawNarration();
+  refreshComposition();
+  renderTakes();
+  renderCaptions();
+  renderChapters();
+  showTranscriptStatus();
+  showDuration();
+}
+
+// The narration as exported: the trimmed part of the composed takes, starting at output time 0.
+function exportNarration() {
+  if (!audioPCM) return null;
+  const start = Math.floor(trimRange.start * audioPCM.length);
+  const end = Math.floor(trimRange.end * audioPCM.length);
+  return audioPCM.slice(start, end);
+}
+
+// Draw the whole recording with the trim over it.  Waveform times are seconds of the recording.
+function drawNarration() {
+  waveform.setAudio(audioPCM, SAMPLE_RATE);
+  const seconds = audioPCM ? audioPCM.length / SAMPLE_RATE : 0;
+  waveform.setTrim(audioPCM ? { start: trimRange.start * seconds, end: trimRange.end * seconds } : null);
+}
+
+// Seconds of the recording at which output time 0 starts.
+function trimOffset() {
+  return audioPCM ? (trimRange.start * audioPCM.length) / SAMPLE_RATE : 0;
+}
+
+// Hand the composition, as it will be exported, to the pause timeline and the preview.
+function refreshComposition() {
+  const narration = exportNarration();
+  narrationSeconds = narration ? narration.length / SAMPLE_RATE : 0;
+  pauseTimeline.setPauses(pauses);
+  pauseTimeline.setNarration(narration, SAMPLE_RATE);
+  // The freezes, in output time, are marked on the recording.
+  const offset = trimOffset();
+  waveform.setMarkers(freezeSpans(pauses).map((f) => ({ start: f.start + offset, end: f.end + offset })));
+  preview.setComposition({
+    narration,
+    sampleRate: SAMPLE_RATE,
+    pauses: [...pauses],
+    videoDuration: videoEl.duration || 0,
+    originalGain: keepOriginalChk.checked ? Math.pow(10, Number(bedLevel.value) / 20) : null,
+  });
+  showAnnotations(preview.time);
+  scheduleLoudness();
+  scheduleGaps();
+}
+
+// Convert the waveform selection into an output‑time region, the part of it that isn't trimmed.
+function selectedRegion() {
+  const sel = waveform.getSelection();
+  if (!sel || !audioPCM) return null;
+  const offset = trimOffset();
+  const start = Math.max(0, sel.start - offset);
+  const end = Math.min(narrationSeconds, sel.end - offset);
+  return end > start ? { start, end } : null;
+}
+
+// Display the duration of the composed narration.
+function showDuration() {
+  if (!durationEl) return;
+  const dur = audioPCM ? audioPCM.length / SAMPLE_RATE : 0;
+  durationEl.textContent = dur > 0 ? 'אורך הקלטה: ' + dur.toFixed(2) + ' שניות' : '';
+}
+
+function fmtSec(t) { return t.toFixed(1); }
+
+function renderTakes() {
+  takeList.innerHTML = '';
+  takes.forEach((take, i) => {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    const kind = take.punchLength !== undefined ? 'החלפה' : 'טייק';
+    label.textContent = `${kind} ${i + 1} · ${fmtSec(takeStart(take, pauses))}ש׳ · ${fmtSec(takeDuration(take))}ש׳`;
+    const gain = document.createElement('input');
+    gain.type = 'range';
+    gain.min = '-12'; gain.max = '12'; gain.step = '1';
+    gain.value = String(take.gainDb || 0);
+    gain.title = `עוצמה: ${gain.value}dB`;
+    gain.addEventListener('change', () => {
+      if (isRecording) return;
+      const before = [...takes];
+      takes[takes.indexOf(take)] = { ...take, gainDb: Number(gain.value) };
+      editHistory.record({ type: 'takes', label: 'עוצמת טייק', from: before, to: [...takes] }, `gain:${take.id}`);
+      recompose();
+      saveProject();
+    });
+    const del = document.createElement('button');
+    del.className = 'button';
+    del.textContent = 'מחק';
+    del.addEventListener('click', () => {
+      if (isRecording) return;
+      const before = [...takes];
+      takes.splice(takes.indexOf(take), 1);
+      editHistory.record({ type: 'takes', label: 'מחיקת טייק', from: before, to: [...takes] });
+      recompose();
+      saveProject();
+    });
+    li.append(label, gain, del);
+    takeList.appendChild(li);
+  });
+}
+
+waveform.onSelect = (sel) => { punchBtn.disabled = !sel || isRecording; };
+
+// Silence
+// Null until the narration has been searched; from then on the list follows every edit.
+let gaps = null;
+let gapTimer = 0;
+
+function silenceSettings() {
+  return { thresholdDb: Number(silenceThreshold.value), minGap: Number(silenceMinGap.value), maxGap: Number(silenceMaxGap.value) };
+}
+
+function showSilenceValues() {
+  silenceThresholdText.textContent = `${silenceThreshold.value}dB`;
+  silenceMinGapText.textContent = `${Number(silenceMinGap.value).toFixed(1)}ש׳`;
+  silenceMaxGapText.textContent = `${Number(silenceMaxGap.value).toFixed(1)}ש׳`;
+}
+[silenceThreshold, silenceMinGap, silenceMaxGap].forEach((el) => el.addEventListener('input', showSilenceValues));
+
+function findGaps() {
+  clearTimeout(gapTimer);
+  const narration = exportNarration();
+  gaps = narration ? detectGaps(narration, SAMPLE_RATE, silenceSettings(), pauses) : [];
+  renderGaps();
+}
+
+function scheduleGaps() {
+  if (gaps === null) return;
+  clearTimeout(gapTimer);
+  gapTimer = setTimeout(findGaps, 300);
+}
+
+// List the gaps and mark them on the waveform.  Only gaps in a freeze can be shortened.
+function renderGaps() {
+  const list = gaps || [];
+  const offset = trimOffset();
+  waveform.setGaps(list.map((g) => ({ start: g.start + offset, end: g.end + offset })));
+  gapList.innerHTML = '';
+  const cuttable = list.reduce((sum, g) => sum + cuttableLength(g), 0);
+  silenceShortenBtn.disabled = silenceRemoveBtn.disabled = !cuttable;
+  if (gaps === null) silenceStatus.textContent = '';
+  else if (!list.length) silenceStatus.textContent = 'לא נמצאו שקטים';
+  else silenceStatus.textContent = `${list.length} שקטים, ${fmtSec(cuttable)}ש׳ מהם בהקפאות וניתנים לקיצור`;
+  for (const g of list) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${fmtSec(g.start)}–${fmtSec(g.end)}ש׳ · ${fmtSec(g.end - g.start)}ש׳`;
+    label.title = 'הצגה בגל הקול';
+    label.addEventListener('click', () => {
+      waveform.setSelection({ start: g.start + offset, end: g.end + offset });
+      punchBtn.disabled = isRecording;
+      seekOutput(g.start);
+    });
+    li.append(label);
+    if (cuttableLength(g)) {
+      const shorten = document.createElement('button');
+      shorten.className = 'button';
+      shorten.textContent = 'קצר';
+      shorten.addEventListener('click', () => cutGaps([g], silenceSettings().maxGap, 'קיצור שקט'));
+      const remove = document.createElement('button');
+      remove.className = 'button';
+      remove.textContent = 'הסר';
+      remove.addEventListener('click', () => cutGaps([g], 0, 'הסרת שקט'));
+      li.append(shorten, remove);
+    } else {
+      // Cutting it would mean cutting the video too.
+      const note = document.createElement('span');
+      note.className = 'muted';
+      note.textContent = 'בזמן שהוידאו מתנגן';
+      li.append(note);
+    }
+    gapList.appendChild(li);
+  }
+}
+
+// Cut the gaps out of their freezes and out of the takes, as one undoable step.
+function cutGaps(list, maxGap, label) {
+  if (isRecording || !audioPCM) return;
+  const cuts = planGapCuts(list, maxGap, pauses);
+  if (!cuts.length) { silenceStatus.textContent = 'השקטים כבר קצרים ככל האפשר'; return; }
+  const seconds = audioPCM.length / SAMPLE_RATE;
+  const edit = applyGapCuts({ takes, pauses, captions, chapters, trim: { start: trimRange.start * seconds, end: trimRange.end * seconds } }, cuts);
+  // The trim is kept in fractions of the composed narration, which got shorter.
+  const length = narrationLength(edit.takes, edit.pauses) / SAMPLE_RATE;
+  const trim = { start: edit.trim.start / length, end: Math.min(1, edit.trim.end / length) };
+  const steps = [
+    { type: 'takes', label, from: [...takes], to: edit.takes },
+    { type: 'pauses', label, from: [...pauses], to: edit.pauses },
+    { type: 'captions', label, from: [...captions], to: edit.captions },
+    { type: 'chapters', label, from: [...chapters], to: edit.chapters },
+    { type: 'trim', label, from: trimRange, to: trim },
+  ];
+  for (const step of steps) applyHistoryStep(step, 'to');
+  editHistory.record({ type: 'batch', label, items: steps });
+  waveform.clearSelection();
+  recompose();
+  saveProject();
+}
+
+silenceFindBtn.addEventListener('click', findGaps);
+silenceShortenBtn.addEventListener('click', () => cutGaps(gaps || [], silenceSettings().maxGap, 'קיצור שקטים'));
+silenceRemoveBtn.addEventListener('click', () => cutGaps(gaps || [], 0, 'הסרת שקטים'));
+
+// Pause timeline
+function seekVideo(t) {
+  return new Promise((resolve) => {
+    if (Math.abs(videoEl.currentTime - t) < 0.001) { resolve(); return; }
+    videoEl.addEventListener('seeked', () => resolve(), { once: true });
+    videoEl.currentTime = t;
+  });
+}
+
+// Replace the freezes.  Takes are anchored in video time, so the narration is composed again.
+function setPauses(list) {
+  pauses.splice(0, pauses.length, ...list);
+  recompose();
+}
+
+// A moved freeze shows the frame at its new start; the old frame stays in the undo item.
+async function refreshFrames(before, after) {
+  if (!videoEl.videoWidth) return after;
+  const result = [];
+  for (const p of after) {
+    const prev = before.find((b) => b.frameDataURL === p.frameDataURL);
+    if (prev && prev.startVideoTime !== p.startVideoTime) {
+      await seekVideo(p.startVideoTime);
+      result.push({ ...p, frameDataURL: dataURLOfCurrentFrame(videoEl) });
+    } else {
+      result.push(p);
+    }
+  }
+  return result;
+}
+
+pauseTimeline.onEdit = async (before, after) => {
+  const edited = await refreshFrames(before, after);
+  setPauses(edited);
+  const label = edited.length > before.length ? 'הוספת הקפאה' : edited.length < before.length ? 'מחיקת הקפאה' : 'עריכת הקפאה';
+  editHistory.record({ type: 'pauses', label, from: before, to: edited });
+  saveProject();
+};
+pauseTimeline.onSeek = seekOutput;
+pauseTimeline.onSelect = (p) => { deletePauseBtn.disabled = annotateBtn.disabled = !p || isRecording; };
+function videoReady() {
+  pauseTimeline.setVideoDuration(videoEl.duration);
+  refreshComposition();
+}
+videoEl.addEventListener('loadedmetadata', () => {
+  // The live picture of a screen being recorded has no length yet.
+  if (videoEl.srcObject) return;
+  if (videoEl.duration !== Infinity) { videoReady(); return; }
+  // Browsers' own recordings carry no duration; seeking past the end makes the browser find it.
+  const found = () => {
+    if (videoEl.duration === Infinity) return;
+    videoEl.removeEventListener('durationchange', found);
+    videoEl.currentTime = 0;
+    videoReady();
+  };
+  videoEl.addEventListener('durationchange', found);
+  videoEl.currentTime = 1e101;
+});
+
+insertPauseBtn.addEventListener('click', () => {
+  if (isRecording || !videoEl.videoWidth) return;
+  videoEl.pause();
+  pauseTimeline.insertPause({
+    startVideoTime: videoEl.currentTime,
+    pauseDuration: 1,
+    frameDataURL: dataURLOfCurrentFrame(videoEl),
+  });
+});
+deletePauseBtn.addEventListener('click', () => pauseTimeline.deleteSelected());
+
+// Freeze annotations.  They are drawn on the frame of a freeze; the preview draws them over it
+// and the export renders them in.
+let annotating = null; // the freeze being annotated
+let annotationPlay = 0;
+
+for (const [kind, label] of Object.entries(KIND_LABELS)) annotationToolSel.add(new Option(label, kind));
+for (const color of ANNOTATION_COLORS) annotationColors.appendChild(new Option('', color));
+annotationColor.value = annotationEditor.color;
+
+async function openAnnotations() {
+  const p = pauseTimeline.getSelected();
+  if (!p || isRecording) return;
+  preview.stop();
+  annotating = p;
+  await annotationEditor.load(p.frameDataURL, p.annotations || []);
+  annotationTime.max = String(p.pauseDuration);
+  annotationTime.value = '0';
+  annotationTimeText.textContent = '';
+  annotationDialog.showModal();
+}
+
+function stopAnnotationPlay() {
+  cancelAnimationFrame(annotationPlay);
+  annotationPlay = 0;
+  annotationPlayBtn.textContent = '▶️ הצג';
+}
+
+function showAnnotationTime(t) {
+  annotationTime.value = String(t);
+  annotationTimeText.textContent = `${t.toFixed(1)} / ${Number(annotationTime.max).toFixed(1)} שנ׳`;
+  annotationEditor.setTime(t);
+}
+
+annotationEditor.onSelect = (a) => {
+  annotationFields.disabled = deleteAnnotationBtn.disabled = !a;
+  annotationTextLabel.classList.toggle('hidden', !a || a.kind !== 'text');
+  if (!a) return;
+  annotationText.value = a.text;
+  annotationAppear.value = String(a.appear);
+  annotationAnimate.checked = a.animate;
+  annotationColor.value = a.color;
+};
+annotationToolSel.addEventListener('change', () => { annotationEditor.tool = annotationToolSel.value; });
+annotationColor.addEventListener('input', () => {
+  annotationEditor.color = annotationColor.value;
+  annotationEditor.update({ color: annotationColor.value });
+});
+annotationText.addEventListener('input', () => annotationEditor.update({ text: annotationText.value }));
+annotationAppear.addEventListener('change', () => {
+  const appear = Math.max(0, Math.min(Number(annotationTime.max), Number(annotationAppear.value) || 0));
+  annotationAppear.value = String(appear);
+  annotationEditor.update({ appear });
+});
+annotationAnimate.addEventListener('change', () => annotationEditor.update({ animate: annotationAnimate.checked }));
+deleteAnnotationBtn.addEventListener('click', () => annotationEditor.deleteSelected());
+annotationTime.addEventListener('input', () => { stopAnnotationPlay(); showAnnotationTime(Number(annotationTime.value)); });
+annotationPlayBtn.addEventListener('click', () => {
+  if (annotationPlay) { stopAnnotationPlay(); return; }
+  const duration = Number(annotationTime.max);
+  const start = performance.now();
+  annotationPlayBtn.textContent = '⏹️ עצור';
+  const tick = () => {
+    const t = Math.min(duration, (performance.now() - start) / 1000);
+    showAnnotationTime(t);
+    if (t < duration) annotationPlay = requestAnimationFrame(tick);
+    else stopAnnotationPlay();
+  };
+  tick();
+});
+
+saveAnnotationsBtn.addEventListener('click', () => {
+  const p = annotating;
+  annotationDialog.close();
+  if (!p || !pauses.includes(p)) return;
+  const list = annotationEditor.list;
+  if (JSON.stringify(list) === JSON.stringify(p.annotations || [])) return;
+  const edited = { ...p, annotations: list.length ? list : undefined };
+  const before = [...pauses];
+  const after = pauses.map((x) => x === p ? edited : x);
+  setPauses(after);
+  editHistory.record({ type: 'pauses', label: 'הערות על הקפאה', from: before, to: after });
+  saveProject();
+});
+closeAnnotationsBtn.addEventListener('click', () => annotationDialog.close());
+annotationDialog.addEventListener('close', () => {
+  stopAnnotationPlay();
+  annotating = null;
+});
+annotateBtn.addEventListener('click', openAnnotations);
+
+// The annotations of the freeze under the preview cursor, as they are that far into it.
+function showAnnotations(t) {
+  const span = freezeSpans(pauses).find((f) => t >= f.start && t < f.end);
+  const shown = !!(span && span.pause.annotations && span.pause.annotations.length)
+    && !freezeOverlay.classList.contains('hidden') && freezeOverlay.complete;
+  annotationOverlay.classList.toggle('hidden', !shown);
+  if (!shown) return;
+  if (annotationOverlay.width !== freezeOverlay.naturalWidth || annotationOverlay.height !== freezeOverlay.naturalHeight) {
+    annotationOverlay.width = freezeOverlay.naturalWidth;
+    annotationOverlay.height = freezeOverlay.naturalHeight;
+  }
+  const ctx = annotationOverlay.getContext('2d');
+  drawAnnotated(ctx, freezeOverlay, span.pause.annotations, t - span.start, annotationOverlay.width, annotationOverlay.height);
+}
+freezeOverlay.addEventListener('load', () => showAnnotations(preview.time));
+
+// Captions.  They are edited in output time; editing re-anchors them to the video.
+function editCaptions(next, label, mergeKey) {
+  editHistory.record({ type: 'captions', label, from: [...captions], to: next }, mergeKey);
+  captions.splice(0, captions.length, ...next);
+  saveProject();
+}
+
+function renderCaptions() {
+  captionList.innerHTML = '';
+  const rows = captions.map((c) => ({ c, cue: captionCue(c, pauses) })).sort((a, b) => a.cue.start - b.cue.start);
+  for (const { c, cue } of rows) {
+    const li = document.createElement('li');
+    li.dataset.id = c.id;
+    const time = (value, title) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0'; input.step = '0.1';
+      input.value = value.toFixed(2);
+      input.title = title;
+      return input;
+    };
+    const start = time(cue.start, 'התחלה (שניות בוידאו המיוצא)');
+    const end = time(cue.end, 'סיום (שניות בוידאו המיוצא)');
+    const retime = () => {
+      const s = Number(start.value), e = Number(end.value);
+      if (!Number.isFinite(s) || !Number.isFinite(e)) { renderCaptions(); return; }
+      editCaptions(captions.map((x) => x.id === c.id ? placeCaption(s, e, x.text, pauses, c.id) : x), 'תזמון כתובית');
+      renderCaptions();
+    };
+    start.addEventListener('change', retime);
+    end.addEventListener('change', retime);
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.dir = 'auto';
+    text.value = c.text;
+    text.placeholder = 'טקסט הכתובית';
+    // The list is not redrawn while typing, so focus stays in the field.
+    text.addEventListener('change', () => {
+      editCaptions(captions.map((x) => x.id === c.id ? { ...x, text: text.value } : x), 'עריכת כתובית', `caption:${c.id}`);
+      updateCaptionButtons();
+      showCaption(preview.time);
+    });
+    const go = document.createElement('button');
+    go.className = 'button';
+    go.textContent = '⏮';
+    go.title = 'מעבר לתחילת הכתובית';
+    go.addEventListener('click', () => seekOutput(captionCue(captions.find((x) => x.id === c.id) || c, pauses).start));
+    const del = document.createElement('button');
+    del.className = 'button';
+    del.textContent = 'מחק';
+    del.addEventListener('click', () => {
+      editCaptions(captions.filter((x) => x.id !== c.id), 'מחיקת כתובית');
+      renderCaptions();
+    });
+    li.append(start, end, text, go, del);
+    captionList.appendChild(li);
+  }
+  updateCaptionButtons();
+  showCaption(preview.time);
+}
+
+function updateCaptionButtons() {
+  srtBtn.disabled = vttBtn.disabled = !captions.some((c) => c.text.trim());
+}
+
+// Show the caption under the output‑time cursor over the video.
+function showCaption(t) {
+  const cue = cueAt(captionCues(captions, pauses), t);
+  captionOverlay.textContent = cue ? cue.text : '';
+  captionOverlay.classList.toggle('hidden', !cue);
+}
+
+addCaptionBtn.addEventListener('click', () => {
+  const t = preview.time;
+  const caption = placeCaption(t, t + 3, '', pauses);
+  editCaptions([...captions, caption], 'הוספת כתובית');
+  renderCaptions();
+  const input = captionList.querySelector(`li[data-id="${caption.id}"] input[type=text]`);
+  if (input) input.focus();
+});
+srtBtn.addEventListener('click', () => {
+  downloadBlob(new Blob([toSRT(captionCues(captions, pauses))], { type: 'application/x-subrip' }), projectFileName('.srt'));
+});
+vttBtn.addEventListener('click', () => {
+  downloadBlob(new Blob([toVTT(captionCues(captions, pauses))], { type: 'text/vtt' }), projectFileName('.vtt'));
+});
+
+// Chapters.  Edited in output time like captions and written into the exported file.
+function editChapters(next, label, mergeKey) {
+  editHistory.record({ type: 'chapters', label, from: [...chapters], to: next }, mergeKey);
+  chapters.splice(0, chapters.length, ...next);
+  saveProject();
+}
+
+// A chapter at the preview cursor, or while recording where the narration is now: anchored like
+// the take, so it stays on the words it was marked at.  It joins the recording's undo step.
+function addChapter() {
+  const title = `פרק ${chapters.length + 1}`;
+  if (isRecording) {
+    if (!recordAnchor || !recordStartTime) return;
+    const { startVideoTime, anchorOffset } = recordAnchor;
+    const chapter = { id: chapterId(), startVideoTime, anchorOffset: anchorOffset + (performance.now() - recordStartTime) / 1000, title };
+    chapters.push(chapter);
+    if (journal) journal.append({ type: 'chapter', chapter });
+    renderChapters();
+    return;
+  }
+  if (!videoEl.videoWidth) return;
+  const chapter = placeChapter(preview.time, title, pauses);
+  editChapters([...chapters, chapter], 'הוספת פרק');
+  renderChapters();
+  const input = chapterList.querySelector(`li[data-id="${chapter.id}"] input[type=text]`);
+  if (input) input.select();
+}
+
+function renderChapters() {
+  chapterList.innerHTML = '';
+  const rows = chapters.map((c) => ({ c, start: chapterStart(c, pauses) })).sort((a, b) => a.start - b.start);
+  for (const { c, start } of rows) {
+    const li = document.createElement('li');
+    li.dataset.id = c.id;
+    const time = document.createElement('input');
+    time.type = 'number';
+    time.min = '0'; time.step = '0.1';
+    time.value = start.toFixed(2);
+    time.title = 'התחלה (שניות בוידאו המיוצא)';
+    time.disabled = isRecording;
+    time.addEventListener('change', () => {
+      const t = Number(time.value);
+      if (!Number.isFinite(t)) { renderChapters(); return; }
+      editChapters(chapters.map((x) => x.id === c.id ? placeChapter(t, x.title, pauses, c.id) : x), 'תזמון פרק');
+      renderChapters();
+    });
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.dir = 'auto';
+    title.value = c.title;
+    title.placeholder = 'שם הפרק';
+    title.addEventListener('change', () => {
+      editChapters(chapters.map((x) => x.id === c.id ? { ...x, title: title.value } : x), 'שינוי שם פרק', `chapter:${c.id}`);
+      updateChapterButtons();
+    });
+    const go = document.createElement('button');
+    go.className = 'button';
+    go.textContent = '⏮';
+    go.title = 'מעבר לתחילת הפרק';
+    go.addEventListener('click', () => seekOutput(chapterStart(chapters.find((x) => x.id === c.id) || c, pauses)));
+    const del = document.createElement('button');
+    del.className = 'button';
+    del.textContent = 'מחק';
+    del.disabled = isRecording;
+    del.addEventListener('click', () => {
+      editChapters(chapters.filter((x) => x.id !== c.id), 'מחיקת פרק');
+      renderChapters();
+    });
+    li.append(time, title, go, del);
+    chapterList.appendChild(li);
+  }
+  updateChapterButtons();
+}
+
+function updateChapterButtons() {
+  youTubeChaptersBtn.disabled = !chapters.length;
+}
+
+addChapterBtn.addEventListener('click', addChapter);
+youTubeChaptersBtn.addEventListener('click', () => {
+  const marks = chapterMarks(chapters, pauses);
+  if (!youTubeAccepts(marks, preview.duration)
+    && !confirm(`יוטיוב מציג פרקים רק כשיש לפחות ${YOUTUBE_MIN_CHAPTERS}, כל אחד באורך ${YOUTUBE_MIN_LENGTH} שניות לפחות. להוריד בכל זאת?`)) return;
+  downloadBlob(new Blob([toYouTubeChapters(marks, 'פתיחה')], { type: 'text/plain' }), projectFileName(' - פרקים.txt'));
+});
+
+// Transcript.  Words are in output time.  They are not stored with the project; the captions
+// made from them are.
+const transcriber = new WorkerEngine();
+let transcript = [];
+let transcribedFrom = null; // { pcm, trim } the transcript was made from
+let transcribing = null; // AbortController of the running transcription
+let searchHits = [];
+let currentWord = -1;
+
+function setTranscript(words, from) {
+  transcript = words;
+  transcribedFrom = from;
+  transcriptEl.innerHTML = '';
+  transcript.forEach((w, i) => {
+    const span = document.createElement('span');
+    span.textContent = w.text;
+    span.title = `${fmtSec(w.start)}ש׳`;
+    span.addEventListener('click', () => seekOutput(w.start));
+    transcriptEl.append(span, i < transcript.length - 1 ? ' ' : '');
+  });
+  currentWord = -1;
+  transcriptSearch.disabled = transcriptCaptionsBtn.disabled = !transcript.length;
+  searchTranscript();
+}
+
+// Takes, freezes and trimming all move the narration, so a transcript only matches the
+// narration it was made from.
+function showTranscriptStatus() {
+  if (transcribing) return;
+  const parts = [];
+  if (transcript.length) parts.push(`${transcript.length} מילים`);
+  if (transcriptSearch.value.trim()) parts.push(`${searchHits.length} תוצאות`);
+  if (transcribedFrom && (transcribedFrom.pcm !== audioPCM || transcribedFrom.trim !== trimRange)) {
+    parts.push('הקריינות השתנתה מאז התמלול');
+  }
+  transcriptStatus.textContent = parts.join(' · ');
+}
+
+function searchTranscript() {
+  searchHits = searchWords(transcript, transcriptSearch.value);
+  const length = transcriptSearch.value.trim().split(/\s+/).length;
+  const spans = transcriptEl.querySelectorAll('span');
+  spans.forEach((s) => s.classList.remove('hit'));
+  for (const i of searchHits) {
+    for (let j = i; j < i + length && j < spans.length; j++) spans[j].classList.add('hit');
+  }
+  showTranscriptStatus();
+}
+
+// Mark the word under the output‑time cursor.
+function showCurrentWord(t) {
+  const i = transcript.findIndex((w) => t >= w.start && t < w.end);
+  if (i === currentWord) return;
+  const spans = transcriptEl.querySelectorAll('span');
+  if (spans[currentWord]) spans[currentWord].classList.remove('current');
+  if (spans[i]) spans[i].classList.add('current');
+  currentWord = i;
+}
+
+async function transcribeNarration() {
+  if (transcribing) { transcribing.abort(); return; }
+  const narration = exportNarration();
+  if (!narration) { alert('אין קריינות מוקלטת'); return; }
+  const controller = new AbortController();
+  const from = { pcm: audioPCM, trim: trimRange };
+  transcribing = controller;
+  transcribeBtn.textContent = '⏹️ ביטול תמלול';
+  transcriptStatus.textContent = 'טוען את מודל הדיבור…';
+  try {
+    const words = await transcriber.transcribe(narration, SAMPLE_RATE, {
+      language: 'he',
+      signal: controller.signal,
+      onProgress: (f) => { transcriptStatus.textContent = `מתמלל… ${Math.round(f * 100)}%`; },
+    });
+    // The exported narration starts at output time 0.
+    setTranscript(toOutputTime(words, 0), from);
+  } catch (e) {
+    if (!controller.signal.aborted) {
+      console.error(e);
+      alert('שגיאה בתמלול: ' + (e && e.message));
+    }
+  } finally {
+    transcribing = null;
+    transcribeBtn.textContent = '🗣️ תמלול הקריינות';
+    showTranscriptStatus();
+  }
+}
+
+// Offered only where `npm run vendor:stt` installed the engine and model.
+modelInstalled().then((installed) => transcriptPanel.classList.toggle('hidden', !installed));
+
+transcribeBtn.addEventListener('click', transcribeNarration);
+transcriptSearch.addEventListener('input', searchTranscript);
+transcriptSearch.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter' || !searchHits.length) return;
+  // Next match after the cursor, wrapping around.
+  const t = preview.time + 0.001;
+  const next = searchHits.find((i) => transcript[i].start > t);
+  seekOutput(transcript[next === undefined ? searchHits[0] : next].start);
+});
+transcriptCaptionsBtn.addEventListener('click', () => {
+  if (captions.length && !confirm('הכתוביות הקיימות יוחלפו בכתוביות מהתמלול. להמשיך?')) return;
+  editCaptions(wordsToCaptions(transcript, pauses), 'כתוביות מהתמלול');
+  renderCaptions();
+});
+
+// Preview.  One playhead in output time is shared by the preview, the waveform and the pause timeline.
+function seekOutput(t) {
+  if (!isRecording) preview.seek(t);
+}
+
+function togglePreview() {
+  if (isRecording) return;
+  if (preview.isPlaying) preview.stop();
+  else preview.play().catch((e) => console.error('Preview failed', e));
+}
+
+preview.onTime = (t) => {
+  pauseTimeline.setPlayhead(t);
+  showCaption(t);
+  showAnnotations(t);
+  showCurrentWord(t);
+  waveform.setPlayhead(narrationSeconds ? trimOffset() + Math.min(t, narrationSeconds) : null);
+};
+preview.onStateChange = (playing) => {
+  previewBtn.textContent = playing ? '⏹️ עצור תצוגה (P)' : '▶️ תצוגה מקדימה (P)';
+};
+waveform.onSeek = (t) => seekOutput(Math.max(0, Math.min(narrationSeconds, t - trimOffset())));
+previewBtn.addEventListener('click', togglePreview);
+// The video's own controls move the shared playhead too.
+videoEl.addEventListener('timeupdate', () => preview.follow(videoEl.currentTime));
+videoEl.addEventListener('seeked', () => preview.follow(videoEl.currentTime));
+videoEl.addEventListener('play', () => {
+  if (preview.isPlaying) return;
+  preview.release();
+  showAnnotations(preview.time);
+});
+
+// Microphone
+let inputDevices = [];
+
+// The connected microphone for a saved choice: the same id, or else the same name.
+function findInputDevice(choice) {
+  if (!choice) return undefined;
+  return inputDevices.find((d) => d.deviceId === choice.id) || inputDevices.find((d) => d.label && d.label === choice.label);
+}
+
+// The microphone chosen in the picker; a saved one that isn't connected stays chosen.
+function selectedInputDevice() {
+  const id = inputDeviceSel.value;
+  if (!id) return null;
+  const device = inputDevices.find((d) => d.deviceId === id);
+  return device ? { id, label: device.label } : shownSettings.inputDevice;
+}
+
+function renderInputDevices(choice) {
+  inputDeviceSel.innerHTML = '';
+  inputDeviceSel.add(new Option('ברירת המחדל של המערכת', ''));
+  inputDevices.forEach((d, i) => inputDeviceSel.add(new Option(d.label || `מיקרופון ${i + 1}`, d.deviceId)));
+  const found = findInputDevice(choice);
+  if (choice && !found) {
+    // Before the first recording the browser doesn't say which microphones there are.
+    const note = inputDevices.length ? ' (לא מחובר)' : '';
+    inputDeviceSel.add(new Option((choice.label || 'מיקרופון שנבחר') + note, choice.id));
+  }
+  inputDeviceSel.value = found ? found.deviceId : choice ? choice.id : '';
+}
+
+// Microphones are only listed with ids and names once the page may use one.
+async function refreshInputDevices() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  // Chrome adds 'default' and 'communications' entries that stand for other devices.
+  inputDevices = devices.filter((d) => d.kind === 'audioinput' && d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications');
+  renderInputDevices(shownSettings.inputDevice);
+}
+if (navigator.mediaDevices) {
+  navigator.mediaDevices.addEventListener('devicechange', () => {
+    refreshInputDevices().catch((e) => console.warn('Listing microphones failed', e));
+  });
+}
+refreshInputDevices().catch((e) => console.warn('Listing microphones failed', e));
+
+// The live waveform and the recording length follow the meter's frames.
+levelMeter.onBlock = (block, seconds) => {
+  waveform.pushLive(block, seconds);
+  if (recordStartTime) durationEl.textContent = 'אורך הקלטה: ' + ((performance.now() - recordStartTime) / 1000).toFixed(2) + ' שניות';
+};
+
+// Count down over the video before it starts; false when the recording is stopped meanwhile.
+function countIn(seconds) {
+  if (!seconds) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    let left = seconds;
+    let timer = 0;
+    const finish = (started) => {
+      clearTimeout(timer);
+      cancelCountIn = null;
+      hide(countdownEl);
+      resolve(started);
+    };
+    const tick = () => {
+      if (!left) { finish(true); return; }
+      countdownEl.textContent = String(left--);
+      timer = setTimeout(tick, 1000);
+    };
+    cancelCountIn = () => finish(false);
+    show(countdownEl);
+    tick();
+  });
+}
+
+// Adds a recorded take.  It and the freezes and chapters made while recording are undone together.
+function addTake(take, label, before) {
+  takes.push(take);
+  const steps = [{ type: 'takes', label, from: before.takes, to: [...takes] }];
+  if (pauses.length !== before.pauses.length) steps.unshift({ type: 'pauses', label, from: before.pauses, to: [...pauses] });
+  if (chapters.length !== before.chapters.length) steps.push({ type: 'chapters', label, from: before.chapters, to: [...chapters] });
+  editHistory.record({ type: 'batch', label, items: steps });
+  waveform.clearSelection();
+  recompose();
+  saveProject();
+}
+
+// A recording's journal keeps the take until the project is saved with it.  Without autosave
+// nothing is saved until asked, and the journal goes at once.
+async function releaseJournal(discard) {
+  if (autosaveChk.checked) {
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    try {
+      await persistProject();
+    } catch (e) {
+      console.error('Saving project failed', e);
+      return;
+    }
+  }
+  await discard();
+}
+
 // Recording logic
-async function startRecording() {
+async function startRecording(punch) {
   if (isRecording) return;
-  // Initialize live duration display and waveform state.  Record the time at which recording starts
-  // and reset the duration indicator to 0.00 seconds.  These values will be updated on each
-  // animation frame via requestAnimationFrame.
-  recordStartTime = performance.now();
-  if (durationEl) {
-    durationEl.textContent = 'אורך הקלטה: 0.00 שניות';
-  }
-  const constraints = { audio: { echoCancellation: true, noiseSuppression: true }, video: false };
+  preview.stop();
+  preview.release();
+  // For a punch‑in, start the video at the frame on screen at the punch‑in point.  Inside a
+  // freeze that frame is shown until the freeze ends, as playing it back does.
+  const freeze = punch ? freezeAt(punch.start, pauses) : null;
+  if (freeze) preview.seek(punch.start);
+  else if (punch) videoEl.currentTime = outputToVideoTime(punch.start, pauses);
+  // A screen recording starts with the narration.
+  const startVideoTime = capture ? 0 : videoEl.currentTime;
+  const anchorOffset = punch ? punch.start - videoToOutputTime(startVideoTime, pauses) : 0;
+  const takesBefore = [...takes];
+  const pausesBefore = [...pauses];
+  const chaptersBefore = [...chapters];
+  const id = takeId();
+  const choice = selectedInputDevice();
+  const device = findInputDevice(choice);
+  // Before the devices are listed the saved id is the best guess; it stays the same on this site.
+  const deviceId = device ? { exact: device.deviceId } : choice ? { ideal: choice.id } : undefined;
+  const constraints = { audio: { deviceId, echoCancellation: true, noiseSuppression: true }, video: false };
   stream = await navigator.mediaDevices.getUserMedia(constraints);
+  refreshInputDevices().catch((e) => console.warn('Listing microphones failed', e));
   audioCtx = new AudioContext();
   const source = audioCtx.createMediaStreamSource(stream);
+  // The meter shows the microphone itself, ahead of the effects, so clipping on the way in shows.
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+  levelMeter.start(analyser);
+  // The voice effects run on the microphone when set to; the take keeps the chain's delay so
+  // composing can skip it and the take still lines up with the video.
   let lastNode = source;
-  if (denoiseChk.checked) {
-    denoiseNode = audioCtx.createBiquadFilter();
-    denoiseNode.type = 'highpass';
-    denoiseNode.frequency.value = 80;
-    lastNode.connect(denoiseNode);
-    lastNode = denoiseNode;
-  }
-  if (normalizeChk.checked) {
-    compNode = audioCtx.createDynamicsCompressor();
-    compNode.threshold.value = -24;
-    compNode.ratio.value = 3;
-    lastNode.connect(compNode);
-    lastNode = compNode;
+  let fxLatency = 0;
+  if (fxLiveChk.checked) {
+    const fx = await createFxNode(audioCtx, fxSettings);
+    lastNode.connect(fx.node);
+    lastNode = fx.node;
+    fxLatency = fx.latency;
   }
   const dest = audioCtx.createMediaStreamDestination();
-  // Create an analyser node so that we can draw a live waveform of the microphone input.
-  analyser = audioCtx.createAnalyser();
-  analyser.fftSize = 2048;
-  analyserData = new Float32Array(analyser.fftSize);
-  // Route the processed audio to both the analyser and the final media stream destination.
-  lastNode.connect(analyser);
   lastNode.connect(dest);
   mediaRecorder = new MediaRecorder(dest.stream, { mimeType: 'audio/webm;codecs=opus', audioBitsPerSecond: 192000 });
-  audioChunks.length = 0;
-  mediaRecorder.ondataavailable = (e) => { if (e.data.size) audioChunks.push(e.data); };
+  // Each recording session becomes its own take instead of replacing the previous narration.
+  const chunks = [];
+  // Every chunk also goes to the journal, once the recording has started.
+  let recording = null;
+  let startedAt = 0;
+  mediaRecorder.ondataavailable = (e) => {
+    if (!e.data.size) return;
+    chunks.push(e.data);
+    if (recording) recording.append({ type: 'chunk', blob: e.data, elapsed: (performance.now() - startedAt) / 1000 });
+  };
   mediaRecorder.onstop = async () => {
-    audioBlob = new Blob(audioChunks, { type: 'audio/webm;codecs=opus' });
-    const arr = await audioBlob.arrayBuffer();
-    if (audioCtx) {
-      const buf = await audioCtx.decodeAudioData(arr.slice(0));
-      const ch0 = buf.getChannelData(0);
-      audioPCM = new Float32Array(ch0.length);
-      audioPCM.set(ch0);
-      waveform.drawFromPCM(audioPCM);
-    }
-    // Display the duration of the recorded narration.  Use 48 kHz as assumed sample rate.
+    const blob = new Blob(chunks, { type: 'audio/webm;codecs=opus' });
+    let pcm;
     try {
-      const dur = audioPCM ? audioPCM.length / 48000 : 0;
-      const durEl = document.getElementById('audioDuration');
-      if (durEl) {
-        if (dur > 0) {
-          durEl.textContent = 'אורך הקלטה: ' + dur.toFixed(2) + ' שניות';
-        } else {
-          durEl.textContent = '';
-        }
-      }
-    } catch {
-      // ignore errors
+      pcm = await decodeToPCM(blob);
+    } catch (e) {
+      // As when recovering: hand over the recording itself.  Its journal stays for recovery.
+      downloadBlob(blob, `${safeFileName(project.name)}-recording.webm`);
+      alert('קריאת ההקלטה נכשלה: ' + (e && e.message));
+      return;
     }
-    saveProject();
+    const take = {
+      id,
+      startVideoTime,
+      anchorOffset,
+      pcm,
+      blob,
+      punchLength: punch ? punch.end - punch.start : undefined,
+      latency: fxLatency || undefined,
+      createdAt: Date.now(),
+    };
+    addTake(take, punch ? 'הקלטה חוזרת' : 'הקלטה', { takes: takesBefore, pauses: pausesBefore, chapters: chaptersBefore });
+    if (recording) releaseJournal(() => recording.discard());
   };
-  mediaRecorder.start(100);
   isRecording = true;
+  recordAnchor = { startVideoTime, anchorOffset };
+  pauseTimeline.editable = false;
+  insertPauseBtn.disabled = deletePauseBtn.disabled = annotateBtn.disabled = true;
+  punchBtn.disabled = true;
+  // Stopping during the count-in keeps nothing.
+  if (!(await countIn(Number(countInSel.value)))) return;
+  recording = journal = new RecordingJournal(store, {
+    id: recordingId(),
+    projectId: project.id,
+    projectName: project.name,
+    startedAt: Date.now(),
+    mimeType: 'audio/webm;codecs=opus',
+    takeId: id,
+    startVideoTime,
+    anchorOffset,
+    punchLength: punch ? punch.end - punch.start : undefined,
+    latency: fxLatency || undefined,
+    screen: !!capture,
+  });
+  mediaRecorder.start(100);
+  if (capture) capture.start();
+  recordStartTime = startedAt = performance.now();
   badge.classList.remove('hidden');
-  // Launch a loop that updates the waveform and duration on each animation frame.  This loop
-  // runs until stopRecording() cancels it.
-  const draw = () => {
-    if (!analyser) return;
-    analyser.getFloatTimeDomainData(analyserData);
-    // Draw the current audio buffer.  Using requestAnimationFrame ensures smooth updates.
-    waveform.drawFromPCM(analyserData);
-    if (durationEl) {
-      const sec = (performance.now() - recordStartTime) / 1000;
-      durationEl.textContent = 'אורך הקלטה: ' + sec.toFixed(2) + ' שניות';
-    }
-    animationFrameId = requestAnimationFrame(draw);
-  };
-  animationFrameId = requestAnimationFrame(draw);
+  waveform.beginLive();
+  if (punch) punchTimer = setTimeout(() => startRecBtn.click(), (punch.end - punch.start) * 1000);
+  if (freeze) {
+    // The freeze's output end is where the video moves on again.
+    const hold = videoToOutputTime(freeze.startVideoTime, pauses) - punch.start;
+    freezeHoldTimer = setTimeout(() => {
+      freezeHoldTimer = 0;
+      preview.release();
+      videoEl.play();
+    }, hold * 1000);
+    return;
+  }
   await videoEl.play();
 }
 
 function stopRecording() {
   if (!isRecording) return;
-  if (mediaRecorder) mediaRecorder.stop();
+  if (freezeHoldTimer) {
+    clearTimeout(freezeHoldTimer);
+    freezeHoldTimer = 0;
+  }
+  // A punch‑in ends at the end of its region; stop the video there as well.
+  if (punchTimer) {
+    clearTimeout(punchTimer);
+    punchTimer = 0;
+    videoEl.pause();
+  }
+  if (cancelCountIn) cancelCountIn();
+  if (mediaRecorder && mediaRecorder.state === 'recording') mediaRecorder.stop();
+  finishCapture();
   if (stream) stream.getTracks().forEach((t) => t.stop());
   if (audioCtx) audioCtx.close();
   isRecording = false;
   badge.classList.add('hidden');
-
-  // Cancel any ongoing animation frame and release analyser resources.  Without
-  // cancelling here, the waveform would continue to draw and the duration
-  // indicator would keep updating even after recording stops.
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = 0;
-  }
-  analyser = null;
-  analyserData = null;
+  pauseTimeline.editable = true;
+  insertPauseBtn.disabled = false;
+  deletePauseBtn.disabled = annotateBtn.disabled = !pauseTimeline.getSelected();
+  levelMeter.stop();
+  waveform.endLive();
+  recordStartTime = 0;
+  recordAnchor = null;
+  journal = null;
 }
 
 function togglePause() {
-  if (!isRecording) return;
-  if (!videoEl.paused) {
-    const frame = dataURLOfCurrentFrame(videoEl);
-    window._vpv_lastPause = { t: videoEl.currentTime, frame };
-    videoEl.pause();
-  } else {
-    const lp = window._vpv_lastPause;
-    if (lp) {
-      const prev = window._vpv_pauseStartAt;
-      const dur = prev ? (performance.now() - prev) / 1000 : 0.01;
-      pauses.push({ startVideoTime: lp.t, pauseDuration: Math.max(0.01, dur), frameDataURL: lp.frame });
-    }
-    videoEl.play();
+  // The freezes are fixed while punching in, otherwise the region would move under the take,
+  // and the video hasn't started during the count-in.
+  if (!isRecording || punchTimer || cancelCountIn) return;
+  const freeze = pauseOrResume({ video: videoEl, capture, frame: () => dataURLOfCurrentFrame(videoEl), globals: window });
+  if (freeze) {
+    pauses.push(freeze);
+    if (journal) journal.append({ type: 'pause', pause: freeze });
+    pauseTimeline.setPauses(pauses);
   }
 }
 
 videoEl.addEventListener('pause', () => {
-  if (isRecording) window._vpv_pauseStartAt = performance.now();
-});
-videoEl.addEventListener('play', () => {
-  window._vpv_pauseStartAt = 0;
+  if (isRecording) videoPaused(window);
 });
+videoEl.addEventListener('play', () => videoPlayed(window));
 
 startRecBtn.addEventListener('click', () => {
   if (isRecording) {
@@ -264,155 +1811,464 @@ startRecBtn.addEventListener('click', () => {
   }
 });
 togglePauseBtn.addEventListener('click', togglePause);
-exportBtn.addEventListener('click', doExport);
+punchBtn.addEventListener('click', () => {
+  const region = selectedRegion();
+  if (!region || isRecording) return;
+  startRecording(region);
+  startRecBtn.textContent = '⏹️ עצור הקלטה (R)';
+});
+exportBtn.addEventListener('click', () => {
+  if (exportDialog.open) return;
+  showExportForm(exportSettings);
+  exportDialog.showModal();
+});
+
+function isTextField(el) {
+  return el instanceof HTMLTextAreaElement || (el instanceof HTMLInputElement && ['text', 'search', 'number'].includes(el.type));
+}
 
 window.addEventListener('keydown', (e) => {
+  // The annotation editor has its own keys, and undo would change the project under it.
+  if (isTextField(e.target) || annotationDialog.open) return;
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) redo(); else undo();
+    return;
+  }
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') { e.preventDefault(); redo(); return; }
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
   if (e.code === 'Space') { e.preventDefault(); togglePause(); }
   if (e.key.toLowerCase() === 'r') { e.preventDefault(); startRecBtn.click(); }
   if (e.key.toLowerCase() === 'e') { e.preventDefault(); exportBtn.click(); }
+  if (e.key.toLowerCase() === 'p') { e.preventDefault(); togglePreview(); }
+  if (e.key.toLowerCase() === 'm') { e.preventDefault(); addChapter(); }
+  if (e.key === '+' || e.key === '=') { e.preventDefault(); waveform.zoom(2); }
+  if (e.key === '-') { e.preventDefault(); waveform.zoom(0.5); }
+  if (e.key === '0') { e.preventDefault(); waveform.fit(); }
 });
 
 trimSilenceBtn.addEventListener('click', () => {
-  if (!audioPCM) return;
-  const threshold = 0.02;
-  let i = 0, j = audioPCM.length - 1;
-  while (i < audioPCM.length && Math.abs(audioPCM[i]) < threshold) i++;
-  while (j > 0 && Math.abs(audioPCM[j]) < threshold) j--;
-  const prev = { ...trimRange };
-  trimRange = { start: i / audioPCM.length, end: (j + 1) / audioPCM.length };
-  undoStack.push({ type: 'trim', from: prev, to: trimRange });
-  redoStack.length = 0;
-  const sliced = audioPCM.slice(Math.floor(i), Math.ceil(j + 1));
-  waveform.drawFromPCM(sliced);
-  saveProject();
+  const trim = audioPCM && silenceTrim(audioPCM);
+  if (trim) setTrim(trim, 'חיתוך שקט');
 });
 
-undoBtn.addEventListener('click', () => {
-  const item = undoStack.pop();
-  if (!item) return;
-  redoStack.push(item);
-  trimRange = item.from;
-  if (audioPCM) waveform.drawFromPCM(audioPCM);
+function setTrim(next, label) {
+  editHistory.record({ type: 'trim', label, from: trimRange, to: next });
+  trimRange = next;
+  drawNarration();
+  refreshComposition();
+  showTranscriptStatus();
   saveProject();
-});
-redoBtn.addEventListener('click', () => {
-  const item = redoStack.pop();
-  if (!item) return;
-  undoStack.push(item);
-  trimRange = item.to;
-  if (audioPCM) {
-    const start = Math.floor(trimRange.start * audioPCM.length);
-    const end = Math.floor(trimRange.end * audioPCM.length);
-    waveform.drawFromPCM(audioPCM.slice(start, end));
+}
+
+// The trim handles on the waveform.
+waveform.onTrim = (t) => {
+  if (!audioPCM || isRecording) { drawNarration(); return; }
+  const seconds = audioPCM.length / SAMPLE_RATE;
+  setTrim({ start: t.start / seconds, end: t.end / seconds }, 'חיתוך');
+};
+zoomInBtn.addEventListener('click', () => waveform.zoom(2));
+zoomOutBtn.addEventListener('click', () => waveform.zoom(0.5));
+zoomFitBtn.addEventListener('click', () => waveform.fit());
+
+// Restore one slice of the project.  undo()/redo() then compose and save once for the whole item.
+function applyHistoryStep(step, side) {
+  switch (step.type) {
+    case 'trim': trimRange = step[side]; break;
+    case 'pauses': pauses.splice(0, pauses.length, ...step[side]); break;
+    case 'takes': takes.splice(0, takes.length, ...step[side]); break;
+    case 'captions': captions.splice(0, captions.length, ...step[side]); break;
+    case 'chapters': chapters.splice(0, chapters.length, ...step[side]); break;
+    case 'settings': applySettings(step[side]); break;
   }
+}
+
+function undo() {
+  if (isRecording || !editHistory.undo()) return;
+  waveform.clearSelection();
+  recompose();
   saveProject();
-});
+}
+function redo() {
+  if (isRecording || !editHistory.redo()) return;
+  waveform.clearSelection();
+  recompose();
+  saveProject();
+}
+
+editHistory.onChange = () => {
+  const label = (verb, item) => item ? `${verb}: ${item.label}` : verb;
+  undoBtn.disabled = !editHistory.peekUndo();
+  redoBtn.disabled = !editHistory.peekRedo();
+  undoBtn.title = label('בטל', editHistory.peekUndo()) + ' (Ctrl+Z)';
+  redoBtn.title = label('בצע שוב', editHistory.peekRedo()) + ' (Ctrl+Shift+Z)';
+};
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
 
 // Export logic
-async function doExport() {
-  // If no narration exists at all, generate a silent audio track of the same
-  // duration as the video (or at least one second).  Without this fallback,
-  // export would bail out when no microphone is available.  The silent track
-  // ensures FFmpeg has an audio stream to mux with the video.
-  if (!audioBlob || !audioPCM || audioPCM.length === 0) {
-    try {
-      const dur = Math.max(1, videoEl.duration || 1);
-      const offline = new OfflineAudioContext(1, dur * 48000, 48000);
-      const buf = offline.createBuffer(1, dur * 48000, 48000);
-      const src = offline.createBufferSource();
-      src.buffer = buf;
-      src.connect(offline.destination);
-      src.start();
-      const rendered = await offline.startRendering();
-      const wav = bufferToWav(rendered);
-      audioBlob = new Blob([wav], { type: 'audio/wav' });
-      // Also set audioPCM so trimming does nothing but not null.
-      audioPCM = rendered.getChannelData(0);
-    } catch (ex) {
-      console.error('Failed to create silent audio', ex);
-    }
+// Export dialog
+for (const p of EXPORT_PRESETS) exportPresetSel.add(new Option(p.label, p.id));
+exportPresetSel.add(new Option('מותאם אישית', ''));
+for (const [id, f] of Object.entries(FORMATS)) exportFormatSel.add(new Option(f.label, id));
+
+function readExportForm() {
+  const format = exportFormatSel.value;
+  const mode = exportQualitySel.value;
+  return normalizeExport({
+    format,
+    quality: mode === 'crf' ? { mode, crf: Math.min(Number(exportCrf.value), format === 'webm' ? 63 : 51) }
+      : mode === 'bitrate' ? { mode, kbps: Number(exportBitrate.value) }
+      : { mode: 'copy' },
+    height: exportHeightSel.value ? Number(exportHeightSel.value) : null,
+    fps: Number(exportFpsSel.value),
+    audioKbps: Number(exportAudioSel.value),
+  });
+}
+
+function showExportForm(s) {
+  exportFormatSel.value = s.format;
+  exportQualitySel.value = s.quality.mode;
+  if (s.quality.mode === 'crf') exportCrf.value = String(s.quality.crf);
+  if (s.quality.mode === 'bitrate') exportBitrate.value = String(s.quality.kbps);
+  exportHeightSel.value = s.height ? String(s.height) : '';
+  exportFpsSel.value = String(s.fps);
+  exportAudioSel.value = String(s.audioKbps);
+  updateExportForm();
+}
+
+// Enable the fields that apply to the chosen format and show the matching preset and the expected size.
+function updateExportForm() {
+  const s = readExportForm();
+  const video = FORMATS[s.format].video;
+  const copy = copiesVideo(s);
+  // WebM has no stream copy, so the quality may have changed.
+  exportQualitySel.value = s.quality.mode;
+  if (s.quality.mode === 'crf') exportCrf.value = String(s.quality.crf);
+  exportQualitySel.options[0].disabled = s.format !== 'mp4';
+  exportVideoFields.disabled = !video;
+  exportCrfLabel.classList.toggle('hidden', s.quality.mode !== 'crf');
+  exportBitrateLabel.classList.toggle('hidden', s.quality.mode !== 'bitrate');
+  exportHeightSel.disabled = exportFpsSel.disabled = copy;
+  exportAudioSel.disabled = s.format === 'wav';
+  const preset = matchPreset(s);
+  exportPresetSel.value = preset ? preset.id : '';
+  const freezeSeconds = pauses.reduce((sum, p) => sum + p.pauseDuration, 0);
+  const videoSeconds = videoEl.duration || 0;
+  const size = predictSize(s, {
+    outputSeconds: videoSeconds + freezeSeconds,
+    freezeSeconds,
+    narrationSeconds,
+    width: videoEl.videoWidth,
+    height: videoEl.videoHeight,
+    sourceBytes: project.video ? project.video.blob.size : 0,
+    sourceSeconds: videoSeconds,
+  });
+  exportEstimate.textContent = `גודל משוער: ${formatBytes(size)}` + (video && !copy ? ' (תלוי בתוכן הוידאו)' : '');
+}
+
+exportPresetSel.addEventListener('change', () => {
+  const preset = EXPORT_PRESETS.find((p) => p.id === exportPresetSel.value);
+  if (preset) showExportForm(preset.settings); else updateExportForm();
+});
+[exportFormatSel, exportQualitySel, exportCrf, exportBitrate, exportHeightSel, exportFpsSel, exportAudioSel]
+  .forEach((el) => el.addEventListener('change', updateExportForm));
+cancelExportBtn.addEventListener('click', () => exportDialog.close());
+// Close the dialog and keep its settings as the project's.
+function confirmExportForm() {
+  const next = readExportForm();
+  exportDialog.close();
+  if (JSON.stringify(next) !== JSON.stringify(exportSettings)) {
+    exportSettings = next;
+    const settings = currentSettings();
+    editHistory.record({ type: 'settings', label: 'שינוי הגדרות יצוא', from: shownSettings, to: settings });
+    shownSettings = settings;
+    saveProject();
   }
-  setProgress(1);
-  const exporter = new Exporter((p) => setProgress(p));
+  return next;
+}
+
+startExportBtn.addEventListener('click', () => doExport(confirmExportForm()));
+queueExportBtn.addEventListener('click', async () => {
+  const next = confirmExportForm();
   try {
-    // prepare trimmed audio
-    let trimmed = audioBlob;
-    if (audioPCM) {
-      const start = Math.floor(trimRange.start * audioPCM.length);
-      const end = Math.floor(trimRange.end * audioPCM.length);
-      const offline = new OfflineAudioContext(1, end - start, 48000);
-      const buf = offline.createBuffer(1, end - start, 48000);
-      const ch = buf.getChannelData(0);
-      ch.set(audioPCM.slice(start, end));
-      const src = offline.createBufferSource();
-      src.buffer = buf;
-      src.connect(offline.destination);
-      src.start();
-      const rendered = await offline.startRendering();
-      const wav = bufferToWav(rendered);
-      trimmed = new Blob([wav], { type: 'audio/wav' });
-    }
-    const out = await exporter.export({
+    // the queue reads the project from the database
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    await persistProject();
+    const preset = matchPreset(next);
+    await exportQueue.add(project, preset ? preset.label : `${FORMATS[next.format].label} (מותאם)`, next);
+  } catch (e) {
+    console.error(e);
+    alert('שגיאה בהוספה לתור: ' + (e && e.message));
+  }
+});
+
+// ffmpeg stays loaded between exports; the runner runs them, the queue's included, one at a time
+const exportRunner = new ExportRunner(ffmpegConfig());
+let exporting = null; // AbortController of the running export
+
+async function doExport(format) {
+  if (exporting) return;
+  const { video, ext } = FORMATS[format.format];
+  // If no narration exists at all, export a silent track of the same duration as
+  // the video (or at least one second).  Without this fallback, export would bail
+  // out when no microphone is available.  The silent track ensures FFmpeg has an
+  // audio stream to mux with the video.
+  let narration = exportNarration();
+  if (!narration || narration.length === 0) {
+    narration = new Float32Array(Math.ceil(Math.max(1, videoEl.duration || 1) * SAMPLE_RATE));
+  }
+  const cues = captionCues(captions, pauses);
+  const captionMode = captionModeSel.value;
+  const controller = new AbortController();
+  exporting = controller;
+  exportBtn.disabled = true;
+  show(stopExportBtn);
+  show(progressWrap);
+  progressBar.style.width = '0%';
+  progressText.textContent = 'מכין את היצוא…';
+  let hideAfter = 2500;
+  try {
+    const { blob, syncReport: sync } = await exportRunner.run({
       videoBlob: await fetch(videoEl.src).then((r) => r.blob()),
-      audioBlob: trimmed,
-      pauses,
+      narration: { pcm: narration, sampleRate: SAMPLE_RATE },
+      pauses: video ? await withStills(pauses) : pauses,
       normalize: normalizeChk.checked,
-    });
-    setProgress(100);
+      loudness: loudnessTarget(loudnessTargetSel.value),
+      originalAudio: keepOriginalChk.checked ? {
+        bedLevelDb: Number(bedLevel.value),
+        duck: duckChk.checked,
+        freeze: freezeAudioSel.value,
+      } : undefined,
+      captions: video && captionMode !== 'off' && cues.length ? { srt: toSRT(cues), mode: captionMode } : undefined,
+      metadata: {
+        title: metaTitle.value.trim() || project.name,
+        author: metaAuthor.value.trim() || undefined,
+        chapters: chapterMarks(chapters, pauses),
+      },
+      format,
+    }, { onProgress: setProgress, signal: controller.signal });
+    progressBar.style.width = '100%';
     progressText.textContent = 'ההורדה הושלמה';
-    const url = URL.createObjectURL(out);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'voice-pause-video.mp4';
-    a.click();
+    if (sync && !sync.ok) {
+      // the frames of the file don't line up with the pauses the narration was recorded against
+      const drift = Number.isFinite(sync.maxDrift) ? ` בעד ${Math.round(sync.maxDrift * 1000)}ms` : '';
+      progressText.textContent += ` – אזהרה: הוידאו סוטה מההקפאות${drift}`;
+      hideAfter = 10000;
+    }
+    downloadBlob(blob, projectFileName(`.${ext}`));
   } catch (e) {
-    console.error(e);
-    alert('שגיאה ביצוא: ' + (e && e.message));
+    if (controller.signal.aborted) {
+      progressText.textContent = 'היצוא בוטל';
+    } else {
+      console.error(e);
+      alert('שגיאה ביצוא: ' + (e && e.message));
+    }
   } finally {
-    setTimeout(() => hide(progressWrap), 2500);
+    exporting = null;
+    exportBtn.disabled = false;
+    hide(stopExportBtn);
+    setTimeout(() => { if (!exporting) hide(progressWrap); }, hideAfter);
   }
 }
 
-// Helper: convert AudioBuffer to a WAV ArrayBuffer
-function bufferToWav(buffer) {
-  const numOfChan = buffer.numberOfChannels;
-  const length = buffer.length * numOfChan * 2 + 44;
-  const out = new ArrayBuffer(length);
-  const view = new DataView(out);
-  const channels = [];
-  let offset = 0;
-  const writeUTFBytes = (view2, offset2, text) => {
-    for (let i = 0; i < text.length; i++) {
-      view2.setUint8(offset2 + i, text.charCodeAt(i));
-    }
-  };
-  // RIFF header
-  writeUTFBytes(view, offset, 'RIFF'); offset += 4;
-  view.setUint32(offset, length - 8, true); offset += 4;
-  writeUTFBytes(view, offset, 'WAVE'); offset += 4;
-  writeUTFBytes(view, offset, 'fmt '); offset += 4;
-  view.setUint32(offset, 16, true); offset += 4;
-  view.setUint16(offset, 1, true); offset += 2;
-  view.setUint16(offset, numOfChan, true); offset += 2;
-  view.setUint32(offset, buffer.sampleRate, true); offset += 4;
-  view.setUint32(offset, buffer.sampleRate * 2 * numOfChan, true); offset += 4;
-  view.setUint16(offset, numOfChan * 2, true); offset += 2;
-  view.setUint16(offset, 16, true); offset += 2;
-  writeUTFBytes(view, offset, 'data'); offset += 4;
-  view.setUint32(offset, length - offset - 4, true); offset += 4;
-  for (let i = 0; i < numOfChan; i++) channels.push(buffer.getChannelData(i));
-  let interleaved = new Float32Array(buffer.length * numOfChan);
-  for (let i = 0; i < buffer.length; i++) {
-    for (let ch = 0; ch < numOfChan; ch++) {
-      interleaved[i * numOfChan + ch] = channels[ch][i];
+stopExportBtn.addEventListener('click', () => { if (exporting) exporting.abort(); });
+
+// Export queue
+const QUEUE_STATUS = { queued: 'ממתין', running: 'רץ', done: 'הושלם', failed: 'נכשל' };
+const exportQueue = new ExportQueue(store, exportRunner, renderQueue, (job) => {
+  // only the text changes: rebuilding the list would swallow clicks on it
+  if (runningJobDetails) runningJobDetails.textContent = jobDetails(job);
+});
+let runningJobDetails = null;
+
+/**
+ * The line under a job in the queue: preset and status, with progress while it runs.
+ * @param {import('./exportQueue.js').ExportJob} job
+ * @returns {string}
+ */
+function jobDetails(job) {
+  let status = QUEUE_STATUS[job.status];
+  const p = job.status === 'running' ? exportQueue.progress : null;
+  if (p) status += ` – ${STAGE_LABELS[p.stage]} · ${Math.round(p.fraction * 100)}%` + (p.eta !== null ? ` · נותרו כ־${formatEta(p.eta)}` : '');
+  if (job.status === 'done' && job.syncOk === false) status += ' – אזהרה: הוידאו סוטה מההקפאות';
+  if (job.status === 'failed') status += `: ${job.error}`;
+  return ` ${job.label} · ${status}`;
+}
+
+function renderQueue() {
+  const jobs = exportQueue.list;
+  const pending = jobs.filter((j) => j.status === 'queued' || j.status === 'running').length;
+  queueBtn.textContent = pending ? `🗂️ תור יצוא (${pending})` : '🗂️ תור יצוא';
+  queueDownloadAllBtn.disabled = !jobs.some((j) => j.output);
+  queueClearBtn.disabled = !jobs.some((j) => j.status === 'done');
+  queueList.innerHTML = '';
+  runningJobDetails = null;
+  if (!jobs.length) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'התור ריק';
+    queueList.appendChild(li);
+  }
+  for (const job of jobs) {
+    const li = document.createElement('li');
+    li.classList.add(job.status);
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = job.projectName;
+    const details = document.createElement('small');
+    details.textContent = jobDetails(job);
+    if (job.status === 'running') runningJobDetails = details;
+    info.append(name, details);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const action = (label, fn) => {
+      const b = document.createElement('button');
+      b.className = 'button';
+      b.textContent = label;
+      b.addEventListener('click', () => Promise.resolve(fn()).catch((e) => alert('שגיאה: ' + (e && e.message))));
+      actions.appendChild(b);
+    };
+    if (job.output) action('⬇️ הורד', () => downloadBlob(job.output.blob, job.output.name));
+    if (job.status === 'failed') action('נסה שוב', () => exportQueue.retry(job.id));
+    action(job.status === 'running' ? 'בטל' : 'הסר', () => exportQueue.remove(job.id));
+    li.append(info, actions);
+    queueList.appendChild(li);
+  }
+}
+
+async function showQueueDialog() {
+  // flush a pending autosave so the current project is exported as it is now
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    await persistProject().catch((e) => console.error('Saving project failed', e));
+  }
+  queueProjectSel.innerHTML = '';
+  for (const summary of await store.list()) {
+    queueProjectSel.add(new Option(summary.name, summary.id, false, summary.id === project.id));
+  }
+  queuePresetSel.innerHTML = '';
+  for (const preset of EXPORT_PRESETS) queuePresetSel.add(new Option(preset.label, preset.id));
+  renderQueue();
+  queueDialog.showModal();
+}
+
+queueBtn.addEventListener('click', () => showQueueDialog().catch((e) => alert('שגיאה: ' + (e && e.message))));
+queueAddBtn.addEventListener('click', async () => {
+  const projects = [...queueProjectSel.selectedOptions].map((o) => ({ id: o.value, name: o.text }));
+  const presets = EXPORT_PRESETS.filter((p) => [...queuePresetSel.selectedOptions].some((o) => o.value === p.id));
+  if (!projects.length || !presets.length) { alert('בחרו לפחות פרויקט אחד ופריסט אחד'); return; }
+  for (const p of projects) {
+    for (const preset of presets) await exportQueue.add(p, preset.label, preset.settings);
+  }
+});
+// All finished exports in one zip.
+async function downloadAllExports() {
+  const entries = [];
+  const names = new Set();
+  for (const job of exportQueue.list) {
+    if (!job.output) continue;
+    // two jobs may have made files of the same name
+    let name = job.output.name;
+    for (let i = 2; names.has(name); i++) name = job.output.name.replace(/(\.\w+)$/, ` (${i})$1`);
+    names.add(name);
+    entries.push({ name, data: new Uint8Array(await job.output.blob.arrayBuffer()) });
+  }
+  downloadBlob(new Blob([createZip(entries)], { type: 'application/zip' }), 'exports.zip');
+}
+queueDownloadAllBtn.addEventListener('click', () => downloadAllExports().catch((e) => alert('שגיאה: ' + (e && e.message))));
+queueClearBtn.addEventListener('click', () => exportQueue.clearDone().catch((e) => alert('שגיאה: ' + (e && e.message))));
+closeQueueBtn.addEventListener('click', () => queueDialog.close());
+
+// Recovering an interrupted recording
+let interrupted = null; // the one the recovery dialog offers
+
+// Offers the oldest recording a closed or crashed tab left unsaved, if there is one.  Journals
+// another tab (or this one) still holds the lock of are recordings going on, not interrupted.
+async function offerRecovery() {
+  const live = await liveRecordings();
+  for (const rec of await store.interruptedRecordings()) {
+    const { session } = rec;
+    if (live.has(session.id)) continue;
+    const { blob, seconds, pauses: made } = replayJournal(rec);
+    // Stopped before the first chunk, or its take was saved before the journal could be removed.
+    if (!blob || (session.projectId === project.id && takes.some((t) => t.id === session.takeId))) {
+      await store.discardRecording(session.id);
+      continue;
     }
+    interrupted = rec;
+    const when = new Date(session.startedAt).toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+    recoveryText.textContent = `הקלטה מ־${when} בפרויקט "${session.projectName}" נקטעה לפני שנשמרה: `
+      + `${seconds.toFixed(1)} שניות קריינות ו־${made.length} הקפאות.`;
+    recoveryScreenNote.classList.toggle('hidden', !session.screen);
+    recoveryDialog.showModal();
+    return;
   }
-  for (let i = 0; i < interleaved.length; i++) {
-    const s = Math.max(-1, Math.min(1, interleaved[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-    offset += 2;
+}
+
+// Rebuilds the take, with its freezes and chapters, in the project it was recorded in (or the
+// open one, when that project was never saved).
+async function recoverRecording(rec) {
+  const { session } = rec;
+  if (session.projectId !== project.id) await openProject(session.projectId);
+  if (takes.some((t) => t.id === session.takeId)) {
+    await store.discardRecording(session.id);
+    return;
+  }
+  const { blob, pauses: made, chapters: marked } = replayJournal(rec);
+  let pcm;
+  try {
+    pcm = await decodeToPCM(blob);
+  } catch (e) {
+    // The recording is still worth having, even where the browser can't read it back.
+    downloadBlob(blob, `${safeFileName(session.projectName)}-recovered.webm`);
+    throw e;
   }
-  return out;
+  const before = { takes: [...takes], pauses: [...pauses], chapters: [...chapters] };
+  pauses.push(...unsavedPauses(pauses, made));
+  chapters.push(...unsavedChapters(chapters, marked));
+  addTake({
+    id: session.takeId,
+    startVideoTime: session.startVideoTime,
+    anchorOffset: session.anchorOffset,
+    pcm,
+    blob,
+    punchLength: session.punchLength,
+    latency: session.latency,
+    createdAt: session.startedAt,
+  }, 'הקלטה משוחזרת', before);
+  await releaseJournal(() => store.discardRecording(session.id));
 }
 
+recoverBtn.addEventListener('click', async () => {
+  const rec = interrupted;
+  recoveryDialog.close();
+  if (!rec) return;
+  try {
+    await recoverRecording(rec);
+  } catch (e) {
+    console.error('Recovering the recording failed', e);
+    alert('שחזור ההקלטה נכשל: ' + (e && e.message));
+    return;
+  }
+  offerRecovery().catch((e) => console.error('Looking for interrupted recordings failed', e));
+});
+discardRecoveryBtn.addEventListener('click', async () => {
+  const rec = interrupted;
+  recoveryDialog.close();
+  if (!rec || !confirm('למחוק את ההקלטה שנקטעה? לא ניתן יהיה לשחזר אותה.')) return;
+  await store.discardRecording(rec.session.id).catch((e) => console.warn('Removing the recording journal failed', e));
+  offerRecovery().catch((e) => console.error('Looking for interrupted recordings failed', e));
+});
+// Left for the next load.
+laterRecoveryBtn.addEventListener('click', () => recoveryDialog.close());
+recoveryDialog.addEventListener('close', () => { interrupted = null; });
+
 // Initial load
-loadProjectFromLocalStorage();
+restoreLastProject().catch((e) => {
+  console.error('Restoring project failed', e);
+  applyProject(project);
+}).then(offerRecovery).catch((e) => console.error('Looking for interrupted recordings failed', e));
+exportQueue.restore().catch((e) => console.error('Restoring the export queue failed', e));
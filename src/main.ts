@@ -1,28 +1,183 @@
 import { Waveform } from './waveform';
-import { Exporter, PauseRange } from './exporter';
+import { LevelMeter } from './levelMeter';
+import { ScreenRecorder, CaptureOptions, DEFAULT_CAPTURE, PipCorner } from './screenRecorder';
+import { PauseTimeline } from './pauseTimeline';
+import { PauseGlobals, pauseOrResume, videoPaused, videoPlayed } from './pauseToggle';
+import { AnnotationEditor } from './annotationEditor';
+import { AnnotationKind, KIND_LABELS, ANNOTATION_COLORS, drawAnnotated, withStills } from './annotations';
+import { Preview } from './preview';
+import { PauseRange, OriginalAudioOptions } from './exporter';
+import { ExportRunner } from './exportJob';
+import { ExportProgress, STAGE_LABELS, formatEta } from './exportProgress';
+import { ExportQueue, ExportJob, safeFileName } from './exportQueue';
+import { createZip, ZipEntry } from './zip';
+import { FFmpegConfig, DEFAULT_FFMPEG_CONFIG } from './ffmpegCore';
+import { Take, SAMPLE_RATE, takeId, takeStart, takeDuration, composeNarration, narrationLength, decodeToPCM } from './takes';
+import { videoToOutputTime, outputToVideoTime, freezeAt, freezeSpans } from './timeline';
+import { Caption, placeCaption, captionCue, captionCues, cueAt, toSRT, toVTT } from './captions';
+import { Chapter, chapterId, placeChapter, chapterStart, chapterMarks, toYouTubeChapters, youTubeAccepts, YOUTUBE_MIN_CHAPTERS, YOUTUBE_MIN_LENGTH } from './chapters';
+import { TranscriptionEngine, WorkerEngine, Word, modelInstalled, toOutputTime, wordsToCaptions, searchWords } from './transcribe';
+import { ExportSettings, ExportFormat, EXPORT_PRESETS, FORMATS, normalizeExport, copiesVideo, matchPreset, predictSize, formatBytes } from './exportPresets';
+import { ProjectStore, Project, ProjectSettings, DEFAULT_SETTINGS, emptyProject, normalizeSettings } from './projectStore';
+import { LoudnessReport, LOUDNESS_TARGETS, loudnessTarget, measureLoudness } from './loudness';
+import { EqBand, FxSettings, FxPreset, FX_PRESETS, applyFxPreset, matchFxPreset, learnNoiseProfile, processOffline, createFxNode } from './audioFx';
+import { bufferToWav, monoBuffer } from './wav';
+import { Gap, SilenceSettings, detectGaps, cuttableLength, planGapCuts, applyGapCuts, silenceTrim } from './silence';
+import { projectToBundle, bundleToProject, BUNDLE_EXTENSION } from './bundle';
+import { CommandHistory, HistoryItem, HistoryStep } from './history';
+import { RecordingJournal, InterruptedRecording, liveRecordings, recordingId, replayJournal, unsavedPauses, unsavedChapters } from './recordingJournal';
 import pkg from '../package.json' assert { type: 'json' };
 
 // App State
-type HistoryItem = { type: 'trim'; from: { start: number; end: number }; to: { start: number; end: number } };
-
 const videoEl = document.getElementById('video') as HTMLVideoElement;
 const badge = document.getElementById('recordBadge') as HTMLDivElement;
+const countdownEl = document.getElementById('countdown') as HTMLDivElement;
+const inputDeviceSel = document.getElementById('inputDeviceSel') as HTMLSelectElement;
+const countInSel = document.getElementById('countInSel') as HTMLSelectElement;
+const durationEl = document.getElementById('audioDuration') as HTMLDivElement;
+const freezeOverlay = document.getElementById('freezeOverlay') as HTMLImageElement;
+const captionOverlay = document.getElementById('captionOverlay') as HTMLDivElement;
+const annotationOverlay = document.getElementById('annotationOverlay') as HTMLCanvasElement;
+const previewBtn = document.getElementById('previewBtn') as HTMLButtonElement;
 const startRecBtn = document.getElementById('startRec') as HTMLButtonElement;
 const togglePauseBtn = document.getElementById('togglePause') as HTMLButtonElement;
 const exportBtn = document.getElementById('exportBtn') as HTMLButtonElement;
 const fileInput = document.getElementById('videoFile') as HTMLInputElement;
 const dropzone = document.getElementById('dropzone') as HTMLDivElement;
+const screenCaptureBtn = document.getElementById('screenCaptureBtn') as HTMLButtonElement;
+const webcamChk = document.getElementById('webcamChk') as HTMLInputElement;
+const pipCornerSel = document.getElementById('pipCornerSel') as HTMLSelectElement;
+const systemAudioChk = document.getElementById('systemAudioChk') as HTMLInputElement;
 const playerArea = document.getElementById('playerArea') as HTMLDivElement;
 const progressWrap = document.getElementById('progressWrap') as HTMLDivElement;
 const progressBar = document.getElementById('progress') as HTMLDivElement;
 const progressText = document.getElementById('progressText') as HTMLDivElement;
+const stopExportBtn = document.getElementById('stopExportBtn') as HTMLButtonElement;
 const waveCanvas = document.getElementById('wave') as HTMLCanvasElement;
+const pauseCanvas = document.getElementById('pauseTimeline') as HTMLCanvasElement;
+const insertPauseBtn = document.getElementById('insertPauseBtn') as HTMLButtonElement;
+const deletePauseBtn = document.getElementById('deletePauseBtn') as HTMLButtonElement;
+const annotateBtn = document.getElementById('annotateBtn') as HTMLButtonElement;
+const annotationDialog = document.getElementById('annotationDialog') as HTMLDialogElement;
+const annotationToolSel = document.getElementById('annotationToolSel') as HTMLSelectElement;
+const annotationColor = document.getElementById('annotationColor') as HTMLInputElement;
+const annotationColors = document.getElementById('annotationColors') as HTMLDataListElement;
+const deleteAnnotationBtn = document.getElementById('deleteAnnotationBtn') as HTMLButtonElement;
+const annotationFields = document.getElementById('annotationFields') as HTMLFieldSetElement;
+const annotationTextLabel = document.getElementById('annotationTextLabel') as HTMLLabelElement;
+const annotationText = document.getElementById('annotationText') as HTMLInputElement;
+const annotationAppear = document.getElementById('annotationAppear') as HTMLInputElement;
+const annotationAnimate = document.getElementById('annotationAnimate') as HTMLInputElement;
+const annotationPlayBtn = document.getElementById('annotationPlayBtn') as HTMLButtonElement;
+const annotationTime = document.getElementById('annotationTime') as HTMLInputElement;
+const annotationTimeText = document.getElementById('annotationTimeText') as HTMLSpanElement;
+const saveAnnotationsBtn = document.getElementById('saveAnnotationsBtn') as HTMLButtonElement;
+const closeAnnotationsBtn = document.getElementById('closeAnnotationsBtn') as HTMLButtonElement;
 const trimSilenceBtn = document.getElementById('trimSilence') as HTMLButtonElement;
+const zoomInBtn = document.getElementById('zoomInBtn') as HTMLButtonElement;
+const zoomOutBtn = document.getElementById('zoomOutBtn') as HTMLButtonElement;
+const zoomFitBtn = document.getElementById('zoomFitBtn') as HTMLButtonElement;
 const undoBtn = document.getElementById('undoBtn') as HTMLButtonElement;
 const redoBtn = document.getElementById('redoBtn') as HTMLButtonElement;
 const normalizeChk = document.getElementById('normalizeChk') as HTMLInputElement;
-const denoiseChk = document.getElementById('denoiseChk') as HTMLInputElement;
+const loudnessTargetSel = document.getElementById('loudnessTargetSel') as HTMLSelectElement;
+const loudnessMeter = document.getElementById('loudnessMeter') as HTMLDivElement;
+const fxPresetSel = document.getElementById('fxPresetSel') as HTMLSelectElement;
+const fxSavePresetBtn = document.getElementById('fxSavePresetBtn') as HTMLButtonElement;
+const fxDeletePresetBtn = document.getElementById('fxDeletePresetBtn') as HTMLButtonElement;
+const fxLiveChk = document.getElementById('fxLiveChk') as HTMLInputElement;
+const fxNoiseChk = document.getElementById('fxNoiseChk') as HTMLInputElement;
+const fxNoiseReduction = document.getElementById('fxNoiseReduction') as HTMLInputElement;
+const fxNoiseSensitivity = document.getElementById('fxNoiseSensitivity') as HTMLInputElement;
+const fxLearnBtn = document.getElementById('fxLearnBtn') as HTMLButtonElement;
+const fxForgetBtn = document.getElementById('fxForgetBtn') as HTMLButtonElement;
+const fxProfileText = document.getElementById('fxProfileText') as HTMLSpanElement;
+const fxGateChk = document.getElementById('fxGateChk') as HTMLInputElement;
+const fxGateThreshold = document.getElementById('fxGateThreshold') as HTMLInputElement;
+const fxEqChk = document.getElementById('fxEqChk') as HTMLInputElement;
+const fxHighpassSel = document.getElementById('fxHighpassSel') as HTMLSelectElement;
+const fxBands = document.getElementById('fxBands') as HTMLDivElement;
+const fxDeesserChk = document.getElementById('fxDeesserChk') as HTMLInputElement;
+const fxDeesserThreshold = document.getElementById('fxDeesserThreshold') as HTMLInputElement;
+const fxLimiterChk = document.getElementById('fxLimiterChk') as HTMLInputElement;
+const fxLimiterCeiling = document.getElementById('fxLimiterCeiling') as HTMLInputElement;
+const fxApplyBtn = document.getElementById('fxApplyBtn') as HTMLButtonElement;
+const fxStatus = document.getElementById('fxStatus') as HTMLSpanElement;
 const autosaveChk = document.getElementById('autosaveChk') as HTMLInputElement;
+const keepOriginalChk = document.getElementById('keepOriginalChk') as HTMLInputElement;
+const bedLevel = document.getElementById('bedLevel') as HTMLInputElement;
+const bedLevelText = document.getElementById('bedLevelText') as HTMLSpanElement;
+const duckChk = document.getElementById('duckChk') as HTMLInputElement;
+const freezeAudioSel = document.getElementById('freezeAudioSel') as HTMLSelectElement;
+const punchBtn = document.getElementById('punchBtn') as HTMLButtonElement;
+const takeList = document.getElementById('takeList') as HTMLUListElement;
+const silenceThreshold = document.getElementById('silenceThreshold') as HTMLInputElement;
+const silenceThresholdText = document.getElementById('silenceThresholdText') as HTMLSpanElement;
+const silenceMinGap = document.getElementById('silenceMinGap') as HTMLInputElement;
+const silenceMinGapText = document.getElementById('silenceMinGapText') as HTMLSpanElement;
+const silenceMaxGap = document.getElementById('silenceMaxGap') as HTMLInputElement;
+const silenceMaxGapText = document.getElementById('silenceMaxGapText') as HTMLSpanElement;
+const silenceFindBtn = document.getElementById('silenceFindBtn') as HTMLButtonElement;
+const silenceShortenBtn = document.getElementById('silenceShortenBtn') as HTMLButtonElement;
+const silenceRemoveBtn = document.getElementById('silenceRemoveBtn') as HTMLButtonElement;
+const silenceStatus = document.getElementById('silenceStatus') as HTMLSpanElement;
+const gapList = document.getElementById('gapList') as HTMLUListElement;
+const captionList = document.getElementById('captionList') as HTMLUListElement;
+const addCaptionBtn = document.getElementById('addCaptionBtn') as HTMLButtonElement;
+const srtBtn = document.getElementById('srtBtn') as HTMLButtonElement;
+const vttBtn = document.getElementById('vttBtn') as HTMLButtonElement;
+const captionModeSel = document.getElementById('captionModeSel') as HTMLSelectElement;
+const chapterList = document.getElementById('chapterList') as HTMLUListElement;
+const addChapterBtn = document.getElementById('addChapterBtn') as HTMLButtonElement;
+const youTubeChaptersBtn = document.getElementById('youTubeChaptersBtn') as HTMLButtonElement;
+const metaTitle = document.getElementById('metaTitle') as HTMLInputElement;
+const metaAuthor = document.getElementById('metaAuthor') as HTMLInputElement;
+const exportDialog = document.getElementById('exportDialog') as HTMLDialogElement;
+const exportPresetSel = document.getElementById('exportPresetSel') as HTMLSelectElement;
+const exportFormatSel = document.getElementById('exportFormatSel') as HTMLSelectElement;
+const exportVideoFields = document.getElementById('exportVideoFields') as HTMLFieldSetElement;
+const exportQualitySel = document.getElementById('exportQualitySel') as HTMLSelectElement;
+const exportCrfLabel = document.getElementById('exportCrfLabel') as HTMLLabelElement;
+const exportCrf = document.getElementById('exportCrf') as HTMLInputElement;
+const exportBitrateLabel = document.getElementById('exportBitrateLabel') as HTMLLabelElement;
+const exportBitrate = document.getElementById('exportBitrate') as HTMLInputElement;
+const exportHeightSel = document.getElementById('exportHeightSel') as HTMLSelectElement;
+const exportFpsSel = document.getElementById('exportFpsSel') as HTMLSelectElement;
+const exportAudioSel = document.getElementById('exportAudioSel') as HTMLSelectElement;
+const exportEstimate = document.getElementById('exportEstimate') as HTMLParagraphElement;
+const startExportBtn = document.getElementById('startExportBtn') as HTMLButtonElement;
+const queueExportBtn = document.getElementById('queueExportBtn') as HTMLButtonElement;
+const cancelExportBtn = document.getElementById('cancelExportBtn') as HTMLButtonElement;
+const transcriptPanel = document.getElementById('transcriptPanel') as HTMLDetailsElement;
+const transcribeBtn = document.getElementById('transcribeBtn') as HTMLButtonElement;
+const transcriptCaptionsBtn = document.getElementById('transcriptCaptionsBtn') as HTMLButtonElement;
+const transcriptSearch = document.getElementById('transcriptSearch') as HTMLInputElement;
+const transcriptStatus = document.getElementById('transcriptStatus') as HTMLSpanElement;
+const transcriptEl = document.getElementById('transcript') as HTMLParagraphElement;
+const projectNameEl = document.getElementById('projectName') as HTMLSpanElement;
+const libraryBtn = document.getElementById('libraryBtn') as HTMLButtonElement;
+const libraryDialog = document.getElementById('libraryDialog') as HTMLDialogElement;
+const projectList = document.getElementById('projectList') as HTMLUListElement;
+const newProjectBtn = document.getElementById('newProjectBtn') as HTMLButtonElement;
+const closeLibraryBtn = document.getElementById('closeLibraryBtn') as HTMLButtonElement;
+const exportBundleBtn = document.getElementById('exportBundleBtn') as HTMLButtonElement;
+const bundleVideoChk = document.getElementById('bundleVideoChk') as HTMLInputElement;
+const importBundleInput = document.getElementById('importBundle') as HTMLInputElement;
+const queueBtn = document.getElementById('queueBtn') as HTMLButtonElement;
+const queueDialog = document.getElementById('queueDialog') as HTMLDialogElement;
+const queueProjectSel = document.getElementById('queueProjectSel') as HTMLSelectElement;
+const queuePresetSel = document.getElementById('queuePresetSel') as HTMLSelectElement;
+const queueAddBtn = document.getElementById('queueAddBtn') as HTMLButtonElement;
+const queueList = document.getElementById('queueList') as HTMLUListElement;
+const queueDownloadAllBtn = document.getElementById('queueDownloadAllBtn') as HTMLButtonElement;
+const queueClearBtn = document.getElementById('queueClearBtn') as HTMLButtonElement;
+const closeQueueBtn = document.getElementById('closeQueueBtn') as HTMLButtonElement;
+const recoveryDialog = document.getElementById('recoveryDialog') as HTMLDialogElement;
+const recoveryText = document.getElementById('recoveryText') as HTMLParagraphElement;
+const recoveryScreenNote = document.getElementById('recoveryScreenNote') as HTMLParagraphElement;
+const recoverBtn = document.getElementById('recoverBtn') as HTMLButtonElement;
+const discardRecoveryBtn = document.getElementById('discardRecoveryBtn') as HTMLButtonElement;
+const laterRecoveryBtn = document.getElementById('laterRecoveryBtn') as HTMLButtonElement;
 const versionEl = document.getElementById('version') as HTMLSpanElement;
 versionEl.textContent = `v${pkg.version}`;
 
@@ -33,28 +188,50 @@ fetch('./package.json')
   .catch(() => {});
 
 const waveform = new Waveform(waveCanvas);
-const audioChunks: Blob[] = [];
+const levelMeter = new LevelMeter(document.getElementById('levelMeter') as HTMLDivElement);
+const pauseTimeline = new PauseTimeline(pauseCanvas);
+const preview = new Preview(videoEl, freezeOverlay);
+const annotationEditor = new AnnotationEditor(document.getElementById('annotationCanvas') as HTMLCanvasElement);
+let narrationSeconds = 0; // length of the narration as exported
 let mediaRecorder: MediaRecorder | null = null;
-let audioBlob: Blob | null = null;
-let audioPCM: Float32Array | null = null;
+let audioPCM: Float32Array | null = null; // all takes composed in output time
 let stream: MediaStream | null = null;
 let audioCtx: AudioContext | null = null;
-let denoiseNode: BiquadFilterNode | null = null;
-let compNode: DynamicsCompressorNode | null = null;
 
 const pauses: PauseRange[] = []; // ranges where the video was paused while recording
+const takes: Take[] = [];
+const captions: Caption[] = [];
+const chapters: Chapter[] = [];
 let isRecording = false;
-let undoStack: HistoryItem[] = [];
-let redoStack: HistoryItem[] = [];
+let recordStartTime = 0; // performance.now() when the recorder started; 0 when it isn't running
+let journal: RecordingJournal | null = null; // the running recording's journal in IndexedDB
+let cancelCountIn: (() => void) | null = null; // set while counting in
+let capture: ScreenRecorder | null = null; // records the video too while recording the screen
+let recordAnchor: { startVideoTime: number; anchorOffset: number } | null = null; // of the take being recorded
+let punchTimer = 0; // stops a punch-in at the end of the selected region
+let freezeHoldTimer = 0; // starts the video of a punch-in that began inside a freeze
+const editHistory = new CommandHistory(applyHistoryStep);
+let shownSettings: ProjectSettings = { ...DEFAULT_SETTINGS }; // settings as last recorded, the 'from' of the next change
+let exportSettings: ExportSettings = DEFAULT_SETTINGS.export; // as last confirmed in the export dialog
+let fxSettings: FxSettings = DEFAULT_SETTINGS.fx; // the voice effects chain as shown in its panel
+let fxPresets: FxPreset[] = []; // the project's own effects presets
+let fxBusy = false; // effects are being applied to the takes
 let trimRange = { start: 0, end: 1 }; // as fraction of total samples
 
+const LAST_PROJECT_KEY = 'vpv_lastProject';
+const store = new ProjectStore();
+let project: Project = emptyProject(newProjectName());
+let videoURL = '';
+let saveTimer = 0;
+
 // --- Utils ---
 function show(el: HTMLElement){ el.classList.remove('hidden'); }
 function hide(el: HTMLElement){ el.classList.add('hidden'); }
-function setProgress(p:number){
+function setProgress(p: ExportProgress){
   show(progressWrap);
-  progressBar.style.width = `${p}%`;
-  progressText.textContent = `${Math.round(p)}%`;
+  progressBar.style.width = `${p.fraction * 100}%`;
+  progressText.textContent = `${STAGE_LABELS[p.stage]} ${Math.round(p.stageFraction * 100)}% · סה״כ ${Math.round(p.fraction * 100)}%`
+    + (p.eta !== null ? ` · נותרו כ־${formatEta(p.eta)}` : '');
 }
 function dataURLOfCurrentFrame(video: HTMLVideoElement) : string {
   const c = document.createElement('canvas');
@@ -64,30 +241,475 @@ function dataURLOfCurrentFrame(video: HTMLVideoElement) : string {
   ctx.drawImage(video, 0, 0, w, h);
   return c.toDataURL('image/png');
 }
+function downloadBlob(blob: Blob, name: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = name;
+  a.click();
+  setTimeout(()=> URL.revokeObjectURL(url), 10000);
+}
+// The ffmpeg location from index.html, so a deployment can move it without a rebuild.
+function ffmpegConfig(): FFmpegConfig {
+  const el = document.getElementById('ffmpegConfig');
+  try {
+    return { ...DEFAULT_FFMPEG_CONFIG, ...(el ? JSON.parse(el.textContent || '{}') : {}) };
+  } catch (e) {
+    console.error('Invalid #ffmpegConfig, using the default', e);
+    return DEFAULT_FFMPEG_CONFIG;
+  }
+}
+function projectFileName(ext: string) {
+  return safeFileName(project.name) + ext;
+}
+
+// --- Projects ---
+function currentSettings(): ProjectSettings {
+  return {
+    normalize: normalizeChk.checked,
+    loudnessTarget: loudnessTargetSel.value,
+    fx: fxSettings,
+    liveFx: fxLiveChk.checked,
+    inputDevice: selectedInputDevice(),
+    countIn: Number(countInSel.value),
+    silence: silenceSettings(),
+    fxPresets,
+    keepOriginal: keepOriginalChk.checked,
+    bedLevelDb: Number(bedLevel.value),
+    duck: duckChk.checked,
+    freezeAudio: freezeAudioSel.value as ProjectSettings['freezeAudio'],
+    captionMode: captionModeSel.value as ProjectSettings['captionMode'],
+    metadata: { title: metaTitle.value, author: metaAuthor.value },
+    export: exportSettings,
+  };
+}
 
+function applySettings(raw: ProjectSettings) {
+  // history steps recorded before a settings field existed lack it
+  const s = normalizeSettings(raw);
+  normalizeChk.checked = s.normalize;
+  loudnessTargetSel.value = s.loudnessTarget;
+  keepOriginalChk.checked = s.keepOriginal;
+  bedLevel.value = String(s.bedLevelDb);
+  duckChk.checked = s.duck;
+  freezeAudioSel.value = s.freezeAudio;
+  captionModeSel.value = s.captionMode;
+  metaTitle.value = s.metadata.title;
+  metaAuthor.value = s.metadata.author;
+  exportSettings = s.export;
+  fxSettings = s.fx;
+  fxPresets = s.fxPresets;
+  fxLiveChk.checked = s.liveFx;
+  renderInputDevices(s.inputDevice);
+  countInSel.value = String(s.countIn);
+  silenceThreshold.value = String(s.silence.thresholdDb);
+  silenceMinGap.value = String(s.silence.minGap);
+  silenceMaxGap.value = String(s.silence.maxGap);
+  showSilenceValues();
+  showFx();
+  showBedLevel();
+  showLoudness();
+  shownSettings = s;
+}
+
+// Debounced: edits come in bursts (trim, takes, settings) and each save rewrites the project record.
 function saveProject() {
   if (!autosaveChk.checked) return;
-  const state = {
-    video: videoEl.src.startsWith('blob:') ? null : videoEl.src,
-    pauses,
+  clearTimeout(saveTimer);
+  saveTimer = window.setTimeout(()=> {
+    saveTimer = 0;
+    persistProject().catch(e => console.error('Saving project failed', e));
+  }, 400);
+}
+
+// The current project with the editor state folded in.
+function snapshotProject(): Project {
+  return {
+    ...project,
+    updatedAt: Date.now(),
+    takes: [...takes],
+    pauses: [...pauses],
+    captions: [...captions],
+    chapters: [...chapters],
     trimRange,
-    normalize: normalizeChk.checked,
-    denoise: denoiseChk.checked,
+    settings: currentSettings(),
+    history: editHistory.snapshot(),
   };
-  localStorage.setItem('vpv_state', JSON.stringify(state));
 }
 
-function loadProjectFromLocalStorage() {
+async function persistProject() {
+  project = snapshotProject();
+  await store.save(project);
+  localStorage.setItem(LAST_PROJECT_KEY, project.id);
+}
+
+function applyProject(p: Project) {
+  project = p;
+  takes.splice(0, takes.length, ...p.takes);
+  pauses.splice(0, pauses.length, ...p.pauses);
+  captions.splice(0, captions.length, ...p.captions);
+  chapters.splice(0, chapters.length, ...p.chapters);
+  trimRange = p.trimRange;
+  editHistory.load(p.history);
+  applySettings(p.settings);
+  if (videoURL) URL.revokeObjectURL(videoURL);
+  videoURL = p.video ? URL.createObjectURL(p.video.blob) : '';
+  if (videoURL) {
+    videoEl.src = videoURL;
+    show(playerArea);
+  } else {
+    videoEl.removeAttribute('src');
+    videoEl.load();
+    hide(playerArea);
+    pauseTimeline.setVideoDuration(0);
+  }
+  projectNameEl.textContent = p.name;
+  setTranscript([], null);
+  gaps = null;
+  renderGaps();
+  waveform.clearSelection();
+  waveform.fit();
+  recompose();
+  localStorage.setItem(LAST_PROJECT_KEY, p.id);
+}
+
+async function openProject(id: string) {
+  if (isRecording) return;
+  const p = await store.load(id);
+  if (p) applyProject(p);
+}
+
+function newProjectName() {
+  return `פרויקט ${new Date().toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' })}`;
+}
+
+async function restoreLastProject() {
+  const id = localStorage.getItem(LAST_PROJECT_KEY);
+  const p = id ? await store.load(id).catch(()=> null) : null;
+  if (p) { applyProject(p); return; }
+  // settings saved by versions that only kept them in localStorage
   const raw = localStorage.getItem('vpv_state');
-  if (!raw) return;
+  if (raw) {
+    try {
+      const s = JSON.parse(raw);
+      project.settings = normalizeSettings({ normalize: !!s.normalize, denoise: !!s.denoise });
+      if (s.trimRange) project.trimRange = s.trimRange;
+    } catch {}
+    localStorage.removeItem('vpv_state');
+  }
+  applyProject(project);
+}
+
+// --- Project library ---
+async function renderLibrary() {
+  const list = await store.list();
+  projectList.innerHTML = '';
+  if (!list.length) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'אין עדיין פרויקטים שמורים';
+    projectList.appendChild(li);
+  }
+  for (const summary of list) {
+    const li = document.createElement('li');
+    if (summary.id === project.id) li.classList.add('current');
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = summary.name;
+    const details = document.createElement('small');
+    const updated = new Date(summary.updatedAt).toLocaleString('he-IL');
+    details.textContent = ` ${summary.videoName ?? 'ללא וידאו'} · ${summary.takeCount} טייקים · ${updated}`;
+    info.append(name, details);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const action = (label: string, fn: () => Promise<void>) => {
+      const b = document.createElement('button');
+      b.className = 'button';
+      b.textContent = label;
+      b.addEventListener('click', ()=> fn().then(renderLibrary).catch(e => alert('שגיאה: ' + e?.message)));
+      actions.appendChild(b);
+    };
+    action('פתח', async ()=> { await openProject(summary.id); libraryDialog.close(); });
+    action('שנה שם', async ()=> {
+      const name = prompt('שם חדש לפרויקט', summary.name)?.trim();
+      if (!name) return;
+      await store.rename(summary.id, name);
+      if (summary.id === project.id) {
+        project.name = name;
+        projectNameEl.textContent = name;
+      }
+    });
+    action('שכפל', async ()=> { await store.duplicate(summary.id, `${summary.name} (עותק)`); });
+    action('מחק', async ()=> {
+      if (!confirm(`למחוק את "${summary.name}"?`)) return;
+      await store.remove(summary.id);
+      if (summary.id === project.id) applyProject(emptyProject(newProjectName()));
+    });
+    li.append(info, actions);
+    projectList.appendChild(li);
+  }
+}
+
+libraryBtn.addEventListener('click', async ()=> {
+  // flush a pending autosave so the list shows the current state
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    await persistProject().catch(e => console.error('Saving project failed', e));
+  }
+  await renderLibrary();
+  libraryDialog.showModal();
+});
+closeLibraryBtn.addEventListener('click', ()=> libraryDialog.close());
+exportBundleBtn.addEventListener('click', async ()=> {
   try {
-    const s = JSON.parse(raw);
-    trimRange = s.trimRange || trimRange;
-    normalizeChk.checked = !!s.normalize;
-    denoiseChk.checked = !!s.denoise;
-  } catch {}
+    const bundle = await projectToBundle(snapshotProject(), {
+      narration: audioPCM,
+      includeVideo: bundleVideoChk.checked,
+    });
+    downloadBlob(bundle, projectFileName(BUNDLE_EXTENSION));
+  } catch (e:any) {
+    console.error(e);
+    alert('שגיאה בייצוא הפרויקט: ' + e?.message);
+  }
+});
+importBundleInput.addEventListener('change', async ()=> {
+  const f = importBundleInput.files?.[0];
+  importBundleInput.value = '';
+  if (!f || isRecording) return;
+  try {
+    const { project: imported, missingVideo } = await bundleToProject(new Uint8Array(await f.arrayBuffer()));
+    await store.save(imported);
+    applyProject(imported);
+    libraryDialog.close();
+    if (missingVideo) {
+      alert(`הפרויקט מפנה לוידאו "${missingVideo}" שלא נכלל בקובץ — העלו אותו כדי להמשיך.`);
+      show(playerArea);
+    }
+  } catch (e:any) {
+    console.error(e);
+    alert('שגיאה בייבוא הפרויקט: ' + e?.message);
+  }
+});
+newProjectBtn.addEventListener('click', ()=> {
+  if (isRecording) return;
+  applyProject(emptyProject(newProjectName()));
+  libraryDialog.close();
+});
+
+function showBedLevel() { bedLevelText.textContent = `${bedLevel.value}dB`; }
+bedLevel.addEventListener('input', showBedLevel);
+[normalizeChk, loudnessTargetSel, fxLiveChk, inputDeviceSel, countInSel, silenceThreshold, silenceMinGap, silenceMaxGap, keepOriginalChk, bedLevel, duckChk, freezeAudioSel, captionModeSel, metaTitle, metaAuthor].forEach(el => el.addEventListener('change', ()=> {
+  const next = currentSettings();
+  editHistory.record({ type: 'settings', label: 'שינוי הגדרות', from: shownSettings, to: next }, `settings:${el.id}`);
+  shownSettings = next;
+  refreshComposition();
+  saveProject();
+}));
+
+// --- Loudness ---
+for (const t of LOUDNESS_TARGETS) loudnessTargetSel.add(new Option(t.label, t.id));
+// of the narration as exported, and which composition and trim it was measured on
+let loudness: { pcm: Float32Array; trim: typeof trimRange; report: LoudnessReport } | null = null;
+let loudnessTimer = 0;
+
+// Measuring a long narration takes a moment, so it waits for edits to settle.
+function scheduleLoudness() {
+  clearTimeout(loudnessTimer);
+  loudnessTimer = window.setTimeout(()=> {
+    loudnessTimer = 0;
+    const narration = exportNarration();
+    if (!audioPCM || !narration) loudness = null;
+    else if (loudness?.pcm !== audioPCM || loudness.trim !== trimRange) {
+      loudness = { pcm: audioPCM, trim: trimRange, report: measureLoudness(narration, SAMPLE_RATE) };
+    }
+    showLoudness();
+  }, 500);
+}
+
+function fmtLoudness(v: number) { return Number.isFinite(v) ? v.toFixed(1) : '-∞'; }
+
+function showLoudness() {
+  loudnessMeter.textContent = '';
+  if (!loudness) return;
+  const { integrated, truePeak, lra } = loudness.report;
+  const target = loudnessTarget(loudnessTargetSel.value);
+  const peak = document.createElement('span');
+  peak.textContent = `שיא ${fmtLoudness(truePeak)} dBTP`;
+  // louder than the target allows; normalizing brings it down
+  if (!normalizeChk.checked && truePeak > target.truePeak) peak.className = 'over';
+  loudnessMeter.append(`עוצמה ${fmtLoudness(integrated)} LUFS · `, peak, ` · טווח ${lra.toFixed(1)} LU`);
+  if (normalizeChk.checked && Number.isFinite(integrated)) {
+    const gain = target.integrated - integrated;
+    loudnessMeter.append(` · ביצוא ${target.integrated} LUFS (${gain >= 0 ? '+' : ''}${gain.toFixed(1)}dB)`);
+  }
+}
+
+// --- Voice effects ---
+const FX_BAND_TYPES: Record<EqBand['type'], string> = { lowshelf: 'נמוכים', peaking: 'פעמון', highshelf: 'גבוהים' };
+
+function allFxPresets() { return [...FX_PRESETS, ...fxPresets]; }
+
+// Fills the effects panel from fxSettings.
+function showFx() {
+  const fx = fxSettings;
+  fxNoiseChk.checked = fx.noise.enabled;
+  fxNoiseReduction.value = String(fx.noise.reductionDb);
+  fxNoiseSensitivity.value = String(fx.noise.sensitivityDb);
+  fxProfileText.textContent = fx.noise.profile ? 'פרופיל רעש נלמד' : 'לומד את הרעש תוך כדי';
+  fxForgetBtn.disabled = !fx.noise.profile;
+  fxGateChk.checked = fx.gate.enabled;
+  fxGateThreshold.value = String(fx.gate.thresholdDb);
+  fxEqChk.checked = fx.eq.enabled;
+  fxHighpassSel.value = String(fx.eq.highpassHz);
+  fxDeesserChk.checked = fx.deesser.enabled;
+  fxDeesserThreshold.value = String(fx.deesser.thresholdDb);
+  fxLimiterChk.checked = fx.limiter.enabled;
+  fxLimiterCeiling.value = String(fx.limiter.ceilingDb);
+  showFxValues();
+  renderFxBands();
+  fxPresetSel.innerHTML = '';
+  for (const preset of allFxPresets()) fxPresetSel.add(new Option(preset.label, preset.id));
+  fxPresetSel.add(new Option('מותאם אישית', 'custom'));
+  fxPresetSel.value = matchFxPreset(fx, allFxPresets())?.id ?? 'custom';
+  fxDeletePresetBtn.disabled = !fxPresets.some(p => p.id === fxPresetSel.value);
+}
+
+function showFxValues() {
+  document.getElementById('fxNoiseReductionText')!.textContent = `${fxNoiseReduction.value}dB`;
+  document.getElementById('fxNoiseSensitivityText')!.textContent = `${fxNoiseSensitivity.value}dB`;
+  document.getElementById('fxGateThresholdText')!.textContent = `${fxGateThreshold.value}dB`;
+  document.getElementById('fxDeesserThresholdText')!.textContent = `${fxDeesserThreshold.value}dB`;
+  document.getElementById('fxLimiterCeilingText')!.textContent = `${fxLimiterCeiling.value}dB`;
+}
+
+function renderFxBands() {
+  fxBands.innerHTML = '';
+  fxSettings.eq.bands.forEach((band, i) => {
+    const row = document.createElement('div');
+    row.className = 'fx-band';
+    const name = document.createElement('span');
+    name.textContent = FX_BAND_TYPES[band.type];
+    const freq = document.createElement('input');
+    freq.type = 'number';
+    freq.min = '20'; freq.max = '20000'; freq.step = '10';
+    freq.value = String(band.freq);
+    freq.title = 'תדר (Hz)';
+    const gain = document.createElement('input');
+    gain.type = 'range';
+    gain.min = '-12'; gain.max = '12'; gain.step = '1';
+    gain.value = String(band.gainDb);
+    const gainText = document.createElement('span');
+    gainText.textContent = `${band.gainDb}dB`;
+    gain.addEventListener('input', ()=> { gainText.textContent = `${gain.value}dB`; });
+    const q = document.createElement('input');
+    q.type = 'number';
+    q.min = '0.1'; q.max = '10'; q.step = '0.1';
+    q.value = String(band.q);
+    q.title = 'רוחב (Q)';
+    for (const el of [freq, gain, q]) el.addEventListener('change', ()=> {
+      const next = { ...band, freq: Number(freq.value) || band.freq, gainDb: Number(gain.value), q: Number(q.value) || band.q };
+      const bands = fxSettings.eq.bands.map((b, j) => j === i ? next : b);
+      changeFx({ ...fxSettings, eq: { ...fxSettings.eq, bands } }, `fx:band${i}`);
+    });
+    row.append(name, freq, gain, gainText, q);
+    fxBands.appendChild(row);
+  });
+}
+
+// The effects as set in the panel's own controls (the EQ bands change themselves).
+function fxFromPanel(): FxSettings {
+  const fx = fxSettings;
+  return {
+    noise: { ...fx.noise, enabled: fxNoiseChk.checked, reductionDb: Number(fxNoiseReduction.value), sensitivityDb: Number(fxNoiseSensitivity.value) },
+    gate: { ...fx.gate, enabled: fxGateChk.checked, thresholdDb: Number(fxGateThreshold.value) },
+    eq: { ...fx.eq, enabled: fxEqChk.checked, highpassHz: Number(fxHighpassSel.value) },
+    deesser: { ...fx.deesser, enabled: fxDeesserChk.checked, thresholdDb: Number(fxDeesserThreshold.value) },
+    limiter: { ...fx.limiter, enabled: fxLimiterChk.checked, ceilingDb: Number(fxLimiterCeiling.value) },
+  };
 }
 
+// Effects changes are project settings: undoable and saved. They apply to the next recording.
+function changeFx(fx: FxSettings, mergeKey?: string, label = 'שינוי עיבוד קול') {
+  fxSettings = fx;
+  const next = currentSettings();
+  editHistory.record({ type: 'settings', label, from: shownSettings, to: next }, mergeKey);
+  shownSettings = next;
+  showFx();
+  saveProject();
+}
+
+[fxNoiseReduction, fxNoiseSensitivity, fxGateThreshold, fxDeesserThreshold, fxLimiterCeiling].forEach(el => el.addEventListener('input', showFxValues));
+[fxNoiseChk, fxNoiseReduction, fxNoiseSensitivity, fxGateChk, fxGateThreshold, fxEqChk, fxHighpassSel, fxDeesserChk, fxDeesserThreshold, fxLimiterChk, fxLimiterCeiling]
+  .forEach(el => el.addEventListener('change', ()=> changeFx(fxFromPanel(), `fx:${el.id}`)));
+
+fxPresetSel.addEventListener('change', ()=> {
+  const preset = allFxPresets().find(p => p.id === fxPresetSel.value);
+  if (preset) changeFx(applyFxPreset(fxSettings, preset), undefined, 'פריסט עיבוד קול');
+  else showFx();
+});
+fxSavePresetBtn.addEventListener('click', ()=> {
+  const label = prompt('שם הפריסט', '')?.trim();
+  if (!label) return;
+  const preset: FxPreset = { id: 'fx_' + Date.now().toString(36), label, fx: { ...fxSettings, noise: { ...fxSettings.noise, profile: null } } };
+  fxPresets = [...fxPresets.filter(p => p.label !== label), preset];
+  changeFx(fxSettings, undefined, 'שמירת פריסט עיבוד קול');
+});
+fxDeletePresetBtn.addEventListener('click', ()=> {
+  fxPresets = fxPresets.filter(p => p.id !== fxPresetSel.value);
+  changeFx(fxSettings, undefined, 'מחיקת פריסט עיבוד קול');
+});
+
+// Learns the room noise from the selected region, which should be room tone only, or else
+// from the quietest parts of the whole narration.
+fxLearnBtn.addEventListener('click', ()=> {
+  const narration = exportNarration();
+  if (!audioPCM || !narration) { alert('אין קריינות מוקלטת'); return; }
+  const region = selectedRegion();
+  const pcm = region ? narration.slice(Math.floor(region.start * SAMPLE_RATE), Math.floor(region.end * SAMPLE_RATE)) : narration;
+  try {
+    const profile = learnNoiseProfile(pcm, region ? 1 : 0.2);
+    changeFx({ ...fxSettings, noise: { ...fxSettings.noise, enabled: true, profile } }, undefined, 'לימוד רעש');
+  } catch (e) {
+    console.error(e);
+    alert('הקטע קצר מכדי ללמוד ממנו את הרעש');
+  }
+});
+fxForgetBtn.addEventListener('click', ()=> {
+  changeFx({ ...fxSettings, noise: { ...fxSettings.noise, profile: null } }, undefined, 'שכחת פרופיל הרעש');
+});
+
+// Runs the chain over every take. The processed takes replace the originals in one undoable step.
+fxApplyBtn.addEventListener('click', async ()=> {
+  if (isRecording || fxBusy) return;
+  if (!takes.length) { alert('אין קריינות מוקלטת'); return; }
+  fxBusy = true;
+  fxApplyBtn.disabled = true;
+  const before = [...takes];
+  const fx = fxSettings;
+  try {
+    const processed: Take[] = [];
+    for (const [i, take] of before.entries()) {
+      fxStatus.textContent = `מעבד טייק ${i + 1} מתוך ${before.length}…`;
+      // let the status paint between takes
+      await new Promise(r => setTimeout(r, 0));
+      const pcm = processOffline(take.pcm, SAMPLE_RATE, fx);
+      const blob = new Blob([bufferToWav(monoBuffer(pcm, SAMPLE_RATE))], { type: 'audio/wav' });
+      processed.push({ ...take, id: takeId(), pcm, blob });
+    }
+    takes.splice(0, takes.length, ...processed);
+    editHistory.record({ type: 'takes', label: 'עיבוד קול', from: before, to: [...takes] });
+    fxStatus.textContent = 'העיבוד הוחל על הקריינות';
+    recompose();
+    saveProject();
+  } catch (e: any) {
+    console.error(e);
+    fxStatus.textContent = 'העיבוד נכשל: ' + (e?.message || e);
+  } finally {
+    fxBusy = false;
+    fxApplyBtn.disabled = false;
+  }
+});
+
 // --- File upload / DnD ---
 dropzone.addEventListener('dragover', (e)=>{ e.preventDefault(); dropzone.classList.add('drag'); });
 dropzone.addEventListener('dragleave', ()=> dropzone.classList.remove('drag'));
@@ -103,227 +725,1493 @@ fileInput.addEventListener('change', async ()=> {
 });
 
 async function loadVideoFile(file: File) {
-  const url = URL.createObjectURL(file);
-  videoEl.src = url;
+  if (isRecording) return;
+  if (videoURL) URL.revokeObjectURL(videoURL);
+  videoURL = URL.createObjectURL(file);
+  project.video = { id: 'video_' + Date.now().toString(36), name: file.name, blob: file };
+  videoEl.src = videoURL;
   await videoEl.play().catch(()=>{});
   videoEl.pause();
   show(playerArea);
   saveProject();
 }
 
+// --- Screen capture ---
+const CAPTURE_KEY = 'vpv_capture';
+function captureOptions(): CaptureOptions {
+  return { ...DEFAULT_CAPTURE, webcam: webcamChk.checked, corner: pipCornerSel.value as PipCorner, systemAudio: systemAudioChk.checked };
+}
+function showCaptureOptions() {
+  let saved: Partial<CaptureOptions> = {};
+  try { saved = JSON.parse(localStorage.getItem(CAPTURE_KEY) || '{}'); } catch {}
+  const o = { ...DEFAULT_CAPTURE, ...saved };
+  webcamChk.checked = o.webcam;
+  pipCornerSel.value = o.corner;
+  systemAudioChk.checked = o.systemAudio;
+}
+showCaptureOptions();
+for (const el of [webcamChk, pipCornerSel, systemAudioChk]) {
+  el.addEventListener('change', ()=> localStorage.setItem(CAPTURE_KEY, JSON.stringify(captureOptions())));
+}
+
+// The screen is recorded as a new project's video, with the narration recorded alongside from
+// its start, so pausing freezes both just as it does on an uploaded video.
+async function recordScreen() {
+  if (isRecording || capture) return;
+  const options = captureOptions();
+  const recorder = new ScreenRecorder(options);
+  let shared: MediaStream;
+  try {
+    shared = await recorder.open();
+  } catch (e:any) {
+    recorder.close();
+    // closing the browser's picker isn't an error
+    if (e?.name !== 'NotAllowedError') alert('שגיאה בשיתוף המסך: ' + e?.message);
+    return;
+  }
+  if (options.webcam && !recorder.webcam) alert('לא ניתן לפתוח את המצלמה – המסך יוקלט בלעדיה');
+  if (project.video || takes.length) applyProject(emptyProject(newProjectName()));
+  capture = recorder;
+  // sharing stopped from the browser's own bar
+  recorder.onEnded = ()=> { if (isRecording) startRecBtn.click(); };
+  if (videoURL) URL.revokeObjectURL(videoURL);
+  videoURL = '';
+  videoEl.removeAttribute('src');
+  videoEl.srcObject = shared;
+  videoEl.muted = true;
+  show(playerArea);
+  startRecBtn.textContent = '⏹️ עצור הקלטה (R)';
+  try {
+    await startRecording();
+  } catch (e:any) {
+    console.error(e);
+    if (isRecording) startRecBtn.click();
+    else { startRecBtn.textContent = '🎙️ התחל הקלטה (R)'; finishCapture(); }
+    alert('שגיאה בהתחלת ההקלטה: ' + e?.message);
+  }
+}
+screenCaptureBtn.addEventListener('click', recordScreen);
+
+// The recorded screen becomes the project's video; nothing is kept when recording never started.
+async function finishCapture() {
+  const recorder = capture;
+  if (!recorder) return;
+  capture = null;
+  const blob = await recorder.stop();
+  videoEl.srcObject = null;
+  videoEl.muted = false;
+  if (!blob) {
+    if (!project.video) hide(playerArea);
+    return;
+  }
+  const ext = blob.type.includes('mp4') ? 'mp4' : 'webm';
+  const when = new Date().toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+  project.video = { id: 'video_' + Date.now().toString(36), name: `הקלטת מסך ${when}.${ext}`, blob };
+  videoURL = URL.createObjectURL(blob);
+  videoEl.src = videoURL;
+  saveProject();
+}
+
+// --- Takes ---
+function recompose() {
+  audioPCM = takes.length ? composeNarration(takes, pauses) : null;
+  drawNarration();
+  refreshComposition();
+  renderTakes();
+  renderCaptions();
+  renderChapters();
+  showTranscriptStatus();
+  showDuration();
+}
+
+// The narration as exported: the trimmed part of the composed takes, starting at output time 0.
+function exportNarration(): Float32Array | null {
+  if (!audioPCM) return null;
+  const start = Math.floor(trimRange.start * audioPCM.length);
+  const end = Math.floor(trimRange.end * audioPCM.length);
+  return audioPCM.slice(start, end);
+}
+
+// Draws the whole recording with the trim over it; waveform times are seconds of the recording.
+function drawNarration() {
+  waveform.setAudio(audioPCM, SAMPLE_RATE);
+  const seconds = audioPCM ? audioPCM.length / SAMPLE_RATE : 0;
+  waveform.setTrim(audioPCM ? { start: trimRange.start * seconds, end: trimRange.end * seconds } : null);
+}
+
+// Seconds of the recording at which output time 0 starts.
+function trimOffset(): number {
+  return audioPCM ? (trimRange.start * audioPCM.length) / SAMPLE_RATE : 0;
+}
+
+// Hands the composition, as it will be exported, to the pause timeline and the preview.
+function refreshComposition() {
+  const narration = exportNarration();
+  narrationSeconds = narration ? narration.length / SAMPLE_RATE : 0;
+  pauseTimeline.setPauses(pauses);
+  pauseTimeline.setNarration(narration, SAMPLE_RATE);
+  // the freezes, in output time, marked on the recording
+  const offset = trimOffset();
+  waveform.setMarkers(freezeSpans(pauses).map(f => ({ start: f.start + offset, end: f.end + offset })));
+  preview.setComposition({
+    narration,
+    sampleRate: SAMPLE_RATE,
+    pauses: [...pauses],
+    videoDuration: videoEl.duration || 0,
+    originalGain: keepOriginalChk.checked ? Math.pow(10, Number(bedLevel.value) / 20) : null,
+  });
+  showAnnotations(preview.time);
+  scheduleLoudness();
+  scheduleGaps();
+}
+
+// Converts the waveform selection into an output-time region, the part of it that isn't trimmed.
+function selectedRegion(): { start: number; end: number } | null {
+  const sel = waveform.getSelection();
+  if (!sel || !audioPCM) return null;
+  const offset = trimOffset();
+  const start = Math.max(0, sel.start - offset), end = Math.min(narrationSeconds, sel.end - offset);
+  return end > start ? { start, end } : null;
+}
+
+function showDuration() {
+  const dur = audioPCM ? audioPCM.length / SAMPLE_RATE : 0;
+  durationEl.textContent = dur > 0 ? `אורך הקלטה: ${dur.toFixed(2)} שניות` : '';
+}
+
+function fmtSec(t: number) { return t.toFixed(1); }
+
+function renderTakes() {
+  takeList.innerHTML = '';
+  takes.forEach((take, i) => {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    const kind = take.punchLength !== undefined ? 'החלפה' : 'טייק';
+    label.textContent = `${kind} ${i + 1} · ${fmtSec(takeStart(take, pauses))}ש׳ · ${fmtSec(takeDuration(take))}ש׳`;
+    const gain = document.createElement('input');
+    gain.type = 'range';
+    gain.min = '-12'; gain.max = '12'; gain.step = '1';
+    gain.value = String(take.gainDb ?? 0);
+    gain.title = `עוצמה: ${gain.value}dB`;
+    gain.addEventListener('change', ()=> {
+      if (isRecording) return;
+      const before = [...takes];
+      takes[takes.indexOf(take)] = { ...take, gainDb: Number(gain.value) };
+      editHistory.record({ type: 'takes', label: 'עוצמת טייק', from: before, to: [...takes] }, `gain:${take.id}`);
+      recompose();
+      saveProject();
+    });
+    const del = document.createElement('button');
+    del.className = 'button';
+    del.textContent = 'מחק';
+    del.addEventListener('click', ()=> {
+      if (isRecording) return;
+      const before = [...takes];
+      takes.splice(takes.indexOf(take), 1);
+      editHistory.record({ type: 'takes', label: 'מחיקת טייק', from: before, to: [...takes] });
+      recompose();
+      saveProject();
+    });
+    li.append(label, gain, del);
+    takeList.appendChild(li);
+  });
+}
+
+waveform.onSelect = (sel)=> { punchBtn.disabled = !sel || isRecording; };
+
+// --- Silence ---
+// null until the narration has been searched; from then on the list follows every edit
+let gaps: Gap[] | null = null;
+let gapTimer = 0;
+
+function silenceSettings(): SilenceSettings {
+  return { thresholdDb: Number(silenceThreshold.value), minGap: Number(silenceMinGap.value), maxGap: Number(silenceMaxGap.value) };
+}
+
+function showSilenceValues() {
+  silenceThresholdText.textContent = `${silenceThreshold.value}dB`;
+  silenceMinGapText.textContent = `${Number(silenceMinGap.value).toFixed(1)}ש׳`;
+  silenceMaxGapText.textContent = `${Number(silenceMaxGap.value).toFixed(1)}ש׳`;
+}
+[silenceThreshold, silenceMinGap, silenceMaxGap].forEach(el => el.addEventListener('input', showSilenceValues));
+
+function findGaps() {
+  clearTimeout(gapTimer);
+  const narration = exportNarration();
+  gaps = narration ? detectGaps(narration, SAMPLE_RATE, silenceSettings(), pauses) : [];
+  renderGaps();
+}
+
+function scheduleGaps() {
+  if (gaps === null) return;
+  clearTimeout(gapTimer);
+  gapTimer = window.setTimeout(findGaps, 300);
+}
+
+function renderGaps() {
+  const list = gaps ?? [];
+  const offset = trimOffset();
+  waveform.setGaps(list.map(g => ({ start: g.start + offset, end: g.end + offset })));
+  gapList.innerHTML = '';
+  const cuttable = list.reduce((sum, g) => sum + cuttableLength(g), 0);
+  silenceShortenBtn.disabled = silenceRemoveBtn.disabled = !cuttable;
+  silenceStatus.textContent = gaps === null ? ''
+    : !list.length ? 'לא נמצאו שקטים'
+    : `${list.length} שקטים, ${fmtSec(cuttable)}ש׳ מהם בהקפאות וניתנים לקיצור`;
+  for (const g of list) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${fmtSec(g.start)}–${fmtSec(g.end)}ש׳ · ${fmtSec(g.end - g.start)}ש׳`;
+    label.title = 'הצגה בגל הקול';
+    label.addEventListener('click', ()=> {
+      waveform.setSelection({ start: g.start + offset, end: g.end + offset });
+      punchBtn.disabled = isRecording;
+      seekOutput(g.start);
+    });
+    li.append(label);
+    if (cuttableLength(g)) {
+      const shorten = document.createElement('button');
+      shorten.className = 'button';
+      shorten.textContent = 'קצר';
+      shorten.addEventListener('click', ()=> cutGaps([g], silenceSettings().maxGap, 'קיצור שקט'));
+      const remove = document.createElement('button');
+      remove.className = 'button';
+      remove.textContent = 'הסר';
+      remove.addEventListener('click', ()=> cutGaps([g], 0, 'הסרת שקט'));
+      li.append(shorten, remove);
+    } else {
+      // cutting it would mean cutting the video too
+      const note = document.createElement('span');
+      note.className = 'muted';
+      note.textContent = 'בזמן שהוידאו מתנגן';
+      li.append(note);
+    }
+    gapList.appendChild(li);
+  }
+}
+
+// Cuts the gaps out of their freezes and out of the takes, as one undoable step.
+function cutGaps(list: Gap[], maxGap: number, label: string) {
+  if (isRecording || !audioPCM) return;
+  const cuts = planGapCuts(list, maxGap, pauses);
+  if (!cuts.length) { silenceStatus.textContent = 'השקטים כבר קצרים ככל האפשר'; return; }
+  const seconds = audioPCM.length / SAMPLE_RATE;
+  const edit = applyGapCuts({ takes, pauses, captions, chapters, trim: { start: trimRange.start * seconds, end: trimRange.end * seconds } }, cuts);
+  // the trim is kept in fractions of the composed narration, which got shorter
+  const length = narrationLength(edit.takes, edit.pauses) / SAMPLE_RATE;
+  const trim = { start: edit.trim.start / length, end: Math.min(1, edit.trim.end / length) };
+  const steps: HistoryStep[] = [
+    { type: 'takes', label, from: [...takes], to: edit.takes },
+    { type: 'pauses', label, from: [...pauses], to: edit.pauses },
+    { type: 'captions', label, from: [...captions], to: edit.captions },
+    { type: 'chapters', label, from: [...chapters], to: edit.chapters },
+    { type: 'trim', label, from: trimRange, to: trim },
+  ];
+  for (const step of steps) applyHistoryStep(step, 'to');
+  editHistory.record({ type: 'batch', label, items: steps });
+  waveform.clearSelection();
+  recompose();
+  saveProject();
+}
+
+silenceFindBtn.addEventListener('click', findGaps);
+silenceShortenBtn.addEventListener('click', ()=> cutGaps(gaps ?? [], silenceSettings().maxGap, 'קיצור שקטים'));
+silenceRemoveBtn.addEventListener('click', ()=> cutGaps(gaps ?? [], 0, 'הסרת שקטים'));
+
+// --- Pause timeline ---
+function seekVideo(t: number): Promise<void> {
+  return new Promise(resolve => {
+    if (Math.abs(videoEl.currentTime - t) < 0.001) { resolve(); return; }
+    videoEl.addEventListener('seeked', ()=> resolve(), { once: true });
+    videoEl.currentTime = t;
+  });
+}
+
+// Replaces the freezes; takes are anchored in video time, so the narration is composed again.
+function setPauses(list: PauseRange[]) {
+  pauses.splice(0, pauses.length, ...list);
+  recompose();
+}
+
+// A moved freeze shows the frame at its new start; the old frame is kept in the undo item.
+async function refreshFrames(before: PauseRange[], after: PauseRange[]): Promise<PauseRange[]> {
+  if (!videoEl.videoWidth) return after;
+  const result: PauseRange[] = [];
+  for (const p of after) {
+    const prev = before.find(b => b.frameDataURL === p.frameDataURL);
+    if (prev && prev.startVideoTime !== p.startVideoTime) {
+      await seekVideo(p.startVideoTime);
+      result.push({ ...p, frameDataURL: dataURLOfCurrentFrame(videoEl) });
+    } else {
+      result.push(p);
+    }
+  }
+  return result;
+}
+
+pauseTimeline.onEdit = async (before, after)=> {
+  const edited = await refreshFrames(before, after);
+  setPauses(edited);
+  const label = edited.length > before.length ? 'הוספת הקפאה' : edited.length < before.length ? 'מחיקת הקפאה' : 'עריכת הקפאה';
+  editHistory.record({ type: 'pauses', label, from: before, to: edited });
+  saveProject();
+};
+pauseTimeline.onSeek = seekOutput;
+pauseTimeline.onSelect = (p)=> { deletePauseBtn.disabled = annotateBtn.disabled = !p || isRecording; };
+function videoReady() {
+  pauseTimeline.setVideoDuration(videoEl.duration);
+  refreshComposition();
+}
+videoEl.addEventListener('loadedmetadata', ()=> {
+  // the live picture of a screen being recorded has no length yet
+  if (videoEl.srcObject) return;
+  if (videoEl.duration !== Infinity) { videoReady(); return; }
+  // browsers' own recordings carry no duration; seeking past the end makes the browser find it
+  const found = ()=> {
+    if (videoEl.duration === Infinity) return;
+    videoEl.removeEventListener('durationchange', found);
+    videoEl.currentTime = 0;
+    videoReady();
+  };
+  videoEl.addEventListener('durationchange', found);
+  videoEl.currentTime = 1e101;
+});
+
+insertPauseBtn.addEventListener('click', ()=> {
+  if (isRecording || !videoEl.videoWidth) return;
+  videoEl.pause();
+  pauseTimeline.insertPause({
+    startVideoTime: videoEl.currentTime,
+    pauseDuration: 1,
+    frameDataURL: dataURLOfCurrentFrame(videoEl),
+  });
+});
+deletePauseBtn.addEventListener('click', ()=> pauseTimeline.deleteSelected());
+
+// --- Freeze annotations ---
+// Drawn on the frame of a freeze; the preview draws them over it and the export renders them in.
+let annotating: PauseRange | null = null; // the freeze being annotated
+let annotationPlay = 0;
+
+for (const [kind, label] of Object.entries(KIND_LABELS)) annotationToolSel.add(new Option(label, kind));
+for (const color of ANNOTATION_COLORS) annotationColors.appendChild(new Option('', color));
+annotationColor.value = annotationEditor.color;
+
+async function openAnnotations() {
+  const p = pauseTimeline.getSelected();
+  if (!p || isRecording) return;
+  preview.stop();
+  annotating = p;
+  await annotationEditor.load(p.frameDataURL, p.annotations ?? []);
+  annotationTime.max = String(p.pauseDuration);
+  annotationTime.value = '0';
+  annotationTimeText.textContent = '';
+  annotationDialog.showModal();
+}
+
+function stopAnnotationPlay() {
+  cancelAnimationFrame(annotationPlay);
+  annotationPlay = 0;
+  annotationPlayBtn.textContent = '▶️ הצג';
+}
+
+function showAnnotationTime(t: number) {
+  annotationTime.value = String(t);
+  annotationTimeText.textContent = `${t.toFixed(1)} / ${Number(annotationTime.max).toFixed(1)} שנ׳`;
+  annotationEditor.setTime(t);
+}
+
+annotationEditor.onSelect = (a)=> {
+  annotationFields.disabled = deleteAnnotationBtn.disabled = !a;
+  annotationTextLabel.classList.toggle('hidden', a?.kind !== 'text');
+  if (!a) return;
+  annotationText.value = a.text;
+  annotationAppear.value = String(a.appear);
+  annotationAnimate.checked = a.animate;
+  annotationColor.value = a.color;
+};
+annotationToolSel.addEventListener('change', ()=> { annotationEditor.tool = annotationToolSel.value as AnnotationKind; });
+annotationColor.addEventListener('input', ()=> {
+  annotationEditor.color = annotationColor.value;
+  annotationEditor.update({ color: annotationColor.value });
+});
+annotationText.addEventListener('input', ()=> annotationEditor.update({ text: annotationText.value }));
+annotationAppear.addEventListener('change', ()=> {
+  const appear = Math.max(0, Math.min(Number(annotationTime.max), Number(annotationAppear.value) || 0));
+  annotationAppear.value = String(appear);
+  annotationEditor.update({ appear });
+});
+annotationAnimate.addEventListener('change', ()=> annotationEditor.update({ animate: annotationAnimate.checked }));
+deleteAnnotationBtn.addEventListener('click', ()=> annotationEditor.deleteSelected());
+annotationTime.addEventListener('input', ()=> { stopAnnotationPlay(); showAnnotationTime(Number(annotationTime.value)); });
+annotationPlayBtn.addEventListener('click', ()=> {
+  if (annotationPlay) { stopAnnotationPlay(); return; }
+  const duration = Number(annotationTime.max);
+  const start = performance.now();
+  annotationPlayBtn.textContent = '⏹️ עצור';
+  const tick = ()=> {
+    const t = Math.min(duration, (performance.now() - start) / 1000);
+    showAnnotationTime(t);
+    if (t < duration) annotationPlay = requestAnimationFrame(tick);
+    else stopAnnotationPlay();
+  };
+  tick();
+});
+
+saveAnnotationsBtn.addEventListener('click', ()=> {
+  const p = annotating;
+  annotationDialog.close();
+  if (!p || !pauses.includes(p)) return;
+  const list = annotationEditor.list;
+  if (JSON.stringify(list) === JSON.stringify(p.annotations ?? [])) return;
+  const edited: PauseRange = { ...p, annotations: list.length ? list : undefined };
+  const before = [...pauses];
+  const after = pauses.map(x => x === p ? edited : x);
+  setPauses(after);
+  editHistory.record({ type: 'pauses', label: 'הערות על הקפאה', from: before, to: after });
+  saveProject();
+});
+closeAnnotationsBtn.addEventListener('click', ()=> annotationDialog.close());
+annotationDialog.addEventListener('close', ()=> {
+  stopAnnotationPlay();
+  annotating = null;
+});
+annotateBtn.addEventListener('click', openAnnotations);
+
+// The annotations of the freeze under the preview cursor, as they are that far into it.
+function showAnnotations(t: number) {
+  const span = freezeSpans(pauses).find(f => t >= f.start && t < f.end);
+  const shown = !!span?.pause.annotations?.length && !freezeOverlay.classList.contains('hidden') && freezeOverlay.complete;
+  annotationOverlay.classList.toggle('hidden', !shown);
+  if (!shown) return;
+  if (annotationOverlay.width !== freezeOverlay.naturalWidth || annotationOverlay.height !== freezeOverlay.naturalHeight) {
+    annotationOverlay.width = freezeOverlay.naturalWidth;
+    annotationOverlay.height = freezeOverlay.naturalHeight;
+  }
+  const ctx = annotationOverlay.getContext('2d')!;
+  drawAnnotated(ctx, freezeOverlay, span!.pause.annotations!, t - span!.start, annotationOverlay.width, annotationOverlay.height);
+}
+freezeOverlay.addEventListener('load', ()=> showAnnotations(preview.time));
+
+// --- Captions ---
+// Captions are edited in output time; editing re-anchors them to the video (see captions.ts).
+function editCaptions(next: Caption[], label: string, mergeKey?: string) {
+  editHistory.record({ type: 'captions', label, from: [...captions], to: next }, mergeKey);
+  captions.splice(0, captions.length, ...next);
+  saveProject();
+}
+
+function renderCaptions() {
+  captionList.innerHTML = '';
+  const rows = captions.map(c => ({ c, cue: captionCue(c, pauses) })).sort((a, b) => a.cue.start - b.cue.start);
+  for (const { c, cue } of rows) {
+    const li = document.createElement('li');
+    li.dataset.id = c.id;
+    const time = (value: number, title: string) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0'; input.step = '0.1';
+      input.value = value.toFixed(2);
+      input.title = title;
+      return input;
+    };
+    const start = time(cue.start, 'התחלה (שניות בוידאו המיוצא)');
+    const end = time(cue.end, 'סיום (שניות בוידאו המיוצא)');
+    const retime = ()=> {
+      const s = Number(start.value), e = Number(end.value);
+      if (!Number.isFinite(s) || !Number.isFinite(e)) { renderCaptions(); return; }
+      editCaptions(captions.map(x => x.id === c.id ? placeCaption(s, e, x.text, pauses, c.id) : x), 'תזמון כתובית');
+      renderCaptions();
+    };
+    start.addEventListener('change', retime);
+    end.addEventListener('change', retime);
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.dir = 'auto';
+    text.value = c.text;
+    text.placeholder = 'טקסט הכתובית';
+    // the list is not redrawn while typing, so focus stays in the field
+    text.addEventListener('change', ()=> {
+      editCaptions(captions.map(x => x.id === c.id ? { ...x, text: text.value } : x), 'עריכת כתובית', `caption:${c.id}`);
+      updateCaptionButtons();
+      showCaption(preview.time);
+    });
+    const go = document.createElement('button');
+    go.className = 'button';
+    go.textContent = '⏮';
+    go.title = 'מעבר לתחילת הכתובית';
+    go.addEventListener('click', ()=> seekOutput(captionCue(captions.find(x => x.id === c.id) ?? c, pauses).start));
+    const del = document.createElement('button');
+    del.className = 'button';
+    del.textContent = 'מחק';
+    del.addEventListener('click', ()=> {
+      editCaptions(captions.filter(x => x.id !== c.id), 'מחיקת כתובית');
+      renderCaptions();
+    });
+    li.append(start, end, text, go, del);
+    captionList.appendChild(li);
+  }
+  updateCaptionButtons();
+  showCaption(preview.time);
+}
+
+function updateCaptionButtons() {
+  srtBtn.disabled = vttBtn.disabled = !captions.some(c => c.text.trim());
+}
+
+function showCaption(t: number) {
+  const cue = cueAt(captionCues(captions, pauses), t);
+  captionOverlay.textContent = cue?.text ?? '';
+  captionOverlay.classList.toggle('hidden', !cue);
+}
+
+addCaptionBtn.addEventListener('click', ()=> {
+  const t = preview.time;
+  const caption = placeCaption(t, t + 3, '', pauses);
+  editCaptions([...captions, caption], 'הוספת כתובית');
+  renderCaptions();
+  captionList.querySelector<HTMLInputElement>(`li[data-id="${caption.id}"] input[type=text]`)?.focus();
+});
+srtBtn.addEventListener('click', ()=> {
+  downloadBlob(new Blob([toSRT(captionCues(captions, pauses))], { type: 'application/x-subrip' }), projectFileName('.srt'));
+});
+vttBtn.addEventListener('click', ()=> {
+  downloadBlob(new Blob([toVTT(captionCues(captions, pauses))], { type: 'text/vtt' }), projectFileName('.vtt'));
+});
+
+// --- Chapters ---
+function editChapters(next: Chapter[], label: string, mergeKey?: string) {
+  editHistory.record({ type: 'chapters', label, from: [...chapters], to: next }, mergeKey);
+  chapters.splice(0, chapters.length, ...next);
+  saveProject();
+}
+
+// A chapter at the preview cursor, or while recording where the narration is now: anchored like
+// the take, so it stays on the words it was marked at. It joins the recording's undo step.
+function addChapter() {
+  const title = `פרק ${chapters.length + 1}`;
+  if (isRecording) {
+    if (!recordAnchor || !recordStartTime) return;
+    const { startVideoTime, anchorOffset } = recordAnchor;
+    const chapter = { id: chapterId(), startVideoTime, anchorOffset: anchorOffset + (performance.now() - recordStartTime) / 1000, title };
+    chapters.push(chapter);
+    journal?.append({ type: 'chapter', chapter });
+    renderChapters();
+    return;
+  }
+  if (!videoEl.videoWidth) return;
+  const chapter = placeChapter(preview.time, title, pauses);
+  editChapters([...chapters, chapter], 'הוספת פרק');
+  renderChapters();
+  chapterList.querySelector<HTMLInputElement>(`li[data-id="${chapter.id}"] input[type=text]`)?.select();
+}
+
+function renderChapters() {
+  chapterList.innerHTML = '';
+  const rows = chapters.map(c => ({ c, start: chapterStart(c, pauses) })).sort((a, b) => a.start - b.start);
+  for (const { c, start } of rows) {
+    const li = document.createElement('li');
+    li.dataset.id = c.id;
+    const time = document.createElement('input');
+    time.type = 'number';
+    time.min = '0'; time.step = '0.1';
+    time.value = start.toFixed(2);
+    time.title = 'התחלה (שניות בוידאו המיוצא)';
+    time.disabled = isRecording;
+    time.addEventListener('change', ()=> {
+      const t = Number(time.value);
+      if (!Number.isFinite(t)) { renderChapters(); return; }
+      editChapters(chapters.map(x => x.id === c.id ? placeChapter(t, x.title, pauses, c.id) : x), 'תזמון פרק');
+      renderChapters();
+    });
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.dir = 'auto';
+    title.value = c.title;
+    title.placeholder = 'שם הפרק';
+    title.addEventListener('change', ()=> {
+      editChapters(chapters.map(x => x.id === c.id ? { ...x, title: title.value } : x), 'שינוי שם פרק', `chapter:${c.id}`);
+      updateChapterButtons();
+    });
+    const go = document.createElement('button');
+    go.className = 'button';
+    go.textContent = '⏮';
+    go.title = 'מעבר לתחילת הפרק';
+    go.addEventListener('click', ()=> seekOutput(chapterStart(chapters.find(x => x.id === c.id) ?? c, pauses)));
+    const del = document.createElement('button');
+    del.className = 'button';
+    del.textContent = 'מחק';
+    del.disabled = isRecording;
+    del.addEventListener('click', ()=> {
+      editChapters(chapters.filter(x => x.id !== c.id), 'מחיקת פרק');
+      renderChapters();
+    });
+    li.append(time, title, go, del);
+    chapterList.appendChild(li);
+  }
+  updateChapterButtons();
+}
+
+function updateChapterButtons() {
+  youTubeChaptersBtn.disabled = !chapters.length;
+}
+
+addChapterBtn.addEventListener('click', addChapter);
+youTubeChaptersBtn.addEventListener('click', ()=> {
+  const marks = chapterMarks(chapters, pauses);
+  if (!youTubeAccepts(marks, preview.duration)
+    && !confirm(`יוטיוב מציג פרקים רק כשיש לפחות ${YOUTUBE_MIN_CHAPTERS}, כל אחד באורך ${YOUTUBE_MIN_LENGTH} שניות לפחות. להוריד בכל זאת?`)) return;
+  downloadBlob(new Blob([toYouTubeChapters(marks, 'פתיחה')], { type: 'text/plain' }), projectFileName(' - פרקים.txt'));
+});
+
+// --- Transcript ---
+// Words in output time; not stored with the project, the captions made from them are.
+const transcriber: TranscriptionEngine = new WorkerEngine();
+let transcript: Word[] = [];
+let transcribedFrom: { pcm: Float32Array | null; trim: typeof trimRange } | null = null;
+let transcribing: AbortController | null = null;
+let searchHits: number[] = [];
+let currentWord = -1;
+
+function setTranscript(words: Word[], from: typeof transcribedFrom) {
+  transcript = words;
+  transcribedFrom = from;
+  transcriptEl.innerHTML = '';
+  transcript.forEach((w, i) => {
+    const span = document.createElement('span');
+    span.textContent = w.text;
+    span.title = `${fmtSec(w.start)}ש׳`;
+    span.addEventListener('click', ()=> seekOutput(w.start));
+    transcriptEl.append(span, i < transcript.length - 1 ? ' ' : '');
+  });
+  currentWord = -1;
+  transcriptSearch.disabled = transcriptCaptionsBtn.disabled = !transcript.length;
+  searchTranscript();
+}
+
+// Takes, freezes and trimming all move the narration, so a transcript only matches the narration it was made from.
+function showTranscriptStatus() {
+  if (transcribing) return;
+  const parts: string[] = [];
+  if (transcript.length) parts.push(`${transcript.length} מילים`);
+  if (transcriptSearch.value.trim()) parts.push(`${searchHits.length} תוצאות`);
+  if (transcribedFrom && (transcribedFrom.pcm !== audioPCM || transcribedFrom.trim !== trimRange)) {
+    parts.push('הקריינות השתנתה מאז התמלול');
+  }
+  transcriptStatus.textContent = parts.join(' · ');
+}
+
+function searchTranscript() {
+  searchHits = searchWords(transcript, transcriptSearch.value);
+  const length = transcriptSearch.value.trim().split(/\s+/).length;
+  const spans = transcriptEl.querySelectorAll('span');
+  spans.forEach(s => s.classList.remove('hit'));
+  for (const i of searchHits) {
+    for (let j = i; j < i + length && j < spans.length; j++) spans[j].classList.add('hit');
+  }
+  showTranscriptStatus();
+}
+
+function showCurrentWord(t: number) {
+  const i = transcript.findIndex(w => t >= w.start && t < w.end);
+  if (i === currentWord) return;
+  const spans = transcriptEl.querySelectorAll('span');
+  spans[currentWord]?.classList.remove('current');
+  spans[i]?.classList.add('current');
+  currentWord = i;
+}
+
+async function transcribeNarration() {
+  if (transcribing) { transcribing.abort(); return; }
+  const narration = exportNarration();
+  if (!narration) { alert('אין קריינות מוקלטת'); return; }
+  const controller = new AbortController();
+  const from = { pcm: audioPCM, trim: trimRange };
+  transcribing = controller;
+  transcribeBtn.textContent = '⏹️ ביטול תמלול';
+  transcriptStatus.textContent = 'טוען את מודל הדיבור…';
+  try {
+    const words = await transcriber.transcribe(narration, SAMPLE_RATE, {
+      language: 'he',
+      signal: controller.signal,
+      onProgress: (f)=> { transcriptStatus.textContent = `מתמלל… ${Math.round(f * 100)}%`; },
+    });
+    // the exported narration starts at output time 0
+    setTranscript(toOutputTime(words, 0), from);
+  } catch (e:any) {
+    if (!controller.signal.aborted) {
+      console.error(e);
+      alert('שגיאה בתמלול: ' + e?.message);
+    }
+  } finally {
+    transcribing = null;
+    transcribeBtn.textContent = '🗣️ תמלול הקריינות';
+    showTranscriptStatus();
+  }
+}
+
+// offered only where `npm run vendor:stt` installed the engine and model
+modelInstalled().then((installed)=> transcriptPanel.classList.toggle('hidden', !installed));
+
+transcribeBtn.addEventListener('click', transcribeNarration);
+transcriptSearch.addEventListener('input', searchTranscript);
+transcriptSearch.addEventListener('keydown', (e)=> {
+  if (e.key !== 'Enter' || !searchHits.length) return;
+  // next match after the cursor, wrapping around
+  const t = preview.time + 0.001;
+  const next = searchHits.find(i => transcript[i].start > t) ?? searchHits[0];
+  seekOutput(transcript[next].start);
+});
+transcriptCaptionsBtn.addEventListener('click', ()=> {
+  if (captions.length && !confirm('הכתוביות הקיימות יוחלפו בכתוביות מהתמלול. להמשיך?')) return;
+  editCaptions(wordsToCaptions(transcript, pauses), 'כתוביות מהתמלול');
+  renderCaptions();
+});
+
+// --- Preview ---
+// One playhead in output time for the preview, the waveform and the pause timeline.
+function seekOutput(t: number) {
+  if (!isRecording) preview.seek(t);
+}
+
+function togglePreview() {
+  if (isRecording) return;
+  if (preview.isPlaying) preview.stop();
+  else preview.play().catch(e => console.error('Preview failed', e));
+}
+
+preview.onTime = (t)=> {
+  pauseTimeline.setPlayhead(t);
+  showCaption(t);
+  showAnnotations(t);
+  showCurrentWord(t);
+  waveform.setPlayhead(narrationSeconds ? trimOffset() + Math.min(t, narrationSeconds) : null);
+};
+preview.onStateChange = (playing)=> {
+  previewBtn.textContent = playing ? '⏹️ עצור תצוגה (P)' : '▶️ תצוגה מקדימה (P)';
+};
+waveform.onSeek = (t)=> seekOutput(Math.max(0, Math.min(narrationSeconds, t - trimOffset())));
+previewBtn.addEventListener('click', togglePreview);
+// the video's own controls move the shared playhead too
+videoEl.addEventListener('timeupdate', ()=> preview.follow(videoEl.currentTime));
+videoEl.addEventListener('seeked', ()=> preview.follow(videoEl.currentTime));
+videoEl.addEventListener('play', ()=> {
+  if (preview.isPlaying) return;
+  preview.release();
+  showAnnotations(preview.time);
+});
+
+// --- Microphone ---
+let inputDevices: MediaDeviceInfo[] = [];
+
+// The connected microphone for a saved choice: the same id, or else the same name.
+function findInputDevice(choice: ProjectSettings['inputDevice']): MediaDeviceInfo | undefined {
+  if (!choice) return undefined;
+  return inputDevices.find(d => d.deviceId === choice.id) ?? inputDevices.find(d => d.label && d.label === choice.label);
+}
+
+// The microphone chosen in the picker; a saved one that isn't connected stays chosen.
+function selectedInputDevice(): ProjectSettings['inputDevice'] {
+  const id = inputDeviceSel.value;
+  if (!id) return null;
+  const device = inputDevices.find(d => d.deviceId === id);
+  return device ? { id, label: device.label } : shownSettings.inputDevice;
+}
+
+function renderInputDevices(choice: ProjectSettings['inputDevice']) {
+  inputDeviceSel.innerHTML = '';
+  inputDeviceSel.add(new Option('ברירת המחדל של המערכת', ''));
+  inputDevices.forEach((d, i) => inputDeviceSel.add(new Option(d.label || `מיקרופון ${i + 1}`, d.deviceId)));
+  const found = findInputDevice(choice);
+  if (choice && !found) {
+    // before the first recording the browser doesn't say which microphones there are
+    const note = inputDevices.length ? ' (לא מחובר)' : '';
+    inputDeviceSel.add(new Option((choice.label || 'מיקרופון שנבחר') + note, choice.id));
+  }
+  inputDeviceSel.value = found?.deviceId ?? choice?.id ?? '';
+}
+
+// Microphones are only listed with ids and names once the page may use one.
+async function refreshInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return;
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  // Chrome adds 'default' and 'communications' entries that stand for other devices
+  inputDevices = devices.filter(d => d.kind === 'audioinput' && d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications');
+  renderInputDevices(shownSettings.inputDevice);
+}
+navigator.mediaDevices?.addEventListener('devicechange', ()=> {
+  refreshInputDevices().catch(e => console.warn('Listing microphones failed', e));
+});
+refreshInputDevices().catch(e => console.warn('Listing microphones failed', e));
+
+// The live waveform and the recording length follow the meter's frames.
+levelMeter.onBlock = (block, seconds)=> {
+  waveform.pushLive(block, seconds);
+  if (recordStartTime) durationEl.textContent = `אורך הקלטה: ${((performance.now() - recordStartTime) / 1000).toFixed(2)} שניות`;
+};
+
+// Counts down over the video before it starts; false when the recording is stopped meanwhile.
+function countIn(seconds: number): Promise<boolean> {
+  if (!seconds) return Promise.resolve(true);
+  return new Promise(resolve => {
+    let left = seconds;
+    let timer = 0;
+    const finish = (started: boolean) => {
+      clearTimeout(timer);
+      cancelCountIn = null;
+      hide(countdownEl);
+      resolve(started);
+    };
+    const tick = () => {
+      if (!left) { finish(true); return; }
+      countdownEl.textContent = String(left--);
+      timer = window.setTimeout(tick, 1000);
+    };
+    cancelCountIn = () => finish(false);
+    show(countdownEl);
+    tick();
+  });
+}
+
 // --- Recording ---
-async function startRecording() {
+// Adds a recorded take; it and the freezes and chapters made while recording are undone together.
+function addTake(take: Take, label: string, before: { takes: Take[]; pauses: PauseRange[]; chapters: Chapter[] }) {
+  takes.push(take);
+  const steps: HistoryStep[] = [{ type: 'takes', label, from: before.takes, to: [...takes] }];
+  if (pauses.length !== before.pauses.length) steps.unshift({ type: 'pauses', label, from: before.pauses, to: [...pauses] });
+  if (chapters.length !== before.chapters.length) steps.push({ type: 'chapters', label, from: before.chapters, to: [...chapters] });
+  editHistory.record({ type: 'batch', label, items: steps });
+  waveform.clearSelection();
+  recompose();
+  saveProject();
+}
+
+// A recording's journal keeps the take until the project is saved with it. Without autosave
+// nothing is saved until asked, and the journal goes at once.
+async function releaseJournal(discard: () => Promise<void>) {
+  if (autosaveChk.checked) {
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    try {
+      await persistProject();
+    } catch (e) {
+      console.error('Saving project failed', e);
+      return;
+    }
+  }
+  await discard();
+}
+
+async function startRecording(punch?: { start: number; end: number }) {
   if (isRecording) return;
-  const constraints: MediaStreamConstraints = { audio: { echoCancellation: true, noiseSuppression: true }, video: false };
+  preview.stop();
+  preview.release();
+  // a punch-in inside a freeze shows its frame until the freeze ends, as playing it back does
+  const freeze = punch ? freezeAt(punch.start, pauses) : null;
+  if (punch) {
+    // start the video at the frame that is on screen at the punch-in point
+    if (freeze) preview.seek(punch.start);
+    else videoEl.currentTime = outputToVideoTime(punch.start, pauses);
+  }
+  // a screen recording starts with the narration
+  const startVideoTime = capture ? 0 : videoEl.currentTime;
+  const anchorOffset = punch ? punch.start - videoToOutputTime(startVideoTime, pauses) : 0;
+  const takesBefore = [...takes];
+  const pausesBefore = [...pauses];
+  const chaptersBefore = [...chapters];
+  const id = takeId();
+  const choice = selectedInputDevice();
+  const device = findInputDevice(choice);
+  // before the devices are listed the saved id is the best guess; it stays the same on this site
+  const deviceId = device ? { exact: device.deviceId } : choice ? { ideal: choice.id } : undefined;
+  const constraints: MediaStreamConstraints = { audio: { deviceId, echoCancellation: true, noiseSuppression: true }, video: false };
   stream = await navigator.mediaDevices.getUserMedia(constraints);
+  refreshInputDevices().catch(e => console.warn('Listing microphones failed', e));
   audioCtx = new AudioContext();
   const source = audioCtx.createMediaStreamSource(stream);
+  // the meter shows the microphone itself, ahead of the effects, so clipping on the way in shows
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+  levelMeter.start(analyser);
 
-  // Optional denoise & normalize chain
+  // The voice effects run on the microphone when set to; the take keeps the chain's delay so
+  // composing can skip it and the take still lines up with the video.
   let lastNode: AudioNode = source;
-  if (denoiseChk.checked) {
-    denoiseNode = audioCtx.createBiquadFilter();
-    denoiseNode.type = 'highpass';
-    denoiseNode.frequency.value = 80;
-    lastNode.connect(denoiseNode);
-    lastNode = denoiseNode;
-  }
-  if (normalizeChk.checked) {
-    compNode = audioCtx.createDynamicsCompressor();
-    compNode.threshold.value = -24;
-    compNode.ratio.value = 3;
-    lastNode.connect(compNode);
-    lastNode = compNode;
+  let fxLatency = 0;
+  if (fxLiveChk.checked) {
+    const fx = await createFxNode(audioCtx, fxSettings);
+    lastNode.connect(fx.node);
+    lastNode = fx.node;
+    fxLatency = fx.latency;
   }
   const dest = audioCtx.createMediaStreamDestination();
   lastNode.connect(dest);
 
   mediaRecorder = new MediaRecorder(dest.stream, { mimeType: 'audio/webm;codecs=opus', audioBitsPerSecond: 192000 });
-  audioChunks.length = 0;
-  mediaRecorder.ondataavailable = (e)=>{ if (e.data.size) audioChunks.push(e.data); };
+  const chunks: Blob[] = [];
+  let recording: RecordingJournal | null = null;
+  let startedAt = 0;
+  mediaRecorder.ondataavailable = (e)=>{
+    if (!e.data.size) return;
+    chunks.push(e.data);
+    recording?.append({ type: 'chunk', blob: e.data, elapsed: (performance.now() - startedAt) / 1000 });
+  };
   mediaRecorder.onstop = async ()=> {
-    audioBlob = new Blob(audioChunks, { type: 'audio/webm;codecs=opus' });
-    const arr = await audioBlob.arrayBuffer();
-    if (audioCtx) {
-      const buf = await audioCtx.decodeAudioData(arr.slice(0));
-      const ch0 = buf.getChannelData(0);
-      audioPCM = new Float32Array(ch0.length);
-      audioPCM.set(ch0);
-      waveform.drawFromPCM(audioPCM);
+    const blob = new Blob(chunks, { type: 'audio/webm;codecs=opus' });
+    let pcm: Float32Array;
+    try {
+      pcm = await decodeToPCM(blob);
+    } catch (e: any) {
+      // as when recovering: hand over the recording itself; its journal stays for recovery
+      downloadBlob(blob, `${safeFileName(project.name)}-recording.webm`);
+      alert('קריאת ההקלטה נכשלה: ' + e?.message);
+      return;
     }
-    saveProject();
+    const take: Take = {
+      id,
+      startVideoTime,
+      anchorOffset,
+      pcm,
+      blob,
+      punchLength: punch ? punch.end - punch.start : undefined,
+      latency: fxLatency || undefined,
+      createdAt: Date.now(),
+    };
+    addTake(take, punch ? 'הקלטה חוזרת' : 'הקלטה', { takes: takesBefore, pauses: pausesBefore, chapters: chaptersBefore });
+    if (recording) releaseJournal(()=> recording!.discard());
   };
 
-  mediaRecorder.start(100);
   isRecording = true;
+  recordAnchor = { startVideoTime, anchorOffset };
+  punchBtn.disabled = true;
+  pauseTimeline.editable = false;
+  insertPauseBtn.disabled = deletePauseBtn.disabled = annotateBtn.disabled = true;
+  // stopping during the count-in keeps nothing
+  if (!(await countIn(Number(countInSel.value)))) return;
+  recording = journal = new RecordingJournal(store, {
+    id: recordingId(),
+    projectId: project.id,
+    projectName: project.name,
+    startedAt: Date.now(),
+    mimeType: 'audio/webm;codecs=opus',
+    takeId: id,
+    startVideoTime,
+    anchorOffset,
+    punchLength: punch ? punch.end - punch.start : undefined,
+    latency: fxLatency || undefined,
+    screen: !!capture,
+  });
+  mediaRecorder.start(100);
+  capture?.start();
+  recordStartTime = startedAt = performance.now();
   badge.classList.remove('hidden');
+  waveform.beginLive();
+  if (punch) punchTimer = window.setTimeout(()=> startRecBtn.click(), (punch.end - punch.start) * 1000);
+  if (freeze) {
+    // the freeze's output end is where the video moves on again
+    const hold = videoToOutputTime(freeze.startVideoTime, pauses) - punch!.start;
+    freezeHoldTimer = window.setTimeout(()=> {
+      freezeHoldTimer = 0;
+      preview.release();
+      videoEl.play();
+    }, hold * 1000);
+    return;
+  }
   await videoEl.play();
 }
 
 function stopRecording() {
   if (!isRecording) return;
-  mediaRecorder?.stop();
+  cancelCountIn?.();
+  if (freezeHoldTimer) {
+    clearTimeout(freezeHoldTimer);
+    freezeHoldTimer = 0;
+  }
+  if (punchTimer) {
+    clearTimeout(punchTimer);
+    punchTimer = 0;
+    videoEl.pause();
+  }
+  if (mediaRecorder?.state === 'recording') mediaRecorder.stop();
+  finishCapture();
   stream?.getTracks().forEach(t => t.stop());
   audioCtx?.close();
+  levelMeter.stop();
+  waveform.endLive();
+  recordStartTime = 0;
+  recordAnchor = null;
+  journal = null;
   isRecording = false;
   badge.classList.add('hidden');
+  pauseTimeline.editable = true;
+  insertPauseBtn.disabled = false;
+  deletePauseBtn.disabled = annotateBtn.disabled = !pauseTimeline.getSelected();
 }
 
 function togglePause() {
-  if (!isRecording) return;
-  if (!videoEl.paused) {
-    const frame = dataURLOfCurrentFrame(videoEl);
-    (window as any)._vpv_lastPause = { t: videoEl.currentTime, frame };
-    videoEl.pause();
-  } else {
-    const lp = (window as any)._vpv_lastPause as { t: number; frame: string };
-    if (lp) {
-      const prev = (window as any)._vpv_pauseStartAt as number;
-      const dur = prev ? (performance.now() - prev) / 1000 : 0.01;
-      pauses.push({ startVideoTime: lp.t, pauseDuration: Math.max(0.01, dur), frameDataURL: lp.frame });
-    }
-    videoEl.play();
+  // the freezes are fixed while punching in, otherwise the region would move under the take,
+  // and the video hasn't started during the count-in
+  if (!isRecording || punchTimer || cancelCountIn) return;
+  const freeze = pauseOrResume({ video: videoEl, capture, frame: ()=> dataURLOfCurrentFrame(videoEl), globals: window as PauseGlobals });
+  if (freeze) {
+    pauses.push(freeze);
+    journal?.append({ type: 'pause', pause: freeze });
+    pauseTimeline.setPauses(pauses);
   }
 }
 
 videoEl.addEventListener('pause', ()=> {
-  if (isRecording) (window as any)._vpv_pauseStartAt = performance.now();
-});
-videoEl.addEventListener('play', ()=> {
-  (window as any)._vpv_pauseStartAt = 0;
+  if (isRecording) videoPaused(window as PauseGlobals);
 });
+videoEl.addEventListener('play', ()=> videoPlayed(window as PauseGlobals));
 
 startRecBtn.addEventListener('click', ()=> {
   if (isRecording) { stopRecording(); startRecBtn.textContent = '🎙️ התחל הקלטה (R)'; }
   else { startRecording(); startRecBtn.textContent = '⏹️ עצור הקלטה (R)'; }
 });
 togglePauseBtn.addEventListener('click', togglePause);
-exportBtn.addEventListener('click', doExport);
+punchBtn.addEventListener('click', ()=> {
+  const region = selectedRegion();
+  if (!region || isRecording) return;
+  startRecording(region);
+  startRecBtn.textContent = '⏹️ עצור הקלטה (R)';
+});
+exportBtn.addEventListener('click', ()=> {
+  if (!audioPCM) { alert('אין קריינות מוקלטת'); return; }
+  if (exportDialog.open) return;
+  showExportForm(exportSettings);
+  exportDialog.showModal();
+});
+
+function isTextField(el: EventTarget | null) {
+  return el instanceof HTMLTextAreaElement || (el instanceof HTMLInputElement && ['text', 'search', 'number'].includes(el.type));
+}
 
 window.addEventListener('keydown', (e)=>{
+  // the annotation editor has its own keys, and undo would change the project under it
+  if (isTextField(e.target) || annotationDialog.open) return;
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) redo(); else undo();
+    return;
+  }
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') { e.preventDefault(); redo(); return; }
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
   if (e.code === 'Space') { e.preventDefault(); togglePause(); }
   if (e.key.toLowerCase() === 'r') { e.preventDefault(); startRecBtn.click(); }
   if (e.key.toLowerCase() === 'e') { e.preventDefault(); exportBtn.click(); }
+  if (e.key.toLowerCase() === 'p') { e.preventDefault(); togglePreview(); }
+  if (e.key.toLowerCase() === 'm') { e.preventDefault(); addChapter(); }
+  if (e.key === '+' || e.key === '=') { e.preventDefault(); waveform.zoom(2); }
+  if (e.key === '-') { e.preventDefault(); waveform.zoom(0.5); }
+  if (e.key === '0') { e.preventDefault(); waveform.fit(); }
 });
 
 trimSilenceBtn.addEventListener('click', ()=> {
-  if (!audioPCM) return;
-  const threshold = 0.02;
-  let i = 0, j = audioPCM.length - 1;
-  while (i < audioPCM.length && Math.abs(audioPCM[i]) < threshold) i++;
-  while (j > 0 && Math.abs(audioPCM[j]) < threshold) j--;
-  const prev = { ...trimRange };
-  trimRange = { start: i / audioPCM.length, end: (j+1) / audioPCM.length };
-  undoStack.push({ type:'trim', from: prev, to: trimRange });
-  redoStack.length = 0;
-  const sliced = audioPCM.slice(Math.floor(i), Math.ceil(j+1));
-  waveform.drawFromPCM(sliced);
-  saveProject();
+  const trim = audioPCM && silenceTrim(audioPCM);
+  if (trim) setTrim(trim, 'חיתוך שקט');
 });
 
-undoBtn.addEventListener('click', ()=> {
-  const item = undoStack.pop();
-  if (!item) return;
-  redoStack.push(item);
-  trimRange = item.from;
-  if (audioPCM) waveform.drawFromPCM(audioPCM);
+function setTrim(next: typeof trimRange, label: string) {
+  editHistory.record({ type: 'trim', label, from: trimRange, to: next });
+  trimRange = next;
+  drawNarration();
+  refreshComposition();
+  showTranscriptStatus();
   saveProject();
-});
-redoBtn.addEventListener('click', ()=> {
-  const item = redoStack.pop();
-  if (!item) return;
-  undoStack.push(item);
-  trimRange = item.to;
-  if (audioPCM) {
-    const start = Math.floor(trimRange.start * audioPCM.length);
-    const end = Math.floor(trimRange.end * audioPCM.length);
-    waveform.drawFromPCM(audioPCM.slice(start, end));
+}
+
+// the trim handles on the waveform
+waveform.onTrim = (t)=> {
+  if (!audioPCM || isRecording) { drawNarration(); return; }
+  const seconds = audioPCM.length / SAMPLE_RATE;
+  setTrim({ start: t.start / seconds, end: t.end / seconds }, 'חיתוך');
+};
+zoomInBtn.addEventListener('click', ()=> waveform.zoom(2));
+zoomOutBtn.addEventListener('click', ()=> waveform.zoom(0.5));
+zoomFitBtn.addEventListener('click', ()=> waveform.fit());
+
+// Restores one slice of the project; undo()/redo() then compose and save once for the whole item.
+function applyHistoryStep(step: HistoryStep, side: 'from' | 'to') {
+  switch (step.type) {
+    case 'trim': trimRange = step[side]; break;
+    case 'pauses': pauses.splice(0, pauses.length, ...step[side]); break;
+    case 'takes': takes.splice(0, takes.length, ...step[side]); break;
+    case 'captions': captions.splice(0, captions.length, ...step[side]); break;
+    case 'chapters': chapters.splice(0, chapters.length, ...step[side]); break;
+    case 'settings': applySettings(step[side]); break;
   }
+}
+
+function undo() {
+  if (isRecording || !editHistory.undo()) return;
+  waveform.clearSelection();
+  recompose();
   saveProject();
+}
+function redo() {
+  if (isRecording || !editHistory.redo()) return;
+  waveform.clearSelection();
+  recompose();
+  saveProject();
+}
+
+editHistory.onChange = ()=> {
+  const label = (verb: string, item: HistoryItem | null) => item ? `${verb}: ${item.label}` : verb;
+  undoBtn.disabled = !editHistory.peekUndo();
+  redoBtn.disabled = !editHistory.peekRedo();
+  undoBtn.title = label('בטל', editHistory.peekUndo()) + ' (Ctrl+Z)';
+  redoBtn.title = label('בצע שוב', editHistory.peekRedo()) + ' (Ctrl+Shift+Z)';
+};
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+// --- Export dialog ---
+for (const p of EXPORT_PRESETS) exportPresetSel.add(new Option(p.label, p.id));
+exportPresetSel.add(new Option('מותאם אישית', ''));
+for (const [id, f] of Object.entries(FORMATS)) exportFormatSel.add(new Option(f.label, id));
+
+function readExportForm(): ExportSettings {
+  const format = exportFormatSel.value as ExportFormat;
+  const mode = exportQualitySel.value;
+  return normalizeExport({
+    format,
+    quality: mode === 'crf' ? { mode, crf: Math.min(Number(exportCrf.value), format === 'webm' ? 63 : 51) }
+      : mode === 'bitrate' ? { mode, kbps: Number(exportBitrate.value) }
+      : { mode: 'copy' },
+    height: exportHeightSel.value ? Number(exportHeightSel.value) : null,
+    fps: Number(exportFpsSel.value),
+    audioKbps: Number(exportAudioSel.value),
+  });
+}
+
+function showExportForm(s: ExportSettings) {
+  exportFormatSel.value = s.format;
+  exportQualitySel.value = s.quality.mode;
+  if (s.quality.mode === 'crf') exportCrf.value = String(s.quality.crf);
+  if (s.quality.mode === 'bitrate') exportBitrate.value = String(s.quality.kbps);
+  exportHeightSel.value = s.height ? String(s.height) : '';
+  exportFpsSel.value = String(s.fps);
+  exportAudioSel.value = String(s.audioKbps);
+  updateExportForm();
+}
+
+// Enables the fields that apply to the chosen format and shows the matching preset and the expected size.
+function updateExportForm() {
+  const s = readExportForm();
+  const video = FORMATS[s.format].video;
+  const copy = copiesVideo(s);
+  // WebM has no stream copy, so the quality may have changed
+  exportQualitySel.value = s.quality.mode;
+  if (s.quality.mode === 'crf') exportCrf.value = String(s.quality.crf);
+  exportQualitySel.options[0].disabled = s.format !== 'mp4';
+  exportVideoFields.disabled = !video;
+  exportCrfLabel.classList.toggle('hidden', s.quality.mode !== 'crf');
+  exportBitrateLabel.classList.toggle('hidden', s.quality.mode !== 'bitrate');
+  exportHeightSel.disabled = exportFpsSel.disabled = copy;
+  exportAudioSel.disabled = s.format === 'wav';
+  exportPresetSel.value = matchPreset(s)?.id ?? '';
+  const freezeSeconds = pauses.reduce((sum, p)=> sum + p.pauseDuration, 0);
+  const videoSeconds = videoEl.duration || 0;
+  const size = predictSize(s, {
+    outputSeconds: videoSeconds + freezeSeconds,
+    freezeSeconds,
+    narrationSeconds,
+    width: videoEl.videoWidth,
+    height: videoEl.videoHeight,
+    sourceBytes: project.video?.blob.size ?? 0,
+    sourceSeconds: videoSeconds,
+  });
+  exportEstimate.textContent = `גודל משוער: ${formatBytes(size)}` + (video && !copy ? ' (תלוי בתוכן הוידאו)' : '');
+}
+
+exportPresetSel.addEventListener('change', ()=> {
+  const preset = EXPORT_PRESETS.find(p => p.id === exportPresetSel.value);
+  if (preset) showExportForm(preset.settings); else updateExportForm();
 });
-async function doExport() {
-  if (!audioBlob) { alert('אין קריינות מוקלטת'); return; }
-  setProgress(1);
-  const exporter = new Exporter((p)=> setProgress(p));
+[exportFormatSel, exportQualitySel, exportCrf, exportBitrate, exportHeightSel, exportFpsSel, exportAudioSel]
+  .forEach(el => el.addEventListener('change', updateExportForm));
+cancelExportBtn.addEventListener('click', ()=> exportDialog.close());
+// Closes the dialog and keeps its settings as the project's.
+function confirmExportForm(): ExportSettings {
+  const next = readExportForm();
+  exportDialog.close();
+  if (JSON.stringify(next) !== JSON.stringify(exportSettings)) {
+    exportSettings = next;
+    const settings = currentSettings();
+    editHistory.record({ type: 'settings', label: 'שינוי הגדרות יצוא', from: shownSettings, to: settings });
+    shownSettings = settings;
+    saveProject();
+  }
+  return next;
+}
+
+startExportBtn.addEventListener('click', ()=> doExport(confirmExportForm()));
+queueExportBtn.addEventListener('click', async ()=> {
+  const next = confirmExportForm();
   try {
-    let trimmed: Blob = audioBlob;
-    if (audioPCM) {
-      const start = Math.floor(trimRange.start * audioPCM.length);
-      const end = Math.floor(trimRange.end * audioPCM.length);
-      const offline = new OfflineAudioContext(1, end-start, 48000);
-      const buf = offline.createBuffer(1, end-start, 48000);
-      const ch = buf.getChannelData(0);
-      ch.set(audioPCM.slice(start, end));
-      const src = offline.createBufferSource();
-      src.buffer = buf;
-      src.connect(offline.destination);
-      src.start();
-      const rendered = await offline.startRendering();
-      const wav = bufferToWav(rendered);
-      trimmed = new Blob([wav], { type:'audio/wav' });
-    }
+    // the queue reads the project from the database
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    await persistProject();
+    await exportQueue.add(project, matchPreset(next)?.label ?? `${FORMATS[next.format].label} (מותאם)`, next);
+  } catch (e:any) {
+    console.error(e);
+    alert('שגיאה בהוספה לתור: ' + e?.message);
+  }
+});
 
-    const out = await exporter.export({
+// ffmpeg stays loaded between exports; the runner runs them, the queue's included, one at a time
+const exportRunner = new ExportRunner(ffmpegConfig());
+let exporting: AbortController | null = null;
+
+async function doExport(format: ExportSettings) {
+  if (exporting) return;
+  const { video, ext } = FORMATS[format.format];
+  const cues = captionCues(captions, pauses);
+  const captionMode = captionModeSel.value as ProjectSettings['captionMode'];
+  const controller = new AbortController();
+  exporting = controller;
+  exportBtn.disabled = true;
+  show(stopExportBtn);
+  show(progressWrap);
+  progressBar.style.width = '0%';
+  progressText.textContent = 'מכין את היצוא…';
+  let hideAfter = 2500;
+  try {
+    const { blob, syncReport: sync } = await exportRunner.run({
       videoBlob: await fetch(videoEl.src).then(r=>r.blob()),
-      audioBlob: trimmed,
-      pauses,
-      normalize: normalizeChk.checked
-    });
-    setProgress(100);
+      narration: { pcm: exportNarration()!, sampleRate: SAMPLE_RATE },
+      pauses: video ? await withStills(pauses) : pauses,
+      normalize: normalizeChk.checked,
+      loudness: loudnessTarget(loudnessTargetSel.value),
+      originalAudio: keepOriginalChk.checked ? {
+        bedLevelDb: Number(bedLevel.value),
+        duck: duckChk.checked,
+        freeze: freezeAudioSel.value as OriginalAudioOptions['freeze'],
+      } : undefined,
+      captions: video && captionMode !== 'off' && cues.length ? { srt: toSRT(cues), mode: captionMode } : undefined,
+      metadata: {
+        title: metaTitle.value.trim() || project.name,
+        author: metaAuthor.value.trim() || undefined,
+        chapters: chapterMarks(chapters, pauses),
+      },
+      format,
+    }, { onProgress: setProgress, signal: controller.signal });
+    progressBar.style.width = '100%';
     progressText.textContent = 'ההורדה הושלמה';
-    const url = URL.createObjectURL(out);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'voice-pause-video.mp4';
-    a.click();
+    if (sync && !sync.ok) {
+      // the frames of the file don't line up with the pauses the narration was recorded against
+      const drift = Number.isFinite(sync.maxDrift) ? ` בעד ${Math.round(sync.maxDrift * 1000)}ms` : '';
+      progressText.textContent += ` – אזהרה: הוידאו סוטה מההקפאות${drift}`;
+      hideAfter = 10000;
+    }
+    downloadBlob(blob, projectFileName(`.${ext}`));
   } catch (e:any) {
-    console.error(e);
-    alert('שגיאה ביצוא: ' + e?.message);
-  } finally {
-    setTimeout(()=> hide(progressWrap), 2500);
-  }
-}
-
-function bufferToWav(buffer: AudioBuffer): ArrayBuffer {
-  const numOfChan = buffer.numberOfChannels;
-  const length = buffer.length * numOfChan * 2 + 44;
-  const out = new ArrayBuffer(length);
-  const view = new DataView(out);
-  const channels = [];
-  let offset = 0;
-
-  writeUTFBytes(view, offset, 'RIFF'); offset += 4;
-  view.setUint32(offset, length - 8, true); offset += 4;
-  writeUTFBytes(view, offset, 'WAVE'); offset += 4;
-  writeUTFBytes(view, offset, 'fmt '); offset += 4;
-  view.setUint32(offset, 16, true); offset += 4;
-  view.setUint16(offset, 1, true); offset += 2;
-  view.setUint16(offset, numOfChan, true); offset += 2;
-  view.setUint32(offset, buffer.sampleRate, true); offset += 4;
-  view.setUint32(offset, buffer.sampleRate * 2 * numOfChan, true); offset += 4;
-  view.setUint16(offset, numOfChan * 2, true); offset += 2;
-  view.setUint16(offset, 16, true); offset += 2;
-  writeUTFBytes(view, offset, 'data'); offset += 4;
-  view.setUint32(offset, length - offset - 4, true); offset += 4;
-
-  for (let i = 0; i < numOfChan; i++) channels.push(buffer.getChannelData(i));
-  let interleaved = new Float32Array(buffer.length * numOfChan);
-  for (let i = 0; i < buffer.length; i++) {
-    for (let ch = 0; ch < numOfChan; ch++) {
-      interleaved[i * numOfChan + ch] = channels[ch][i];
+    if (controller.signal.aborted) {
+      progressText.textContent = 'היצוא בוטל';
+    } else {
+      console.error(e);
+      alert('שגיאה ביצוא: ' + e?.message);
     }
+  } finally {
+    exporting = null;
+    exportBtn.disabled = false;
+    hide(stopExportBtn);
+    setTimeout(()=> { if (!exporting) hide(progressWrap); }, hideAfter);
+  }
+}
+
+stopExportBtn.addEventListener('click', ()=> exporting?.abort());
+
+// --- Export queue ---
+const QUEUE_STATUS: Record<ExportJob['status'], string> = { queued: 'ממתין', running: 'רץ', done: 'הושלם', failed: 'נכשל' };
+const exportQueue = new ExportQueue(store, exportRunner, renderQueue, (job)=> {
+  // only the text changes: rebuilding the list would swallow clicks on it
+  if (runningJobDetails) runningJobDetails.textContent = jobDetails(job);
+});
+let runningJobDetails: HTMLElement | null = null;
+
+function jobDetails(job: ExportJob) {
+  let status = QUEUE_STATUS[job.status];
+  const p = job.status === 'running' ? exportQueue.progress : null;
+  if (p) status += ` – ${STAGE_LABELS[p.stage]} · ${Math.round(p.fraction * 100)}%` + (p.eta !== null ? ` · נותרו כ־${formatEta(p.eta)}` : '');
+  if (job.status === 'done' && job.syncOk === false) status += ' – אזהרה: הוידאו סוטה מההקפאות';
+  if (job.status === 'failed') status += `: ${job.error}`;
+  return ` ${job.label} · ${status}`;
+}
+
+function renderQueue() {
+  const jobs = exportQueue.list;
+  const pending = jobs.filter(j => j.status === 'queued' || j.status === 'running').length;
+  queueBtn.textContent = pending ? `🗂️ תור יצוא (${pending})` : '🗂️ תור יצוא';
+  queueDownloadAllBtn.disabled = !jobs.some(j => j.output);
+  queueClearBtn.disabled = !jobs.some(j => j.status === 'done');
+  queueList.innerHTML = '';
+  runningJobDetails = null;
+  if (!jobs.length) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'התור ריק';
+    queueList.appendChild(li);
   }
-  let index = 0;
-  for (let i = 0; i < interleaved.length; i++) {
-    const s = Math.max(-1, Math.min(1, interleaved[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-    offset += 2;
+  for (const job of jobs) {
+    const li = document.createElement('li');
+    li.classList.add(job.status);
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = job.projectName;
+    const details = document.createElement('small');
+    details.textContent = jobDetails(job);
+    if (job.status === 'running') runningJobDetails = details;
+    info.append(name, details);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const action = (label: string, fn: () => void | Promise<void>) => {
+      const b = document.createElement('button');
+      b.className = 'button';
+      b.textContent = label;
+      b.addEventListener('click', ()=> Promise.resolve(fn()).catch(e => alert('שגיאה: ' + e?.message)));
+      actions.appendChild(b);
+    };
+    if (job.output) action('⬇️ הורד', ()=> downloadBlob(job.output!.blob, job.output!.name));
+    if (job.status === 'failed') action('נסה שוב', ()=> exportQueue.retry(job.id));
+    action(job.status === 'running' ? 'בטל' : 'הסר', ()=> exportQueue.remove(job.id));
+    li.append(info, actions);
+    queueList.appendChild(li);
   }
-  return out;
 }
-function writeUTFBytes(view: DataView, offset: number, text: string) {
-  for (let i = 0; i < text.length; i++) {
-    view.setUint8(offset + i, text.charCodeAt(i));
+
+async function showQueueDialog() {
+  // flush a pending autosave so the current project is exported as it is now
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    await persistProject().catch(e => console.error('Saving project failed', e));
+  }
+  queueProjectSel.innerHTML = '';
+  for (const summary of await store.list()) {
+    queueProjectSel.add(new Option(summary.name, summary.id, false, summary.id === project.id));
+  }
+  queuePresetSel.innerHTML = '';
+  for (const preset of EXPORT_PRESETS) queuePresetSel.add(new Option(preset.label, preset.id));
+  renderQueue();
+  queueDialog.showModal();
+}
+
+queueBtn.addEventListener('click', ()=> showQueueDialog().catch(e => alert('שגיאה: ' + e?.message)));
+queueAddBtn.addEventListener('click', async ()=> {
+  const projects = [...queueProjectSel.selectedOptions].map(o => ({ id: o.value, name: o.text }));
+  const presets = EXPORT_PRESETS.filter(p => [...queuePresetSel.selectedOptions].some(o => o.value === p.id));
+  if (!projects.length || !presets.length) { alert('בחרו לפחות פרויקט אחד ופריסט אחד'); return; }
+  for (const p of projects) {
+    for (const preset of presets) await exportQueue.add(p, preset.label, preset.settings);
+  }
+});
+// All finished exports in one zip.
+async function downloadAllExports() {
+  const entries: ZipEntry[] = [];
+  const names = new Set<string>();
+  for (const job of exportQueue.list) {
+    if (!job.output) continue;
+    // two jobs may have made files of the same name
+    let name = job.output.name;
+    for (let i = 2; names.has(name); i++) name = job.output.name.replace(/(\.\w+)$/, ` (${i})$1`);
+    names.add(name);
+    entries.push({ name, data: new Uint8Array(await job.output.blob.arrayBuffer()) });
+  }
+  downloadBlob(new Blob([createZip(entries) as BlobPart], { type: 'application/zip' }), 'exports.zip');
+}
+queueDownloadAllBtn.addEventListener('click', ()=> downloadAllExports().catch(e => alert('שגיאה: ' + e?.message)));
+queueClearBtn.addEventListener('click', ()=> exportQueue.clearDone().catch(e => alert('שגיאה: ' + e?.message)));
+closeQueueBtn.addEventListener('click', ()=> queueDialog.close());
+
+// --- Recovering an interrupted recording ---
+let interrupted: InterruptedRecording | null = null; // the one the recovery dialog offers
+
+// Offers the oldest recording a closed or crashed tab left unsaved, if there is one. Journals
+// another tab (or this one) still holds the lock of are recordings going on, not interrupted.
+async function offerRecovery() {
+  const live = await liveRecordings();
+  for (const rec of await store.interruptedRecordings()) {
+    const { session } = rec;
+    if (live.has(session.id)) continue;
+    const { blob, seconds, pauses: made } = replayJournal(rec);
+    // stopped before the first chunk, or its take was saved before the journal could be removed
+    if (!blob || (session.projectId === project.id && takes.some(t => t.id === session.takeId))) {
+      await store.discardRecording(session.id);
+      continue;
+    }
+    interrupted = rec;
+    const when = new Date(session.startedAt).toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+    recoveryText.textContent = `הקלטה מ־${when} בפרויקט "${session.projectName}" נקטעה לפני שנשמרה: `
+      + `${seconds.toFixed(1)} שניות קריינות ו־${made.length} הקפאות.`;
+    recoveryScreenNote.classList.toggle('hidden', !session.screen);
+    recoveryDialog.showModal();
+    return;
+  }
+}
+
+// Rebuilds the take, with its freezes and chapters, in the project it was recorded in (or the
+// open one, when that project was never saved).
+async function recoverRecording(rec: InterruptedRecording) {
+  const { session } = rec;
+  if (session.projectId !== project.id) await openProject(session.projectId);
+  if (takes.some(t => t.id === session.takeId)) {
+    await store.discardRecording(session.id);
+    return;
+  }
+  const { blob, pauses: made, chapters: marked } = replayJournal(rec);
+  let pcm: Float32Array;
+  try {
+    pcm = await decodeToPCM(blob!);
+  } catch (e) {
+    // the recording is still worth having, even where the browser can't read it back
+    downloadBlob(blob!, `${safeFileName(session.projectName)}-recovered.webm`);
+    throw e;
   }
+  const before = { takes: [...takes], pauses: [...pauses], chapters: [...chapters] };
+  pauses.push(...unsavedPauses(pauses, made));
+  chapters.push(...unsavedChapters(chapters, marked));
+  addTake({
+    id: session.takeId,
+    startVideoTime: session.startVideoTime,
+    anchorOffset: session.anchorOffset,
+    pcm,
+    blob: blob!,
+    punchLength: session.punchLength,
+    latency: session.latency,
+    createdAt: session.startedAt,
+  }, 'הקלטה משוחזרת', before);
+  await releaseJournal(()=> store.discardRecording(session.id));
 }
 
-loadProjectFromLocalStorage();
+recoverBtn.addEventListener('click', async ()=> {
+  const rec = interrupted;
+  recoveryDialog.close();
+  if (!rec) return;
+  try {
+    await recoverRecording(rec);
+  } catch (e: any) {
+    console.error('Recovering the recording failed', e);
+    alert('שחזור ההקלטה נכשל: ' + e?.message);
+    return;
+  }
+  offerRecovery().catch(e => console.error('Looking for interrupted recordings failed', e));
+});
+discardRecoveryBtn.addEventListener('click', async ()=> {
+  const rec = interrupted;
+  recoveryDialog.close();
+  if (!rec || !confirm('למחוק את ההקלטה שנקטעה? לא ניתן יהיה לשחזר אותה.')) return;
+  await store.discardRecording(rec.session.id).catch(e => console.warn('Removing the recording journal failed', e));
+  offerRecovery().catch(e => console.error('Looking for interrupted recordings failed', e));
+});
+// left for the next load
+laterRecoveryBtn.addEventListener('click', ()=> recoveryDialog.close());
+recoveryDialog.addEventListener('close', ()=> { interrupted = null; });
+
+restoreLastProject().catch(e => {
+  console.error('Restoring project failed', e);
+  applyProject(project);
+}).then(offerRecovery).catch(e => console.error('Looking for interrupted recordings failed', e));
+exportQueue.restore().catch(e => console.error('Restoring the export queue failed', e));
@@ -0,0 +1,60 @@
+// ffmpeg for the Exporter outside the browser (cli.ts): the same ffmpeg.wasm core the app uses,
+// loaded from node_modules, or a local ffmpeg binary. The binary works in a temporary directory
+// that stands in for ffmpeg.wasm's in-memory file system.
+import { spawn, ChildProcess } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { readFile, writeFile, readdir, mkdir, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { FFmpegCore, legacyCore } from './ffmpegCore';
+
+/** @ffmpeg/ffmpeg 0.10 with its core from node_modules, as the page loads it. */
+export async function loadWasmFFmpeg(onLog: (line: string) => void): Promise<FFmpegCore> {
+  const { createFFmpeg } = createRequire(import.meta.url)('@ffmpeg/ffmpeg');
+  const ffmpeg = createFFmpeg({ log: false, logger: ({ message }: { message?: any }) => onLog(String(message || '')) });
+  // the core's loader takes Node's fetch for a browser's and tries to download itself with it
+  const nodeFetch = globalThis.fetch;
+  delete (globalThis as any).fetch;
+  try {
+    await ffmpeg.load();
+  } finally {
+    globalThis.fetch = nodeFetch;
+  }
+  // the core's exit() in Node exits the process with it; ffmpeg goes when the process does
+  return { ...legacyCore(ffmpeg), exit: () => {} };
+}
+
+/** A local ffmpeg executable (`path`, e.g. 'ffmpeg' from the PATH). */
+export async function loadBinaryFFmpeg(path: string, onLog: (line: string) => void): Promise<FFmpegCore> {
+  const dir = mkdtempSync(join(tmpdir(), 'vpv-'));
+  const file = (name: string) => join(dir, name.replace(/^\/+/, ''));
+  let child: ChildProcess | null = null;
+  await new Promise<void>((resolve, reject) => {
+    const check = spawn(path, ['-hide_banner', '-version'], { stdio: 'ignore' });
+    check.on('error', () => reject(new Error(`ffmpeg not found at ${path}`)));
+    check.on('close', () => resolve());
+  });
+  return {
+    // like ffmpeg.wasm, a failed command settles normally and the missing output tells
+    run: (...args) => new Promise<void>((resolve, reject) => {
+      const proc = child = spawn(path, ['-nostdin', '-y', ...args], { cwd: dir, stdio: ['ignore', 'ignore', 'pipe'] });
+      createInterface({ input: proc.stderr! }).on('line', onLog);
+      proc.on('error', reject);
+      proc.on('close', () => {
+        child = null;
+        resolve();
+      });
+    }),
+    writeFile: (name, data) => writeFile(file(name), data),
+    readFile: async (name) => new Uint8Array(await readFile(file(name))),
+    readdir: (path) => readdir(file(path)),
+    mkdir: async (path) => { await mkdir(file(path)); },
+    deleteFile: (name) => unlink(file(name)),
+    exit: () => {
+      child?.kill('SIGKILL');
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,298 @@
+// Editable view of the output timeline, drawn under the narration waveform: the video with a
+// block for every freeze (PauseRange) and the narration lane aligned to output time.
+// Freezes can be moved, resized, deleted and inserted; every finished edit is reported through
+// onEdit with the pause list before and after it, so the caller can keep it on the undo stack.
+import { PauseRange } from './exporter';
+import { sortedPauses, videoToOutputTime, outputDuration } from './timeline';
+
+const MIN_PAUSE = 0.05; // shortest freeze, in seconds
+const MIN_GAP = 0.05; // freezes keep at least this much video between them
+const HANDLE_PX = 6; // width of the resize handle at the end of a block, in CSS pixels
+
+interface Drag {
+  kind: 'move' | 'resize';
+  index: number;
+  originX: number;
+  before: PauseRange[];
+}
+
+export class PauseTimeline {
+  private ctx!: CanvasRenderingContext2D;
+  private width: number = 0;
+  private height: number = 0;
+  private pixelRatio = Math.min(2, window.devicePixelRatio || 1);
+  private pauses: PauseRange[] = []; // sorted by startVideoTime
+  private videoDuration = 0;
+  private narration: Float32Array | null = null;
+  private sampleRate = 48000;
+  private playhead = 0; // output time
+  private selected: PauseRange | null = null;
+  private drag: Drag | null = null;
+  private frames = new Map<string, HTMLImageElement>();
+  // everything but the playhead, redrawn only when something else changes
+  private layer: HTMLCanvasElement | null = null;
+  editable = true;
+  onEdit: ((before: PauseRange[], after: PauseRange[]) => void) | null = null;
+  onSeek: ((outputTime: number) => void) | null = null;
+  onSelect: ((pause: PauseRange | null) => void) | null = null;
+
+  constructor(private canvas: HTMLCanvasElement) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas 2D context not available');
+    this.ctx = ctx;
+    canvas.tabIndex = 0;
+    this.resize();
+    window.addEventListener('resize', () => this.resize());
+    this.bindPointer();
+    canvas.addEventListener('keydown', (e) => {
+      if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected) {
+        e.preventDefault();
+        this.deleteSelected();
+      }
+    });
+  }
+
+  setPauses(pauses: PauseRange[]) {
+    this.pauses = sortedPauses(pauses);
+    if (this.selected && !this.pauses.includes(this.selected)) this.select(null);
+    this.redraw();
+  }
+
+  setVideoDuration(seconds: number) {
+    this.videoDuration = Number.isFinite(seconds) ? seconds : 0;
+    this.redraw();
+  }
+
+  setNarration(pcm: Float32Array | null, sampleRate: number) {
+    this.narration = pcm;
+    this.sampleRate = sampleRate;
+    this.redraw();
+  }
+
+  setPlayhead(outputTime: number) {
+    this.playhead = outputTime;
+    this.render();
+  }
+
+  getSelected() { return this.selected; }
+
+  deleteSelected() {
+    if (!this.selected || !this.editable) return;
+    const before = this.pauses;
+    this.commit(before, before.filter(p => p !== this.selected), null);
+  }
+
+  /** Adds a freeze; refused (and the existing one selected) when another starts too close to it. */
+  insertPause(pause: PauseRange): boolean {
+    if (!this.editable) return false;
+    const clash = this.pauses.find(p => Math.abs(p.startVideoTime - pause.startVideoTime) < MIN_GAP);
+    if (clash) {
+      this.select(clash);
+      this.redraw();
+      return false;
+    }
+    this.commit(this.pauses, sortedPauses([...this.pauses, pause]), pause);
+    return true;
+  }
+
+  private commit(before: PauseRange[], after: PauseRange[], selected: PauseRange | null) {
+    this.pauses = after;
+    this.select(selected);
+    this.redraw();
+    this.onEdit?.(before, after);
+  }
+
+  private select(pause: PauseRange | null) {
+    if (pause === this.selected) return;
+    this.selected = pause;
+    this.onSelect?.(pause);
+  }
+
+  private total(): number {
+    const narrationLen = this.narration ? this.narration.length / this.sampleRate : 0;
+    return Math.max(outputDuration(this.videoDuration, this.pauses), narrationLen);
+  }
+
+  // seconds of output time per device pixel
+  private scale(): number {
+    const total = this.total();
+    return total > 0 ? total / this.width : 0;
+  }
+
+  private blockOf(index: number): { x0: number; x1: number } {
+    const p = this.pauses[index];
+    const scale = this.scale();
+    // the freeze starts once the video reaches startVideoTime, before the pause's own duration is added
+    const start = videoToOutputTime(p.startVideoTime, this.pauses) - p.pauseDuration;
+    return { x0: start / scale, x1: (start + p.pauseDuration) / scale };
+  }
+
+  private hit(x: number): { index: number; kind: Drag['kind'] } | null {
+    if (!this.scale()) return null;
+    const handle = HANDLE_PX * this.pixelRatio;
+    for (let i = this.pauses.length - 1; i >= 0; i--) {
+      const { x0, x1 } = this.blockOf(i);
+      if (x >= x1 - handle && x <= x1 + handle / 2) return { index: i, kind: 'resize' };
+      if (x >= x0 && x < x1) return { index: i, kind: 'move' };
+    }
+    return null;
+  }
+
+  private bindPointer() {
+    const xOf = (e: MouseEvent) => {
+      const r = this.canvas.getBoundingClientRect();
+      return Math.max(0, Math.min(r.width, e.clientX - r.left)) * this.pixelRatio;
+    };
+    this.canvas.addEventListener('mousedown', (e) => {
+      const x = xOf(e);
+      const target = this.hit(x);
+      if (!target) {
+        this.select(null);
+        const scale = this.scale();
+        if (scale) this.onSeek?.(x * scale);
+        this.redraw();
+        return;
+      }
+      this.select(this.pauses[target.index]);
+      if (this.editable) this.drag = { ...target, originX: x, before: this.pauses };
+      this.redraw();
+    });
+    this.canvas.addEventListener('mousemove', (e) => {
+      if (this.drag) return;
+      const target = this.editable ? this.hit(xOf(e)) : null;
+      this.canvas.style.cursor = !target ? 'pointer' : target.kind === 'resize' ? 'ew-resize' : 'grab';
+    });
+    window.addEventListener('mousemove', (e) => {
+      if (!this.drag) return;
+      const { kind, index, originX, before } = this.drag;
+      const orig = before[index];
+      const dt = (xOf(e) - originX) * this.scale();
+      let edited: PauseRange;
+      if (kind === 'resize') {
+        edited = { ...orig, pauseDuration: Math.max(MIN_PAUSE, orig.pauseDuration + dt) };
+      } else {
+        // keep the order of the freezes so the dragged block never jumps over a neighbour
+        const lo = index > 0 ? before[index - 1].startVideoTime + MIN_GAP : 0;
+        const hi = index < before.length - 1 ? before[index + 1].startVideoTime - MIN_GAP : this.videoDuration;
+        edited = { ...orig, startVideoTime: Math.max(lo, Math.min(hi, orig.startVideoTime + dt)) };
+      }
+      this.pauses = before.map((p, i) => i === index ? edited : p);
+      this.selected = edited;
+      this.redraw();
+    });
+    window.addEventListener('mouseup', () => {
+      if (!this.drag) return;
+      const { before, index } = this.drag;
+      this.drag = null;
+      const a = this.pauses[index], b = before[index];
+      if (a.startVideoTime !== b.startVideoTime || a.pauseDuration !== b.pauseDuration) this.onEdit?.(before, this.pauses);
+      else this.pauses = before;
+      this.onSelect?.(this.selected);
+      this.redraw();
+    });
+  }
+
+  resize() {
+    this.width = Math.floor(this.canvas.clientWidth * this.pixelRatio);
+    this.height = Math.floor(this.canvas.clientHeight * this.pixelRatio);
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.redraw();
+  }
+
+  private frameImage(url: string): HTMLImageElement | null {
+    let img = this.frames.get(url);
+    if (!img) {
+      img = new Image();
+      img.onload = () => this.redraw();
+      img.src = url;
+      this.frames.set(url, img);
+      // bounded, otherwise frames of deleted or moved freezes would pile up
+      if (this.frames.size > 64) this.frames.delete(this.frames.keys().next().value!);
+    }
+    return img.complete && img.naturalWidth ? img : null;
+  }
+
+  private redraw() {
+    this.layer = null;
+    this.render();
+  }
+
+  private render() {
+    const { ctx, width, height, pixelRatio } = this;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    const scale = this.scale();
+    if (!scale || !width) return;
+    if (!this.layer) this.layer = this.drawLayer(scale);
+    ctx.drawImage(this.layer, 0, 0);
+    const px = Math.round(this.playhead / scale);
+    ctx.fillStyle = '#ef4444';
+    ctx.fillRect(px - pixelRatio / 2, 0, pixelRatio, height);
+  }
+
+  private drawLayer(scale: number): HTMLCanvasElement {
+    const { width, height, pixelRatio } = this;
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    const ctx = layer.getContext('2d')!;
+
+    const axisH = 14 * pixelRatio;
+    const laneH = Math.floor((height - axisH) / 2);
+    const videoTop = axisH;
+    const narrTop = axisH + laneH;
+
+    // time axis
+    ctx.fillStyle = '#6b7280';
+    ctx.font = `${10 * pixelRatio}px system-ui, sans-serif`;
+    ctx.textBaseline = 'top';
+    const step = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600].find(s => s / scale >= 60 * pixelRatio) ?? 600;
+    for (let t = 0; t <= this.total(); t += step) {
+      const x = Math.round(t / scale) + .5;
+      ctx.fillRect(x, 0, 1, 4 * pixelRatio);
+      ctx.fillText(`${Math.floor(t / 60)}:${String(t % 60).padStart(2, '0')}`, x + 3 * pixelRatio, 0);
+    }
+
+    // video lane: playing video, then the freezes on top
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(0, videoTop, outputDuration(this.videoDuration, this.pauses) / scale, laneH - 2);
+    this.pauses.forEach((p, i) => {
+      const { x0, x1 } = this.blockOf(i);
+      const w = Math.max(1, x1 - x0);
+      ctx.fillStyle = p === this.selected ? '#4f46e5' : '#22c55e';
+      ctx.fillRect(x0, videoTop, w, laneH - 2);
+      const img = this.frameImage(p.frameDataURL);
+      const thumbH = laneH - 6;
+      const thumbW = img ? thumbH * img.naturalWidth / img.naturalHeight : 0;
+      if (img && thumbW < w - 4) ctx.drawImage(img, x0 + 2, videoTop + 2, thumbW, thumbH);
+      const label = `${p.pauseDuration.toFixed(1)}s`;
+      if (ctx.measureText(label).width + thumbW + 8 < w) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(label, x0 + thumbW + 5, videoTop + 3 * pixelRatio);
+      }
+      ctx.fillStyle = 'rgba(31, 35, 51, 0.35)';
+      ctx.fillRect(x1 - 2 * pixelRatio, videoTop, 2 * pixelRatio, laneH - 2);
+    });
+
+    // narration lane, already in output time
+    if (this.narration && this.narration.length) {
+      const pcm = this.narration;
+      const samplesPerPx = scale * this.sampleRate;
+      const mid = narrTop + laneH / 2;
+      ctx.strokeStyle = '#4f46e5';
+      ctx.beginPath();
+      for (let x = 0; x < width; x++) {
+        const start = Math.floor(x * samplesPerPx);
+        if (start >= pcm.length) break;
+        const end = Math.min(pcm.length, Math.floor((x + 1) * samplesPerPx));
+        let peak = 0;
+        for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(pcm[i]));
+        ctx.moveTo(x + .5, mid - peak * laneH * 0.45);
+        ctx.lineTo(x + .5, mid + peak * laneH * 0.45 + 1);
+      }
+      ctx.stroke();
+    }
+    return layer;
+  }
+}
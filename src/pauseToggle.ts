@@ -0,0 +1,66 @@
+// Freezing the video while recording. Pausing notes the frame on screen and the video time it
+// belongs to; resuming turns the time the video stood still into a freeze of that frame. The
+// state is kept on window (_vpv_lastPause, _vpv_pauseStartAt), where it has always been.
+import { PauseRange } from './exporter';
+
+export interface PauseGlobals {
+  // the frame and video time of the last pause
+  _vpv_lastPause?: { t: number; frame: string };
+  // performance.now() when the video stopped; 0 while it plays
+  _vpv_pauseStartAt?: number;
+}
+
+/** The parts of the video element and the screen recorder that pausing uses. */
+export interface PausableVideo {
+  readonly paused: boolean;
+  readonly currentTime: number;
+  pause(): void;
+  play(): unknown;
+}
+
+export interface PausableCapture {
+  readonly currentTime: number;
+  pause(): void;
+  resume(): void;
+}
+
+export interface PauseToggle {
+  video: PausableVideo;
+  // the screen being recorded as the video, if it is
+  capture: PausableCapture | null;
+  frame: () => string; // the frame on screen, as a data: URL
+  globals: PauseGlobals;
+}
+
+// a freeze is never shorter than this, so a pause and resume in one go still leaves a mark
+const MIN_FREEZE = 0.01;
+
+/** Pauses the playing video, or resumes it and returns the freeze the pause made. */
+export function pauseOrResume({ video, capture, frame, globals }: PauseToggle, now = performance.now()): PauseRange | null {
+  if (!video.paused) {
+    // the recorded screen's length so far is where its freeze goes
+    globals._vpv_lastPause = { t: capture ? capture.currentTime : video.currentTime, frame: frame() };
+    capture?.pause();
+    video.pause();
+    return null;
+  }
+  const lp = globals._vpv_lastPause;
+  let freeze: PauseRange | null = null;
+  if (lp) {
+    const prev = globals._vpv_pauseStartAt;
+    const dur = prev ? (now - prev) / 1000 : MIN_FREEZE;
+    freeze = { startVideoTime: lp.t, pauseDuration: Math.max(MIN_FREEZE, dur), frameDataURL: lp.frame };
+  }
+  capture?.resume();
+  video.play();
+  return freeze;
+}
+
+/** The video stopped while recording: the freeze is timed from here. */
+export function videoPaused(globals: PauseGlobals, now = performance.now()) {
+  globals._vpv_pauseStartAt = now;
+}
+
+export function videoPlayed(globals: PauseGlobals) {
+  globals._vpv_pauseStartAt = 0;
+}
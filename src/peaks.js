@@ -0,0 +1,72 @@
+// Multi-resolution min/max peaks of a recording, so a waveform of any length draws at about
+// the same cost at every zoom: each level holds the min and max of blocks PEAK_FACTOR times
+// larger than the level below it, the finest of PEAK_BASE samples.
+
+export const PEAK_BASE = 256;
+export const PEAK_FACTOR = 4;
+
+export class PeakCache {
+  levels = [];
+
+  constructor(pcm) {
+    this.pcm = pcm;
+    let size = PEAK_BASE;
+    let n = Math.ceil(pcm.length / size);
+    let mins = new Float32Array(n), maxs = new Float32Array(n);
+    for (let p = 0; p < n; p++) {
+      let min = 0, max = 0;
+      const end = Math.min(pcm.length, (p + 1) * size);
+      for (let i = p * size; i < end; i++) {
+        const v = pcm[i];
+        if (v < min) min = v;
+        else if (v > max) max = v;
+      }
+      mins[p] = min;
+      maxs[p] = max;
+    }
+    this.levels.push({ size, mins, maxs });
+    while (n > 1) {
+      const below = this.levels[this.levels.length - 1];
+      size *= PEAK_FACTOR;
+      n = Math.ceil(below.mins.length / PEAK_FACTOR);
+      mins = new Float32Array(n);
+      maxs = new Float32Array(n);
+      for (let p = 0; p < n; p++) {
+        let min = 0, max = 0;
+        const end = Math.min(below.mins.length, (p + 1) * PEAK_FACTOR);
+        for (let i = p * PEAK_FACTOR; i < end; i++) {
+          if (below.mins[i] < min) min = below.mins[i];
+          if (below.maxs[i] > max) max = below.maxs[i];
+        }
+        mins[p] = min;
+        maxs[p] = max;
+      }
+      this.levels.push({ size, mins, maxs });
+    }
+  }
+
+  /** Min and max of the samples from `start` up to `end`, read from the coarsest level that fits. */
+  range(start, end) {
+    start = Math.max(0, Math.floor(start));
+    end = Math.min(this.pcm.length, Math.ceil(end));
+    let min = 0, max = 0;
+    if (end <= start) return { min, max };
+    let level = null;
+    for (const l of this.levels) if (l.size <= end - start) level = l;
+    if (!level) {
+      for (let i = start; i < end; i++) {
+        const v = this.pcm[i];
+        if (v < min) min = v;
+        else if (v > max) max = v;
+      }
+      return { min, max };
+    }
+    // the blocks touching the range; a column may take in a little of its neighbours
+    const last = Math.min(level.mins.length, Math.ceil(end / level.size));
+    for (let p = Math.floor(start / level.size); p < last; p++) {
+      if (level.mins[p] < min) min = level.mins[p];
+      if (level.maxs[p] > max) max = level.maxs[p];
+    }
+    return { min, max };
+  }
+}
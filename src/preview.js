@@ -0,0 +1,150 @@
+// Real-time preview of the composition in output time, without exporting.
+// The narration plays through Web Audio and its clock drives playback; the video follows it,
+// and during a freeze it is paused under an overlay of the stored frame, as in the exported file.
+// The preview also owns the output-time cursor shared by the waveform and the pause timeline.
+import { freezeAt, outputToVideoTime, videoToOutputTime, outputDuration } from './timeline.js';
+
+const MAX_DRIFT = 0.25; // seconds the video may lag the narration before it is re-seeked
+const FRAME_EPSILON = 0.01; // a video parked this close to a freeze start shows the freeze frame
+
+export class Preview {
+  ctx = null;
+  source = null;
+  buffer = null; // narration of the current composition, built on first play
+  comp = { narration: null, sampleRate: 48000, pauses: [], videoDuration: 0, originalGain: null };
+  playing = false;
+  startedAt = 0; // context time at which `offset` was playing
+  offset = 0; // output time at which playback (re)started; the cursor while stopped
+  raf = 0;
+  holding = null; // freeze whose frame covers the video
+  videoAudio = { muted: false, volume: 1 };
+  onTime = null;
+  onStateChange = null;
+
+  constructor(video, overlay) {
+    this.video = video;
+
+    this.overlay = overlay;
+  }
+
+  get isPlaying() { return this.playing; }
+
+  get time() {
+    return this.playing && this.ctx ? this.offset + this.ctx.currentTime - this.startedAt : this.offset;
+  }
+
+  get duration() {
+    const narrationLen = this.comp.narration ? this.comp.narration.length / this.comp.sampleRate : 0;
+    return Math.max(outputDuration(this.comp.videoDuration, this.comp.pauses), narrationLen);
+  }
+
+  /** Replaces what is previewed; a running preview continues from the same output time. */
+  setComposition(comp) {
+    const t = this.time;
+    this.comp = comp;
+    this.buffer = null;
+    if (this.playing) this.startAudio(t);
+    else this.offset = Math.min(t, this.duration);
+  }
+
+  async play() {
+    if (this.playing) return;
+    if (!this.ctx) this.ctx = new AudioContext();
+    await this.ctx.resume();
+    if (this.offset >= this.duration) this.offset = 0;
+    this.playing = true;
+    this.videoAudio = { muted: this.video.muted, volume: this.video.volume };
+    this.video.muted = this.comp.originalGain === null;
+    this.video.volume = Math.min(1, this.comp.originalGain ?? 1);
+    this.startAudio(this.offset);
+    this.onStateChange?.(true);
+    const tick = () => {
+      if (!this.playing) return;
+      const t = this.time;
+      if (t >= this.duration) { this.stop(); return; }
+      this.show(t);
+      this.raf = requestAnimationFrame(tick);
+    };
+    tick();
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this.offset = Math.min(this.time, this.duration);
+    this.playing = false;
+    cancelAnimationFrame(this.raf);
+    this.stopAudio();
+    this.video.pause();
+    this.video.muted = this.videoAudio.muted;
+    this.video.volume = this.videoAudio.volume;
+    this.show(this.offset);
+    this.onStateChange?.(false);
+  }
+
+  /** Moves the cursor; shows the frame at that point (the stored one inside a freeze). */
+  seek(t) {
+    t = Math.max(0, Math.min(this.duration, t));
+    if (this.playing) this.startAudio(t);
+    else this.offset = t;
+    this.show(t);
+  }
+
+  /** Moves the cursor along with the video when it is played or scrubbed on its own (or recorded over). */
+  follow(videoTime) {
+    if (this.playing) return;
+    // seeking to a freeze parks the video on its frame; that is not a move away from the freeze
+    if (this.holding && Math.abs(videoTime - this.holding.startVideoTime) < FRAME_EPSILON && this.video.paused) return;
+    this.release();
+    this.offset = videoToOutputTime(videoTime, this.comp.pauses);
+    this.onTime?.(this.offset);
+  }
+
+  /** Uncovers the video, e.g. when it is played outside the preview. */
+  release() {
+    this.holding = null;
+    this.overlay.classList.add('hidden');
+  }
+
+  show(t) {
+    const freeze = freezeAt(t, this.comp.pauses);
+    if (freeze) {
+      if (freeze !== this.holding) {
+        this.overlay.src = freeze.frameDataURL;
+        this.overlay.classList.remove('hidden');
+        this.holding = freeze;
+      }
+      if (!this.video.paused) this.video.pause();
+      if (Math.abs(this.video.currentTime - freeze.startVideoTime) > FRAME_EPSILON) this.video.currentTime = freeze.startVideoTime;
+    } else {
+      if (this.holding) this.release();
+      const videoTime = Math.min(this.comp.videoDuration, outputToVideoTime(t, this.comp.pauses));
+      if (!this.playing || Math.abs(this.video.currentTime - videoTime) > MAX_DRIFT) this.video.currentTime = videoTime;
+      if (this.playing && this.video.paused && videoTime < this.comp.videoDuration) this.video.play().catch(()=>{});
+    }
+    this.onTime?.(t);
+  }
+
+  startAudio(t) {
+    this.stopAudio();
+    const ctx = this.ctx;
+    this.offset = t;
+    this.startedAt = ctx.currentTime;
+    const pcm = this.comp.narration;
+    if (!pcm || t >= pcm.length / this.comp.sampleRate) return;
+    if (!this.buffer) {
+      this.buffer = ctx.createBuffer(1, pcm.length, this.comp.sampleRate);
+      this.buffer.copyToChannel(pcm, 0);
+    }
+    this.source = ctx.createBufferSource();
+    this.source.buffer = this.buffer;
+    this.source.connect(ctx.destination);
+    this.source.start(0, t);
+  }
+
+  stopAudio() {
+    if (!this.source) return;
+    this.source.stop();
+    this.source.disconnect();
+    this.source = null;
+  }
+}
@@ -0,0 +1,407 @@
+// Project persistence in IndexedDB.
+// Three object stores: 'meta' holds the small summaries shown in the project library,
+// 'projects' the editable state, and 'blobs' the heavy data (video file, takes, freeze frames)
+// under keys of the form `${projectId}/${kind}/${id}` so a project's blobs can be found by prefix.
+// A fourth, 'exports', holds the batch export queue with the finished files. 'recordings' and
+// 'recordingData' hold the journals of takes being recorded (recordingJournal.ts): the session,
+// and its entries under keys of the form `${sessionId}/${seq}`.
+import { PauseRange } from './exporter';
+import { Take } from './takes';
+import { Caption } from './captions';
+import { Chapter } from './chapters';
+import { ExportSettings, DEFAULT_EXPORT } from './exportPresets';
+import { ExportJob } from './exportQueue';
+import { FxSettings, FxPreset, DEFAULT_FX, normalizeFx } from './audioFx';
+import { DEFAULT_LOUDNESS_TARGET } from './loudness';
+import { SilenceSettings, DEFAULT_SILENCE } from './silence';
+import { ProjectHistory, StoredHistory, TakeMedia, emptyHistory, serializeHistory, historyTakeIds, restoreHistory } from './history';
+import { RecordingSession, JournalEntry, JournalStore, InterruptedRecording } from './recordingJournal';
+
+export interface ProjectSettings {
+  normalize: boolean;
+  // LOUDNESS_TARGETS id the narration is normalized to on export
+  loudnessTarget: string;
+  // voice effects chain, and whether it runs on the microphone while recording
+  fx: FxSettings;
+  liveFx: boolean;
+  // microphone to record from, null for the system default; ids are per site and can change, so the label is kept to find it again
+  inputDevice: { id: string; label: string } | null;
+  // seconds counted down before the video starts
+  countIn: number;
+  // how silent gaps in the narration are found and how short they are cut
+  silence: SilenceSettings;
+  // effects presets saved with this project, next to the built-in ones
+  fxPresets: FxPreset[];
+  keepOriginal: boolean;
+  bedLevelDb: number;
+  duck: boolean;
+  freezeAudio: 'silence' | 'loop';
+  // how captions are added to the exported video
+  captionMode: 'off' | 'soft' | 'burn';
+  // tags of the exported file; an empty title stands for the project's name
+  metadata: { title: string; author: string };
+  // format and quality last chosen in the export dialog
+  export: ExportSettings;
+}
+
+export const DEFAULT_SETTINGS: ProjectSettings = {
+  normalize: false,
+  loudnessTarget: DEFAULT_LOUDNESS_TARGET,
+  fx: DEFAULT_FX,
+  liveFx: false,
+  inputDevice: null,
+  countIn: 0,
+  silence: DEFAULT_SILENCE,
+  fxPresets: [],
+  keepOriginal: false,
+  bedLevelDb: -12,
+  duck: true,
+  freezeAudio: 'silence',
+  captionMode: 'off',
+  metadata: { title: '', author: '' },
+  export: DEFAULT_EXPORT,
+};
+
+/**
+ * Settings as saved by any version, completed with the defaults. Versions before the effects
+ * chain had a 'denoise' switch: an 80 Hz highpass on the microphone.
+ */
+export function normalizeSettings(raw: any): ProjectSettings {
+  const { denoise, ...s } = raw && typeof raw === 'object' ? raw : ({} as any);
+  const settings: ProjectSettings = { ...DEFAULT_SETTINGS, ...s, fx: normalizeFx(s.fx), fxPresets: s.fxPresets ?? [], silence: { ...DEFAULT_SILENCE, ...s.silence }, metadata: { ...DEFAULT_SETTINGS.metadata, ...s.metadata } };
+  if (denoise && !s.fx) {
+    settings.fx = { ...settings.fx, eq: { ...settings.fx.eq, enabled: true, highpassHz: 80 } };
+    settings.liveFx = true;
+  }
+  return settings;
+}
+
+export interface ProjectVideo { id: string; name: string; blob: Blob; }
+
+export interface Project {
+  id: string;
+  name: string;
+  createdAt: number;
+  updatedAt: number;
+  video: ProjectVideo | null;
+  takes: Take[];
+  pauses: PauseRange[];
+  captions: Caption[];
+  chapters: Chapter[];
+  trimRange: { start: number; end: number };
+  settings: ProjectSettings;
+  history: ProjectHistory;
+}
+
+export interface ProjectSummary {
+  id: string;
+  name: string;
+  createdAt: number;
+  updatedAt: number;
+  videoName: string | null;
+  takeCount: number;
+  pauseCount: number;
+}
+
+// What lands in the 'projects' store: blobs, PCM and frame images are replaced by keys into 'blobs'.
+interface StoredProject {
+  id: string;
+  name: string;
+  createdAt: number;
+  updatedAt: number;
+  video: { id: string; name: string } | null;
+  takes: Omit<Take, 'blob' | 'pcm'>[];
+  pauses: (Omit<PauseRange, 'frameDataURL'> & { frameKey: string })[];
+  // missing in records written before captions existed
+  captions?: Caption[];
+  // missing in records written before chapters existed
+  chapters?: Chapter[];
+  trimRange: { start: number; end: number };
+  settings: ProjectSettings;
+  // missing in records written before the history was persisted
+  history?: StoredHistory;
+}
+
+const DB_NAME = 'voice-pause-video';
+const DB_VERSION = 3;
+
+export function projectId(): string {
+  return 'prj_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function emptyProject(name: string): Project {
+  const now = Date.now();
+  return {
+    id: projectId(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    video: null,
+    takes: [],
+    pauses: [],
+    captions: [],
+    chapters: [],
+    trimRange: { start: 0, end: 1 },
+    settings: { ...DEFAULT_SETTINGS },
+    history: emptyHistory(),
+  };
+}
+
+function request<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function done(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function prefixRange(id: string) {
+  return IDBKeyRange.bound(`${id}/`, `${id}/\uffff`);
+}
+
+export class ProjectStore implements JournalStore {
+  private db: Promise<IDBDatabase> | null = null;
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) { reject(new Error('IndexedDB not available')); return; }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'id' });
+          if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'id' });
+          if (!db.objectStoreNames.contains('blobs')) db.createObjectStore('blobs');
+          if (!db.objectStoreNames.contains('exports')) db.createObjectStore('exports', { keyPath: 'id' });
+          if (!db.objectStoreNames.contains('recordings')) db.createObjectStore('recordings', { keyPath: 'id' });
+          if (!db.objectStoreNames.contains('recordingData')) db.createObjectStore('recordingData');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this.db;
+  }
+
+  async list(): Promise<ProjectSummary[]> {
+    const db = await this.open();
+    const all = await request(db.transaction('meta').objectStore('meta').getAll()) as ProjectSummary[];
+    return all.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Write the project. Blobs already stored under the same key are not written again
+   * (takes and videos never change once recorded), and blobs no longer referenced are removed.
+   */
+  async save(project: Project): Promise<void> {
+    const db = await this.open();
+    const blobs = new Map<string, unknown>();
+    const history = serializeHistory(project.history);
+    const active = new Set(project.takes.map(t => t.id));
+    const stored: StoredProject = {
+      id: project.id,
+      name: project.name,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt,
+      video: project.video ? { id: project.video.id, name: project.video.name } : null,
+      takes: project.takes.map(({ blob, pcm, ...meta }) => {
+        blobs.set(`${project.id}/take/${meta.id}`, { blob, pcm });
+        return meta;
+      }),
+      pauses: project.pauses.map(({ frameDataURL, ...p }) => {
+        const frameKey = `${project.id}/frame/${p.startVideoTime.toFixed(3)}_${hash(frameDataURL)}`;
+        blobs.set(frameKey, frameDataURL);
+        return { ...p, frameKey };
+      }),
+      captions: project.captions,
+      chapters: project.chapters,
+      trimRange: project.trimRange,
+      settings: project.settings,
+      history: history.stored,
+    };
+    // deleted takes stay stored while the history can bring them back
+    for (const { id, blob, pcm } of history.takes) {
+      if (!active.has(id)) blobs.set(`${project.id}/take/${id}`, { blob, pcm });
+    }
+    if (project.video) blobs.set(`${project.id}/video/${project.video.id}`, project.video.blob);
+
+    const tx = db.transaction(['meta', 'projects', 'blobs'], 'readwrite');
+    const blobStore = tx.objectStore('blobs');
+    const existing = new Set((await request(blobStore.getAllKeys(prefixRange(project.id)))) as string[]);
+    for (const [key, value] of blobs) {
+      if (!existing.has(key)) blobStore.put(value, key);
+    }
+    for (const key of existing) {
+      if (!blobs.has(key)) blobStore.delete(key);
+    }
+    tx.objectStore('projects').put(stored);
+    tx.objectStore('meta').put(summarize(project));
+    await done(tx);
+  }
+
+  async load(id: string): Promise<Project | null> {
+    const db = await this.open();
+    const tx = db.transaction(['projects', 'blobs']);
+    const stored = await request(tx.objectStore('projects').get(id)) as StoredProject | undefined;
+    if (!stored) return null;
+    const blobStore = tx.objectStore('blobs');
+    const get = (key: string) => request(blobStore.get(key)) as Promise<any>;
+
+    const video = stored.video
+      ? { ...stored.video, blob: await get(`${id}/video/${stored.video.id}`) as Blob }
+      : null;
+    const media = new Map<string, TakeMedia>();
+    for (const takeId of new Set([...stored.takes.map(t => t.id), ...historyTakeIds(stored.history)])) {
+      const data = await get(`${id}/take/${takeId}`);
+      if (data) media.set(takeId, { blob: data.blob, pcm: data.pcm });
+    }
+    const takes: Take[] = stored.takes.filter(t => media.has(t.id)).map(t => ({ ...t, ...media.get(t.id)! }));
+    const pauses: PauseRange[] = [];
+    for (const { frameKey, ...p } of stored.pauses) {
+      pauses.push({ ...p, frameDataURL: (await get(frameKey)) || '' });
+    }
+    return {
+      id: stored.id,
+      name: stored.name,
+      createdAt: stored.createdAt,
+      updatedAt: stored.updatedAt,
+      video: video && video.blob ? video : null,
+      takes,
+      pauses,
+      captions: stored.captions ?? [],
+      chapters: stored.chapters ?? [],
+      trimRange: stored.trimRange,
+      settings: normalizeSettings(stored.settings),
+      history: restoreHistory(stored.history, media),
+    };
+  }
+
+  async rename(id: string, name: string): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(['meta', 'projects'], 'readwrite');
+    for (const storeName of ['meta', 'projects']) {
+      const store = tx.objectStore(storeName);
+      const rec = await request(store.get(id));
+      if (rec) store.put({ ...rec, name });
+    }
+    await done(tx);
+  }
+
+  /** Copies the project and all its blobs under a new id; returns the new id. */
+  async duplicate(id: string, name: string): Promise<string> {
+    const db = await this.open();
+    const copyId = projectId();
+    const now = Date.now();
+    const tx = db.transaction(['meta', 'projects', 'blobs'], 'readwrite');
+    const meta = await request(tx.objectStore('meta').get(id)) as ProjectSummary | undefined;
+    const stored = await request(tx.objectStore('projects').get(id)) as StoredProject | undefined;
+    if (!meta || !stored) throw new Error(`Project ${id} not found`);
+    const rekey = (key: string) => copyId + key.slice(id.length);
+    tx.objectStore('meta').put({ ...meta, id: copyId, name, createdAt: now, updatedAt: now });
+    tx.objectStore('projects').put({
+      ...stored,
+      id: copyId,
+      name,
+      createdAt: now,
+      updatedAt: now,
+      pauses: stored.pauses.map(p => ({ ...p, frameKey: rekey(p.frameKey) })),
+    });
+    const blobStore = tx.objectStore('blobs');
+    const keys = await request(blobStore.getAllKeys(prefixRange(id))) as string[];
+    for (const key of keys) {
+      blobStore.put(await request(blobStore.get(key)), rekey(key));
+    }
+    await done(tx);
+    return copyId;
+  }
+
+  async remove(id: string): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(['meta', 'projects', 'blobs'], 'readwrite');
+    tx.objectStore('meta').delete(id);
+    tx.objectStore('projects').delete(id);
+    tx.objectStore('blobs').delete(prefixRange(id));
+    await done(tx);
+  }
+
+  async listExports(): Promise<ExportJob[]> {
+    const db = await this.open();
+    return await request(db.transaction('exports').objectStore('exports').getAll()) as ExportJob[];
+  }
+
+  async putExport(job: ExportJob): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction('exports', 'readwrite');
+    tx.objectStore('exports').put(job);
+    await done(tx);
+  }
+
+  async removeExport(id: string): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction('exports', 'readwrite');
+    tx.objectStore('exports').delete(id);
+    await done(tx);
+  }
+
+  async beginRecording(session: RecordingSession): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction('recordings', 'readwrite');
+    tx.objectStore('recordings').put(session);
+    await done(tx);
+  }
+
+  async appendRecording(id: string, seq: number, entry: JournalEntry): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction('recordingData', 'readwrite');
+    // zero-padded, so the keys sort in the order the entries were written
+    tx.objectStore('recordingData').put(entry, `${id}/${String(seq).padStart(8, '0')}`);
+    await done(tx);
+  }
+
+  /** Journals left by recordings that never finished, oldest first. */
+  async interruptedRecordings(): Promise<InterruptedRecording[]> {
+    const db = await this.open();
+    const tx = db.transaction(['recordings', 'recordingData']);
+    const sessions = await request(tx.objectStore('recordings').getAll()) as RecordingSession[];
+    const data = tx.objectStore('recordingData');
+    const interrupted: InterruptedRecording[] = [];
+    for (const session of sessions.sort((a, b) => a.startedAt - b.startedAt)) {
+      interrupted.push({ session, entries: await request(data.getAll(prefixRange(session.id))) as JournalEntry[] });
+    }
+    return interrupted;
+  }
+
+  async discardRecording(id: string): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(['recordings', 'recordingData'], 'readwrite');
+    tx.objectStore('recordings').delete(id);
+    tx.objectStore('recordingData').delete(prefixRange(id));
+    await done(tx);
+  }
+}
+
+function summarize(project: Project): ProjectSummary {
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    videoName: project.video?.name ?? null,
+    takeCount: project.takes.length,
+    pauseCount: project.pauses.length,
+  };
+}
+
+// Short content hash so that a pause whose frame changes gets a new blob key.
+function hash(text: string): string {
+  let h = 0;
+  for (let i = 0; i < text.length; i += 97) h = (h * 31 + text.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36) + text.length.toString(36);
+}
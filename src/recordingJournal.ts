@@ -0,0 +1,138 @@
+// Crash-safe recording. While a take is recorded, every chunk MediaRecorder hands out and every
+// freeze and chapter made is written to IndexedDB as it comes (ProjectStore's recording stores),
+// so closing or crashing the tab loses at most the last fraction of a second. A journal is removed
+// once its take is saved with the project; one still there on the next load was interrupted, and
+// replayJournal() rebuilds the take's recording, freezes and chapters from it. The tab writing a
+// journal holds a Web Lock named after its session for as long as the journal is kept, so other
+// tabs tell a recording still going on (liveRecordings) from one whose tab is gone.
+import { PauseRange } from './exporter';
+import { Chapter } from './chapters';
+
+export interface RecordingSession {
+  id: string;
+  projectId: string;
+  projectName: string;
+  startedAt: number; // Date.now()
+  mimeType: string;
+  // the take it becomes; one saved before its journal was removed is not recovered twice
+  takeId: string;
+  // where the take goes, as in Take
+  startVideoTime: number;
+  anchorOffset: number;
+  punchLength?: number;
+  latency?: number;
+  // the video was recorded from the screen as well; only the narration is journaled
+  screen: boolean;
+}
+
+export type JournalEntry =
+  // elapsed: seconds since the recording started when the chunk came
+  | { type: 'chunk'; blob: Blob; elapsed: number }
+  | { type: 'pause'; pause: PauseRange }
+  | { type: 'chapter'; chapter: Chapter };
+
+export interface InterruptedRecording {
+  session: RecordingSession;
+  entries: JournalEntry[]; // in the order they were written
+}
+
+/** Where journals are kept; ProjectStore in the page. */
+export interface JournalStore {
+  beginRecording(session: RecordingSession): Promise<void>;
+  appendRecording(id: string, seq: number, entry: JournalEntry): Promise<void>;
+  discardRecording(id: string): Promise<void>;
+}
+
+export function recordingId(): string {
+  return 'rec_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Writes one recording's journal. Writes go one after the other, the session first, so the
+ * stored entries are always a prefix of what was recorded. When a write fails the journal gives
+ * up with a warning and the recording goes on in memory as it would without one.
+ */
+export class RecordingJournal {
+  private seq = 0;
+  private writes: Promise<void>;
+  private failed = false;
+  private release!: () => void;
+
+  constructor(private store: JournalStore, readonly session: RecordingSession, locks: LockManager | undefined = globalThis.navigator?.locks) {
+    const released = new Promise<void>(resolve => { this.release = resolve; });
+    locks?.request(session.id, () => released).catch(e => console.warn('Locking the recording journal failed', e));
+    this.writes = this.guard(() => store.beginRecording(session));
+  }
+
+  append(entry: JournalEntry) {
+    const seq = this.seq++;
+    this.writes = this.writes.then(() => this.guard(() => this.store.appendRecording(this.session.id, seq, entry)));
+  }
+
+  /** Removes the journal after what is still being written; the take is safe elsewhere now. */
+  async discard() {
+    await this.writes;
+    try {
+      await this.store.discardRecording(this.session.id);
+    } catch (e) {
+      console.warn('Removing the recording journal failed', e);
+    }
+    this.release();
+  }
+
+  private async guard(write: () => Promise<void>) {
+    if (this.failed) return;
+    try {
+      await write();
+    } catch (e) {
+      this.failed = true;
+      console.warn('Journaling the recording failed; it is kept in memory only', e);
+    }
+  }
+}
+
+/** Sessions whose tab is still recording or keeping them; their journals were not interrupted. */
+export async function liveRecordings(locks: LockManager | undefined = globalThis.navigator?.locks): Promise<Set<string>> {
+  if (!locks) return new Set();
+  const { held = [] } = await locks.query();
+  return new Set(held.map(lock => lock.name ?? ''));
+}
+
+export interface RecoveredRecording {
+  blob: Blob | null; // null when no audio was written
+  seconds: number; // how much was recorded, as far as the chunks tell
+  pauses: PauseRange[];
+  chapters: Chapter[];
+}
+
+/** The recording, freezes and chapters an interrupted journal holds. */
+export function replayJournal({ session, entries }: InterruptedRecording): RecoveredRecording {
+  const chunks: Blob[] = [];
+  const pauses: PauseRange[] = [];
+  const chapters: Chapter[] = [];
+  let seconds = 0;
+  for (const entry of entries) {
+    if (entry.type === 'chunk') {
+      chunks.push(entry.blob);
+      seconds = Math.max(seconds, entry.elapsed);
+    } else if (entry.type === 'pause') {
+      pauses.push(entry.pause);
+    } else {
+      chapters.push(entry.chapter);
+    }
+  }
+  const blob = chunks.length ? new Blob(chunks, { type: session.mimeType }) : null;
+  return { blob, seconds, pauses, chapters };
+}
+
+/**
+ * Freezes and chapters from a journal that the project does not have yet; a save made while
+ * recording may have stored some of them with the project already.
+ */
+export function unsavedPauses(saved: PauseRange[], recovered: PauseRange[]): PauseRange[] {
+  return recovered.filter(r => !saved.some(p => p.startVideoTime === r.startVideoTime && p.pauseDuration === r.pauseDuration));
+}
+
+export function unsavedChapters(saved: Chapter[], recovered: Chapter[]): Chapter[] {
+  return recovered.filter(r => !saved.some(c => c.id === r.id));
+}
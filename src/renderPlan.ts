@@ -0,0 +1,299 @@
+// The export as ffmpeg commands. From what ffmpeg reported about the source (its probe output and
+// frame index) this works out how the video is cut, which edges and freezes are encoded, how the
+// pieces are joined and how narration, tags and captions are muxed with it. Nothing here runs
+// ffmpeg or needs a page: the Exporter runs the same plan in the browser and in the
+// command-line renderer (cli.ts).
+import { ExportOptions, PauseRange, CaptionOptions, OriginalAudioOptions } from './exporter';
+import { ExportSettings, FORMATS, copiesVideo, videoFilter, videoCodecArgs, audioCodecArgs } from './exportPresets';
+import { SourceVideo, FrameIndex, CutPlan, parseSourceVideo, frameRate, isConstantRate, planCuts } from './cutPlan';
+import { ExportStep, StageWork, COST } from './exportProgress';
+import { loudnessTarget } from './loudness';
+import { FileMetadata, Chapter, chapterMarks, toFFMetadata } from './chapters';
+import { Caption, captionCues, toSRT } from './captions';
+import { FreezeStill } from './annotations';
+import { ProjectSettings } from './projectStore';
+
+// Font burned-in captions are drawn with; the ffmpeg build ships none. Served with the app next to
+// the ffmpeg core (scripts/vendor-ffmpeg.mjs), resolved against this module so the export worker
+// finds it too.
+export const DEFAULT_CAPTION_FONT = {
+  url: new URL('../vendor/ffmpeg/fonts/NotoSansHebrew-Regular.ttf', import.meta.url).href,
+  family: 'Noto Sans Hebrew',
+};
+
+export const PCM_STEREO = ['-ac', '2', '-ar', '48000', '-c:a', 'pcm_s16le'];
+
+export function fmtTime(t: number): string { return t.toFixed(3); }
+
+/** A file a command reads, written before it runs: text, or the contents of a (data:) URL. */
+export type RenderFile = { name: string; text: string } | { name: string; url: string };
+
+/** One ffmpeg run; `step` says which stage it belongs to and how much output it makes. */
+export interface RenderCommand {
+  step: ExportStep | null;
+  args: string[];
+  files?: RenderFile[];
+}
+
+/** What a project is rendered from; the narration is all its takes composed, before the trim. */
+export interface RenderSource {
+  name: string;
+  video: Blob | null;
+  narration: Float32Array;
+  sampleRate: number;
+  pauses: PauseRange[];
+  captions: Caption[];
+  chapters: Chapter[];
+  trimRange: { start: number; end: number };
+  settings: ProjectSettings;
+}
+
+/** The exporter's options for rendering a project with the given export settings. */
+export function renderOptions(source: RenderSource, format: ExportSettings): ExportOptions {
+  const video = FORMATS[format.format].video;
+  if (video && !source.video) throw new Error(`Project "${source.name}" has no video`);
+  const { start, end } = source.trimRange;
+  const composed = source.narration;
+  const narration = composed.slice(Math.floor(start * composed.length), Math.floor(end * composed.length));
+  if (!narration.length) throw new Error(`Project "${source.name}" has no narration`);
+  const s = source.settings;
+  const cues = captionCues(source.captions, source.pauses);
+  return {
+    videoBlob: source.video ?? new Blob(),
+    narration: { pcm: narration, sampleRate: source.sampleRate },
+    pauses: source.pauses,
+    normalize: s.normalize,
+    loudness: loudnessTarget(s.loudnessTarget),
+    originalAudio: s.keepOriginal ? { bedLevelDb: s.bedLevelDb, duck: s.duck, freeze: s.freezeAudio } : undefined,
+    captions: video && s.captionMode !== 'off' && cues.length ? { srt: toSRT(cues), mode: s.captionMode } : undefined,
+    metadata: {
+      title: s.metadata.title.trim() || source.name,
+      author: s.metadata.author.trim() || undefined,
+      chapters: chapterMarks(source.chapters, source.pauses),
+    },
+    format,
+  };
+}
+
+/** How the video of an export is made: cut from the source, re-encoded, or both. */
+export interface VideoPlan {
+  cuts: CutPlan;
+  // whole GOPs of the source are copied; the rest is encoded to match them
+  copy: boolean;
+  // the settings the video is encoded with, the source's own rate filled in when it is kept
+  video: ExportSettings;
+  source: SourceVideo;
+  duration: number; // of the source
+  ext: string;
+  mime: string;
+  // the format of the pieces that are concatenated
+  pieceExt: string;
+  // frame rate of the encoded pieces, as an ffmpeg rational
+  rate: string;
+  encode: string[];
+  timescale: number | null; // of the copied source, kept through the concat
+}
+
+/**
+ * Plans the video from the probe of input.mp4 (`info`) and its frame index.
+ * Every piece of the output must share one codec and frame rate for the concat to work.
+ * Copying keeps whole GOPs of the source and encodes the rest (cut edges, freezes) to match it,
+ * which needs H.264 in a pixel format x264 writes and a constant frame rate to cut on; other
+ * sources are re-encoded at their own frame rate.
+ */
+export function planVideo(info: string, frames: FrameIndex | null, settings: ExportSettings, pauses: PauseRange[]): VideoPlan {
+  const source = parseSourceVideo(info);
+  const copy = copiesVideo(settings) && source.codec === 'h264' && /^yuvj?420p$/.test(source.pixFmt ?? '')
+    && !!frames && isConstantRate(frames);
+  const keepSource = settings.quality.mode === 'copy';
+  const video: ExportSettings = !keepSource ? settings : {
+    ...settings,
+    fps: source.fps ?? settings.fps,
+    quality: copy ? settings.quality : { mode: 'crf', crf: 20 },
+  };
+  const duration = frames?.duration ?? source.duration ?? 0;
+  const cuts = copy && frames
+    ? planCuts({ pauses, duration, fps: frames.timescale / frames.frameTicks, keyframes: frames.frames.filter(f => f.key).map(f => f.time) })
+    : planCuts({ pauses, duration, fps: video.fps });
+  const { ext, mime } = FORMATS[settings.format];
+  const rate = copy && frames ? frameRate(frames) : String(video.fps);
+  return {
+    cuts, copy, video, source, duration, ext, mime,
+    // copied and encoded H.264 only concatenate cleanly as MPEG-TS; they are remuxed to MP4 by the concat
+    pieceExt: copy ? 'ts' : ext,
+    rate,
+    encode: copy ? matchingCodecArgs(source, rate) : ['-vf', videoFilter(video), ...videoCodecArgs(video)],
+    timescale: copy && frames ? frames.timescale : null,
+  };
+}
+
+/** The work of each stage of a video export, for the progress bar. */
+export function videoWork(plan: VideoPlan, { bed, loudness, narrationSeconds, captions }: {
+  bed: boolean; loudness: boolean; narrationSeconds: number; captions?: CaptionOptions;
+}): StageWork {
+  const { cuts } = plan;
+  const seconds = (n: number) => n / cuts.fps;
+  const framesOf = (kind: 'encode' | 'freeze') => cuts.pieces.reduce((n, p) => n + (p.kind === kind ? p.frames : 0), 0);
+  const copying = cuts.pieces.some(p => p.kind === 'copy');
+  return {
+    segments: seconds(framesOf('encode')) * COST.encode + (copying ? plan.duration * COST.copy : 0),
+    freezes: seconds(framesOf('freeze')) * COST.still,
+    concat: cuts.duration * COST.copy,
+    // original audio pieces and the processed voice, and measuring its loudness
+    audio: (bed ? 2 * cuts.duration * COST.audio : 0) + (loudness ? narrationSeconds * COST.audio : 0),
+    mux: cuts.duration * (COST.audio + (captions ? (captions.mode === 'burn' ? COST.encode : COST.copy) : 0)),
+  };
+}
+
+/** The name of the joined video that videoCommands() writes. */
+export function joinedVideo(plan: VideoPlan): string {
+  return `video_full.${plan.ext}`;
+}
+
+/** Commands that make the picture of the export from input.mp4, piece by piece, and join them. */
+export function videoCommands(plan: VideoPlan): RenderCommand[] {
+  const { cuts, pieceExt, rate, encode } = plan;
+  const seconds = (n: number) => n / cuts.fps;
+  const commands: RenderCommand[] = [];
+  if (cuts.pieces.some(p => p.kind === 'copy')) {
+    // split the source at the keyframes the copied runs start and end on (half a frame early,
+    // as the segment muxer cuts at the first keyframe at or after each time)
+    const times = cuts.splits.map(t => fmtTime(t - 0.5 / cuts.fps)).join(',');
+    const split = times ? ['-f','segment','-segment_format','mpegts','-segment_times',times,'-reset_timestamps','1','gop_%03d.ts'] : ['gop_000.ts'];
+    commands.push({ step: { stage: 'segments', seconds: plan.duration, cost: COST.copy }, args: ['-i','input.mp4','-map','0:v:0','-c','copy',...split] });
+  }
+  const concatList: string[] = [];
+  for (const [i, piece] of cuts.pieces.entries()) {
+    const out = `seg_${i}.${pieceExt}`;
+    if (piece.kind === 'copy') {
+      concatList.push(`file 'gop_${String(piece.chunk).padStart(3, '0')}.ts'`);
+      continue;
+    }
+    if (piece.kind === 'encode') {
+      // seeking half a frame early makes the first decoded frame the one at `from`
+      const seek = fmtTime(Math.max(0, piece.from - 0.5 / cuts.fps));
+      commands.push({ step: { stage: 'segments', seconds: seconds(piece.frames), cost: COST.encode },
+        args: ['-ss',seek,'-i','input.mp4','-an','-frames:v',String(piece.frames),...encode,out] });
+    } else if (piece.pause.stills?.length) {
+      // an annotated freeze: its stills in one piece, each for its own frames
+      const files: RenderFile[] = [];
+      const list = ['ffconcat version 1.0'];
+      for (const [j, run] of stillRuns(piece.pause.stills, piece.frames, cuts.fps).entries()) {
+        const stillPng = `still_${i}_${j}.png`;
+        files.push({ name: stillPng, url: run.dataURL });
+        list.push(`file '${stillPng}'`, `duration ${(run.frames / cuts.fps).toFixed(6)}`);
+      }
+      // the concat demuxer only keeps the last duration when the last file is listed once more
+      list.push(list[list.length - 2]);
+      const stillsTxt = `stills_${i}.txt`;
+      files.push({ name: stillsTxt, text: list.join('\n') });
+      // the fps filter in `encode` turns the stills into frames at the output rate
+      commands.push({ step: { stage: 'freezes', seconds: seconds(piece.frames), cost: COST.still }, files,
+        args: ['-f','concat','-safe','0','-i',stillsTxt,'-frames:v',String(piece.frames),...encode,out] });
+    } else {
+      const stillPng = `still_${i}.png`;
+      // read at the output rate: MPEG-TS pieces would get gaps rather than repeated frames
+      commands.push({ step: { stage: 'freezes', seconds: seconds(piece.frames), cost: COST.still }, files: [{ name: stillPng, url: piece.pause.frameDataURL }],
+        args: ['-loop','1','-framerate',rate,'-i',stillPng,'-frames:v',String(piece.frames),...encode,out] });
+    }
+    concatList.push(`file '${out}'`);
+  }
+  const timescale = plan.timescale ? ['-video_track_timescale', String(plan.timescale)] : [];
+  commands.push({ step: { stage: 'concat', seconds: cuts.duration, cost: COST.copy }, files: [{ name: 'list.txt', text: concatList.join('\n') }],
+    args: ['-f','concat','-safe','0','-i','list.txt','-c','copy',...timescale,joinedVideo(plan)] });
+  return commands;
+}
+
+/**
+ * ffmetadata for the final command, as its input number `index`: the arguments that add it as an
+ * input and the ones that take the tags and chapters from it.
+ */
+export function metadataInput(metadata: FileMetadata | undefined, seconds: number, index: number): { input: string[]; map: string[]; files: RenderFile[] } {
+  if (!metadata || (!metadata.title && !metadata.author && !metadata.chapters?.length)) return { input: [], map: [], files: [] };
+  return {
+    input: ['-f', 'ffmetadata', '-i', 'metadata.txt'],
+    map: ['-map_metadata', String(index), '-map_chapters', String(index)],
+    files: [{ name: 'metadata.txt', text: toFFMetadata(metadata, seconds) }],
+  };
+}
+
+/** The narration-only export: voice.wav, through `audioOut` (the loudness filter), in the chosen audio format. */
+export function narrationCommand(format: ExportSettings, audioOut: string[], seconds: number, metadata?: FileMetadata): RenderCommand {
+  const meta = metadataInput(metadata, seconds, 1);
+  return { step: { stage: 'audio', seconds, cost: COST.audio }, files: meta.files,
+    args: ['-i','voice.wav',...meta.input,'-map','0:a',...audioOut,...audioCodecArgs(format),...meta.map,`output.${FORMATS[format.format].ext}`] };
+}
+
+/**
+ * Commands that put the joined video, the narration (voice.wav through `audioOut`) and, with a
+ * bed, the original soundtrack (orig_full.wav) together into `out`, with the tags and chapters.
+ */
+export function muxCommands(plan: VideoPlan, { audioOut, bed, metadata, narrationSeconds, out }: {
+  audioOut: string[]; bed: OriginalAudioOptions | null; metadata?: FileMetadata; narrationSeconds: number; out: string;
+}): RenderCommand[] {
+  const seconds = plan.cuts.duration;
+  const meta = metadataInput(metadata, seconds, bed ? 3 : 2);
+  const codec = audioCodecArgs(plan.video);
+  if (!bed) {
+    return [{ step: { stage: 'mux', seconds, cost: COST.audio }, files: meta.files,
+      args: ['-i',joinedVideo(plan),'-i','voice.wav',...meta.input,'-map','0:v:0','-map','1:a:0','-c:v','copy',...audioOut,...codec,...meta.map,'-shortest',out] }];
+  }
+  // the original soundtrack mixed under the voice
+  return [
+    { step: { stage: 'audio', seconds: narrationSeconds, cost: COST.audio }, args: ['-i','voice.wav',...audioOut,...PCM_STEREO,'voice_proc.wav'] },
+    { step: { stage: 'mux', seconds, cost: COST.audio }, files: meta.files,
+      args: ['-i',joinedVideo(plan),'-i','voice_proc.wav','-i','orig_full.wav',...meta.input,'-filter_complex',bedMixGraph(bed),
+        '-map','0:v:0','-map','[aout]','-c:v','copy',...codec,...meta.map,'-shortest',out] },
+  ];
+}
+
+/**
+ * Adds the captions to `input`. Soft subtitles are muxed as an extra stream; burned-in ones are
+ * rendered by libass and re-encoded with the export's video settings.
+ * Only the picture and the sound are mapped, as an MP4's chapter track would otherwise be copied
+ * as a stray data stream next to the chapters written anew.
+ */
+export function captionCommand(plan: VideoPlan, input: string, out: string, captions: CaptionOptions): RenderCommand {
+  const { video } = plan, seconds = plan.cuts.duration;
+  const subs: RenderFile = { name: 'subs.srt', text: captions.srt };
+  if (captions.mode === 'soft') {
+    const codec = video.format === 'webm' ? 'webvtt' : 'mov_text';
+    return { step: { stage: 'mux', seconds, cost: COST.copy }, files: [subs],
+      args: ['-i',input,'-i','subs.srt','-map','0:v','-map','0:a','-map','1:s','-c','copy','-c:s',codec,'-metadata:s:s:0',`language=${captions.language ?? 'heb'}`,out] };
+  }
+  const font = captions.font ?? DEFAULT_CAPTION_FONT;
+  const style = `FontName=${font.family},FontSize=22,Outline=2`;
+  return { step: { stage: 'mux', seconds, cost: COST.encode }, files: [subs, { name: 'fonts/captions.ttf', url: font.url }],
+    args: ['-i',input,'-vf',`subtitles=subs.srt:fontsdir=fonts:force_style='${style}'`,...videoCodecArgs(video),'-c:a','copy',out] };
+}
+
+// x264 arguments for pieces that are concatenated with copied source GOPs: same size, aspect,
+// pixel format, profile and exact frame rate as the source.
+function matchingCodecArgs(source: SourceVideo, rate: string): string[] {
+  const profile = /baseline/i.test(source.profile ?? '') ? 'baseline' : /^main/i.test(source.profile ?? '') ? 'main' : 'high';
+  const pixFmt = source.pixFmt ?? 'yuv420p';
+  return ['-vf', `fps=${rate},scale=${source.width}:${source.height},setsar=${source.sar.replace(':', '/')},format=${pixFmt}`,
+    '-r', rate, '-c:v', 'libx264', '-preset', 'superfast', '-crf', '18', '-profile:v', profile, '-pix_fmt', pixFmt];
+}
+
+// How many of a freeze's `frames` frames each annotated still is shown for: from the frame it
+// starts on to the next one's. Stills that would get no frame are left out.
+function stillRuns(stills: FreezeStill[], frames: number, fps: number): { dataURL: string; frames: number }[] {
+  const starts = stills.map((s, i) => i ? Math.min(frames, Math.round(s.at * fps)) : 0);
+  return stills
+    .map((s, i) => ({ dataURL: s.dataURL, frames: (starts[i + 1] ?? frames) - starts[i] }))
+    .filter(r => r.frames > 0);
+}
+
+// Filter graph mixing input 1 (voice) over input 2 (original audio) into [aout].
+// amix halves each input, so the sum is brought back up by 6 dB.
+function bedMixGraph(bed: OriginalAudioOptions): string {
+  const level = `[2:a]volume=${bed.bedLevelDb}dB[bed]`;
+  const mix = 'amix=inputs=2:duration=longest:dropout_transition=0,volume=2[aout]';
+  if (!bed.duck) return `${level};[bed][1:a]${mix}`;
+  // the PCM inputs carry no channel layout, and sidechaincompress needs one on both sides
+  return `${level};[1:a]asplit=2[voice][key];` +
+    '[bed]aformat=channel_layouts=stereo[bedL];[key]aformat=channel_layouts=stereo[keyL];' +
+    '[bedL][keyL]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400[ducked];' +
+    `[ducked][voice]${mix}`;
+}
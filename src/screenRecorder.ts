@@ -0,0 +1,174 @@
+// Records the screen, a window or a tab as the project's video, optionally with the webcam in
+// a corner of it. With a webcam both are drawn onto a canvas and its stream is recorded; on its
+// own the shared screen is recorded as it comes. Pausing pauses the recording itself, so the
+// video has no frames for a freeze and the freeze is made the same way as on an uploaded video.
+
+export type PipCorner = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+export interface CaptureOptions {
+  webcam: boolean;
+  corner: PipCorner;
+  pipSize: number; // width of the webcam as a fraction of the picture's
+  systemAudio: boolean; // record the sound of the shared tab or screen with it
+}
+
+export const DEFAULT_CAPTURE: CaptureOptions = { webcam: false, corner: 'bottom-right', pipSize: 0.25, systemAudio: false };
+
+const FPS = 30;
+const VIDEO_BITRATE = 5_000_000;
+const PIP_MARGIN = 0.02; // of the picture's width
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+export function captureMimeType(): string {
+  return MIME_TYPES.find(t => MediaRecorder.isTypeSupported(t)) ?? '';
+}
+
+// Timers and animation frames are throttled or stopped in a hidden tab, and this tab is hidden
+// whenever another one is shared; a worker's timer keeps its pace, so it paces the drawing.
+function ticker(fps: number, onTick: () => void): () => void {
+  const url = URL.createObjectURL(new Blob([`setInterval(() => postMessage(0), ${1000 / fps});`], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+  worker.onmessage = onTick;
+  return () => worker.terminate();
+}
+
+function videoOf(stream: MediaStream): HTMLVideoElement {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  return video;
+}
+
+export class ScreenRecorder {
+  /** What is being recorded, for the preview; null until opened. */
+  stream: MediaStream | null = null;
+  /** The shared screen was closed from the browser's own controls. */
+  onEnded: (() => void) | null = null;
+  private display: MediaStream | null = null;
+  private camera: MediaStream | null = null;
+  private stopTicker: (() => void) | null = null;
+  private recorder: MediaRecorder | null = null;
+  private chunks: Blob[] = [];
+  private startedAt = 0;
+  private pausedAt = 0;
+  private pausedFor = 0; // ms spent paused before the current pause
+
+  constructor(private options: CaptureOptions) {}
+
+  /** Asks for the screen to share, and the webcam when wanted; a webcam that can't be opened is left out. */
+  async open(): Promise<MediaStream> {
+    this.display = await navigator.mediaDevices.getDisplayMedia({ video: { frameRate: FPS }, audio: this.options.systemAudio });
+    this.display.getVideoTracks()[0].addEventListener('ended', () => this.onEnded?.());
+    if (this.options.webcam) {
+      try {
+        this.camera = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480 }, audio: false });
+      } catch (e) {
+        console.warn('Opening the webcam failed, recording the screen alone', e);
+      }
+    }
+    this.stream = this.camera ? await this.composite(this.display, this.camera) : this.display;
+    return this.stream;
+  }
+
+  get webcam(): boolean { return !!this.camera; }
+
+  private async composite(display: MediaStream, camera: MediaStream): Promise<MediaStream> {
+    const screen = videoOf(display), cam = videoOf(camera);
+    await Promise.all([screen.play(), cam.play()]);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d')!;
+    const draw = () => {
+      // the shared window may be resized while recording; the picture keeps its first size
+      if (!canvas.width) {
+        canvas.width = screen.videoWidth || 1280;
+        canvas.height = screen.videoHeight || 720;
+      }
+      const { width, height } = canvas;
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, width, height);
+      const fit = Math.min(width / (screen.videoWidth || width), height / (screen.videoHeight || height));
+      const sw = (screen.videoWidth || width) * fit, sh = (screen.videoHeight || height) * fit;
+      ctx.drawImage(screen, (width - sw) / 2, (height - sh) / 2, sw, sh);
+      if (!cam.videoWidth) return;
+      const w = width * this.options.pipSize;
+      const h = w * cam.videoHeight / cam.videoWidth;
+      const margin = width * PIP_MARGIN;
+      const x = this.options.corner.endsWith('left') ? margin : width - w - margin;
+      const y = this.options.corner.startsWith('top') ? margin : height - h - margin;
+      ctx.save();
+      ctx.beginPath();
+      ctx.roundRect(x, y, w, h, w * 0.05);
+      ctx.clip();
+      ctx.drawImage(cam, x, y, w, h);
+      ctx.restore();
+    };
+    draw();
+    this.stopTicker = ticker(FPS, draw);
+    const stream = canvas.captureStream(FPS);
+    display.getAudioTracks().forEach(t => stream.addTrack(t));
+    return stream;
+  }
+
+  start() {
+    if (!this.stream) throw new Error('The screen is not open');
+    this.recorder = new MediaRecorder(this.stream, { mimeType: captureMimeType(), videoBitsPerSecond: VIDEO_BITRATE });
+    this.chunks = [];
+    this.recorder.ondataavailable = (e) => { if (e.data.size) this.chunks.push(e.data); };
+    this.recorder.start(1000);
+    this.startedAt = performance.now();
+    this.pausedAt = 0;
+    this.pausedFor = 0;
+  }
+
+  get recording(): boolean { return this.recorder?.state === 'recording'; }
+
+  get paused(): boolean { return this.recorder?.state === 'paused'; }
+
+  /** Seconds of video recorded so far. */
+  get currentTime(): number {
+    if (!this.startedAt) return 0;
+    const now = this.pausedAt || performance.now();
+    return (now - this.startedAt - this.pausedFor) / 1000;
+  }
+
+  pause() {
+    if (!this.recording) return;
+    this.recorder!.pause();
+    this.pausedAt = performance.now();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.recorder!.resume();
+    this.pausedFor += performance.now() - this.pausedAt;
+    this.pausedAt = 0;
+  }
+
+  /** Stops recording and sharing; the video, or null when recording never started. */
+  async stop(): Promise<Blob | null> {
+    const recorder = this.recorder;
+    let blob: Blob | null = null;
+    if (recorder && recorder.state !== 'inactive') {
+      const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+      recorder.stop();
+      await stopped;
+      blob = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+    }
+    this.close();
+    return blob && blob.size ? blob : null;
+  }
+
+  /** Lets go of the screen and the webcam without keeping anything. */
+  close() {
+    this.stopTicker?.();
+    this.stopTicker = null;
+    this.onEnded = null;
+    for (const s of [this.display, this.camera, this.stream]) s?.getTracks().forEach(t => t.stop());
+    this.display = this.camera = this.stream = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.startedAt = 0;
+  }
+}
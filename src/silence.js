@@ -0,0 +1,163 @@
+// Silent gaps inside the narration, and cutting them shorter.
+// Detection is an energy VAD: 10 ms frames are speech when their RMS is above the threshold,
+// bursts too short to be speech (clicks, lip smacks) are ignored, and speech is padded so word
+// endings and breaths stay. Only the parts of a gap that lie in a freeze can be cut: there the
+// freeze gets shorter by as much as the narration, so the picture, the freezes, the takes, the
+// captions and the chapters after the cut all move up together and stay in sync. A gap while the
+// video plays would need the video cut as well, so it is listed but left alone.
+import { SAMPLE_RATE, takeId, takeStart } from './takes.js';
+import { MIN_CAPTION, captionCue } from './captions.js';
+import { chapterStart } from './chapters.js';
+import { freezeSpans, videoToOutputTime } from './timeline.js';
+import { bufferToWav, monoBuffer } from './wav.js';
+
+export const DEFAULT_SILENCE = { thresholdDb: -45, minGap: 0.7, maxGap: 0.4 };
+
+const FRAME = 0.01; // seconds
+const MIN_SPEECH = 0.03; // louder bursts shorter than this are not speech
+const PAD = 0.06; // seconds of silence kept next to speech
+// a cut freeze keeps at least this long, like the shortest freeze the timeline allows
+const MIN_FREEZE = 0.05;
+
+/**
+ * The part of the narration from its first sample at or above `threshold` to its last, as
+ * fractions of its length (a trim range); null when it is all quieter than that.
+ */
+export function silenceTrim(pcm, threshold = 0.02) {
+  let i = 0, j = pcm.length - 1;
+  while (i < pcm.length && Math.abs(pcm[i]) < threshold) i++;
+  while (j > i && Math.abs(pcm[j]) < threshold) j--;
+  if (i === pcm.length) return null;
+  return { start: i / pcm.length, end: (j + 1) / pcm.length };
+}
+
+/** Silences of at least `minGap` between speech; silence before the first word or after the last isn't a gap. */
+export function detectGaps(pcm, sampleRate, settings, pauses) {
+  const frame = Math.round(FRAME * sampleRate);
+  const frames = Math.floor(pcm.length / frame);
+  const threshold = Math.pow(10, settings.thresholdDb / 20);
+  const speech = new Uint8Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let i = f * frame; i < (f + 1) * frame; i++) sum += pcm[i] * pcm[i];
+    speech[f] = Math.sqrt(sum / frame) >= threshold ? 1 : 0;
+  }
+  // runs of silence between speech, with the short bursts merged into the silence
+  const minSpeech = Math.ceil(MIN_SPEECH / FRAME);
+  const runs = [];
+  let silentFrom = -1, f = 0;
+  while (f < frames) {
+    if (!speech[f]) { f++; continue; }
+    let end = f;
+    while (end < frames && speech[end]) end++;
+    if (end - f >= minSpeech) {
+      if (silentFrom >= 0 && f > silentFrom) runs.push({ start: silentFrom * FRAME, end: f * FRAME });
+      silentFrom = end;
+    }
+    f = end;
+  }
+  const spans = freezeSpans(pauses);
+  return runs
+    .filter(r => r.end - r.start >= settings.minGap)
+    .map(r => ({
+      ...r,
+      cuttable: spans
+        .map(s => ({ start: Math.max(r.start + PAD, s.start), end: Math.min(r.end - PAD, s.end), pauseAt: s.pause.startVideoTime }))
+        .filter(c => c.end > c.start),
+    }));
+}
+
+/** Seconds of the gap that can be cut. */
+export function cuttableLength(gap) {
+  return gap.cuttable.reduce((sum, c) => sum + c.end - c.start, 0);
+}
+
+/** The cuts that bring each gap down to `maxGap` seconds, as far as its freezes allow, centred in the silence. */
+export function planGapCuts(gaps, maxGap, pauses) {
+  const cuts = [];
+  const taken = new Map(); // seconds already cut from each freeze
+  for (const gap of gaps) {
+    let excess = gap.end - gap.start - maxGap;
+    const middle = (gap.start + gap.end) / 2;
+    for (const part of [...gap.cuttable].sort((a, b) => (b.end - b.start) - (a.end - a.start))) {
+      if (excess <= 0) break;
+      const pause = pauses.find(p => p.startVideoTime === part.pauseAt);
+      if (!pause) continue;
+      const left = pause.pauseDuration - MIN_FREEZE - (taken.get(part.pauseAt) ?? 0);
+      const len = Math.min(excess, part.end - part.start, left);
+      if (len <= 0) continue;
+      const start = Math.max(part.start, Math.min(part.end - len, middle - len / 2));
+      cuts.push({ start, end: start + len, pauseAt: part.pauseAt });
+      taken.set(part.pauseAt, (taken.get(part.pauseAt) ?? 0) + len);
+      excess -= len;
+    }
+  }
+  return cuts;
+}
+
+/**
+ * Cuts output-time spans out of freezes and out of the narration. The narration is exported
+ * from `trim.start` of the composition, so a cut at output time t is at t + trim.start in
+ * the takes. Takes that lose samples are replaced by new ones (new id, WAV blob).
+ */
+export function applyGapCuts(edit, cuts) {
+  let { pauses, captions, chapters, trim } = edit;
+  let takes = edit.takes.map(t => ({ take: t, pcm: t.pcm }));
+  // from the last cut back, so the earlier ones are still where they were found
+  for (const cut of [...cuts].sort((a, b) => b.start - a.start)) {
+    const cutLen = cut.end - cut.start;
+    const at = (t, from) => (t <= from ? t : t < from + cutLen ? from : t - cutLen);
+    const before = pauses;
+    pauses = pauses.map(p => (p.startVideoTime === cut.pauseAt ? { ...p, pauseDuration: p.pauseDuration - cutLen } : p));
+    const from = cut.start + trim.start;
+    takes = takes.map(({ take, pcm }) => {
+      const start = takeStart(take, before);
+      const latency = take.latency ? Math.round(take.latency * SAMPLE_RATE) : 0;
+      // the cut in samples of the take's pcm
+      const a = Math.max(latency, latency + Math.round((from - start) * SAMPLE_RATE));
+      const b = Math.min(pcm.length, latency + Math.round((from + cutLen - start) * SAMPLE_RATE));
+      if (b > a) {
+        const next = new Float32Array(pcm.length - (b - a));
+        next.set(pcm.subarray(0, a));
+        next.set(pcm.subarray(b), a);
+        pcm = next;
+      }
+      const moved = at(start, from);
+      const punchLength = take.punchLength === undefined ? undefined : at(start + take.punchLength, from) - moved;
+      return {
+        take: { ...take, punchLength, anchorOffset: moved - videoToOutputTime(take.startVideoTime, pauses) },
+        pcm,
+      };
+    });
+    captions = captions.map(c => {
+      const cue = captionCue(c, before);
+      const start = at(cue.start, cut.start);
+      return {
+        ...c,
+        anchorOffset: start - videoToOutputTime(c.startVideoTime, pauses),
+        duration: Math.max(MIN_CAPTION, at(cue.end, cut.start) - start),
+      };
+    });
+    chapters = chapters.map(c => ({
+      ...c,
+      anchorOffset: at(chapterStart(c, before), cut.start) - videoToOutputTime(c.startVideoTime, pauses),
+    }));
+    trim = { start: trim.start, end: at(trim.end, from) };
+  }
+  const latencyOf = (t) => (t.latency ? Math.round(t.latency * SAMPLE_RATE) : 0);
+  return {
+    pauses,
+    captions,
+    chapters,
+    trim,
+    takes: takes
+      // a take that was all silence is gone
+      .filter(({ take, pcm }) => pcm === take.pcm || pcm.length > latencyOf(take))
+      .map(({ take, pcm }) => pcm === take.pcm ? take : {
+        ...take,
+        id: takeId(),
+        pcm,
+        blob: new Blob([bufferToWav(monoBuffer(pcm, SAMPLE_RATE))], { type: 'audio/wav' }),
+      }),
+  };
+}
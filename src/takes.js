@@ -0,0 +1,74 @@
+// Narration takes. Every recording session is kept as its own take, anchored to the
+// video time it started at; the narration timeline (audioPCM) is composed from all takes.
+import { videoToOutputTime } from './timeline.js';
+
+export const SAMPLE_RATE = 48000;
+
+export function takeId() {
+  return 'take_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** Output time of a take's first sample under the current pauses. */
+export function takeStart(take, pauses) {
+  return videoToOutputTime(take.startVideoTime, pauses) + take.anchorOffset;
+}
+
+export function takeDuration(take) {
+  return take.punchLength ?? audible(take).length / SAMPLE_RATE;
+}
+
+// The take's samples without the delay the live effects put at the start.
+function audible(take) {
+  return take.latency ? take.pcm.subarray(Math.round(take.latency * SAMPLE_RATE)) : take.pcm;
+}
+
+function gained(take) {
+  const pcm = audible(take);
+  if (!take.gainDb) return pcm;
+  const k = Math.pow(10, take.gainDb / 20);
+  return pcm.map(v => Math.max(-1, Math.min(1, v * k)));
+}
+
+// The sample of the composed narration a take starts at.
+function takeSample(take, pauses) {
+  return Math.max(0, Math.round(takeStart(take, pauses) * SAMPLE_RATE));
+}
+
+/** Length in samples of the narration composed from `takes`, without composing it. */
+export function narrationLength(takes, pauses) {
+  let length = 0;
+  for (const take of takes) {
+    const span = take.punchLength !== undefined ? Math.round(take.punchLength * SAMPLE_RATE) : audible(take).length;
+    length = Math.max(length, takeSample(take, pauses) + span);
+  }
+  return length;
+}
+
+/**
+ * Lay all takes onto a single timeline in recording order. A later take overwrites
+ * whatever lies under it; a punch-in also silences the rest of the region it replaces.
+ */
+export function composeNarration(takes, pauses) {
+  const placed = takes.map(t => ({ take: t, at: takeSample(t, pauses) }));
+  const out = new Float32Array(narrationLength(takes, pauses));
+  for (const { take, at } of placed) {
+    const pcm = gained(take);
+    if (take.punchLength !== undefined) {
+      const span = Math.round(take.punchLength * SAMPLE_RATE);
+      out.fill(0, at, at + span);
+      out.set(pcm.subarray(0, Math.min(span, pcm.length)), at);
+    } else {
+      out.set(pcm, at);
+    }
+  }
+  return out;
+}
+
+/** Decode a recorded blob to mono PCM at SAMPLE_RATE. */
+export async function decodeToPCM(blob) {
+  const ctx = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+  const buf = await ctx.decodeAudioData(await blob.arrayBuffer());
+  const pcm = new Float32Array(buf.length);
+  pcm.set(buf.getChannelData(0));
+  return pcm;
+}
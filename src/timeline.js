@@ -0,0 +1,56 @@
+// Mapping between video time and output time.
+// Output time is the timeline of the exported file: the source video with a freeze
+// segment inserted for every PauseRange. The narration is recorded in output time.
+/** Pauses ordered by the video time they were taken at. */
+export function sortedPauses(pauses) {
+  return [...pauses].sort((a, b) => a.startVideoTime - b.startVideoTime);
+}
+
+/** Output time at which the given video time is shown (after any freeze taken at that time). */
+export function videoToOutputTime(t, pauses) {
+  let acc = 0;
+  for (const p of pauses) {
+    if (p.startVideoTime <= t) acc += p.pauseDuration;
+  }
+  return t + acc;
+}
+
+/** Video time on screen at the given output time; inside a freeze this is the frozen frame. */
+export function outputToVideoTime(t, pauses) {
+  let acc = 0;
+  for (const p of sortedPauses(pauses)) {
+    const freezeStart = p.startVideoTime + acc;
+    if (t < freezeStart) break;
+    if (t < freezeStart + p.pauseDuration) return p.startVideoTime;
+    acc += p.pauseDuration;
+  }
+  return t - acc;
+}
+
+/** Length of the exported timeline for a video of the given duration. */
+export function outputDuration(videoDuration, pauses) {
+  return videoToOutputTime(videoDuration, pauses);
+}
+
+/** The freeze on screen at the given output time, or null while the video plays. */
+export function freezeAt(t, pauses) {
+  let acc = 0;
+  for (const p of sortedPauses(pauses)) {
+    const freezeStart = p.startVideoTime + acc;
+    if (t < freezeStart) return null;
+    if (t < freezeStart + p.pauseDuration) return p;
+    acc += p.pauseDuration;
+  }
+  return null;
+}
+
+/** Where every freeze is in output time, in video order. */
+export function freezeSpans(pauses) {
+  const sorted = sortedPauses(pauses);
+  let acc = 0;
+  return sorted.map(p => {
+    const start = p.startVideoTime + acc;
+    acc += p.pauseDuration;
+    return { pause: p, start, end: start + p.pauseDuration };
+  });
+}
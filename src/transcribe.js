@@ -0,0 +1,153 @@
+// Offline speech-to-text for the narration.
+// Engines turn mono PCM into timed words. The default one runs a WASM speech model that is served
+// with the app (whisper.cpp, installed into models/stt by `npm run vendor:stt`; see
+// transcribeWorker.ts) inside a Worker, so nothing leaves the machine and the UI stays responsive;
+// StubEngine returns fixed words for tests and for trying the UI without a model.
+import { placeCaption } from './captions.js';
+
+export const DEFAULT_MODEL = {
+  engineURL: './models/stt/engine.js',
+  modelURL: './models/stt/model.bin',
+};
+
+/** Whether the engine and model are served; without them the app does not offer transcription. */
+export async function modelInstalled(location = DEFAULT_MODEL) {
+  try {
+    const found = await Promise.all([location.engineURL, location.modelURL].map(url => fetch(url, { method: 'HEAD' })));
+    return found.every(res => res.ok);
+  } catch {
+    return false;
+  }
+}
+
+export const MODEL_SAMPLE_RATE = 16000; // what speech models expect
+
+/** Runs the WASM model in a dedicated Worker; the loaded model is kept for later runs. */
+export class WorkerEngine {
+  name = 'wasm';
+  worker = null;
+
+  constructor(location = DEFAULT_MODEL) {
+    this.location = location;
+  }
+
+  transcribe(pcm, sampleRate, { language = 'he', onProgress, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(new Error('Transcription cancelled'));
+    if (!this.worker) this.worker = new Worker(new URL('./transcribeWorker.js', import.meta.url), { type: 'module' });
+    const worker = this.worker;
+    const audio = resample(pcm, sampleRate, MODEL_SAMPLE_RATE);
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        worker.onmessage = worker.onerror = null;
+        signal?.removeEventListener('abort', cancel);
+      };
+      // the model can't be interrupted mid-run, so the worker (and the loaded model) goes
+      const cancel = () => {
+        finish();
+        worker.terminate();
+        this.worker = null;
+        reject(new Error('Transcription cancelled'));
+      };
+      signal?.addEventListener('abort', cancel);
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') { onProgress?.(msg.fraction); return; }
+        finish();
+        if (msg.type === 'result') resolve(msg.words);
+        else reject(new Error(msg.message));
+      };
+      worker.onerror = (e) => {
+        finish();
+        this.worker = null;
+        reject(new Error(e.message || 'Transcription worker failed'));
+      };
+      // the worker resolves URLs against its own script, not the page
+      const request = {
+        type: 'transcribe',
+        pcm: audio,
+        language,
+        engineURL: new URL(this.location.engineURL, document.baseURI).href,
+        modelURL: new URL(this.location.modelURL, document.baseURI).href,
+      };
+      worker.postMessage(request, [audio.buffer]);
+    });
+  }
+}
+
+/** Returns the given words (scaled to the audio length when `fit` is set); no model needed. */
+export class StubEngine {
+  name = 'stub';
+  constructor(words, fit = false) {
+    this.words = words;
+    this.fit = fit;
+  }
+
+  async transcribe(pcm, sampleRate, { onProgress } = {}) {
+    const last = this.words[this.words.length - 1];
+    const scale = this.fit && last ? pcm.length / sampleRate / last.end : 1;
+    onProgress?.(1);
+    return this.words.map(w => ({ text: w.text, start: w.start * scale, end: w.end * scale }));
+  }
+}
+
+/** Linear-interpolation resampler; always returns a new array. */
+export function resample(pcm, from, to) {
+  if (from === to) return pcm.slice();
+  const out = new Float32Array(Math.floor(pcm.length * to / from));
+  const ratio = from / to;
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    const j = Math.floor(pos);
+    const a = pcm[j], b = pcm[Math.min(j + 1, pcm.length - 1)];
+    out[i] = a + (b - a) * (pos - j);
+  }
+  return out;
+}
+
+/** Shifts words recognized in a slice of the narration that starts at `outputStart`. */
+export function toOutputTime(words, outputStart) {
+  return words.map(w => ({ ...w, start: w.start + outputStart, end: w.end + outputStart }));
+}
+
+export const DEFAULT_LAYOUT = { maxChars: 42, maxDuration: 5, maxGap: 0.7 };
+
+/** Groups words (in output time) into captions, breaking at sentence ends, pauses and length limits. */
+export function wordsToCaptions(words, pauses, layout = DEFAULT_LAYOUT) {
+  const captions = [];
+  let line = [];
+  const flush = () => {
+    if (!line.length) return;
+    const text = line.map(w => w.text).join(' ');
+    captions.push(placeCaption(line[0].start, line[line.length - 1].end, text, pauses));
+    line = [];
+  };
+  for (const w of words) {
+    const prev = line[line.length - 1];
+    if (prev) {
+      const chars = line.reduce((n, x) => n + x.text.length + 1, w.text.length);
+      if (chars > layout.maxChars || w.end - line[0].start > layout.maxDuration ||
+          w.start - prev.end > layout.maxGap || /[.?!…]$/.test(prev.text)) flush();
+    }
+    line.push(w);
+  }
+  flush();
+  return captions;
+}
+
+// lower case, without punctuation or Hebrew vowel points, so "שָׁלוֹם," matches "שלום"
+function normalize(text) {
+  return text.toLowerCase().replace(/[\u0591-\u05C7]/g, '').replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/** Finds a word or phrase; returns the index of the first word of each match. */
+export function searchWords(words, query) {
+  const terms = query.split(/\s+/).map(normalize).filter(Boolean);
+  if (!terms.length) return [];
+  const norm = words.map(w => normalize(w.text));
+  const hits = [];
+  for (let i = 0; i + terms.length <= norm.length; i++) {
+    // the last term may be a prefix, so results show up while typing
+    if (terms.every((t, j) => j === terms.length - 1 ? norm[i + j].startsWith(t) : norm[i + j] === t)) hits.push(i);
+  }
+  return hits;
+}
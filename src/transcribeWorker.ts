@@ -0,0 +1,65 @@
+// Transcription worker (module worker, started by WorkerEngine in transcribe.ts).
+// The speech model itself is not part of this file: `engineURL` points at an ES module served
+// with the app (absolute, resolved against the page) that wraps a WASM build behind this contract;
+// the one shipped is src/whisperEngine.ts, installed as models/stt/engine.js with whisper.cpp:
+//
+//   export async function load(modelURL, { onProgress }): Promise<{
+//     recognize(pcm: Float32Array /* 16 kHz mono */, { language, onProgress }): Promise<Word[]>
+//   }>
+//
+// Progress is reported as loading (first 20%) then recognition.
+import { Word, WorkerRequest, WorkerResponse } from './transcribe';
+
+interface SpeechModel {
+  recognize(pcm: Float32Array, options: { language: string; onProgress: (f: number) => void }): Promise<Word[]>;
+}
+
+const LOAD_SHARE = 0.2;
+
+let loaded: { key: string; model: Promise<SpeechModel> } | null = null;
+
+function post(msg: WorkerResponse) {
+  postMessage(msg);
+}
+
+function loadModel(engineURL: string, modelURL: string): Promise<SpeechModel> {
+  const key = `${engineURL}|${modelURL}`;
+  if (loaded?.key !== key) {
+    const model = (async () => {
+      let engine: any;
+      try {
+        engine = await import(engineURL);
+      } catch {
+        throw new Error(`Speech model not installed (${engineURL})`);
+      }
+      if (typeof engine.load !== 'function') throw new Error(`${engineURL} does not export load()`);
+      return engine.load(modelURL, {
+        onProgress: (f: number) => post({ type: 'progress', fraction: f * LOAD_SHARE }),
+      }) as Promise<SpeechModel>;
+    })();
+    loaded = { key, model };
+    // a failed load is retried next time
+    model.catch(() => { if (loaded?.model === model) loaded = null; });
+  }
+  return loaded!.model;
+}
+
+onmessage = async (e: MessageEvent<WorkerRequest>) => {
+  const { pcm, language, engineURL, modelURL } = e.data;
+  try {
+    const model = await loadModel(engineURL, modelURL);
+    post({ type: 'progress', fraction: LOAD_SHARE });
+    const words = await model.recognize(pcm, {
+      language,
+      onProgress: (f) => post({ type: 'progress', fraction: LOAD_SHARE + f * (1 - LOAD_SHARE) }),
+    });
+    post({
+      type: 'result',
+      words: words
+        .filter(w => w.text.trim() && Number.isFinite(w.start) && Number.isFinite(w.end))
+        .map(w => ({ text: w.text.trim(), start: w.start, end: Math.max(w.start, w.end) })),
+    });
+  } catch (err: any) {
+    post({ type: 'error', message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,78 @@
+// 16-bit PCM WAV encoding for narration handed to ffmpeg, and decoding for tools that read it
+// back from a project bundle without an AudioContext.
+
+/** Wrap mono samples so they can be passed to bufferToWav. */
+export function monoBuffer(pcm, sampleRate) {
+  return { numberOfChannels: 1, length: pcm.length, sampleRate, getChannelData: () => pcm };
+}
+
+export function bufferToWav(buffer) {
+  const numOfChan = buffer.numberOfChannels;
+  const length = buffer.length * numOfChan * 2 + 44;
+  const out = new ArrayBuffer(length);
+  const view = new DataView(out);
+  const channels = [];
+  let offset = 0;
+
+  writeUTFBytes(view, offset, 'RIFF'); offset += 4;
+  view.setUint32(offset, length - 8, true); offset += 4;
+  writeUTFBytes(view, offset, 'WAVE'); offset += 4;
+  writeUTFBytes(view, offset, 'fmt '); offset += 4;
+  view.setUint32(offset, 16, true); offset += 4;
+  view.setUint16(offset, 1, true); offset += 2;
+  view.setUint16(offset, numOfChan, true); offset += 2;
+  view.setUint32(offset, buffer.sampleRate, true); offset += 4;
+  view.setUint32(offset, buffer.sampleRate * 2 * numOfChan, true); offset += 4;
+  view.setUint16(offset, numOfChan * 2, true); offset += 2;
+  view.setUint16(offset, 16, true); offset += 2;
+  writeUTFBytes(view, offset, 'data'); offset += 4;
+  view.setUint32(offset, length - offset - 4, true); offset += 4;
+
+  for (let i = 0; i < numOfChan; i++) channels.push(buffer.getChannelData(i));
+  for (let i = 0; i < buffer.length; i++) {
+    for (let ch = 0; ch < numOfChan; ch++) {
+      const s = Math.max(-1, Math.min(1, channels[ch][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return out;
+}
+
+function writeUTFBytes(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/** Decodes a 16-bit PCM WAV file to mono samples, averaging its channels. */
+export function wavToPCM(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a WAV file');
+  let channels = 0, sampleRate = 0, bits = 0;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (tag(offset) === 'fmt ') {
+      if (view.getUint16(body, true) !== 1) throw new Error('Only PCM WAV files are supported');
+      channels = view.getUint16(body + 2, true);
+      sampleRate = view.getUint32(body + 4, true);
+      bits = view.getUint16(body + 14, true);
+    } else if (tag(offset) === 'data') {
+      if (bits !== 16 || !channels) throw new Error('Only 16-bit PCM WAV files are supported');
+      const length = Math.floor(Math.min(size, bytes.length - body) / (2 * channels));
+      const pcm = new Float32Array(length);
+      for (let i = 0; i < length; i++) {
+        let sum = 0;
+        for (let ch = 0; ch < channels; ch++) sum += view.getInt16(body + (i * channels + ch) * 2, true);
+        pcm[i] = sum / channels / 0x8000;
+      }
+      return { pcm, sampleRate };
+    }
+    // chunks are padded to an even size
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data');
+}
@@ -1,5 +1,12 @@
 // Waveform module translated from the TypeScript implementation.
-// Draws a simple audio waveform on a canvas based on PCM data.
+// Draws the narration on a canvas: the whole recording with zoom and scroll, a selection, the
+// trim handles, the freezes and the playhead.  Times are seconds of the recording.
+import { PeakCache } from './peaks.js';
+
+const HANDLE_PX = 6; // how close to a trim handle grabs it, in CSS pixels
+const CLICK_PX = 3; // a drag shorter than this is a click
+const MIN_TRIM = 0.1; // shortest trimmed narration, in seconds
+const AXIS_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800];
 
 export class Waveform {
   /**
@@ -12,9 +19,264 @@ export class Waveform {
     const ctx = canvas.getContext('2d');
     if (!ctx) throw new Error('Canvas 2D context not available');
     this.ctx = ctx;
+    this.width = 0;
+    this.height = 0;
     this.pixelRatio = Math.min(2, window.devicePixelRatio || 1);
+    // Peaks of the recording, or null when there is none.
+    this.peaks = null;
+    this.sampleRate = 48000;
+    // The visible part of the recording, in seconds; span 0 shows all of it.
+    this.view = { start: 0, span: 0 };
+    // Selected region in seconds; null when nothing is selected.
+    this.selection = null;
+    // The kept part of the recording in seconds, or null to draw no handles.
+    this.trim = null;
+    // Regions marked on the recording (the freezes), in seconds.
+    this.markers = [];
+    // Silent gaps under review, in seconds.
+    this.gaps = [];
+    // Playhead position in seconds; null hides it.
+    this.playhead = null;
+    // The selection or trim handle being dragged.
+    this.drag = null;
+    // Offscreen copy of the waveform, redrawn only when the data, the view or the size change.
+    this.layer = null;
+    // While recording: min/max of the incoming audio per pixel column, the newest at the right edge.
+    this.live = null;
+    this.onSelect = null;
+    this.onSeek = null;
+    // Called once when a trim handle is let go, with the new trim.
+    this.onTrim = null;
     this.resize();
     window.addEventListener('resize', () => this.resize());
+    this.bindPointer();
+    this.bindWheel();
+  }
+
+  /**
+   * @returns {number} Length of the recording in seconds
+   */
+  get duration() {
+    return this.peaks ? this.peaks.pcm.length / this.sampleRate : 0;
+  }
+
+  /**
+   * @returns {number} Seconds across the canvas
+   */
+  span() {
+    return this.view.span || this.duration;
+  }
+
+  /**
+   * @param {number} t Seconds of the recording
+   * @returns {number} Device pixel on the canvas
+   */
+  xOf(t) {
+    return ((t - this.view.start) / this.span()) * this.width;
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @returns {number} Seconds of the recording under the pointer
+   */
+  timeAt(e) {
+    const r = this.canvas.getBoundingClientRect();
+    const frac = Math.max(0, Math.min(1, (e.clientX - r.left) / r.width));
+    return Math.min(this.duration, this.view.start + frac * this.span());
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @returns {'start' | 'end' | null} The trim handle under the pointer
+   */
+  handleAt(e) {
+    if (!this.trim) return null;
+    const r = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - r.left) * this.pixelRatio;
+    const near = HANDLE_PX * this.pixelRatio;
+    const dEnd = Math.abs(x - this.xOf(this.trim.end));
+    const dStart = Math.abs(x - this.xOf(this.trim.start));
+    if (Math.min(dStart, dEnd) > near) return null;
+    return dEnd < dStart ? 'end' : 'start';
+  }
+
+  /**
+   * Let the user drag across the canvas to select a region, or drag a trim handle.  onSelect is
+   * called with the new selection (or null) when the mouse is released; a plain click also calls
+   * onSeek with the clicked position.  A moved trim handle calls onTrim.
+   */
+  bindPointer() {
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (!this.peaks || this.live) return;
+      const edge = this.handleAt(e);
+      if (edge && this.trim) {
+        this.drag = { kind: 'trim', edge, before: this.trim };
+        return;
+      }
+      this.drag = { kind: 'select', anchor: this.timeAt(e), originX: e.clientX };
+      this.selection = null;
+      this.render();
+    });
+    this.canvas.addEventListener('mousemove', (e) => {
+      if (this.drag) return;
+      this.canvas.style.cursor = this.peaks && !this.live && this.handleAt(e) ? 'ew-resize' : 'text';
+    });
+    window.addEventListener('mousemove', (e) => {
+      const drag = this.drag;
+      if (!drag) return;
+      const t = this.timeAt(e);
+      if (drag.kind === 'select') {
+        if (Math.abs(e.clientX - drag.originX) < CLICK_PX) this.selection = null;
+        else this.selection = { start: Math.min(drag.anchor, t), end: Math.max(drag.anchor, t) };
+      } else if (this.trim) {
+        const { start, end } = this.trim;
+        this.trim = drag.edge === 'start'
+          ? { start: Math.max(0, Math.min(end - MIN_TRIM, t)), end }
+          : { start, end: Math.min(this.duration, Math.max(start + MIN_TRIM, t)) };
+      }
+      this.render();
+    });
+    window.addEventListener('mouseup', () => {
+      const drag = this.drag;
+      if (!drag) return;
+      this.drag = null;
+      if (drag.kind === 'trim') {
+        const trim = this.trim;
+        if ((trim.start !== drag.before.start || trim.end !== drag.before.end) && this.onTrim) this.onTrim(trim);
+        return;
+      }
+      // A plain click clears the selection and moves the playhead.
+      this.render();
+      if (this.onSelect) this.onSelect(this.selection);
+      if (!this.selection && this.onSeek) this.onSeek(drag.anchor);
+    });
+  }
+
+  /**
+   * Ctrl/cmd + wheel zooms around the pointer; a sideways or shift + wheel scrolls.  A plain
+   * wheel is left to scroll the page.
+   */
+  bindWheel() {
+    this.canvas.addEventListener('wheel', (e) => {
+      if (!this.peaks || this.live) return;
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        this.zoom(Math.exp(-e.deltaY * 0.002), this.timeAt(e));
+        return;
+      }
+      const dx = e.shiftKey ? e.deltaY : e.deltaX;
+      if (!dx || !this.view.span || (!e.shiftKey && Math.abs(e.deltaX) < Math.abs(e.deltaY))) return;
+      e.preventDefault();
+      const r = this.canvas.getBoundingClientRect();
+      this.scrollTo(this.view.start + (dx / r.width) * this.span());
+    }, { passive: false });
+  }
+
+  /**
+   * @returns {{start: number, end: number} | null} Current selection in seconds of the recording
+   */
+  getSelection() {
+    return this.selection;
+  }
+
+  /**
+   * Select a region, as if it had been dragged; onSelect isn't called.
+   * @param {{start: number, end: number} | null} sel Seconds of the recording
+   */
+  setSelection(sel) {
+    this.selection = sel;
+    this.render();
+  }
+
+  /**
+   * Remove the current selection.
+   */
+  clearSelection() {
+    this.selection = null;
+    this.render();
+  }
+
+  /**
+   * Move the playhead line.  A playhead leaving the visible part while zoomed in scrolls it along.
+   * @param {number | null} seconds Position in seconds of the recording, or null to hide it
+   */
+  setPlayhead(seconds) {
+    this.playhead = seconds;
+    const { start, span } = this.view;
+    if (seconds !== null && span && !this.drag && (seconds < start || seconds > start + span)) {
+      this.scrollTo(seconds - span * 0.1);
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Show the narration that is kept; the rest is drawn washed out, with handles to drag.
+   * @param {{start: number, end: number} | null} trim Seconds of the recording
+   */
+  setTrim(trim) {
+    this.trim = trim;
+    this.render();
+  }
+
+  /**
+   * Mark regions on the recording (the freezes).
+   * @param {{start: number, end: number}[]} markers Seconds of the recording
+   */
+  setMarkers(markers) {
+    this.markers = markers;
+    this.render();
+  }
+
+  /**
+   * Mark the silent gaps under review along the bottom.
+   * @param {{start: number, end: number}[]} gaps Seconds of the recording
+   */
+  setGaps(gaps) {
+    this.gaps = gaps;
+    this.render();
+  }
+
+  /**
+   * Zoom in (factor > 1) or out, keeping `at` where it is on the canvas.  Without `at` the
+   * playhead stays put if it is visible, otherwise the middle of the view.
+   * @param {number} factor
+   * @param {number} [at] Seconds of the recording
+   */
+  zoom(factor, at) {
+    const duration = this.duration;
+    if (!duration || !this.width) return;
+    const span = this.span();
+    // Down to a sample per device pixel.
+    const next = Math.max(this.width / this.sampleRate, Math.min(duration, span / factor));
+    let anchor = at;
+    if (anchor === undefined) {
+      const visible = this.playhead !== null && this.playhead >= this.view.start && this.playhead <= this.view.start + span;
+      anchor = visible ? this.playhead : this.view.start + span / 2;
+    }
+    const start = anchor - ((anchor - this.view.start) / span) * next;
+    this.view = { start: 0, span: next >= duration ? 0 : next };
+    this.scrollTo(start);
+  }
+
+  /**
+   * Show the whole recording.
+   */
+  fit() {
+    this.view = { start: 0, span: 0 };
+    this.layer = null;
+    this.render();
+  }
+
+  /**
+   * Scroll so the view starts at `seconds`, as far as the recording goes.
+   * @param {number} seconds
+   */
+  scrollTo(seconds) {
+    const span = this.span();
+    this.view.start = this.view.span ? Math.max(0, Math.min(this.duration - span, seconds)) : 0;
+    this.layer = null;
+    this.render();
   }
 
   /**
@@ -25,7 +287,9 @@ export class Waveform {
     this.height = Math.floor(this.canvas.clientHeight * this.pixelRatio);
     this.canvas.width = this.width;
     this.canvas.height = this.height;
-    this.clear();
+    this.layer = null;
+    if (this.live) this.beginLive(this.live.seconds);
+    else this.render();
   }
 
   /**
@@ -39,29 +303,167 @@ export class Waveform {
   }
 
   /**
-   * Draw a waveform based off a Float32Array of PCM samples.
-   * @param {Float32Array} float32
+   * Show a recording.  The view stays where it was as long as the recording is long enough.
+   * @param {Float32Array | null} pcm
+   * @param {number} sampleRate
+   */
+  setAudio(pcm, sampleRate) {
+    if (pcm !== (this.peaks && this.peaks.pcm)) this.peaks = pcm && pcm.length ? new PeakCache(pcm) : null;
+    this.sampleRate = sampleRate;
+    if (this.view.span >= this.duration) this.view = { start: 0, span: 0 };
+    else this.view.start = Math.min(this.view.start, this.duration - this.view.span);
+    this.layer = null;
+    this.render();
+  }
+
+  /**
+   * Show the audio coming in while recording, the last `seconds` of it, instead of the data.
+   * @param {number} [seconds]
+   */
+  beginLive(seconds = 8) {
+    const columns = Math.max(1, this.width);
+    this.live = { seconds, mins: new Float32Array(columns), maxs: new Float32Array(columns), owed: 0 };
+    this.render();
+  }
+
+  /**
+   * Scroll in `seconds` of live audio, drawn from the samples of `block`.
+   * @param {Float32Array} block
+   * @param {number} seconds
+   */
+  pushLive(block, seconds) {
+    const live = this.live;
+    if (!live) return;
+    let min = 0, max = 0;
+    for (let i = 0; i < block.length; i++) {
+      if (block[i] < min) min = block[i];
+      if (block[i] > max) max = block[i];
+    }
+    const columns = live.mins.length;
+    live.owed += (seconds / live.seconds) * columns;
+    const n = Math.min(columns, Math.floor(live.owed));
+    live.owed -= Math.floor(live.owed);
+    if (!n) return;
+    live.mins.copyWithin(0, n);
+    live.maxs.copyWithin(0, n);
+    live.mins.fill(min, columns - n);
+    live.maxs.fill(max, columns - n);
+    this.render();
+  }
+
+  /**
+   * Go back to showing the data.
    */
-  drawFromPCM(float32) {
+  endLive() {
+    this.live = null;
+    this.render();
+  }
+
+  /**
+   * Redraw the recording with the markers, the trim, the selection and the playhead over it.
+   */
+  render() {
     this.clear();
+    if (this.live) {
+      this.drawLive(this.live);
+      return;
+    }
+    if (!this.peaks || !this.width) return;
     const ctx = this.ctx;
     const width = this.width;
     const height = this.height;
-    const step = Math.max(1, Math.floor(float32.length / width));
+    const pixelRatio = this.pixelRatio;
+    const band = (s, color, top = 0) => {
+      const x0 = Math.max(0, this.xOf(s.start));
+      const x1 = Math.min(width, this.xOf(s.end));
+      if (x1 <= 0 || x0 >= width) return;
+      ctx.fillStyle = color;
+      ctx.fillRect(x0, top, Math.max(1, x1 - x0), height - top);
+    };
+    for (const m of this.markers) {
+      band(m, 'rgba(34, 197, 94, 0.15)');
+      band({ start: m.start, end: m.start }, '#22c55e');
+    }
+    for (const g of this.gaps) band(g, 'rgba(251, 191, 36, 0.2)');
+    if (!this.layer) this.layer = this.drawLayer(this.peaks);
+    ctx.drawImage(this.layer, 0, 0);
+    for (const g of this.gaps) band(g, '#d97706', height - 3 * pixelRatio);
+    if (this.trim) {
+      // Cut parts are washed out; the handles are bars with a grip in the middle.
+      band({ start: 0, end: this.trim.start }, 'rgba(255, 255, 255, 0.7)');
+      band({ start: this.trim.end, end: this.duration }, 'rgba(255, 255, 255, 0.7)');
+      for (const t of [this.trim.start, this.trim.end]) {
+        const x = Math.round(this.xOf(t));
+        if (x < -HANDLE_PX * pixelRatio || x > width + HANDLE_PX * pixelRatio) continue;
+        ctx.fillStyle = '#f59e0b';
+        ctx.fillRect(x - pixelRatio, 0, 2 * pixelRatio, height);
+        ctx.fillRect(x - 3 * pixelRatio, height / 2 - 8 * pixelRatio, 6 * pixelRatio, 16 * pixelRatio);
+      }
+    }
+    if (this.selection) band(this.selection, 'rgba(79, 70, 229, 0.18)');
+    if (this.playhead !== null) {
+      ctx.fillStyle = '#ef4444';
+      ctx.fillRect(Math.round(this.xOf(this.playhead)), 0, pixelRatio, height);
+    }
+  }
+
+  /**
+   * Draw the live columns straight onto the canvas.
+   * @param {{mins: Float32Array, maxs: Float32Array}} live
+   */
+  drawLive({ mins, maxs }) {
+    const ctx = this.ctx;
+    const height = this.height;
+    ctx.beginPath();
+    for (let x = 0; x < mins.length; x++) {
+      ctx.moveTo(x + .5, (1 - (mins[x] * 0.9 + 1) / 2) * height);
+      ctx.lineTo(x + .5, (1 - (maxs[x] * 0.9 + 1) / 2) * height);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Draw the visible part of the waveform onto an offscreen canvas the size of the visible one,
+   * with a time axis once zoomed in, when the pause timeline below no longer lines up.
+   * @param {PeakCache} peaks
+   * @returns {HTMLCanvasElement}
+   */
+  drawLayer(peaks) {
+    const width = this.width;
+    const height = this.height;
+    const pixelRatio = this.pixelRatio;
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    const ctx = layer.getContext('2d');
+    const span = this.span();
+    const samplesPerPx = (span * this.sampleRate) / width;
+    const first = this.view.start * this.sampleRate;
+    ctx.strokeStyle = '#4f46e5';
     ctx.beginPath();
     for (let x = 0; x < width; x++) {
-      const start = x * step;
-      let min = 1, max = -1;
-      for (let i = 0; i < step && start + i < float32.length; i++) {
-        const v = float32[start + i];
-        if (v < min) min = v;
-        if (v > max) max = v;
-      }
-      const y1 = (1 - (min * 0.9 + 1) / 2) * height;
-      const y2 = (1 - (max * 0.9 + 1) / 2) * height;
-      ctx.moveTo(x + 0.5, y1);
-      ctx.lineTo(x + 0.5, y2);
+      const start = first + x * samplesPerPx;
+      if (start >= peaks.pcm.length) break;
+      const { min, max } = peaks.range(start, Math.max(start + 1, start + samplesPerPx));
+      ctx.moveTo(x + 0.5, (1 - (min * 0.9 + 1) / 2) * height);
+      ctx.lineTo(x + 0.5, (1 - (max * 0.9 + 1) / 2) * height + 1);
     }
     ctx.stroke();
+
+    if (this.view.span) {
+      const step = AXIS_STEPS.find((s) => (s / span) * width >= 60 * pixelRatio) || AXIS_STEPS[AXIS_STEPS.length - 1];
+      ctx.fillStyle = '#6b7280';
+      ctx.font = `${10 * pixelRatio}px system-ui, sans-serif`;
+      ctx.textBaseline = 'top';
+      for (let i = Math.ceil(this.view.start / step); i * step <= this.view.start + span; i++) {
+        const t = i * step;
+        const x = Math.round(((t - this.view.start) / span) * width) + 0.5;
+        ctx.fillRect(x, 0, 1, 4 * pixelRatio);
+        const sec = t % 60;
+        const label = `${Math.floor(t / 60)}:${sec.toFixed(step < 1 ? 1 : 0).padStart(step < 1 ? 4 : 2, '0')}`;
+        ctx.fillText(label, x + 3 * pixelRatio, 0);
+      }
+    }
+    return layer;
   }
-}
\ No newline at end of file
+}
@@ -1,3 +1,17 @@
+import { PeakCache } from './peaks';
+
+// a region of the recording, in seconds
+export interface Span { start: number; end: number; }
+
+const HANDLE_PX = 6; // how close to a trim handle grabs it, in CSS pixels
+const CLICK_PX = 3; // a drag shorter than this is a click
+const MIN_TRIM = 0.1; // shortest trimmed narration, in seconds
+const AXIS_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800];
+
+type Drag =
+  | { kind: 'select'; anchor: number; originX: number }
+  | { kind: 'trim'; edge: 'start' | 'end'; before: Span };
+
 export class Waveform {
   // non-null assertion on ctx allows strict property initialization
   // width/height are initialized to 0 to satisfy TypeScript strict checks
@@ -5,6 +19,24 @@ export class Waveform {
   private width: number = 0;
   private height: number = 0;
   private pixelRatio = Math.min(2, window.devicePixelRatio || 1);
+  private peaks: PeakCache | null = null;
+  private sampleRate = 48000;
+  // the visible part of the recording, in seconds; span 0 shows all of it
+  private view = { start: 0, span: 0 };
+  private selection: Span | null = null;
+  private trim: Span | null = null;
+  private markers: Span[] = [];
+  private gaps: Span[] = [];
+  private playhead: number | null = null; // seconds
+  private drag: Drag | null = null;
+  // the waveform itself, redrawn only when the data, the view or the size change
+  private layer: HTMLCanvasElement | null = null;
+  // while recording: min/max of the incoming audio per pixel column, the newest at the right edge
+  private live: { seconds: number; mins: Float32Array; maxs: Float32Array; owed: number } | null = null;
+  onSelect: ((sel: Span | null) => void) | null = null;
+  onSeek: ((seconds: number) => void) | null = null;
+  // a trim handle was dragged; called once, when it is let go
+  onTrim: ((trim: Span) => void) | null = null;
 
   constructor(private canvas: HTMLCanvasElement) {
     const ctx = canvas.getContext('2d');
@@ -12,6 +44,173 @@ export class Waveform {
     this.ctx = ctx;
     this.resize();
     window.addEventListener('resize', () => this.resize());
+    this.bindPointer();
+    this.bindWheel();
+  }
+
+  get duration(): number {
+    return this.peaks ? this.peaks.pcm.length / this.sampleRate : 0;
+  }
+
+  // seconds across the canvas
+  private span(): number {
+    return this.view.span || this.duration;
+  }
+
+  private xOf(t: number): number {
+    return ((t - this.view.start) / this.span()) * this.width;
+  }
+
+  private timeAt(e: MouseEvent): number {
+    const r = this.canvas.getBoundingClientRect();
+    const frac = Math.max(0, Math.min(1, (e.clientX - r.left) / r.width));
+    return Math.min(this.duration, this.view.start + frac * this.span());
+  }
+
+  private handleAt(e: MouseEvent): 'start' | 'end' | null {
+    if (!this.trim) return null;
+    const r = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - r.left) * this.pixelRatio;
+    const near = HANDLE_PX * this.pixelRatio;
+    const dEnd = Math.abs(x - this.xOf(this.trim.end));
+    const dStart = Math.abs(x - this.xOf(this.trim.start));
+    if (Math.min(dStart, dEnd) > near) return null;
+    return dEnd < dStart ? 'end' : 'start';
+  }
+
+  private bindPointer() {
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (!this.peaks || this.live) return;
+      const edge = this.handleAt(e);
+      if (edge && this.trim) {
+        this.drag = { kind: 'trim', edge, before: this.trim };
+        return;
+      }
+      this.drag = { kind: 'select', anchor: this.timeAt(e), originX: e.clientX };
+      this.selection = null;
+      this.render();
+    });
+    this.canvas.addEventListener('mousemove', (e) => {
+      if (this.drag) return;
+      this.canvas.style.cursor = this.peaks && !this.live && this.handleAt(e) ? 'ew-resize' : 'text';
+    });
+    window.addEventListener('mousemove', (e) => {
+      const drag = this.drag;
+      if (!drag) return;
+      const t = this.timeAt(e);
+      if (drag.kind === 'select') {
+        if (Math.abs(e.clientX - drag.originX) < CLICK_PX) this.selection = null;
+        else this.selection = { start: Math.min(drag.anchor, t), end: Math.max(drag.anchor, t) };
+      } else if (this.trim) {
+        const { start, end } = this.trim;
+        this.trim = drag.edge === 'start'
+          ? { start: Math.max(0, Math.min(end - MIN_TRIM, t)), end }
+          : { start, end: Math.min(this.duration, Math.max(start + MIN_TRIM, t)) };
+      }
+      this.render();
+    });
+    window.addEventListener('mouseup', () => {
+      const drag = this.drag;
+      if (!drag) return;
+      this.drag = null;
+      if (drag.kind === 'trim') {
+        const trim = this.trim!;
+        if (trim.start !== drag.before.start || trim.end !== drag.before.end) this.onTrim?.(trim);
+        return;
+      }
+      // a plain click clears the selection and moves the playhead
+      this.render();
+      this.onSelect?.(this.selection);
+      if (!this.selection) this.onSeek?.(drag.anchor);
+    });
+  }
+
+  // ctrl/cmd + wheel zooms around the pointer; a sideways or shift + wheel scrolls
+  private bindWheel() {
+    this.canvas.addEventListener('wheel', (e) => {
+      if (!this.peaks || this.live) return;
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        this.zoom(Math.exp(-e.deltaY * 0.002), this.timeAt(e));
+        return;
+      }
+      const dx = e.shiftKey ? e.deltaY : e.deltaX;
+      if (!dx || !this.view.span || (!e.shiftKey && Math.abs(e.deltaX) < Math.abs(e.deltaY))) return;
+      e.preventDefault();
+      const r = this.canvas.getBoundingClientRect();
+      this.scrollTo(this.view.start + (dx / r.width) * this.span());
+    }, { passive: false });
+  }
+
+  getSelection() { return this.selection; }
+
+  /** Selects a region, as if it had been dragged; onSelect isn't called. */
+  setSelection(sel: Span | null) {
+    this.selection = sel;
+    this.render();
+  }
+
+  clearSelection() {
+    this.selection = null;
+    this.render();
+  }
+
+  /** Moves the playhead; one leaving the visible part while zoomed in scrolls it along. */
+  setPlayhead(seconds: number | null) {
+    this.playhead = seconds;
+    const { start, span } = this.view;
+    if (seconds !== null && span && !this.drag && (seconds < start || seconds > start + span)) {
+      this.scrollTo(seconds - span * 0.1);
+      return;
+    }
+    this.render();
+  }
+
+  /** The narration that is kept; the rest is drawn washed out, with handles to drag. */
+  setTrim(trim: Span | null) {
+    this.trim = trim;
+    this.render();
+  }
+
+  /** Regions to mark on the recording (the freezes). */
+  setMarkers(markers: Span[]) {
+    this.markers = markers;
+    this.render();
+  }
+
+  /** Silent gaps under review, marked along the bottom. */
+  setGaps(gaps: Span[]) {
+    this.gaps = gaps;
+    this.render();
+  }
+
+  /** Zooms in (factor > 1) or out, keeping `at` (seconds) where it is on the canvas. */
+  zoom(factor: number, at?: number) {
+    const duration = this.duration;
+    if (!duration || !this.width) return;
+    const span = this.span();
+    // down to a sample per device pixel
+    const next = Math.max(this.width / this.sampleRate, Math.min(duration, span / factor));
+    const anchor = at ?? (this.playhead !== null && this.playhead >= this.view.start && this.playhead <= this.view.start + span
+      ? this.playhead : this.view.start + span / 2);
+    const start = anchor - ((anchor - this.view.start) / span) * next;
+    this.view = { start: 0, span: next >= duration ? 0 : next };
+    this.scrollTo(start);
+  }
+
+  /** Shows the whole recording. */
+  fit() {
+    this.view = { start: 0, span: 0 };
+    this.layer = null;
+    this.render();
+  }
+
+  /** Scrolls so the view starts at `seconds`, as far as the recording goes. */
+  scrollTo(seconds: number) {
+    const span = this.span();
+    this.view.start = this.view.span ? Math.max(0, Math.min(this.duration - span, seconds)) : 0;
+    this.layer = null;
+    this.render();
   }
 
   resize() {
@@ -19,7 +218,9 @@ export class Waveform {
     this.height = Math.floor(this.canvas.clientHeight * this.pixelRatio);
     this.canvas.width = this.width;
     this.canvas.height = this.height;
-    this.clear();
+    this.layer = null;
+    if (this.live) this.beginLive(this.live.seconds);
+    else this.render();
   }
 
   clear() {
@@ -28,24 +229,135 @@ export class Waveform {
     this.ctx.strokeStyle = '#4f46e5';
   }
 
-  drawFromPCM(float32: Float32Array) {
+  /** Shows a recording; the view stays where it was as long as the recording is long enough. */
+  setAudio(pcm: Float32Array | null, sampleRate: number) {
+    if (pcm !== this.peaks?.pcm) this.peaks = pcm && pcm.length ? new PeakCache(pcm) : null;
+    this.sampleRate = sampleRate;
+    if (this.view.span >= this.duration) this.view = { start: 0, span: 0 };
+    else this.view.start = Math.min(this.view.start, this.duration - this.view.span);
+    this.layer = null;
+    this.render();
+  }
+
+  /** Shows the audio coming in while recording, the last `seconds` of it, instead of the data. */
+  beginLive(seconds = 8) {
+    const columns = Math.max(1, this.width);
+    this.live = { seconds, mins: new Float32Array(columns), maxs: new Float32Array(columns), owed: 0 };
+    this.render();
+  }
+
+  /** Scrolls in `seconds` of live audio, drawn from the samples of `block`. */
+  pushLive(block: Float32Array, seconds: number) {
+    const live = this.live;
+    if (!live) return;
+    let min = 0, max = 0;
+    for (let i = 0; i < block.length; i++) {
+      if (block[i] < min) min = block[i];
+      if (block[i] > max) max = block[i];
+    }
+    const columns = live.mins.length;
+    live.owed += (seconds / live.seconds) * columns;
+    const n = Math.min(columns, Math.floor(live.owed));
+    live.owed -= Math.floor(live.owed);
+    if (!n) return;
+    live.mins.copyWithin(0, n);
+    live.maxs.copyWithin(0, n);
+    live.mins.fill(min, columns - n);
+    live.maxs.fill(max, columns - n);
+    this.render();
+  }
+
+  endLive() {
+    this.live = null;
+    this.render();
+  }
+
+  private render() {
     this.clear();
-    const { ctx, width, height } = this;
-    const step = Math.max(1, Math.floor(float32.length / width));
+    if (this.live) {
+      this.drawLive(this.live);
+      return;
+    }
+    if (!this.peaks || !this.width) return;
+    const { ctx, width, height, pixelRatio } = this;
+    const band = (s: Span, color: string, top = 0) => {
+      const x0 = Math.max(0, this.xOf(s.start)), x1 = Math.min(width, this.xOf(s.end));
+      if (x1 <= 0 || x0 >= width) return;
+      ctx.fillStyle = color;
+      ctx.fillRect(x0, top, Math.max(1, x1 - x0), height - top);
+    };
+    for (const m of this.markers) {
+      band(m, 'rgba(34, 197, 94, 0.15)');
+      band({ start: m.start, end: m.start }, '#22c55e');
+    }
+    for (const g of this.gaps) band(g, 'rgba(251, 191, 36, 0.2)');
+    if (!this.layer) this.layer = this.drawLayer(this.peaks);
+    ctx.drawImage(this.layer, 0, 0);
+    for (const g of this.gaps) band(g, '#d97706', height - 3 * pixelRatio);
+    if (this.trim) {
+      // cut parts are washed out, the handles are bars with a grip in the middle
+      band({ start: 0, end: this.trim.start }, 'rgba(255, 255, 255, 0.7)');
+      band({ start: this.trim.end, end: this.duration }, 'rgba(255, 255, 255, 0.7)');
+      for (const t of [this.trim.start, this.trim.end]) {
+        const x = Math.round(this.xOf(t));
+        if (x < -HANDLE_PX * pixelRatio || x > width + HANDLE_PX * pixelRatio) continue;
+        ctx.fillStyle = '#f59e0b';
+        ctx.fillRect(x - pixelRatio, 0, 2 * pixelRatio, height);
+        ctx.fillRect(x - 3 * pixelRatio, height / 2 - 8 * pixelRatio, 6 * pixelRatio, 16 * pixelRatio);
+      }
+    }
+    if (this.selection) band(this.selection, 'rgba(79, 70, 229, 0.18)');
+    if (this.playhead !== null) {
+      ctx.fillStyle = '#ef4444';
+      ctx.fillRect(Math.round(this.xOf(this.playhead)), 0, pixelRatio, height);
+    }
+  }
+
+  private drawLive({ mins, maxs }: { mins: Float32Array; maxs: Float32Array }) {
+    const { ctx, height } = this;
+    ctx.beginPath();
+    for (let x = 0; x < mins.length; x++) {
+      ctx.moveTo(x + .5, (1 - (mins[x] * 0.9 + 1) / 2) * height);
+      ctx.lineTo(x + .5, (1 - (maxs[x] * 0.9 + 1) / 2) * height);
+    }
+    ctx.stroke();
+  }
+
+  private drawLayer(peaks: PeakCache): HTMLCanvasElement {
+    const { width, height, pixelRatio } = this;
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    const ctx = layer.getContext('2d')!;
+    const span = this.span();
+    const samplesPerPx = (span * this.sampleRate) / width;
+    const first = this.view.start * this.sampleRate;
+    ctx.strokeStyle = '#4f46e5';
     ctx.beginPath();
     for (let x = 0; x < width; x++) {
-      const start = x * step;
-      let min = 1, max = -1;
-      for (let i = 0; i < step && start + i < float32.length; i++) {
-        const v = float32[start + i];
-        if (v < min) min = v;
-        if (v > max) max = v;
-      }
-      const y1 = (1 - (min * 0.9 + 1) / 2) * height;
-      const y2 = (1 - (max * 0.9 + 1) / 2) * height;
-      ctx.moveTo(x + .5, y1);
-      ctx.lineTo(x + .5, y2);
+      const start = first + x * samplesPerPx;
+      if (start >= peaks.pcm.length) break;
+      const { min, max } = peaks.range(start, Math.max(start + 1, start + samplesPerPx));
+      ctx.moveTo(x + .5, (1 - (min * 0.9 + 1) / 2) * height);
+      ctx.lineTo(x + .5, (1 - (max * 0.9 + 1) / 2) * height + 1);
     }
     ctx.stroke();
+
+    // time axis once zoomed in, when the pause timeline below no longer lines up
+    if (this.view.span) {
+      const step = AXIS_STEPS.find(s => (s / span) * width >= 60 * pixelRatio) ?? AXIS_STEPS[AXIS_STEPS.length - 1];
+      ctx.fillStyle = '#6b7280';
+      ctx.font = `${10 * pixelRatio}px system-ui, sans-serif`;
+      ctx.textBaseline = 'top';
+      for (let i = Math.ceil(this.view.start / step); i * step <= this.view.start + span; i++) {
+        const t = i * step;
+        const x = Math.round(((t - this.view.start) / span) * width) + .5;
+        ctx.fillRect(x, 0, 1, 4 * pixelRatio);
+        const sec = t % 60;
+        const label = `${Math.floor(t / 60)}:${sec.toFixed(step < 1 ? 1 : 0).padStart(step < 1 ? 4 : 2, '0')}`;
+        ctx.fillText(label, x + 3 * pixelRatio, 0);
+      }
+    }
+    return layer;
   }
 }
@@ -0,0 +1,54 @@
+// The speech engine the app ships: models/stt/engine.js, copied there from this file by
+// scripts/vendor-stt.mjs next to @transcribe/shout (whisper.cpp built to WASM), the
+// @transcribe/transcriber wrapper around it and a ggml Whisper model (model.bin). Implements the
+// adapter contract in transcribeWorker.ts and runs inside that worker, so its imports are
+// relative to models/stt/, not to src/.
+// (module (func (result v128) i32.const 0 i8x16.splat i8x16.popcnt)), as wasm-feature-detect checks
+const SIMD_PROBE = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11]);
+
+const here = (name) => new URL(name, import.meta.url).href;
+
+/** Fetches the model, reporting how much of it has arrived. */
+async function download(url, onProgress) {
+  const res = await fetch(url);
+  if (!res.ok || !res.body) throw new Error(`Speech model not installed (${url})`);
+  const total = Number(res.headers.get('Content-Length')) || 0;
+  const chunks = [];
+  let received = 0;
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (total) onProgress(Math.min(1, received / total));
+  }
+  return new File(chunks, 'model.bin');
+}
+
+export async function load(modelURL, { onProgress }) {
+  const build = WebAssembly.validate(SIMD_PROBE) ? './shout.wasm.js' : './shout.wasm_no-simd.js';
+  const [{ default: createModule }, { FileTranscriber }, model] = await Promise.all([
+    import(here(build)),
+    import(here('./transcriber/FileTranscriber.js')),
+    download(modelURL, onProgress),
+  ]);
+  const transcriber = new FileTranscriber({ createModule, model, print: () => {}, printErr: () => {} });
+  // the audio comes decoded and resampled already; the wrapper would decode a file with an AudioContext
+  transcriber._loadAudio = async (pcm) => pcm;
+  await transcriber.init();
+  onProgress(1);
+
+  return {
+    async recognize(pcm, { language, onProgress }) {
+      transcriber.onProgress = (percent) => onProgress(percent / 100);
+      // one segment per word: whisper.cpp's word timestamps (max_len 1, split at word starts)
+      const result = await transcriber.transcribe(pcm, { lang: language, max_len: 1, split_on_word: true });
+      return result.transcription.map(segment => ({
+        text: segment.text,
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+      }));
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// vpv render draws annotated freezes from the stills the app stores in the bundle.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { render } from '../src/cli.js';
+import { BUNDLE_VERSION, BundleManifest, readBundle, writeBundle } from '../src/bundle.js';
+import { bufferToWav, monoBuffer } from '../src/wav.js';
+import { Annotation } from '../src/annotations.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+const arrow: Annotation = { id: 'a1', kind: 'arrow', x1: 0.1, y1: 0.1, x2: 0.5, y2: 0.5, color: '#ff0000', text: '', appear: 0, animate: false };
+
+// stills: the manifest lists them; stillFiles: the archive holds them
+function bundle(stills: boolean, stillFiles = stills): Uint8Array {
+  const files = new Map<string, Uint8Array>([
+    ['video/in.mp4', new Uint8Array(4)],
+    ['narration.wav', new Uint8Array(bufferToWav(monoBuffer(new Float32Array(4800), 48000)))],
+    ['frames/0.png', PNG],
+  ]);
+  if (stillFiles) files.set('frames/0_0.png', PNG);
+  const manifest: BundleManifest = {
+    format: 'vpv',
+    version: BUNDLE_VERSION,
+    createdAt: new Date(0).toISOString(),
+    project: { name: 'הדגמה', createdAt: 0, updatedAt: 0 },
+    video: { name: 'in.mp4', file: 'video/in.mp4' },
+    takes: [],
+    narration: 'narration.wav',
+    pauses: [{
+      startVideoTime: 1, pauseDuration: 2, frame: 'frames/0.png', annotations: [arrow],
+      ...(stills ? { stills: [{ at: 0, file: 'frames/0_0.png' }] } : {}),
+    }],
+    captions: [],
+    chapters: [],
+    trimRange: { start: 0, end: 1 },
+    history: { undo: [], redo: [] },
+    historyTakes: [],
+    settings: {} as BundleManifest['settings'],
+  };
+  return writeBundle(manifest, files);
+}
+
+test('bundles carry the stills of annotated freezes, and the CLI does not render one without them', async (t) => {
+  const stored = readBundle(bundle(true)).manifest.pauses[0];
+  assert.deepEqual(stored.stills, [{ at: 0, file: 'frames/0_0.png' }]);
+  assert.throws(() => readBundle(bundle(true, false)), /pause stills/);
+
+  const dir = await mkdtemp(join(tmpdir(), 'vpv-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const project = join(dir, 'old.vpv');
+  await writeFile(project, bundle(false));
+  await assert.rejects(render({ project, output: join(dir, 'out.mp4'), quiet: true }), /annotated freezes without their rendered stills/);
+});
@@ -0,0 +1,125 @@
+// Trimming the narration and undoing and redoing edits.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandHistory, HistoryStep, TrimRange } from '../src/history.js';
+import { silenceTrim } from '../src/silence.js';
+import { decodeToPCM, SAMPLE_RATE } from '../src/takes.js';
+import { PauseRange } from '../src/exporter.js';
+import { fakeAudioContext } from './fakes.js';
+
+// the part of main.ts's state that trimming and freezes change, applied as applyHistoryStep does
+function editor(limit?: number) {
+  const state = { trim: { start: 0, end: 1 } as TrimRange, pauses: [] as PauseRange[], applied: [] as string[] };
+  const history = new CommandHistory((step: HistoryStep, side) => {
+    state.applied.push(`${step.label}:${side}`);
+    if (step.type === 'trim') state.trim = step[side];
+    if (step.type === 'pauses') state.pauses.splice(0, state.pauses.length, ...step[side]);
+  }, limit);
+  const setTrim = (to: TrimRange, label = 'חיתוך', mergeKey?: string) => {
+    history.record({ type: 'trim', label, from: state.trim, to }, mergeKey);
+    state.trim = to;
+  };
+  return { state, history, setTrim };
+}
+
+const freeze = (t: number): PauseRange => ({ startVideoTime: t, pauseDuration: 1, frameDataURL: `frame${t}` });
+
+test('decodeToPCM keeps the first channel of the decoded audio', async (t) => {
+  const left = Float32Array.from([0.1, 0.2, 0.3]);
+  const Context = fakeAudioContext([left, new Float32Array(3)], SAMPLE_RATE);
+  (globalThis as any).OfflineAudioContext = Context;
+  t.after(() => { delete (globalThis as any).OfflineAudioContext; });
+  const pcm = await decodeToPCM(new Blob([new Uint8Array(8)]));
+  assert.deepEqual(Array.from(pcm), Array.from(left));
+  assert.notEqual(pcm, left);
+  assert.deepEqual(Context.created, [{ channels: 1, length: 1, sampleRate: SAMPLE_RATE }]);
+});
+
+test('silenceTrim keeps from the first loud sample to the last', () => {
+  const pcm = new Float32Array(100);
+  pcm[10] = 0.5;
+  pcm[20] = -0.03;
+  pcm[79] = 0.025;
+  pcm[90] = 0.019;
+  assert.deepEqual(silenceTrim(pcm), { start: 0.1, end: 0.8 });
+  assert.deepEqual(silenceTrim(pcm, 0.1), { start: 0.1, end: 0.11 });
+});
+
+test('silenceTrim leaves a narration that is all silence alone', () => {
+  assert.equal(silenceTrim(new Float32Array(100).fill(0.01)), null);
+  assert.equal(silenceTrim(new Float32Array(0)), null);
+});
+
+test('undo and redo move the trim back and forth', () => {
+  const { state, history, setTrim } = editor();
+  setTrim({ start: 0.1, end: 0.9 });
+  setTrim({ start: 0.2, end: 0.9 });
+  assert.equal(history.undo()?.type, 'trim');
+  assert.deepEqual(state.trim, { start: 0.1, end: 0.9 });
+  history.undo();
+  assert.deepEqual(state.trim, { start: 0, end: 1 });
+  assert.equal(history.undo(), null);
+  history.redo();
+  history.redo();
+  assert.deepEqual(state.trim, { start: 0.2, end: 0.9 });
+  assert.equal(history.redo(), null);
+});
+
+test('a new edit drops what could be redone', () => {
+  const { state, history, setTrim } = editor();
+  setTrim({ start: 0.1, end: 1 });
+  history.undo();
+  assert.ok(history.peekRedo());
+  setTrim({ start: 0, end: 0.5 });
+  assert.equal(history.peekRedo(), null);
+  assert.equal(history.redo(), null);
+  assert.deepEqual(state.trim, { start: 0, end: 0.5 });
+});
+
+test('a batch is undone in reverse and redone in order', () => {
+  const { state, history } = editor();
+  const steps: HistoryStep[] = [
+    { type: 'pauses', label: 'a', from: [], to: [freeze(2)] },
+    { type: 'trim', label: 'b', from: state.trim, to: { start: 0.25, end: 1 } },
+  ];
+  // applied as it happens, then recorded as one edit
+  state.pauses.push(freeze(2));
+  state.trim = { start: 0.25, end: 1 };
+  history.record({ type: 'batch', label: 'הקלטה', items: steps });
+  assert.equal(history.undo()?.label, 'הקלטה');
+  assert.deepEqual(state.applied, ['b:from', 'a:from']);
+  assert.deepEqual(state.pauses, []);
+  state.applied = [];
+  history.redo();
+  assert.deepEqual(state.applied, ['a:to', 'b:to']);
+  assert.deepEqual(state.pauses, [freeze(2)]);
+  assert.deepEqual(state.trim, { start: 0.25, end: 1 });
+});
+
+test('quick edits of the same control are undone as one', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const { state, history, setTrim } = editor();
+  setTrim({ start: 0.1, end: 1 }, 'חיתוך', 'trim-start');
+  t.mock.timers.tick(500);
+  setTrim({ start: 0.2, end: 1 }, 'חיתוך', 'trim-start');
+  t.mock.timers.tick(500);
+  setTrim({ start: 0.3, end: 1 }, 'חיתוך', 'trim-start');
+  // a pause longer than the merge window starts a new step
+  t.mock.timers.tick(1500);
+  setTrim({ start: 0.4, end: 1 }, 'חיתוך', 'trim-start');
+  // and so does another control
+  setTrim({ start: 0.4, end: 0.9 }, 'חיתוך', 'trim-end');
+  assert.equal(history.snapshot().undo.length, 3);
+  history.undo();
+  history.undo();
+  assert.deepEqual(state.trim, { start: 0.3, end: 1 });
+  history.undo();
+  assert.deepEqual(state.trim, { start: 0, end: 1 });
+});
+
+test('the history keeps only the latest edits', () => {
+  const { state, history, setTrim } = editor(3);
+  for (let i = 1; i <= 5; i++) setTrim({ start: i / 10, end: 1 });
+  while (history.undo());
+  assert.deepEqual(state.trim, { start: 0.2, end: 1 });
+});
@@ -0,0 +1,103 @@
+// Where an export runs: in the export worker, with ffmpeg.wasm 0.10 loaded inside it.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExportRunner, ExportWorkerRequest, ExportWorkerResponse } from '../src/exportJob.js';
+import { DEFAULT_FFMPEG_CONFIG, loadFFmpeg, resolveConfig } from '../src/ffmpegCore.js';
+import { ExportOptions } from '../src/exporter.js';
+import { fakeWorker } from './fakes.js';
+
+const PAGE = 'https://app.test/vpv/index.html';
+
+const options = (): ExportOptions => ({
+  videoBlob: new Blob([new Uint8Array(4)]),
+  narration: { pcm: new Float32Array(480), sampleRate: 48000 },
+  pauses: [],
+});
+
+test('with the default ffmpeg the export runs in the worker', async (t) => {
+  const exported = new Blob(['mp4'], { type: 'video/mp4' });
+  const Worker = fakeWorker((_request: ExportWorkerRequest): ExportWorkerResponse[] => [
+    { type: 'progress', progress: { stage: 'mux', stageFraction: 1, fraction: 1, eta: 0 } },
+    { type: 'result', blob: exported, syncReport: null },
+  ]);
+  (globalThis as any).Worker = Worker;
+  (globalThis as any).location = new URL(PAGE);
+  t.after(() => {
+    delete (globalThis as any).Worker;
+    delete (globalThis as any).location;
+  });
+
+  const runner = new ExportRunner(DEFAULT_FFMPEG_CONFIG);
+  const progress: number[] = [];
+  const result = await runner.run(options(), { onProgress: (p) => progress.push(p.fraction) });
+  assert.equal(result.blob, exported);
+  assert.deepEqual(progress, [1]);
+
+  const [worker] = Worker.created;
+  assert.match(worker.url.href, /\/src\/exportWorker\.js$/);
+  assert.equal(worker.options?.type, 'module');
+  // the worker is handed ffmpeg's files by absolute URL
+  assert.equal(worker.received[0].config.api, 'legacy');
+  assert.equal(worker.received[0].config.coreURL, 'https://app.test/vpv/vendor/ffmpeg/core/');
+
+  // and kept for the next export
+  await runner.run(options());
+  assert.equal(Worker.created.length, 1);
+  assert.equal(worker.received.length, 2);
+});
+
+// enough of an emscripten module for the 0.10 core: memory, main() and the file system
+const FAKE_CORE = `
+var createFFmpegCore = async (Module) => {
+  const memory = new Map();
+  const files = new Map();
+  let top = 8;
+  globalThis.fakeCoreModule = Module;
+  return {
+    _malloc: (size) => (top += size) - size,
+    writeAsciiToMemory: (text, at) => memory.set(at, text),
+    setValue: (at, value) => memory.set(at, value),
+    cwrap: (name) => name === 'proxy_main' && ((argc, argv) => {
+      const args = Array.from({ length: argc }, (_, i) => memory.get(memory.get(argv + i * 4)));
+      files.set(args[args.length - 1], new TextEncoder().encode(args.join(' ')));
+      setTimeout(() => { Module.printErr('frame=1'); Module.print('FFMPEG_END'); });
+      return 0;
+    }),
+    FS: {
+      writeFile: (name, data) => files.set(name, data),
+      readFile: (name) => files.get(name),
+      readdir: () => ['.', '..', ...files.keys()],
+    },
+    exit: () => {},
+  };
+};
+`;
+
+test('ffmpeg 0.10 loads in a worker from its core and runs commands there', async (t) => {
+  const fetched: string[] = [];
+  t.mock.method(globalThis, 'fetch', async (url: string) => {
+    fetched.push(url);
+    return new Response(FAKE_CORE);
+  });
+  t.after(() => {
+    delete (globalThis as any).createFFmpegCore;
+    delete (globalThis as any).fakeCoreModule;
+  });
+  (globalThis as any).location = new URL(PAGE);
+  const config = resolveConfig(DEFAULT_FFMPEG_CONFIG);
+  delete (globalThis as any).location;
+
+  const log: string[] = [];
+  // no document: this is how the export worker loads it
+  const ffmpeg = await loadFFmpeg(config, (line) => log.push(line));
+  assert.deepEqual(fetched, ['https://app.test/vpv/vendor/ffmpeg/core/ffmpeg-core.js']);
+  const Module = (globalThis as any).fakeCoreModule;
+  assert.equal(Module.mainScriptUrlOrBlob, 'https://app.test/vpv/vendor/ffmpeg/core/ffmpeg-core.js');
+  assert.equal(Module.locateFile('ffmpeg-core.worker.js', 'https://app.test/vpv/src/'), 'https://app.test/vpv/vendor/ffmpeg/core/ffmpeg-core.worker.js');
+
+  await ffmpeg.writeFile('input.mp4', new Uint8Array([1]));
+  await ffmpeg.run('-i', 'input.mp4', 'out.mp4');
+  assert.equal(new TextDecoder().decode(await ffmpeg.readFile('out.mp4')), './ffmpeg -nostdin -y -i input.mp4 out.mp4');
+  assert.deepEqual(log, ['frame=1', 'FFMPEG_END']);
+  assert.deepEqual(await ffmpeg.readdir('/'), ['.', '..', 'input.mp4', 'out.mp4']);
+});
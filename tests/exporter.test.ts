@@ -0,0 +1,229 @@
+// The ffmpeg commands an export runs for a given set of freezes, on a fake ffmpeg.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Exporter, ExportOptions, PauseRange } from '../src/exporter.js';
+import { EXPORT_PRESETS } from '../src/exportPresets.js';
+import { FakeFFmpeg, FakeSource, frameCrc, h264Info } from './fakes.js';
+
+const preset = (id: string) => EXPORT_PRESETS.find(p => p.id === id)!.settings;
+const PNG = 'data:image/png;base64,AAAA';
+// a 4 s source at 25 fps with a keyframe every second
+const SOURCE: FakeSource = { info: h264Info(4, 25), crc: { 'input.mp4': frameCrc(100, 25, 25) } };
+const FREEZE: PauseRange = { startVideoTime: 2, pauseDuration: 1, frameDataURL: PNG };
+
+function exporter(source = SOURCE) {
+  const made: FakeFFmpeg[] = [];
+  const ex = new Exporter(() => {}, undefined, async (_config, log) => {
+    made.push(new FakeFFmpeg(source, log));
+    return made[made.length - 1];
+  });
+  return { ex, ffmpeg: () => made[made.length - 1] };
+}
+
+function options(more: Partial<ExportOptions> = {}): ExportOptions {
+  return {
+    videoBlob: new Blob([new Uint8Array(4)]),
+    narration: { pcm: new Float32Array(48000 * 5), sampleRate: 48000 },
+    pauses: [FREEZE],
+    ...more,
+  };
+}
+
+// the text files a command is given, as they are when it runs (the export removes them after)
+function keepText(ffmpeg: FakeFFmpeg, names: string[]): Record<string, string> {
+  const kept: Record<string, string> = {};
+  ffmpeg.onRun = () => {
+    for (const name of names) if (ffmpeg.files.has(name)) kept[name] = ffmpeg.text(name);
+  };
+  return kept;
+}
+
+const PROBE = ['-hide_banner', '-i', 'input.mp4'];
+const SOURCE_CRC = ['-i', 'input.mp4', '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', 'input.mp4.crc'];
+const OUTPUT_CRC = ['-i', 'video_full.mp4', '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', 'video_full.mp4.crc'];
+const ENCODE_720 = ['-vf', 'fps=30,scale=-2:720,setsar=1,format=yuv420p', '-r', '30', '-c:v', 'libx264', '-preset', 'superfast', '-pix_fmt', 'yuv420p', '-crf', '24'];
+const SPLIT = ['-i', 'input.mp4', '-map', '0:v:0', '-c', 'copy', '-f', 'segment', '-segment_format', 'mpegts', '-segment_times', '1.980', '-reset_timestamps', '1', 'gop_%03d.ts'];
+const STILL_TS = ['-loop', '1', '-framerate', '12800/512', '-i', 'still_1.png', '-frames:v', '25',
+  '-vf', 'fps=12800/512,scale=640:360,setsar=1/1,format=yuv420p', '-r', '12800/512',
+  '-c:v', 'libx264', '-preset', 'superfast', '-crf', '18', '-profile:v', 'high', '-pix_fmt', 'yuv420p', 'seg_1.ts'];
+const JOIN_COPY = ['-f', 'concat', '-safe', '0', '-i', 'list.txt', '-c', 'copy', '-video_track_timescale', '12800', 'video_full.mp4'];
+
+test('a re-encoded export encodes the pieces around a freeze and joins them', async () => {
+  const { ex, ffmpeg } = exporter();
+  const blob = await ex.export(options({ format: preset('mp4-720') }));
+  assert.equal(blob.type, 'video/mp4');
+  assert.deepEqual(ffmpeg().runs, [
+    PROBE,
+    SOURCE_CRC,
+    ['-ss', '0.000', '-i', 'input.mp4', '-an', '-frames:v', '60', ...ENCODE_720, 'seg_0.mp4'],
+    ['-loop', '1', '-framerate', '30', '-i', 'still_1.png', '-frames:v', '30', ...ENCODE_720, 'seg_1.mp4'],
+    ['-ss', '1.983', '-i', 'input.mp4', '-an', '-frames:v', '60', ...ENCODE_720, 'seg_2.mp4'],
+    ['-f', 'concat', '-safe', '0', '-i', 'list.txt', '-c', 'copy', 'video_full.mp4'],
+    OUTPUT_CRC,
+    ['-i', 'video_full.mp4', '-i', 'voice.wav', '-map', '0:v:0', '-map', '1:a:0', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '128k', '-shortest', 'output.mp4'],
+  ]);
+});
+
+test('a copied export splits the source at its keyframes and joins the pieces as they are', async () => {
+  const { ex, ffmpeg } = exporter();
+  await ex.ensureFFmpeg();
+  const files = keepText(ffmpeg(), ['list.txt']);
+  await ex.export(options({ format: preset('mp4-source') }));
+  assert.deepEqual(ffmpeg().runs, [
+    PROBE,
+    SOURCE_CRC,
+    SPLIT,
+    STILL_TS,
+    JOIN_COPY,
+    OUTPUT_CRC,
+    ['-i', 'video_full.mp4', '-i', 'voice.wav', '-map', '0:v:0', '-map', '1:a:0', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', '-shortest', 'output.mp4'],
+  ]);
+  assert.equal(files['list.txt'], "file 'gop_000.ts'\nfile 'seg_1.ts'\nfile 'gop_001.ts'");
+});
+
+test('an annotated freeze is encoded from its stills, each for as long as it shows', async () => {
+  const { ex, ffmpeg } = exporter();
+  await ex.ensureFFmpeg();
+  const files = keepText(ffmpeg(), ['stills_1.txt']);
+  const stills = [{ at: 0, dataURL: PNG }, { at: 0.5, dataURL: 'data:image/png;base64,BBBB' }];
+  await ex.export(options({ format: preset('mp4-720'), pauses: [{ ...FREEZE, stills }] }));
+  assert.deepEqual(ffmpeg().runs[3], ['-f', 'concat', '-safe', '0', '-i', 'stills_1.txt', '-frames:v', '30', ...ENCODE_720, 'seg_1.mp4']);
+  assert.equal(files['stills_1.txt'], [
+    'ffconcat version 1.0',
+    "file 'still_1_0.png'", 'duration 0.500000',
+    "file 'still_1_1.png'", 'duration 0.500000',
+    // the concat demuxer shows the last file for its duration only when it is listed again
+    "file 'still_1_1.png'",
+  ].join('\n'));
+});
+
+test('a narration-only export measures the loudness first and writes the tags and chapters', async () => {
+  const { ex, ffmpeg } = exporter();
+  await ex.ensureFFmpeg();
+  const files = keepText(ffmpeg(), ['metadata.txt']);
+  const metadata = { title: 'T', author: 'A', chapters: [{ start: 0, title: 'a' }, { start: 3, title: 'b' }] };
+  const blob = await ex.export(options({ format: preset('mp3'), normalize: true, metadata }));
+  assert.equal(blob.type, 'audio/mpeg');
+  assert.deepEqual(ffmpeg().runs, [
+    ['-i', 'voice.wav', '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json', '-f', 'null', '-'],
+    ['-i', 'voice.wav', '-f', 'ffmetadata', '-i', 'metadata.txt', '-map', '0:a', '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11', '-ar', '48000',
+      '-c:a', 'libmp3lame', '-b:a', '192k', '-map_metadata', '1', '-map_chapters', '1', 'output.mp3'],
+  ]);
+  assert.equal(files['metadata.txt'], [
+    ';FFMETADATA1', 'title=T', 'artist=A', 'author=A',
+    '[CHAPTER]', 'TIMEBASE=1/1000', 'START=0', 'END=3000', 'title=a',
+    '[CHAPTER]', 'TIMEBASE=1/1000', 'START=3000', 'END=5000', 'title=b',
+  ].join('\n') + '\n');
+});
+
+test('the source soundtrack is laid out around the freeze and mixed under the narration', async () => {
+  const { ex, ffmpeg } = exporter();
+  const originalAudio = { bedLevelDb: -12, duck: false, freeze: 'silence' as const };
+  await ex.export(options({ format: preset('mp4-source'), originalAudio }));
+  const pcm = ['-ac', '2', '-ar', '48000', '-c:a', 'pcm_s16le'];
+  assert.deepEqual(ffmpeg().runs.slice(5, 11), [
+    ['-i', 'input.mp4', '-ss', '0.000', '-to', '2.000', '-vn', ...pcm, 'orig_0.wav'],
+    ['-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo', '-t', '1.000', ...pcm, 'orig_freeze_0.wav'],
+    ['-i', 'input.mp4', '-ss', '2.000', '-vn', ...pcm, 'orig_tail.wav'],
+    ['-f', 'concat', '-safe', '0', '-i', 'list_audio.txt', '-c', 'copy', 'orig_full.wav'],
+    OUTPUT_CRC,
+    ['-i', 'voice.wav', ...pcm, 'voice_proc.wav'],
+  ]);
+  const mux = ffmpeg().runs[11];
+  assert.deepEqual(mux.slice(0, 6), ['-i', 'video_full.mp4', '-i', 'voice_proc.wav', '-i', 'orig_full.wav']);
+  assert.match(mux[mux.indexOf('-filter_complex') + 1], /^\[2:a\]volume=-12dB\[bed\];.*amix=inputs=2/);
+});
+
+test('a source without sound has no soundtrack to keep', async () => {
+  const { ex, ffmpeg } = exporter({ ...SOURCE, info: h264Info(4, 25, false) });
+  const originalAudio = { bedLevelDb: -12, duck: true, freeze: 'loop' as const };
+  await ex.export(options({ format: preset('mp4-source'), originalAudio }));
+  assert.deepEqual(ffmpeg().runs.slice(-1), [
+    ['-i', 'video_full.mp4', '-i', 'voice.wav', '-map', '0:v:0', '-map', '1:a:0', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', '-shortest', 'output.mp4'],
+  ]);
+  assert.ok(!ffmpeg().runs.some(args => args.includes('orig_full.wav')));
+});
+
+test('soft captions are added as a subtitle stream after the mux', async () => {
+  const { ex, ffmpeg } = exporter();
+  await ex.ensureFFmpeg();
+  const files = keepText(ffmpeg(), ['subs.srt']);
+  const srt = '1\n00:00:00,000 --> 00:00:01,000\nשלום\n';
+  await ex.export(options({ format: preset('mp4-source'), captions: { srt, mode: 'soft', language: 'heb' } }));
+  assert.deepEqual(ffmpeg().runs.slice(-2).map(args => args[args.length - 1]), ['muxed.mp4', 'output.mp4']);
+  assert.deepEqual(ffmpeg().runs[ffmpeg().runs.length - 1],
+    ['-i', 'muxed.mp4', '-i', 'subs.srt', '-map', '0:v', '-map', '0:a', '-map', '1:s', '-c', 'copy', '-c:s', 'mov_text', '-metadata:s:s:0', 'language=heb', 'output.mp4']);
+  assert.equal(files['subs.srt'], srt);
+});
+
+test('burned captions are drawn with the downloaded font', async () => {
+  const { ex, ffmpeg } = exporter();
+  const font = { url: 'data:font/ttf;base64,AAEAAA==', family: 'Noto' };
+  await ex.export(options({ format: preset('mp4-720'), captions: { srt: '', mode: 'burn', font } }));
+  assert.deepEqual(ffmpeg().runs[ffmpeg().runs.length - 1], [
+    '-i', 'muxed.mp4', '-vf', "subtitles=subs.srt:fontsdir=fonts:force_style='FontName=Noto,FontSize=22,Outline=2'",
+    ...ENCODE_720.slice(2), '-c:a', 'copy', 'output.mp4',
+  ]);
+  assert.ok(ffmpeg().dirs.has('fonts'));
+  assert.deepEqual(Array.from(ffmpeg().files.get('fonts/captions.ttf')!), [0, 1, 0, 0]);
+});
+
+test('burned captions default to the font served with the app', async (t) => {
+  const fetched: string[] = [];
+  t.mock.method(globalThis, 'fetch', async (url: string) => {
+    fetched.push(url);
+    return new Response(new Uint8Array([0, 1, 0, 0]));
+  });
+  const { ex } = exporter();
+  await ex.export(options({ format: preset('mp4-720'), captions: { srt: '', mode: 'burn' } }));
+  // after the freeze's still
+  assert.deepEqual(fetched, [PNG, new URL('../vendor/ffmpeg/fonts/NotoSansHebrew-Regular.ttf', import.meta.url).href]);
+});
+
+test('the joined video is checked against the freezes', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const joined = (crc: string) => ({ ...SOURCE, crc: { ...SOURCE.crc, 'video_full.mp4': crc } });
+  let { ex } = exporter(joined(frameCrc(125, 25)));
+  await ex.export(options({ format: preset('mp4-source') }));
+  assert.equal(ex.syncReport?.ok, true);
+  assert.deepEqual(ex.syncReport?.checks.map(c => [c.expected, c.actual]), [[2, 2], [3, 3], [5, 5]]);
+
+  // five frames short: the video ends early
+  ({ ex } = exporter(joined(frameCrc(120, 25))));
+  await ex.export(options({ format: preset('mp4-source') }));
+  assert.equal(ex.syncReport?.ok, false);
+  assert.ok(Math.abs(ex.syncReport!.maxDrift - 0.2) < 1e-9);
+  assert.equal(warn.mock.callCount(), 1);
+
+  // no index of the output, nothing to check
+  ({ ex } = exporter());
+  await ex.export(options({ format: preset('mp4-source') }));
+  assert.equal(ex.syncReport, null);
+});
+
+test('cancelling stops ffmpeg mid-command', async () => {
+  const { ex, ffmpeg } = exporter();
+  await ex.ensureFFmpeg();
+  const first = ffmpeg();
+  const abort = new AbortController();
+  first.onRun = (args) => {
+    if (!args.includes('seg_1.mp4')) return;
+    abort.abort();
+    return new Promise<void>(() => {});
+  };
+  await assert.rejects(ex.export(options({ format: preset('mp4-720') }), abort.signal), /Export cancelled/);
+  assert.ok(first.exited);
+  // the next export loads ffmpeg again
+  await ex.export(options({ format: preset('mp4-720') }));
+  assert.notEqual(ffmpeg(), first);
+});
+
+test('an export leaves only what ffmpeg held before it', async () => {
+  const { ex, ffmpeg } = exporter();
+  await ex.ensureFFmpeg();
+  const before = await ffmpeg().readdir('/');
+  // written after ffmpeg was loaded, so not part of what it held
+  await ffmpeg().writeFile('stray.txt', new Uint8Array(1));
+  await ex.export(options({ format: preset('mp4-720') }));
+  assert.deepEqual(await ffmpeg().readdir('/'), before);
+});
@@ -0,0 +1,184 @@
+// Stand-ins for what the browser and ffmpeg provide, so the modules run under Node.
+import { FFmpegCore } from '../src/ffmpegCore.js';
+
+/** Writes `text` as ffmpeg's log would, one line per call. */
+export type FakeLog = (line: string) => void;
+
+export interface FakeSource {
+  // what `ffmpeg -i input.mp4` prints about the streams
+  info: string;
+  // framecrc output per input file; files without one get no index
+  crc: Record<string, string>;
+}
+
+/**
+ * An in-memory ffmpeg that records every command. Probes print the source's info, framecrc
+ * writes the index given for its input, and every other command writes its last argument with
+ * the command line as its contents. Like ffmpeg.wasm, a command never fails.
+ */
+export class FakeFFmpeg implements FFmpegCore {
+  files = new Map<string, Uint8Array>();
+  dirs = new Set<string>();
+  runs: string[][] = [];
+  exited = false;
+  // called with each command before it "runs"; a promise that never settles keeps it running
+  onRun: ((args: string[]) => Promise<void> | void) | null = null;
+
+  constructor(private source: FakeSource, private log: FakeLog) {}
+
+  async run(...args: string[]) {
+    this.runs.push(args);
+    await this.onRun?.(args);
+    const input = args[args.indexOf('-i') + 1];
+    if (args[0] === '-hide_banner' && args.length === 3) {
+      if (input === 'input.mp4') this.source.info.split('\n').forEach(this.log);
+      return;
+    }
+    const out = args[args.length - 1];
+    if (args.includes('framecrc')) {
+      const crc = this.source.crc[input];
+      if (crc !== undefined) this.files.set(out, new TextEncoder().encode(crc));
+      return;
+    }
+    if (out !== '-') this.files.set(out, new TextEncoder().encode(args.join(' ')));
+  }
+
+  async writeFile(name: string, data: Uint8Array) { this.files.set(name.replace(/^\//, ''), data); }
+
+  async readFile(name: string) {
+    const data = this.files.get(name.replace(/^\//, ''));
+    if (!data) throw new Error(`ENOENT: ${name}`);
+    return data;
+  }
+
+  async readdir(path: string) {
+    if (path !== '/') throw new Error('Only the root is listed');
+    return ['.', '..', ...this.dirs, ...[...this.files.keys()].filter(n => !n.includes('/'))];
+  }
+
+  async mkdir(path: string) { this.dirs.add(path.replace(/^\//, '')); }
+
+  async deleteFile(name: string) {
+    if (this.dirs.has(name)) throw new Error(`EISDIR: ${name}`);
+    this.files.delete(name);
+  }
+
+  exit() { this.exited = true; }
+
+  /** A file the export wrote, as text. */
+  text(name: string): string { return new TextDecoder().decode(this.files.get(name)); }
+}
+
+/** A framecrc index of `frames` frames at `fps` (timebase 1/(fps*512)) with a keyframe every `gop`. */
+export function frameCrc(frames: number, fps: number, gop = frames): string {
+  const lines = [`#tb 0: 1/${fps * 512}`];
+  for (let i = 0; i < frames; i++) {
+    lines.push(`0, ${i * 512}, ${i * 512}, 512, 1000, 0x0000abcd${i % gop ? ', F=0x0' : ''}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/** What ffmpeg prints about an H.264 source of `seconds` at `fps`, with an audio stream or without. */
+export function h264Info(seconds: number, fps: number, audio = true): string {
+  const lines = [
+    `  Duration: 00:00:${seconds.toFixed(2).padStart(5, '0')}, start: 0.000000, bitrate: 300 kb/s`,
+    `    Stream #0:0(und): Video: h264 (High) (avc1 / 0x31637661), yuv420p, 640x360 [SAR 1:1 DAR 16:9], 136 kb/s, ${fps} fps, ${fps} tbr, 12800 tbn, 50 tbc (default)`,
+  ];
+  if (audio) lines.push('    Stream #0:1(und): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, stereo, fltp, 128 kb/s (default)');
+  return lines.join('\n');
+}
+
+/** MediaRecorder that hands out one chunk per requested timeslice and on stop. */
+export class FakeMediaRecorder extends EventTarget {
+  static supported = ['video/webm;codecs=vp8,opus', 'video/webm'];
+  static isTypeSupported(type: string) { return FakeMediaRecorder.supported.includes(type); }
+
+  state: 'inactive' | 'recording' | 'paused' = 'inactive';
+  mimeType: string;
+  timeslice: number | undefined;
+  ondataavailable: ((e: { data: Blob }) => void) | null = null;
+  private chunk = 0;
+
+  constructor(public stream: unknown, options: { mimeType?: string } = {}) {
+    super();
+    this.mimeType = options.mimeType ?? '';
+  }
+
+  start(timeslice?: number) { this.state = 'recording'; this.timeslice = timeslice; }
+  pause() { this.state = 'paused'; }
+  resume() { this.state = 'recording'; }
+
+  /** What the browser does every timeslice. */
+  emitChunk(size = 10) {
+    this.ondataavailable?.({ data: new Blob([new Uint8Array(size).fill(++this.chunk)]) });
+  }
+
+  stop() {
+    this.emitChunk();
+    this.state = 'inactive';
+    // the browser fires stop after the last data, asynchronously
+    setTimeout(() => this.dispatchEvent(new Event('stop')));
+  }
+}
+
+/** OfflineAudioContext whose decodeAudioData returns `channels`, whatever the bytes. */
+export function fakeAudioContext(channels: Float32Array[], sampleRate: number) {
+  return class FakeOfflineAudioContext {
+    static created: { channels: number; length: number; sampleRate: number }[] = [];
+    constructor(numberOfChannels: number, length: number, public sampleRate: number) {
+      FakeOfflineAudioContext.created.push({ channels: numberOfChannels, length, sampleRate });
+    }
+    async decodeAudioData(_data: ArrayBuffer) {
+      return {
+        numberOfChannels: channels.length,
+        length: channels[0].length,
+        sampleRate,
+        getChannelData: (ch: number) => channels[ch],
+      };
+    }
+  };
+}
+
+/** Worker whose script is `answer`: each message posted to it is answered with what that returns. */
+export function fakeWorker(answer: (message: any) => any[]) {
+  return class FakeWorker {
+    static created: FakeWorker[] = [];
+    received: any[] = [];
+    terminated = false;
+    onmessage: ((e: { data: any }) => void) | null = null;
+    onerror: ((e: { message: string }) => void) | null = null;
+    constructor(public url: URL, public options?: { type?: string }) {
+      FakeWorker.created.push(this);
+    }
+    postMessage(message: any) {
+      this.received.push(message);
+      for (const reply of answer(message)) setTimeout(() => this.onmessage?.({ data: reply }));
+    }
+    terminate() { this.terminated = true; }
+  };
+}
+
+/** navigator.locks for one origin: a lock is held until the promise its callback returns settles. */
+export class FakeLocks {
+  held = new Set<string>();
+
+  async request(name: string, callback: () => Promise<void>) {
+    if (this.held.has(name)) throw new Error(`${name} is held already`);
+    this.held.add(name);
+    try {
+      return await callback();
+    } finally {
+      this.held.delete(name);
+    }
+  }
+
+  async query() {
+    return { held: [...this.held].map(name => ({ name, mode: 'exclusive' as const })) };
+  }
+}
+
+/** A clock for performance.now(), moved by hand. */
+export class FakeClock {
+  now = 1000;
+  advance(ms: number) { this.now += ms; }
+}
@@ -1,17 +1,136 @@
-// Basic unit test for Pause/Resume events (no framework).
-// Run with: npx ts-node tests/pauseResume.test.ts
- type PauseEvent = { start: number; end: number };
-function accumulatePauses(events: PauseEvent[]): number {
-  return events.reduce((acc, e)=> acc + Math.max(0, e.end - e.start), 0);
+// Pausing and resuming while recording: the freezes it makes and their lengths.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PauseGlobals, PausableVideo, pauseOrResume, videoPaused, videoPlayed } from '../src/pauseToggle.js';
+import { ScreenRecorder, DEFAULT_CAPTURE } from '../src/screenRecorder.js';
+import { PauseRange } from '../src/exporter.js';
+import { FakeClock, FakeMediaRecorder } from './fakes.js';
+
+// A video element that fires pause and play as main.ts listens to them, and plays on the clock.
+class FakeVideo implements PausableVideo {
+  paused = false;
+  private playingSince: number;
+  private played = 0;
+
+  constructor(private clock: FakeClock, private globals: PauseGlobals) {
+    this.playingSince = clock.now;
+  }
+
+  get currentTime() {
+    return this.played + (this.paused ? 0 : (this.clock.now - this.playingSince) / 1000);
+  }
+
+  pause() {
+    this.played = this.currentTime;
+    this.paused = true;
+    videoPaused(this.globals, this.clock.now);
+  }
+
+  play() {
+    this.playingSince = this.clock.now;
+    this.paused = false;
+    videoPlayed(this.globals);
+  }
 }
-const events: PauseEvent[] = [
-  { start: 12.0, end: 15.3 },
-  { start: 47.1, end: 48.0 }
-];
-const total = accumulatePauses(events);
-if (Math.abs(total - 4.2) < 1e-6) {
-  console.log('✅ Pause/Resume accumulation OK');
-} else {
-  console.error('❌ Expected 4.2, got', total);
-  process.exit(1);
+
+function recording() {
+  const clock = new FakeClock();
+  const globals: PauseGlobals = {};
+  const video = new FakeVideo(clock, globals);
+  let frames = 0;
+  const toggle = (capture: ScreenRecorder | null = null) =>
+    pauseOrResume({ video, capture, frame: () => `data:image/png;base64,frame${++frames}`, globals }, clock.now);
+  return { clock, globals, video, toggle };
 }
+
+test('a pause becomes a freeze as long as the video stood still', () => {
+  const { clock, globals, video, toggle } = recording();
+  clock.advance(12000);
+  assert.equal(toggle(), null);
+  assert.ok(video.paused);
+  assert.deepEqual(globals._vpv_lastPause, { t: 12, frame: 'data:image/png;base64,frame1' });
+  assert.equal(globals._vpv_pauseStartAt, clock.now);
+  clock.advance(3300);
+  const freeze = toggle();
+  assert.ok(!video.paused);
+  assert.equal(globals._vpv_pauseStartAt, 0);
+  assert.equal(freeze?.startVideoTime, 12);
+  assert.ok(Math.abs(freeze!.pauseDuration - 3.3) < 1e-9);
+  assert.equal(freeze?.frameDataURL, 'data:image/png;base64,frame1');
+});
+
+test('the freezes of several pauses add up to the time spent paused', () => {
+  const { clock, video, toggle } = recording();
+  const pauses: PauseRange[] = [];
+  for (const [playFor, pauseFor] of [[12000, 3300], [35800, 900]]) {
+    clock.advance(playFor);
+    toggle();
+    clock.advance(pauseFor);
+    pauses.push(toggle()!);
+  }
+  const total = pauses.reduce((sum, p) => sum + p.pauseDuration, 0);
+  assert.ok(Math.abs(total - 4.2) < 1e-9);
+  // video time does not run during a freeze
+  assert.deepEqual(pauses.map(p => p.startVideoTime), [12, 47.8]);
+  assert.ok(Math.abs(video.currentTime - 47.8) < 1e-9);
+});
+
+test('resuming at once still leaves the shortest freeze', () => {
+  const { clock, toggle } = recording();
+  clock.advance(5000);
+  toggle();
+  assert.equal(toggle()?.pauseDuration, 0.01);
+});
+
+test('a pause the video never reported lasts the shortest freeze', () => {
+  const { clock, globals, toggle } = recording();
+  clock.advance(5000);
+  toggle();
+  // the pause event has not come (or came while not recording)
+  globals._vpv_pauseStartAt = 0;
+  clock.advance(2000);
+  assert.equal(toggle()?.pauseDuration, 0.01);
+});
+
+test('resuming without a pause makes no freeze', () => {
+  const { video, globals, toggle } = recording();
+  video.paused = true;
+  assert.equal(toggle(), null);
+  assert.ok(!video.paused);
+  assert.equal(globals._vpv_lastPause, undefined);
+});
+
+test('a recorded screen is paused with the video, and its freeze goes at its own length', async (t) => {
+  const { clock, toggle } = recording();
+  t.mock.method(performance, 'now', () => clock.now);
+  (globalThis as any).MediaRecorder = FakeMediaRecorder;
+  t.after(() => { delete (globalThis as any).MediaRecorder; });
+
+  const capture = new ScreenRecorder(DEFAULT_CAPTURE);
+  capture.stream = { getTracks: () => [] } as unknown as MediaStream;
+  // the narration started before the screen did
+  clock.advance(2000);
+  capture.start();
+  const recorder = (capture as any).recorder as FakeMediaRecorder;
+  assert.equal(recorder.mimeType, 'video/webm;codecs=vp8,opus');
+  assert.equal(recorder.timeslice, 1000);
+
+  clock.advance(4000);
+  recorder.emitChunk();
+  assert.equal(toggle(capture), null);
+  assert.ok(capture.paused);
+  clock.advance(2500);
+  // no time passes for the recording while it is paused
+  assert.equal(capture.currentTime, 4);
+  const freeze = toggle(capture);
+  assert.ok(capture.recording);
+  assert.equal(freeze?.startVideoTime, 4);
+  assert.equal(freeze?.pauseDuration, 2.5);
+
+  clock.advance(1000);
+  assert.equal(capture.currentTime, 5);
+  const blob = await capture.stop();
+  assert.equal(blob?.size, 20);
+  assert.equal(blob?.type, 'video/webm;codecs=vp8,opus');
+  assert.equal(capture.stream, null);
+});
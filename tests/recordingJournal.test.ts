@@ -0,0 +1,123 @@
+// Journaling a recording as it is made, and rebuilding it after the tab was closed.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JournalEntry, JournalStore, RecordingJournal, RecordingSession, InterruptedRecording, liveRecordings, replayJournal, unsavedPauses, unsavedChapters } from '../src/recordingJournal.js';
+import { PauseRange } from '../src/exporter.js';
+import { FakeLocks } from './fakes.js';
+
+// ProjectStore's journal stores in memory; every write takes as long as `delay` says
+class MemoryJournalStore implements JournalStore {
+  sessions = new Map<string, RecordingSession>();
+  entries = new Map<string, JournalEntry[]>();
+  writes: string[] = [];
+  delay = (_seq: number) => 0;
+  failAt = -1;
+
+  async beginRecording(session: RecordingSession) {
+    await new Promise(resolve => setTimeout(resolve, this.delay(-1)));
+    this.sessions.set(session.id, session);
+    this.entries.set(session.id, []);
+    this.writes.push('session');
+  }
+
+  async appendRecording(id: string, seq: number, entry: JournalEntry) {
+    await new Promise(resolve => setTimeout(resolve, this.delay(seq)));
+    if (seq === this.failAt) throw new Error('QuotaExceededError');
+    if (!this.sessions.has(id)) throw new Error('entry before its session');
+    this.entries.get(id)!.push(entry);
+    this.writes.push(`${entry.type} ${seq}`);
+  }
+
+  async discardRecording(id: string) {
+    this.sessions.delete(id);
+    this.entries.delete(id);
+    this.writes.push('discard');
+  }
+
+  interrupted(): InterruptedRecording[] {
+    return [...this.sessions.values()].map(session => ({ session, entries: this.entries.get(session.id)! }));
+  }
+}
+
+const SESSION: RecordingSession = {
+  id: 'rec_1', projectId: 'prj_1', projectName: 'שיעור', startedAt: 0, mimeType: 'audio/webm;codecs=opus',
+  takeId: 'take_1', startVideoTime: 3, anchorOffset: 0, screen: false,
+};
+const chunk = (text: string, elapsed: number): JournalEntry => ({ type: 'chunk', blob: new Blob([text]), elapsed });
+const freeze = (t: number, d = 1): PauseRange => ({ startVideoTime: t, pauseDuration: d, frameDataURL: `frame${t}` });
+
+test('entries are written after the session and in the order they came', async () => {
+  const store = new MemoryJournalStore();
+  // the first writes are the slowest
+  store.delay = (seq) => 10 - seq * 3;
+  const journal = new RecordingJournal(store, SESSION);
+  journal.append(chunk('a', 0.1));
+  journal.append({ type: 'pause', pause: freeze(5) });
+  journal.append(chunk('b', 0.2));
+  await journal.discard();
+  assert.deepEqual(store.writes, ['session', 'chunk 0', 'pause 1', 'chunk 2', 'discard']);
+  assert.equal(store.sessions.size, 0);
+});
+
+test('a journal left behind rebuilds the recording, its freezes and its chapters', async () => {
+  const store = new MemoryJournalStore();
+  const journal = new RecordingJournal(store, SESSION);
+  const chapter = { id: 'ch_1', startVideoTime: 3, anchorOffset: 1.5, title: 'פרק 1' };
+  journal.append(chunk('head', 0.1));
+  journal.append({ type: 'pause', pause: freeze(4) });
+  journal.append(chunk('-mid', 0.2));
+  journal.append({ type: 'chapter', chapter });
+  journal.append(chunk('-tail', 0.3));
+  // the tab closes here: the journal is never discarded
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const [left] = store.interrupted();
+  assert.equal(left.session, SESSION);
+  const recovered = replayJournal(left);
+  assert.equal(await recovered.blob?.text(), 'head-mid-tail');
+  assert.equal(recovered.blob?.type, 'audio/webm;codecs=opus');
+  assert.equal(recovered.seconds, 0.3);
+  assert.deepEqual(recovered.pauses, [freeze(4)]);
+  assert.deepEqual(recovered.chapters, [chapter]);
+});
+
+test('a journal without audio has nothing to recover', () => {
+  const recovered = replayJournal({ session: SESSION, entries: [{ type: 'pause', pause: freeze(4) }] });
+  assert.equal(recovered.blob, null);
+  assert.equal(recovered.seconds, 0);
+});
+
+test('a failed write stops the journal without stopping the recording', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const store = new MemoryJournalStore();
+  store.failAt = 1;
+  const journal = new RecordingJournal(store, SESSION);
+  for (let i = 0; i < 4; i++) journal.append(chunk(String(i), i / 10));
+  await journal.discard();
+  // what was written before the failure stays a prefix of the recording, until discarded
+  assert.deepEqual(store.writes, ['session', 'chunk 0', 'discard']);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('a recording going on in another tab is not taken for an interrupted one', async () => {
+  const store = new MemoryJournalStore();
+  const locks = new FakeLocks();
+  const running = new RecordingJournal(store, SESSION, locks as unknown as LockManager);
+  // the tab that recorded this one is gone: nothing holds its lock
+  await store.beginRecording({ ...SESSION, id: 'rec_0' });
+  running.append(chunk('a', 0.1));
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const live = await liveRecordings(locks as unknown as LockManager);
+  assert.deepEqual(store.interrupted().map(r => r.session.id).filter(id => !live.has(id)), ['rec_0']);
+  // the lock goes with the journal
+  await running.discard();
+  assert.equal((await liveRecordings(locks as unknown as LockManager)).size, 0);
+});
+
+test('what a save made while recording already holds is not added twice', () => {
+  assert.deepEqual(unsavedPauses([freeze(2), freeze(4)], [freeze(4), freeze(6), freeze(2, 0.5)]), [freeze(6), freeze(2, 0.5)]);
+  const a = { id: 'ch_a', startVideoTime: 0, anchorOffset: 0, title: 'a' };
+  const b = { id: 'ch_b', startVideoTime: 1, anchorOffset: 0, title: 'b' };
+  assert.deepEqual(unsavedChapters([a], [a, b]), [b]);
+});
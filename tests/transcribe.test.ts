@@ -0,0 +1,72 @@
+// Turning a transcript into captions and searching it, with StubEngine standing in for the speech model.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MODEL_SAMPLE_RATE, StubEngine, Word, modelInstalled, resample, searchWords, toOutputTime, wordsToCaptions } from '../src/transcribe.js';
+import { captionCues } from '../src/captions.js';
+import { PauseRange } from '../src/exporter.js';
+
+const word = (text: string, start: number, end = start + 0.4): Word => ({ text, start, end });
+
+// what WorkerEngine hands the model: the narration resampled to the model's rate
+async function transcribe(engine: StubEngine, pcm: Float32Array, sampleRate: number) {
+  return engine.transcribe(resample(pcm, sampleRate, MODEL_SAMPLE_RATE), MODEL_SAMPLE_RATE);
+}
+
+test('resample interpolates between samples and keeps the duration', () => {
+  assert.deepEqual(Array.from(resample(Float32Array.from([0, 1, 2, 3]), 4, 2)), [0, 2]);
+  const up = resample(Float32Array.from([0, 1, 2]), 2, 3);
+  assert.deepEqual(Array.from(up, x => +x.toFixed(3)), [0, 0.667, 1.333, 2]);
+  const same = Float32Array.from([0.5, -0.5]);
+  const copy = resample(same, 16000, 16000);
+  assert.deepEqual(copy, same);
+  assert.notEqual(copy, same);
+});
+
+test('words come back timed against the narration whatever rate it was recorded at', async () => {
+  // 3 s recorded at 48 kHz; the stub spreads its words over the audio it is given
+  const engine = new StubEngine([word('שלום', 0, 1), word('עולם', 1, 2)], true);
+  const words = await transcribe(engine, new Float32Array(48000 * 3), 48000);
+  assert.deepEqual(words, [word('שלום', 0, 1.5), word('עולם', 1.5, 3)]);
+  // words from a slice of the narration are moved to where it starts
+  assert.deepEqual(toOutputTime(words, 10), [word('שלום', 10, 11.5), word('עולם', 11.5, 13)]);
+});
+
+test('captions break at sentence ends, pauses in speech and length', async () => {
+  const engine = new StubEngine([
+    word('זה', 0), word('המשפט', 0.5), word('הראשון.', 1),
+    word('ואחרי', 1.5), word('שתיקה', 2),
+    word('משהו', 4), word('ארוך', 4.5), word('מאוד', 5),
+  ]);
+  const words = await transcribe(engine, new Float32Array(48000 * 6), 48000);
+  const cues = captionCues(wordsToCaptions(words, [], { maxChars: 12, maxDuration: 5, maxGap: 0.7 }), []);
+  assert.deepEqual(cues.map(c => c.text), ['זה המשפט', 'הראשון.', 'ואחרי שתיקה', 'משהו ארוך', 'מאוד']);
+  assert.deepEqual(cues[2], { start: 1.5, end: 2.4, text: 'ואחרי שתיקה' });
+});
+
+test('captions after a freeze stay where they were said', async () => {
+  // the video freezes for 2 s at its second 1, so output time 4 is video time 2
+  const freeze: PauseRange = { startVideoTime: 1, pauseDuration: 2, frameDataURL: 'frame1' };
+  const engine = new StubEngine([word('לפני', 0.2), word('אחרי.', 4)]);
+  const words = await transcribe(engine, new Float32Array(16000 * 5), 16000);
+  const captions = wordsToCaptions(words, [freeze], { maxChars: 42, maxDuration: 5, maxGap: 0.7 });
+  assert.deepEqual(captions.map(c => c.startVideoTime), [0.2, 2]);
+  assert.deepEqual(captionCues(captions, [freeze]).map(c => [c.start, c.text]), [[0.2, 'לפני'], [4, 'אחרי.']]);
+});
+
+test('search ignores vowel points and punctuation and finds phrases while they are typed', async () => {
+  const engine = new StubEngine([word('שָׁלוֹם,', 0), word('עולם', 1), word('שלום', 2), word('עולמות', 3), word('Hello!', 4)]);
+  const words = await transcribe(engine, new Float32Array(16000), 16000);
+  assert.deepEqual(searchWords(words, 'שלום'), [0, 2]);
+  assert.deepEqual(searchWords(words, 'שלום עולם'), [0]);
+  assert.deepEqual(searchWords(words, 'שלום עול'), [0, 2]);
+  assert.deepEqual(searchWords(words, 'hello'), [4]);
+  assert.deepEqual(searchWords(words, '  ,  '), []);
+});
+
+test('transcription is offered only when the engine and the model are both served', async (t) => {
+  const served = new Set(['./models/stt/engine.js']);
+  t.mock.method(globalThis, 'fetch', async (url: string) => new Response(null, { status: served.has(url) ? 200 : 404 }));
+  assert.equal(await modelInstalled(), false);
+  served.add('./models/stt/model.bin');
+  assert.equal(await modelInstalled(), true);
+});
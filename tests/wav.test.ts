@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bufferToWav, monoBuffer, wavToPCM, PCMBuffer } from '../src/wav.js';
+
+const ascii = (view: DataView, offset: number) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+
+test('bufferToWav writes a 16-bit PCM RIFF header', () => {
+  const wav = bufferToWav(monoBuffer(new Float32Array(100), 44100));
+  const view = new DataView(wav);
+  assert.equal(wav.byteLength, 44 + 100 * 2);
+  assert.equal(ascii(view, 0), 'RIFF');
+  assert.equal(view.getUint32(4, true), wav.byteLength - 8);
+  assert.equal(ascii(view, 8), 'WAVE');
+  assert.equal(ascii(view, 12), 'fmt ');
+  assert.equal(view.getUint32(16, true), 16); // fmt chunk size
+  assert.equal(view.getUint16(20, true), 1); // PCM
+  assert.equal(view.getUint16(22, true), 1); // channels
+  assert.equal(view.getUint32(24, true), 44100);
+  assert.equal(view.getUint32(28, true), 44100 * 2); // bytes per second
+  assert.equal(view.getUint16(32, true), 2); // block align
+  assert.equal(view.getUint16(34, true), 16); // bits per sample
+  assert.equal(ascii(view, 36), 'data');
+  assert.equal(view.getUint32(40, true), 100 * 2);
+});
+
+test('bufferToWav scales samples to 16 bits and clips them', () => {
+  const pcm = new Float32Array([0, 1, -1, 0.5, -0.5, 2, -2]);
+  const view = new DataView(bufferToWav(monoBuffer(pcm, 48000)));
+  const samples = Array.from(pcm, (_, i) => view.getInt16(44 + i * 2, true));
+  assert.deepEqual(samples, [0, 32767, -32768, 16383, -16384, 32767, -32768]);
+});
+
+test('bufferToWav interleaves channels', () => {
+  const left = new Float32Array([0.25, 0.5]), right = new Float32Array([-0.25, -0.5]);
+  const buffer: PCMBuffer = { numberOfChannels: 2, length: 2, sampleRate: 8000, getChannelData: (ch) => ch ? right : left };
+  const view = new DataView(bufferToWav(buffer));
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(28, true), 8000 * 4);
+  assert.equal(view.getUint16(32, true), 4);
+  assert.equal(view.getUint32(40, true), 8);
+  assert.deepEqual([0, 1, 2, 3].map(i => view.getInt16(44 + i * 2, true)), [8191, -8192, 16383, -16384]);
+});
+
+test('wavToPCM reads back what bufferToWav wrote', () => {
+  const pcm = Float32Array.from({ length: 480 }, (_, i) => Math.sin(i / 10) * 0.8);
+  const decoded = wavToPCM(new Uint8Array(bufferToWav(monoBuffer(pcm, 48000))));
+  assert.equal(decoded.sampleRate, 48000);
+  assert.equal(decoded.pcm.length, pcm.length);
+  for (let i = 0; i < pcm.length; i++) assert.ok(Math.abs(decoded.pcm[i] - pcm[i]) < 1 / 32768 * 2);
+});
+
+test('wavToPCM mixes channels down and skips unknown chunks', () => {
+  const left = new Float32Array([0.5, 0.5]), right = new Float32Array([0, -0.5]);
+  const wav = new Uint8Array(bufferToWav({ numberOfChannels: 2, length: 2, sampleRate: 8000, getChannelData: (ch) => ch ? right : left }));
+  // a LIST chunk of odd length, padded, between fmt and data
+  const list = new Uint8Array([...'LIST'].map(c => c.charCodeAt(0)).concat([3, 0, 0, 0, 1, 2, 3, 0]));
+  const withList = new Uint8Array([...wav.subarray(0, 36), ...list, ...wav.subarray(36)]);
+  const { pcm } = wavToPCM(withList);
+  assert.equal(pcm.length, 2);
+  assert.ok(Math.abs(pcm[0] - 0.25) < 1e-4);
+  assert.ok(Math.abs(pcm[1]) < 1e-4);
+});
+
+test('wavToPCM rejects what it cannot read', () => {
+  assert.throws(() => wavToPCM(new TextEncoder().encode('not a wav file')), /Not a WAV file/);
+  const float = new Uint8Array(bufferToWav(monoBuffer(new Float32Array(4), 8000)));
+  new DataView(float.buffer).setUint16(20, 3, true);
+  assert.throws(() => wavToPCM(float), /Only PCM/);
+});